@@ -0,0 +1,17 @@
+// bin/plan.js
+// Entry point of the plan command-line tool. The sources use extensionless imports, so it runs through
+// vite-node: `npm run -s plan -- [options] <plan.md...>` (see src/cli/plan.js for the options). The script runs it
+// with bin/ as the root, so the app's vite.config.js and its plugins are not loaded and nothing else reaches stdout.
+import fs from 'node:fs';
+import path from 'node:path';
+import { runPlanCli } from '../src/cli/plan';
+
+const exitCode = runPlanCli(process.argv.slice(2), {
+    readFile: file => fs.readFileSync(file, 'utf8'),
+    writeFile: (file, text) => fs.writeFileSync(file, text),
+    isDirectory: dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory(),
+    joinPath: (dir, name) => path.join(dir, name),
+    stdout: text => process.stdout.write(text),
+    stderr: text => process.stderr.write(text),
+});
+process.exitCode = exitCode;
@@ -0,0 +1,220 @@
+/**
+ * src/cli/plan.js
+ *
+ * Headless command-line tool for plan files: it parses and schedules each plan the same way App.vue does,
+ * prints `file:line:col` diagnostics and can export the schedule as JSON, CSV, a static SVG Gantt chart or a
+ * Mermaid gantt chart.
+ * The file system and output streams are passed in, so the tool can run in tests without touching the disk.
+ */
+
+import { parseMarkdown } from '../utils/parser';
+import { scheduleTasks } from '../utils/scheduler';
+import { getScheduleRows, exportScheduleAsJSON, exportScheduleAsCSV, exportScheduleAsSVG } from '../utils/scheduleExport';
+import { exportMermaidGantt } from '../utils/mermaidGantt';
+
+export const EXIT_OK = 0;
+export const EXIT_PLAN_ERRORS = 1; // At least one plan has errors (or warnings with --strict)
+export const EXIT_USAGE = 2; // Bad arguments or unreadable files
+
+// Export formats and the extensions of the files they are written to
+const EXPORT_FORMATS = {
+    json: 'json',
+    csv: 'csv',
+    svg: 'svg',
+    mermaid: 'mmd',
+};
+
+export const USAGE = `Usage: plan [options] <plan.md...>
+
+Validates plan files and optionally exports their schedule.
+
+Options:
+  -f, --format <json|csv|svg|mermaid>  Export the schedule in this format
+  -o, --output <path>                  Write the export to a file (a directory when several plans are given)
+      --strict                         Treat warnings as errors
+  -q, --quiet                          Only print errors
+  -h, --help                           Show this help
+`;
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args - The arguments without the node and script paths.
+ * @returns {object} An object { files, format, output, strict, quiet, help } or { error } for invalid arguments.
+ */
+export function parseArguments(args) {
+    const options = { files: [], format: null, output: null, strict: false, quiet: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-f' || arg === '--format' || arg === '-o' || arg === '--output') {
+            const value = args[++i];
+            if (value === undefined) {
+                return { error: `Missing value for ${arg}.` };
+            }
+            if (arg === '-f' || arg === '--format') {
+                if (!EXPORT_FORMATS[value]) {
+                    return { error: `Unknown format "${value}". Use json, csv, svg or mermaid.` };
+                }
+                options.format = value;
+            } else {
+                options.output = value;
+            }
+        } else if (arg.startsWith('-') && arg !== '-') {
+            return { error: `Unknown option "${arg}".` };
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (!options.help && options.files.length === 0) {
+        return { error: 'No plan files given.' };
+    }
+    if (options.output && !options.format) {
+        return { error: '--output needs a --format.' };
+    }
+    return options;
+}
+
+/**
+ * Parses and schedules a plan like App.vue: scheduling is skipped when the parser reports errors.
+ * @param {string} markdown - The plan text.
+ * @returns {object} An object { parseResult, scheduleResult, errors } where scheduleResult is null if the plan
+ * could not be scheduled.
+ */
+export function analyzePlan(markdown) {
+    const parseResult = parseMarkdown(markdown);
+    const errors = [...parseResult.errors];
+    let scheduleResult = null;
+    if (!errors.some(error => error.type === 'error')) {
+        const calendarData = parseResult.startDate ? {
+            startDate: parseResult.startDate,
+            workDays: parseResult.workDays,
+            holidays: parseResult.holidays,
+            durationMode: parseResult.durationMode,
+        } : undefined;
+        scheduleResult = scheduleTasks(
+            parseResult.tasks,
+            parseResult.dependencies,
+            parseResult.globalBandwidth,
+            parseResult.taskGroups,
+            calendarData,
+            parseResult.resources
+        );
+        errors.push(...scheduleResult.errors);
+    }
+    return { parseResult, scheduleResult, errors };
+}
+
+/**
+ * Formats a diagnostic as `file:line:col: severity: message`. The column comes from the error's `from` offset;
+ * errors without a location only name the file.
+ * @param {string} file - The plan file path.
+ * @param {string} markdown - The plan text.
+ * @param {object} error - The parser or scheduler error.
+ * @returns {string} The diagnostic line.
+ */
+export function formatDiagnostic(file, markdown, error) {
+    const severity = error.type === 'info' ? 'note' : error.type;
+    if (Number.isInteger(error.from)) {
+        const before = markdown.slice(0, error.from);
+        const line = before.split('\n').length;
+        const column = error.from - (before.lastIndexOf('\n') + 1) + 1;
+        return `${file}:${line}:${column}: ${severity}: ${error.message}`;
+    }
+    if (Number.isInteger(error.line)) {
+        return `${file}:${error.line}:1: ${severity}: ${error.message}`;
+    }
+    return `${file}: ${severity}: ${error.message}`;
+}
+
+/**
+ * Renders the schedule of an analyzed plan in an export format.
+ * @param {object} analysis - The result of analyzePlan.
+ * @param {string} format - One of 'json', 'csv', 'svg' or 'mermaid'.
+ * @param {string} file - The plan file path, used as the chart title.
+ * @returns {string} The export.
+ */
+export function exportSchedule(analysis, format, file) {
+    const rows = getScheduleRows(analysis.scheduleResult.scheduledTasks, analysis.parseResult.dependencies);
+    const projectStartDate = analysis.scheduleResult.projectStartDate;
+    switch (format) {
+        case 'csv':
+            return exportScheduleAsCSV(rows);
+        case 'svg':
+            return exportScheduleAsSVG(rows, { projectStartDate, title: file });
+        case 'mermaid':
+            return exportMermaidGantt(analysis.scheduleResult.scheduledTasks, {
+                title: file,
+                projectStartDate,
+                workDays: analysis.parseResult.workDays,
+                holidays: analysis.parseResult.holidays,
+            });
+        default:
+            return exportScheduleAsJSON(rows, projectStartDate ? { projectStartDate: projectStartDate.toISOString().split('T')[0] } : {});
+    }
+}
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args - The arguments without the node and script paths.
+ * @param {object} io - The environment { readFile(path): string, writeFile(path, text), isDirectory(path): boolean,
+ * joinPath(dir, name): string, stdout(text), stderr(text) }.
+ * @returns {number} The exit code.
+ */
+export function runPlanCli(args, io) {
+    const options = parseArguments(args);
+    if (options.error) {
+        io.stderr(`${options.error}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        io.stdout(USAGE);
+        return EXIT_OK;
+    }
+    const exportsToDirectory = options.format && options.files.length > 1;
+    if (exportsToDirectory && !(options.output && io.isDirectory(options.output))) {
+        io.stderr('Exporting several plans needs --output <directory>.\n');
+        return EXIT_USAGE;
+    }
+
+    let exitCode = EXIT_OK;
+    options.files.forEach(file => {
+        let markdown;
+        try {
+            markdown = io.readFile(file);
+        } catch (e) {
+            io.stderr(`${file}: cannot read file: ${e.message}\n`);
+            exitCode = EXIT_USAGE;
+            return;
+        }
+
+        const analysis = analyzePlan(markdown);
+        const failing = analysis.errors.filter(error => error.type === 'error' || (options.strict && error.type === 'warning'));
+        analysis.errors
+            .filter(error => !options.quiet || error.type === 'error')
+            .forEach(error => io.stderr(`${formatDiagnostic(file, markdown, error)}\n`));
+
+        if (failing.length > 0) {
+            exitCode = Math.max(exitCode, EXIT_PLAN_ERRORS);
+            return;
+        }
+        if (!options.format || !analysis.scheduleResult) {
+            return;
+        }
+
+        const output = exportSchedule(analysis, options.format, file);
+        if (exportsToDirectory) {
+            const baseName = file.split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+            io.writeFile(io.joinPath(options.output, `${baseName}.${EXPORT_FORMATS[options.format]}`), output);
+        } else if (options.output) {
+            io.writeFile(options.output, output);
+        } else {
+            io.stdout(output);
+        }
+    });
+    return exitCode;
+}
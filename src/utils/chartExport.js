@@ -0,0 +1,483 @@
+/**
+ * src/utils/chartExport.js
+ *
+ * Renders the Task Visualization for export as SVG, PNG or a multi-page PDF. All three formats draw the same
+ * scene: the plain-object description of the whole chart that TaskVisualizationCanvas builds from its layout
+ * (see getExportScene there), so exports always show the entire schedule rather than the current viewport.
+ *
+ * A scene is { items, bounds, groupLabels, timeScale, legend } where
+ * - items are drawing primitives in canvas (world) coordinates, in paint order:
+ *   { type: 'rect', x, y, width, height, fill?, stroke?, strokeWidth?, dash?, cornerRadius?, role? }
+ *   (role 'task' marks task bars, which PDF page breaks avoid cutting)
+ *   { type: 'path', points, fill?, stroke?, strokeWidth?, dash?, closed? }
+ *   { type: 'arrow', points, color, strokeWidth, pointerSize }
+ *   { type: 'text', x, y, text, fontSize, color, width?, align?, bold? } (y is the top of the text)
+ * - bounds { x, y, width, height } is the area the items cover,
+ * - groupLabels [{ text, top, bottom }] are the task group boxes, repeated down the side of every PDF page,
+ * - timeScale { originX, unitWidth, projectStartDate?, workDays?, holidays?, nonWorkingColor? } maps time offsets
+ *   to x (x = originX + offset * unitWidth) for the time axis,
+ * - legend [{ label, swatch: { type: 'bar'|'diamond'|'arrow'|'box'|'strip'|'band', fill?, stroke?, dash? } }].
+ */
+
+import { buildTimeAxisTicks } from './timeAxis';
+import { createPdfDocument, HELVETICA_AVERAGE_CHAR_WIDTH } from './pdfWriter';
+
+const FONT_FAMILY = 'Arial, sans-serif';
+const AVERAGE_CHAR_WIDTH = 0.6; // Average glyph width as a fraction of the font size, as on the canvas
+const TEXT_BASELINE = 0.8; // Baseline position below the top of a line, as a fraction of the font size
+const PADDING = 16;
+const AXIS_HEIGHT = 28;
+const AXIS_FONT_SIZE = 11;
+const AXIS_BACKGROUND_COLOR = '#f8fafc'; // Slate-50
+const AXIS_BORDER_COLOR = '#cbd5e1'; // Slate-300
+const AXIS_TEXT_COLOR = '#475569'; // Slate-600
+const LEGEND_HEIGHT = 28;
+const LEGEND_FONT_SIZE = 11;
+const LEGEND_SWATCH_WIDTH = 22;
+const LEGEND_ITEM_GAP = 18;
+const LEGEND_TEXT_COLOR = '#334155'; // Slate-700
+const GROUP_LABEL_COLOR = '#64748b'; // Slate-500
+
+// Canvases larger than this fail to allocate in some browsers
+const MAX_CANVAS_SIDE = 16384;
+
+// PDF layout in points. Canvas pixels are CSS pixels (96 per inch) and PDF points are 72 per inch.
+export const PDF_PAGE_SIZES = {
+    a4: { width: 842, height: 595 }, // Landscape
+    letter: { width: 792, height: 612 },
+};
+const PDF_SCALE = 0.75;
+const PDF_MARGIN = 28;
+const PDF_GUTTER_WIDTH = 96; // Column with the task group labels
+const PDF_AXIS_HEIGHT = 20;
+const PDF_FOOTER_HEIGHT = 26; // Legend and page number
+
+/**
+ * Shortens text with an ellipsis so it fits a width, estimating glyph widths from the font size.
+ * @param {string} text - The text.
+ * @param {number} maxWidth - The available width.
+ * @param {number} fontSize - The font size.
+ * @returns {string} The text, shortened if needed.
+ */
+export function fitText(text, maxWidth, fontSize) {
+    const maxChars = Math.floor(maxWidth / (fontSize * AVERAGE_CHAR_WIDTH));
+    if (text.length <= maxChars) return text;
+    if (maxChars <= 1) return '';
+    return `${text.slice(0, maxChars - 1).trimEnd()}…`;
+}
+
+/**
+ * Splits an arrow into its shaft and its head, like Konva.Arrow: the tip sits on the last point and the shaft
+ * stops at the base of the head.
+ * @param {number[]} points - The arrow's points [x1, y1, x2, y2, ...].
+ * @param {number} size - Length and width of the head.
+ * @returns {object} An object { shaft, head } with the shaft's points and the head's three corners.
+ */
+export function getArrowGeometry(points, size) {
+    const n = points.length;
+    const tipX = points[n - 2];
+    const tipY = points[n - 1];
+    const dx = tipX - points[n - 4];
+    const dy = tipY - points[n - 3];
+    const length = Math.hypot(dx, dy) || 1;
+    const ux = dx / length;
+    const uy = dy / length;
+    const baseX = tipX - ux * size;
+    const baseY = tipY - uy * size;
+    const half = size / 2;
+    return {
+        shaft: [...points.slice(0, n - 2), baseX, baseY],
+        head: [tipX, tipY, baseX - uy * half, baseY + ux * half, baseX + uy * half, baseY - ux * half],
+    };
+}
+
+/**
+ * Builds the axis ticks for a horizontal range of the scene.
+ * @param {object} timeScale - The scene's time scale.
+ * @param {number} fromX - Left edge in world coordinates.
+ * @param {number} toX - Right edge in world coordinates.
+ * @returns {Array<Object>} The ticks with their world x.
+ */
+function getAxisTicks(timeScale, fromX, toX) {
+    const { ticks } = buildTimeAxisTicks({
+        from: Math.floor((fromX - timeScale.originX) / timeScale.unitWidth),
+        to: Math.ceil((toX - timeScale.originX) / timeScale.unitWidth),
+        pixelsPerUnit: timeScale.unitWidth,
+        projectStartDate: timeScale.projectStartDate,
+        workDays: timeScale.workDays,
+        holidays: timeScale.holidays,
+    });
+    return ticks.map(tick => ({ ...tick, x: timeScale.originX + tick.offset * timeScale.unitWidth }));
+}
+
+/**
+ * Finds where to break a range into pages, moving breaks up (or left) so they do not cut through any obstacle
+ * smaller than a page.
+ * @param {number} start - Start of the range.
+ * @param {number} end - End of the range.
+ * @param {number} pageSize - Size of one page.
+ * @param {Array<number[]>} [obstacles] - Spans [from, to] that should stay on one page.
+ * @returns {Array<number[]>} The page spans [from, to].
+ */
+export function findPageBreaks(start, end, pageSize, obstacles = []) {
+    const spans = [];
+    let from = start;
+    while (from < end - 0.5) {
+        let to = from + pageSize;
+        if (to >= end) {
+            to = end;
+        } else {
+            const cut = obstacles.filter(([a, b]) => a < to && b > to && a > from);
+            if (cut.length > 0) {
+                to = Math.min(...cut.map(([a]) => a));
+            }
+        }
+        spans.push([from, to]);
+        from = to;
+    }
+    return spans;
+}
+
+/**
+ * Splits a scene into the world regions that fit on PDF pages. Pages run left to right, then top to bottom;
+ * horizontal breaks avoid cutting through task bars.
+ * @param {object} scene - The scene.
+ * @param {number} pageWidth - Width of a page's chart area in world units.
+ * @param {number} pageHeight - Height of a page's chart area in world units.
+ * @returns {Array<Object>} The regions { x, y, width, height, row, column }.
+ */
+export function paginateScene(scene, pageWidth, pageHeight) {
+    const { bounds } = scene;
+    const bars = scene.items
+        .filter(item => item.type === 'rect' && item.role === 'task')
+        .map(item => [item.y - 4, item.y + item.height + 4]);
+    const rows = findPageBreaks(bounds.y, bounds.y + bounds.height, pageHeight, bars);
+    const columns = findPageBreaks(bounds.x, bounds.x + bounds.width, pageWidth);
+
+    const regions = [];
+    rows.forEach(([top, bottom], row) => {
+        columns.forEach(([left, right], column) => {
+            regions.push({ x: left, y: top, width: right - left, height: bottom - top, row, column });
+        });
+    });
+    return regions;
+}
+
+// --- SVG ---
+
+/**
+ * Escapes text for use in SVG markup.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes the stroke attributes of a primitive.
+ * @param {object} item - The primitive.
+ * @returns {string} The attributes.
+ */
+function svgStroke(item) {
+    if (!item.stroke) return ' stroke="none"';
+    let attributes = ` stroke="${item.stroke}" stroke-width="${item.strokeWidth || 1}"`;
+    if (item.dash) attributes += ` stroke-dasharray="${item.dash.join(' ')}"`;
+    return attributes;
+}
+
+/**
+ * Renders one primitive as SVG.
+ * @param {object} item - The primitive.
+ * @returns {string} The SVG element.
+ */
+function renderItemSVG(item) {
+    switch (item.type) {
+        case 'rect':
+            return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}"` +
+                `${item.cornerRadius ? ` rx="${item.cornerRadius}"` : ''} fill="${item.fill || 'none'}"${svgStroke(item)}/>`;
+        case 'path': {
+            const tag = item.closed ? 'polygon' : 'polyline';
+            return `<${tag} points="${toPointList(item.points)}" fill="${item.fill || 'none'}"${svgStroke(item)} stroke-linejoin="round"/>`;
+        }
+        case 'arrow': {
+            const { shaft, head } = getArrowGeometry(item.points, item.pointerSize);
+            return `<polyline points="${toPointList(shaft)}" fill="none" stroke="${item.color}" stroke-width="${item.strokeWidth}" stroke-linejoin="round"/>` +
+                `<polygon points="${toPointList(head)}" fill="${item.color}"/>`;
+        }
+        case 'text': {
+            const text = item.width ? fitText(item.text, item.width, item.fontSize) : item.text;
+            const centered = item.align === 'center' && item.width;
+            const x = centered ? item.x + item.width / 2 : item.x;
+            return `<text x="${x}" y="${item.y + item.fontSize * TEXT_BASELINE}" font-size="${item.fontSize}" fill="${item.color}"` +
+                `${centered ? ' text-anchor="middle"' : ''}${item.bold ? ' font-weight="bold"' : ''}>${escapeXML(text)}</text>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Formats a flat coordinate list for SVG points attributes.
+ * @param {number[]} points - The coordinates.
+ * @returns {string} The point list.
+ */
+function toPointList(points) {
+    const pairs = [];
+    for (let i = 0; i < points.length; i += 2) {
+        pairs.push(`${Math.round(points[i] * 100) / 100},${Math.round(points[i + 1] * 100) / 100}`);
+    }
+    return pairs.join(' ');
+}
+
+/**
+ * Draws a legend swatch with the given primitive renderer.
+ * @param {object} swatch - The swatch description from the scene's legend.
+ * @param {number} x - Left edge.
+ * @param {number} y - Vertical centre.
+ * @returns {Array<Object>} The primitives.
+ */
+function getSwatchItems(swatch, x, y) {
+    const w = LEGEND_SWATCH_WIDTH;
+    switch (swatch.type) {
+        case 'diamond':
+            return [{ type: 'path', points: [x + w / 2, y - 6, x + w / 2 + 6, y, x + w / 2, y + 6, x + w / 2 - 6, y], closed: true, fill: swatch.fill, stroke: swatch.stroke, strokeWidth: 1 }];
+        case 'arrow':
+            return [{ type: 'arrow', points: [x, y, x + w, y], color: swatch.stroke, strokeWidth: 1.5, pointerSize: 6 }];
+        case 'strip':
+            return [{ type: 'rect', x, y: y + 2, width: w, height: 4, fill: swatch.fill, cornerRadius: 1 }];
+        case 'band':
+            return [{ type: 'rect', x, y: y - 7, width: w, height: 14, fill: swatch.fill, stroke: AXIS_BORDER_COLOR, strokeWidth: 0.5 }];
+        case 'box':
+            return [{ type: 'rect', x, y: y - 7, width: w, height: 14, stroke: swatch.stroke, strokeWidth: 1.5, dash: swatch.dash, cornerRadius: 3 }];
+        default:
+            return [{ type: 'rect', x, y: y - 6, width: w, height: 12, fill: swatch.fill, stroke: swatch.stroke, strokeWidth: swatch.strokeWidth || 1.5, cornerRadius: 2 }];
+    }
+}
+
+/**
+ * Lays out the legend as primitives on one row.
+ * @param {Array<Object>} legend - The scene's legend entries.
+ * @param {number} x - Left edge.
+ * @param {number} y - Vertical centre.
+ * @param {number} fontSize - Label font size.
+ * @returns {Array<Object>} The primitives.
+ */
+function getLegendItems(legend, x, y, fontSize) {
+    const items = [];
+    let cursor = x;
+    legend.forEach(entry => {
+        items.push(...getSwatchItems(entry.swatch, cursor, y));
+        cursor += LEGEND_SWATCH_WIDTH + 6;
+        items.push({ type: 'text', x: cursor, y: y - fontSize / 2, text: entry.label, fontSize, color: LEGEND_TEXT_COLOR });
+        cursor += entry.label.length * fontSize * AVERAGE_CHAR_WIDTH + LEGEND_ITEM_GAP;
+    });
+    return items;
+}
+
+/**
+ * Lays out the time axis for a horizontal range as primitives.
+ * @param {object} timeScale - The scene's time scale.
+ * @param {number} fromX - Left edge of the range in world coordinates.
+ * @param {number} toX - Right edge of the range in world coordinates.
+ * @param {number} height - Height of the axis.
+ * @param {number} fontSize - Label font size.
+ * @returns {Array<Object>} The primitives in world x and axis-local y.
+ */
+function getAxisItems(timeScale, fromX, toX, height, fontSize) {
+    const items = [{ type: 'rect', x: fromX, y: 0, width: toX - fromX, height, fill: AXIS_BACKGROUND_COLOR, stroke: AXIS_BORDER_COLOR, strokeWidth: 1 }];
+    getAxisTicks(timeScale, fromX, toX).forEach(tick => {
+        if (tick.nonWorking && timeScale.nonWorkingColor) {
+            items.push({ type: 'rect', x: tick.x, y: 0, width: timeScale.unitWidth, height, fill: timeScale.nonWorkingColor });
+        }
+        items.push({ type: 'path', points: [tick.x, height / 2, tick.x, height], stroke: AXIS_BORDER_COLOR, strokeWidth: 1 });
+        items.push({ type: 'text', x: tick.x + 3, y: 4, text: tick.label, fontSize, color: AXIS_TEXT_COLOR });
+    });
+    return items;
+}
+
+/**
+ * Renders the whole chart as a standalone SVG document: the time axis on top, the chart, and the legend below.
+ * @param {object} scene - The scene.
+ * @param {object} [options] - Rendering options.
+ * @param {string} [options.title='Task Visualization'] - Accessible title of the document.
+ * @returns {string} The SVG document.
+ */
+export function renderSceneToSVG(scene, { title = 'Task Visualization' } = {}) {
+    const { bounds } = scene;
+    const width = Math.ceil(bounds.width + 2 * PADDING);
+    const height = Math.ceil(PADDING + AXIS_HEIGHT + bounds.height + LEGEND_HEIGHT + PADDING);
+    const offsetX = PADDING - bounds.x;
+    const chartTop = PADDING + AXIS_HEIGHT;
+
+    const axis = getAxisItems(scene.timeScale, bounds.x, bounds.x + bounds.width, AXIS_HEIGHT, AXIS_FONT_SIZE);
+    const legend = getLegendItems(scene.legend, PADDING, chartTop + bounds.height + LEGEND_HEIGHT / 2 + 4, LEGEND_FONT_SIZE);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+        `<title>${escapeXML(title)}</title>`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        `<g transform="translate(${offsetX} ${PADDING})" data-part="axis">`,
+        ...axis.map(renderItemSVG),
+        '</g>',
+        `<g transform="translate(${offsetX} ${chartTop - bounds.y})" data-part="chart">`,
+        ...scene.items.map(renderItemSVG),
+        '</g>',
+        '<g data-part="legend">',
+        ...legend.map(renderItemSVG),
+        '</g>',
+        '</svg>',
+        '',
+    ].join('\n');
+}
+
+// --- PNG ---
+
+/**
+ * Renders the whole chart as a PNG image by rasterizing its SVG.
+ * @param {object} scene - The scene.
+ * @param {object} [options] - Rendering options.
+ * @param {number} [options.pixelRatio=2] - Device pixels per CSS pixel; lowered if the image would be too large.
+ * @param {string} [options.title] - Title of the SVG being rasterized.
+ * @param {Window} [options.win] - The window, the global one by default.
+ * @returns {Promise<Blob>} The PNG image.
+ */
+export async function renderSceneToPNG(scene, { pixelRatio = 2, title, win = globalThis.window } = {}) {
+    const svg = renderSceneToSVG(scene, { title });
+    const [, width, height] = svg.match(/width="(\d+)" height="(\d+)"/).map(Number);
+    const ratio = Math.max(0.1, Math.min(pixelRatio, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height));
+
+    const url = win.URL.createObjectURL(new win.Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new win.Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('The chart could not be rasterized.'));
+            img.src = url;
+        });
+        const canvas = win.document.createElement('canvas');
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const context = canvas.getContext('2d');
+        context.scale(ratio, ratio);
+        context.drawImage(image, 0, 0, width, height);
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be created.'))), 'image/png');
+        });
+    } finally {
+        win.URL.revokeObjectURL(url);
+    }
+}
+
+// --- PDF ---
+
+/**
+ * Draws primitives on a PDF page.
+ * @param {object} page - The PDF page.
+ * @param {Array<Object>} items - The primitives.
+ * @param {function} toX - Maps an x coordinate to page points.
+ * @param {function} toY - Maps a y coordinate to page points.
+ * @param {number} scale - Points per world unit.
+ */
+function drawItemsPDF(page, items, toX, toY, scale) {
+    const mapPoints = points => points.map((value, index) => (index % 2 === 0 ? toX(value) : toY(value)));
+    const lineStyle = item => ({
+        stroke: item.stroke,
+        lineWidth: (item.strokeWidth || 1) * scale,
+        dash: item.dash ? item.dash.map(value => value * scale) : null,
+    });
+
+    items.forEach(item => {
+        switch (item.type) {
+            case 'rect':
+                page.rect(toX(item.x), toY(item.y), item.width * scale, item.height * scale, {
+                    fill: item.fill,
+                    ...lineStyle(item),
+                    radius: (item.cornerRadius || 0) * scale,
+                });
+                break;
+            case 'path':
+                page.path(mapPoints(item.points), { fill: item.fill, closed: item.closed, ...lineStyle(item) });
+                break;
+            case 'arrow': {
+                const { shaft, head } = getArrowGeometry(item.points, item.pointerSize);
+                page.path(mapPoints(shaft), { stroke: item.color, lineWidth: item.strokeWidth * scale });
+                page.path(mapPoints(head), { fill: item.color, closed: true });
+                break;
+            }
+            case 'text': {
+                const fontSize = item.fontSize * scale;
+                const text = item.width ? fitText(item.text, item.width, item.fontSize) : item.text;
+                let x = toX(item.x);
+                if (item.align === 'center' && item.width) {
+                    x += (item.width - text.length * item.fontSize * AVERAGE_CHAR_WIDTH) / 2 * scale;
+                }
+                page.text(x, toY(item.y) + fontSize * TEXT_BASELINE, text, { size: fontSize, color: item.color, bold: item.bold });
+                break;
+            }
+            default:
+                break;
+        }
+    });
+}
+
+/**
+ * Renders the whole chart as a PDF, split over as many landscape pages as it needs. Every page repeats the time
+ * axis for its range, the names of the task groups it shows, the legend and a page number.
+ * @param {object} scene - The scene.
+ * @param {object} [options] - Rendering options.
+ * @param {string} [options.title='Task Visualization'] - Document title, printed on every page.
+ * @param {string} [options.pageSize='a4'] - 'a4' or 'letter'.
+ * @returns {Uint8Array} The PDF file.
+ */
+export function renderSceneToPDF(scene, { title = 'Task Visualization', pageSize = 'a4' } = {}) {
+    const { width: pageWidth, height: pageHeight } = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    const chartLeft = PDF_MARGIN + PDF_GUTTER_WIDTH;
+    const chartTop = PDF_MARGIN + PDF_AXIS_HEIGHT;
+    const chartWidth = pageWidth - chartLeft - PDF_MARGIN;
+    const chartHeight = pageHeight - chartTop - PDF_MARGIN - PDF_FOOTER_HEIGHT;
+    const scale = PDF_SCALE;
+
+    const regions = paginateScene(scene, chartWidth / scale, chartHeight / scale);
+    const doc = createPdfDocument({ title });
+
+    regions.forEach((region, index) => {
+        const page = doc.addPage(pageWidth, pageHeight);
+        const toX = x => chartLeft + (x - region.x) * scale;
+
+        // Chart, clipped to its area
+        page.save();
+        page.clipRect(chartLeft, chartTop, chartWidth, chartHeight);
+        drawItemsPDF(page, scene.items, toX, y => chartTop + (y - region.y) * scale, scale);
+        page.restore();
+
+        // Time axis for this page's range
+        page.save();
+        page.clipRect(chartLeft, PDF_MARGIN, chartWidth, PDF_AXIS_HEIGHT);
+        const axisItems = getAxisItems(scene.timeScale, region.x, region.x + region.width, PDF_AXIS_HEIGHT / scale, AXIS_FONT_SIZE);
+        drawItemsPDF(page, axisItems, toX, y => PDF_MARGIN + y * scale, scale);
+        page.restore();
+
+        // Names of the task groups on this page, level with the top of their visible part
+        scene.groupLabels
+            .filter(group => group.bottom > region.y && group.top < region.y + region.height)
+            .forEach(group => {
+                const y = chartTop + (Math.max(group.top, region.y) - region.y) * scale;
+                page.text(PDF_MARGIN, y + 10, fitText(group.text, PDF_GUTTER_WIDTH - 8, 9), { size: 9, color: GROUP_LABEL_COLOR, bold: true });
+            });
+        page.path([chartLeft - 4, chartTop, chartLeft - 4, chartTop + chartHeight], { stroke: AXIS_BORDER_COLOR, lineWidth: 0.5 });
+
+        // Footer: legend, title and page number
+        const footerY = pageHeight - PDF_MARGIN - PDF_FOOTER_HEIGHT / 2;
+        const legendItems = getLegendItems(scene.legend, 0, 0, LEGEND_FONT_SIZE);
+        drawItemsPDF(page, legendItems, x => PDF_MARGIN + x * scale, y => footerY + y * scale, scale);
+        const pageLabel = `${title} · Page ${index + 1} of ${regions.length}`;
+        page.text(pageWidth - PDF_MARGIN - pageLabel.length * 8 * HELVETICA_AVERAGE_CHAR_WIDTH, pageHeight - PDF_MARGIN + 4, pageLabel, { size: 8, color: GROUP_LABEL_COLOR });
+    });
+
+    return doc.toBytes();
+}
@@ -1,9 +1,10 @@
 // src/utils/completionProvider.js
 
 // Import necessary CodeMirror types and functions
-import { EditorState, EditorSelection } from '@codemirror/state';
+import { EditorSelection } from '@codemirror/state';
 import { EditorView } from '@codemirror/view'; // EditorView for the 'view' instance
 import { startCompletion } from '@codemirror/autocomplete'; // For chaining completions
+import { planParser } from './planLanguage'; // Syntax tree of the plan DSL
 
 // --- Autocomplete Data ---
 export const predefinedDurationLabels = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
@@ -21,6 +22,44 @@ export const setAvailableTaskNamesForCompletion = (names) => {
     availableTaskNames = Array.isArray(names) ? names.filter(name => typeof name === 'string' && name.length > 0) : [];
 };
 
+/**
+ * Finds the quoted field the cursor is typing in, using the syntax tree of the plan grammar.
+ * Only the current line is parsed, so this works whether or not the editor has the plan language loaded.
+ * @param {string} lineBeforeCursor - The text of the current line up to the cursor.
+ * @param {string} [lineText] - The whole line. The fields after the cursor tell which field it is in, e.g. the
+ * second field of a task is its description when a duration follows.
+ * @returns {object|null} An object { field, statement, fragment } where field names the node wrapping the open
+ * string (e.g. 'Dependencies', 'TaskRef' or 'TaskDuration'), statement names the statement it belongs to and
+ * fragment is the text typed after the opening quote; null if the cursor is not inside an unterminated string.
+ */
+export const getOpenStringContext = (lineBeforeCursor, lineText = lineBeforeCursor) => {
+    const findString = (text) => {
+        let found = planParser.parse(text).resolveInner(lineBeforeCursor.length, -1);
+        while (found && found.name !== 'String') {
+            found = found.parent;
+        }
+        return found;
+    };
+    let node = findString(lineBeforeCursor);
+    if (!node || node.getChild('CloseQuote')) {
+        return null;
+    }
+    const nodeInLine = lineText === lineBeforeCursor ? null : findString(lineText);
+    if (nodeInLine && nodeInLine.from === node.from) {
+        node = nodeInLine;
+    }
+
+    let statement = node.parent;
+    while (statement && statement.parent && statement.parent.name !== 'Plan') {
+        statement = statement.parent;
+    }
+    return {
+        field: node.parent ? node.parent.name : null,
+        statement: statement ? statement.name : null,
+        fragment: lineBeforeCursor.substring(node.from + 1),
+    };
+};
+
 /**
  * The core completion source function for CodeMirror.
  * @param {CompletionContext} context - The CodeMirror completion context.
@@ -67,47 +106,15 @@ export const myCompletion = (context) => {
         }
     }
 
-    // Helper to extract content within the last open quote segment
-    const getFragmentInLastOpenQuote = (text) => {
-        const lastOpenQuoteIndex = text.lastIndexOf('"');
-        if (lastOpenQuoteIndex === -1) return null; // No open quote
+    const stringContext = getOpenStringContext(lineBeforeCursor, lineText);
 
-        const lastClosingQuoteIndex = text.indexOf('"', lastOpenQuoteIndex + 1);
-        if (lastClosingQuoteIndex !== -1) return null; // Already closed quote
+    if (stringContext) {
+        const { field, statement, fragment } = stringContext;
 
-        // Check if the current position is after the last open quote
-        if (context.pos > line.from + lastOpenQuoteIndex) { // 'line.from' is needed here for absolute position check
-            return text.substring(lastOpenQuoteIndex + 1);
-        }
-        return null;
-    };
-
-    const fragmentInQuote = getFragmentInLastOpenQuote(lineBeforeCursor);
-    console.log('Fragment in quote:', fragmentInQuote);
-
-    if (fragmentInQuote !== null) {
-
-        // Inside `if (fragmentInQuote !== null)` block
-        // --- Lines ~117-120 in your provided code ---
-        // Let's bring back simplified versions for direct use in the `if`
-        const isTaskParamContextMatch = lineBeforeCursor.match(/^Task\s*(?:"[^"]*"\s*){0,3}"([^"]*)$/); // Matches any of the 4 quotes
-        const isExplicitDepContextMatch = lineBeforeCursor.match(/(?:depends on|should happen before|should happen after)\s+"([^"]*)$/);
-
-        console.log('isTaskParamContextMatch:', isTaskParamContextMatch); // Add this log
-        console.log('isExplicitDepContextMatch:', isExplicitDepContextMatch); // Add this log
-
-        // The condition to enter the dependency/name autocomplete block:
-        if (isTaskParamContextMatch || isExplicitDepContextMatch) {
-            console.log('Context: Task parameter or explicit dependency field triggered (simplified).');
-
-            const targetMatch = isExplicitDepContextMatch || isTaskParamContextMatch;
-            // The fragment being typed might be in capture group 1 of these regexes.
-            const currentFragmentFromRegex = targetMatch ? targetMatch[1] : '';
-
-            // Take the fragment from `getFragmentInLastOpenQuote` as primary, but use regex for context.
-            const lastPart = fragmentInQuote.split(',').map(s => s.trim()).pop();
-
-            console.log('Dependency lastPart (from fragmentInQuote):', lastPart);
+        // 2. Autocomplete for task names in dependency fields, explicit dependencies and task group lists
+        if (field === 'Dependencies' || field === 'TaskRef') {
+            // Only the name after the last comma is being typed
+            const lastPart = fragment.split(',').map(s => s.trim()).pop();
 
             options = availableTaskNames
                 .filter(name => typeof name === 'string' && name.length > 0 && name.toLowerCase().startsWith(lastPart.toLowerCase()))
@@ -115,16 +122,16 @@ export const myCompletion = (context) => {
                     label: name,
                     type: 'variable',
                     apply: (viewInstance, completion) => {
-                        const currentLineText = viewInstance.state.doc.lineAt(context.pos).text; // Get current line text
-                        const currentLineBeforeCursor = currentLineText.substring(0, context.pos - viewInstance.state.doc.lineAt(context.pos).from);
-                        const currentFragmentInQuote = getFragmentInLastOpenQuote(currentLineBeforeCursor);
+                        const currentLine = viewInstance.state.doc.lineAt(context.pos);
+                        const currentLineBeforeCursor = currentLine.text.substring(0, context.pos - currentLine.from);
+                        const currentContext = getOpenStringContext(currentLineBeforeCursor);
 
                         // Find start of the current fragment after last comma in the current quoted text
-                        const partsInCurrentQuote = currentFragmentInQuote ? currentFragmentInQuote.split(',').map(s => s.trim()) : [];
+                        const partsInCurrentQuote = currentContext ? currentContext.fragment.split(',').map(s => s.trim()) : [];
                         const lastPartInCurrentQuote = partsInCurrentQuote[partsInCurrentQuote.length - 1];
 
                         const relativeStart = currentLineBeforeCursor.lastIndexOf(lastPartInCurrentQuote); // Relative to line start
-                        const replaceFrom = viewInstance.state.doc.lineAt(context.pos).from + relativeStart; // Absolute position
+                        const replaceFrom = currentLine.from + relativeStart; // Absolute position
 
                         viewInstance.dispatch({
                             changes: {
@@ -155,21 +162,17 @@ export const myCompletion = (context) => {
             }
         }
 
-
         // 3. Autocomplete for Duration Labels (inside quotes)
-        const taskDurationFieldMatch = lineBeforeCursor.match(/^Task\s+"[^"]*"(?:\s+"[^"]*")?\s+"(\w*)$/);
-        console.log('taskDurationFieldMatch:', taskDurationFieldMatch);
-        if (taskDurationFieldMatch) {
+        if (statement === 'TaskDefinition' && field === 'TaskDuration' && /^\w*$/.test(fragment)) {
             console.log('Context: Duration field');
-            const potentialDuration = taskDurationFieldMatch[1];
             options = predefinedDurationLabels
-                .filter(label => label.toLowerCase().startsWith(potentialDuration.toLowerCase()))
+                .filter(label => label.toLowerCase().startsWith(fragment.toLowerCase()))
                 .map(label => ({ label: label, type: 'keyword', apply: label }));
 
             if (options.length > 0) {
                 console.log('Duration options:', options.map(o => o.label));
                 return {
-                    from: line.from + lineBeforeCursor.lastIndexOf(potentialDuration),
+                    from: context.pos - fragment.length,
                     options: options,
                     validFor: /\w*/
                 };
@@ -0,0 +1,150 @@
+/**
+ * src/utils/csv.js
+ *
+ * Reading and writing CSV (RFC 4180) for the task and schedule exchange with spreadsheets.
+ *
+ * Cells that hold several values, such as predecessors or groups, are list fields: the values separated by ", ".
+ * A value that contains a comma or a double quote is quoted inside the list the same way CSV quotes a field,
+ * e.g. `"Backend, API", Docs`; the whole cell is then quoted again by the CSV writer. Names with commas therefore
+ * survive the round trip through a spreadsheet and back.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guesses the delimiter from the first line: spreadsheets in many locales write ';' instead of ','.
+ * @param {string} text - The CSV text.
+ * @returns {string} The delimiter with the most occurrences outside quotes, ',' by default.
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Parses CSV text into records. Quoted fields may contain delimiters, doubled quotes and line breaks; a quote
+ * inside an unquoted field is read as is. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter] - The field delimiter; guessed from the first line by default.
+ * @returns {Array<Object>} The records as { fields, line } where line is the 1-based line the record starts on.
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ fields, line: recordLine });
+        }
+        fields = [];
+        field = '';
+    };
+
+    const input = text.replace(/^﻿/, ''); // Excel writes a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break (RFC 4180).
+ * @param {*} value - The field value.
+ * @returns {string} The CSV field.
+ */
+export function toCSVField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Quotes one value of a list field if it contains a comma or a double quote.
+ * @param {string} value - The value, e.g. a task name.
+ * @returns {string} The value as written in the list.
+ */
+export function quoteListValue(value) {
+    return /[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Writes values as a list field.
+ * @param {string[]} values - The values.
+ * @returns {string} The list, e.g. `"Backend, API", Docs`.
+ */
+export function formatListField(values) {
+    return values.map(quoteListValue).join(', ');
+}
+
+/**
+ * Splits a list field into its values, removing the quotes around values that contain commas. Text after a
+ * quoted part stays with its value, so `"Backend, API" SS lag: 2` reads as `Backend, API SS lag: 2`.
+ * @param {string} text - The list field.
+ * @returns {string[]} The non-empty values, trimmed.
+ */
+export function splitListField(text) {
+    const values = [];
+    let value = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    values.push(value);
+    return values.map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
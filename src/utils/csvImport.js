@@ -0,0 +1,226 @@
+/**
+ * src/utils/csvImport.js
+ *
+ * Turns the rows of a CSV file into plan text. The user maps the file's columns to task fields (guessed from the
+ * header row); every row with a name becomes a task, or a milestone when its duration is 0. The predecessors column
+ * takes the entries of a task's dependency field ("Design SS lag: 2"), so the CSV schedule export reads back in.
+ * The result is in the formatter's canonical layout.
+ */
+
+import { splitListField } from './csv';
+import Calendar from './dateHelpers';
+
+/**
+ * The task fields a column can be mapped to. `aliases` are header names, lower case without spaces or punctuation,
+ * in order of preference.
+ */
+export const CSV_IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'task', 'taskname', 'title', 'summary'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'desc', 'details', 'notes'] },
+    { key: 'duration', label: 'Duration', aliases: ['duration', 'days', 'length', 'estimate', 'effort'] },
+    { key: 'dependencies', label: 'Dependencies', aliases: ['dependencies', 'predecessors', 'dependson', 'depends', 'after'] },
+    { key: 'group', label: 'Group', aliases: ['group', 'groups', 'taskgroup', 'section', 'phase', 'team'] },
+    { key: 'start', label: 'Start', aliases: ['startdate', 'start', 'begin', 'earlieststart'] },
+];
+
+const DURATION_REGEX = /^(\d+(?:\.\d+)?)\s*(?:d|days?)?$/i;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const OFFSET_REGEX = /^\d+(?:\.\d+)?$/;
+// Same shape as an entry of the dependency field
+const DEPENDENCY_ENTRY_REGEX = /^(.+?)(?:\s+(FS|SS|FF|SF))?(?:\s+(lag|lead):\s*(\d+(?:\.\d+)?))?$/;
+
+// Relationship type -> [target event, source event] of the explicit dependency statement
+const RELATIONSHIP_EVENTS = {
+    SS: ['start', 'starts'],
+    FF: ['finish', 'finishes'],
+    SF: ['finish', 'starts'],
+};
+
+/**
+ * Normalises a header for comparison with the aliases, e.g. "Start Date" becomes "startdate".
+ * @param {string} header - The header cell.
+ * @returns {string} The normalised header.
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guesses which column holds which task field from the header row. Each column is used for one field at most.
+ * @param {string[]} headerFields - The cells of the header row.
+ * @returns {Object} The mapping from field key to column index, or -1 for fields with no matching column.
+ */
+export function guessColumnMapping(headerFields) {
+    const headers = headerFields.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+    CSV_IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = -1;
+        for (const alias of field.aliases) {
+            const index = headers.findIndex((header, column) => header === alias && !used.has(column));
+            if (index !== -1) {
+                mapping[field.key] = index;
+                used.add(index);
+                break;
+            }
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Writes an explicit dependency statement for a source whose name cannot go in a dependency field.
+ * @param {Object} dependency - The dependency { source, target, type, lagKeyword, lagAmount }.
+ * @returns {string} The dependency line.
+ */
+function formatDependencyStatement({ source, target, type, lagKeyword, lagAmount }) {
+    const lag = lagKeyword ? ` ${lagKeyword}: ${lagAmount}` : '';
+    if (type === 'FS') {
+        return `"${target}" depends on "${source}"${lag}`;
+    }
+    const [targetEvent, sourceEvent] = RELATIONSHIP_EVENTS[type];
+    return `"${target}" should ${targetEvent} when "${source}" ${sourceEvent}${lag}`;
+}
+
+/**
+ * Builds a plan from CSV records.
+ * @param {Array<Object>} records - The records from parseCSV, as { fields, line }.
+ * @param {Object} mapping - The column index of each field key, -1 for unmapped fields (see guessColumnMapping).
+ * @param {Object} [options] - Import options.
+ * @param {boolean} [options.hasHeader=true] - Whether the first record is a header row to skip.
+ * @returns {Object} An object { markdown, errors } where errors are { line, message, type } with the line of the
+ * CSV file.
+ */
+export function buildPlanFromCSV(records, mapping, { hasHeader = true } = {}) {
+    const errors = [];
+    const report = (line, message, type = 'warning') => errors.push({ line, message, type });
+    const cell = (record, key) => {
+        const column = mapping[key];
+        return column !== undefined && column >= 0 ? (record.fields[column] || '').trim() : '';
+    };
+
+    if (mapping.name === undefined || mapping.name < 0) {
+        return { markdown: '', errors: [{ line: 1, message: 'Choose the column that holds the task names.', type: 'error' }] };
+    }
+
+    // First pass: names, so that dependencies can refer to tasks further down
+    const tasks = [];
+    const renamed = new Map(); // Name in the file -> name in the plan
+    (hasHeader ? records.slice(1) : records).forEach(record => {
+        const fileName = cell(record, 'name').replace(/\s+/g, ' ');
+        if (!fileName) {
+            report(record.line, 'The row has no task name and was skipped.');
+            return;
+        }
+        let name = fileName.replace(/"/g, "'");
+        if (name !== fileName) {
+            report(record.line, `Task "${fileName}" was renamed to "${name}" because plan task names cannot contain double quotes.`);
+        }
+        if (tasks.some(task => task.name === name)) {
+            let suffix = 2;
+            while (tasks.some(task => task.name === `${name} (${suffix})`)) suffix++;
+            report(record.line, `Task "${name}" appears more than once; this one was renamed to "${name} (${suffix})".`);
+            name = `${name} (${suffix})`;
+        }
+        if (!renamed.has(fileName)) {
+            renamed.set(fileName, name);
+        }
+        tasks.push({ name, record });
+    });
+
+    const taskNames = new Set(tasks.map(task => task.name));
+    const groups = new Map(); // Group name -> task names
+    const explicitDependencies = [];
+    let startDate = null;
+
+    tasks.forEach(task => {
+        const { record } = task;
+        task.description = cell(record, 'description').replace(/\s+/g, ' ').replace(/"/g, "'");
+
+        const durationText = cell(record, 'duration');
+        const duration = durationText.match(DURATION_REGEX);
+        if (duration) {
+            task.duration = parseFloat(duration[1]);
+        } else {
+            if (durationText) {
+                report(record.line, `The duration "${durationText}" of task "${task.name}" is not a number of days; it was set to 1.`, 'error');
+            } else if (mapping.duration >= 0) {
+                report(record.line, `Task "${task.name}" has no duration; it was set to 1.`);
+            }
+            task.duration = 1;
+        }
+
+        task.dependencies = [];
+        splitListField(cell(record, 'dependencies')).forEach(entry => {
+            const [, sourceText, type = 'FS', lagKeyword, lagAmount] = entry.match(DEPENDENCY_ENTRY_REGEX);
+            const source = renamed.get(sourceText.trim().replace(/\s+/g, ' ')) || sourceText.trim();
+            if (!taskNames.has(source)) {
+                report(record.line, `Task "${task.name}" depends on "${source}", but no row has that name.`, 'error');
+                return;
+            }
+            if (source.includes(',')) {
+                // Dependency fields are comma separated, so the dependency gets a statement of its own
+                explicitDependencies.push({ source, target: task.name, type, lagKeyword, lagAmount });
+            } else {
+                const lag = lagKeyword ? ` ${lagKeyword}: ${lagAmount}` : '';
+                task.dependencies.push(`${source}${type === 'FS' ? '' : ` ${type}`}${lag}`);
+            }
+        });
+
+        splitListField(cell(record, 'group')).forEach(group => {
+            const groupName = group.replace(/"/g, "'");
+            if (!groups.has(groupName)) {
+                groups.set(groupName, []);
+            }
+            groups.get(groupName).push(task.name);
+        });
+
+        const start = cell(record, 'start');
+        if (ISO_DATE_REGEX.test(start) && !isNaN(new Date(start))) {
+            task.start = ` start: "${start}"`;
+            if (!startDate || start < startDate) {
+                startDate = start;
+            }
+        } else if (OFFSET_REGEX.test(start)) {
+            task.startOffset = parseFloat(start);
+            task.start = ` start no earlier than: ${task.startOffset}`;
+        } else {
+            if (start) {
+                report(record.line, `The start "${start}" of task "${task.name}" is neither a YYYY-MM-DD date nor a number of days; it was ignored.`, 'error');
+            }
+            task.start = '';
+        }
+    });
+
+    // With a Start Date the scheduler only takes dates, so numbers of days become the date that many days later
+    const offsetTasks = tasks.filter(task => task.startOffset !== undefined);
+    if (startDate && offsetTasks.length > 0) {
+        offsetTasks.forEach(task => {
+            const date = Calendar.addElapsedDays(new Date(startDate), Math.floor(task.startOffset));
+            task.start = ` start: "${date.toISOString().split('T')[0]}"`;
+        });
+        report(1, `Some starts are dates and some are numbers of days; the numbers were turned into dates counted from the earliest date, ${startDate}.`);
+    }
+
+    // Assemble the plan in the formatter's canonical layout
+    const lines = [];
+    if (startDate) {
+        lines.push(`Start Date: ${startDate}`);
+    }
+    groups.forEach((names, groupName) => {
+        lines.push(`Task Group "${groupName}" [${names.map(name => `"${name}"`).join(', ')}] bandwidth: "unbound"`);
+    });
+    if (lines.length > 0) {
+        lines.push('');
+    }
+    tasks.forEach(task => {
+        // The dependency field may only be left out when nothing follows it
+        const dependencies = task.dependencies.length > 0 || task.start ? ` "${task.dependencies.join(', ')}"` : '';
+        lines.push(task.duration === 0
+            ? `Milestone "${task.name}" "${task.description}"${dependencies}${task.start}`
+            : `Task "${task.name}" "${task.description}" "${task.duration}"${dependencies}${task.start}`);
+    });
+    explicitDependencies.forEach(dependency => lines.push(formatDependencyStatement(dependency)));
+
+    return { markdown: lines.length > 0 ? `${lines.join('\n')}\n` : '', errors };
+}
@@ -74,6 +74,43 @@ class Calendar {
     resultDate.setUTCDate(resultDate.getUTCDate() + days);
     return resultDate;
   }
+
+  /**
+   * Moves a date by a number of working days, forwards or backwards, skipping weekends and holidays.
+   * Fractional amounts are rounded up to whole days.
+   * @param {Date} date - The initial date.
+   * @param {number} days - The number of working days to move; negative moves backwards.
+   * @param {string[]} workDays - An array of valid 3-letter weekday abbreviations.
+   * @param {string[]} holidays - An array of holiday dates in 'YYYY-MM-DD' format.
+   * @returns {Date} - The date that many working days away (the initial date itself when days is 0).
+   */
+  static shiftWorkingDays(date, days, workDays, holidays) {
+    const resultDate = new Date(date);
+    const step = days < 0 ? -1 : 1;
+    let remaining = Math.ceil(Math.abs(days));
+
+    while (remaining > 0) {
+      resultDate.setUTCDate(resultDate.getUTCDate() + step);
+      if (Calendar.isWorkingDay(resultDate, workDays) && !Calendar.isHoliday(resultDate, holidays)) {
+        remaining--;
+      }
+    }
+
+    return resultDate;
+  }
+
+  /**
+   * Counts the whole calendar days between two dates (UTC), ignoring the time of day.
+   * @param {Date} startDate - The earlier date.
+   * @param {Date} endDate - The later date.
+   * @returns {number} - The number of days from startDate to endDate (negative if endDate is earlier).
+   */
+  static differenceInDays(startDate, endDate) {
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+    const startUtc = Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate());
+    const endUtc = Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate());
+    return Math.round((endUtc - startUtc) / MS_PER_DAY);
+  }
 }
 
 export default Calendar;
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * src/utils/dependencyRouting.js
+ *
+ * This file contains the routing logic for the dependency arrows drawn between task bars.
+ * Arrows are routed orthogonally (horizontal and vertical segments only) from the end of the
+ * predecessor bar to the start of the successor bar, avoiding other bars where possible.
+ */
+
+const DEFAULT_STUB_LENGTH = 10; // Horizontal run before the first and after the last bend
+const DEFAULT_LANE_GAP = 15; // Vertical space between two lanes, used as a corridor for back-routed arrows
+
+/**
+ * Checks whether an axis-aligned segment runs through the interior of a rectangle.
+ * @param {number} x1 - Segment start x.
+ * @param {number} y1 - Segment start y.
+ * @param {number} x2 - Segment end x.
+ * @param {number} y2 - Segment end y.
+ * @param {Object} rect - The rectangle { x, y, width, height }.
+ * @returns {boolean} True if the segment crosses the rectangle.
+ */
+function segmentHitsRect(x1, y1, x2, y2, rect) {
+    const minX = Math.min(x1, x2);
+    const maxX = Math.max(x1, x2);
+    const minY = Math.min(y1, y2);
+    const maxY = Math.max(y1, y2);
+    return minX < rect.x + rect.width && maxX > rect.x && minY < rect.y + rect.height && maxY > rect.y;
+}
+
+/**
+ * Checks whether a polyline given as flat points crosses any of the obstacles.
+ * @param {number[]} points - Flat list of coordinates [x1, y1, x2, y2, ...].
+ * @param {Array<Object>} obstacles - Rectangles { x, y, width, height } to avoid.
+ * @returns {boolean} True if any segment crosses any obstacle.
+ */
+function pathHitsObstacles(points, obstacles) {
+    for (let i = 0; i + 3 < points.length; i += 2) {
+        const [x1, y1, x2, y2] = points.slice(i, i + 4);
+        if (obstacles.some(rect => segmentHitsRect(x1, y1, x2, y2, rect))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Routes a dependency arrow from the right edge of the predecessor bar to the left edge of the successor bar.
+ * @param {Object} from - The predecessor bar { x, y, width, height }.
+ * @param {Object} to - The successor bar { x, y, width, height }.
+ * @param {Array<Object>} [obstacles] - Other bars { x, y, width, height } the arrow should not cross.
+ * @param {Object} [options] - Optional { stubLength, laneGap } in pixels.
+ * @returns {number[]} Flat list of points [x1, y1, x2, y2, ...] suitable for a Konva.Arrow.
+ */
+export function routeDependency(from, to, obstacles = [], options = {}) {
+    const stubLength = options.stubLength ?? DEFAULT_STUB_LENGTH;
+    const laneGap = options.laneGap ?? DEFAULT_LANE_GAP;
+
+    const startX = from.x + from.width;
+    const startY = from.y + from.height / 2;
+    const endX = to.x;
+    const endY = to.y + to.height / 2;
+
+    // Bars in the same lane that touch or leave a gap: a straight line is all we need
+    if (startY === endY && endX >= startX) {
+        const straight = [startX, startY, endX, endY];
+        if (!pathHitsObstacles(straight, obstacles)) {
+            return straight;
+        }
+    }
+
+    // Enough horizontal room: one vertical segment between the bars. Prefer bending close to the
+    // successor and walk back towards the predecessor until the path is clear.
+    if (endX - startX >= 2 * stubLength) {
+        let fallback = null;
+        for (let bendX = endX - stubLength; bendX >= startX + stubLength; bendX -= stubLength) {
+            const points = [startX, startY, bendX, startY, bendX, endY, endX, endY];
+            if (!pathHitsObstacles(points, obstacles)) {
+                return points;
+            }
+            fallback = fallback || points;
+        }
+        return fallback;
+    }
+
+    // The successor starts before (or right where) the predecessor ends: leave the predecessor,
+    // travel back along the corridor between lanes next to the successor, and enter it from the left.
+    const corridorY = to.y >= from.y ? to.y - laneGap / 2 : to.y + to.height + laneGap / 2;
+    return [
+        startX, startY,
+        startX + stubLength, startY,
+        startX + stubLength, corridorY,
+        endX - stubLength, corridorY,
+        endX - stubLength, endY,
+        endX, endY,
+    ];
+}
+
+/**
+ * Indexes bars by position so that the obstacles near an arrow can be found without checking every bar. An arrow
+ * only hits bars inside the box between its two ends (the back-routed shape runs between lanes), so only those
+ * need to be passed to routeDependency. The bars are kept in a grid of square cells, so a query only looks at the
+ * cells its box covers.
+ * @param {Array<Object>} rects - The bars { x, y, width, height }.
+ * @param {number} [cellSize=200] - Size of the grid cells in pixels.
+ * @returns {function(number, number, number, number): Array<Object>} Returns the bars that overlap the box from
+ * (minX, minY) to (maxX, maxY), edges included, in the order they were given.
+ */
+export function createObstacleIndex(rects, cellSize = 200) {
+    const cells = new Map();
+    const cellKey = (column, row) => `${column},${row}`;
+    rects.forEach((rect, index) => {
+        for (let column = Math.floor(rect.x / cellSize); column <= Math.floor((rect.x + rect.width) / cellSize); column++) {
+            for (let row = Math.floor(rect.y / cellSize); row <= Math.floor((rect.y + rect.height) / cellSize); row++) {
+                const key = cellKey(column, row);
+                if (!cells.has(key)) {
+                    cells.set(key, []);
+                }
+                cells.get(key).push(index);
+            }
+        }
+    });
+
+    return (minX, minY, maxX, maxY) => {
+        const indices = new Set();
+        for (let column = Math.floor(minX / cellSize); column <= Math.floor(maxX / cellSize); column++) {
+            for (let row = Math.floor(minY / cellSize); row <= Math.floor(maxY / cellSize); row++) {
+                (cells.get(cellKey(column, row)) || []).forEach(index => indices.add(index));
+            }
+        }
+        return Array.from(indices)
+            .sort((a, b) => a - b)
+            .map(index => rects[index])
+            .filter(rect => rect.x <= maxX && rect.x + rect.width >= minX && rect.y <= maxY && rect.y + rect.height >= minY);
+    };
+}
@@ -0,0 +1,385 @@
+/**
+ * src/utils/formatter.js
+ *
+ * This file contains the document formatter for the plan text. parseMarkdown only extracts data, so the formatter
+ * works on its own document model: one entry per source line, classified with the syntax tree of the plan grammar
+ * and keeping the line's exact text, span and comment. Printing the model as-is reproduces the input byte for byte;
+ * formatting prints it in canonical form instead:
+ * - a header block with Global Bandwidth, the calendar directives, resources and Task Group lines,
+ * - the duration labels sorted together by value,
+ * - the tasks, milestones and dependencies in their original order, with normalised quoting and spacing and
+ *   task details indented by 4 (keys) and 8 (values) spaces.
+ * Comments stay with the line they are on or, for comment lines, with the statement right below them.
+ * Lines the grammar cannot make sense of are kept verbatim.
+ */
+
+import { planParser } from './planLanguage';
+import { parseDurationLabelDefinition } from './parser';
+
+const DETAIL_KEY_INDENT = '    ';
+const DETAIL_VALUE_INDENT = '        ';
+
+// Statement node -> kind of the line it starts on
+const STATEMENT_KINDS = {
+    TaskDefinition: 'task',
+    MilestoneDefinition: 'task',
+    Dependency: 'dependency',
+    DurationLabelDefinition: 'label',
+    ResourceDefinition: 'resource',
+    TaskGroupDefinition: 'group',
+    Directive: 'directive',
+};
+
+// Order of the header lines; within a rank the original order is kept, so "last definition wins" still holds
+const HEADER_RANKS = {
+    'Global Bandwidth': 0,
+    'Start Date': 1,
+    'Work Days': 1,
+    'Holidays': 1,
+    'Duration Mode': 1,
+    'Non-working Day Color': 1,
+    resource: 2,
+    group: 3,
+};
+
+/**
+ * Checks whether a node or any of its descendants is an error node inserted by the parser's error recovery.
+ * @param {SyntaxNode} node - The node to check.
+ * @returns {boolean} True if the node contains a syntax error.
+ */
+function containsError(node) {
+    if (node.type.isError) {
+        return true;
+    }
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (containsError(child)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Splits the document into lines with their offsets.
+ * @param {string} text - The plan text.
+ * @returns {Array<Object>} The lines as { text, from, to }.
+ */
+function splitLines(text) {
+    let offset = 0;
+    return text.split('\n').map(lineText => {
+        const line = { text: lineText, from: offset, to: offset + lineText.length };
+        offset = line.to + 1;
+        return line;
+    });
+}
+
+/**
+ * Finds the index of the line containing a document offset.
+ * @param {Array<Object>} lines - The lines from splitLines.
+ * @param {number} pos - The document offset.
+ * @returns {number} The line index.
+ */
+function findLineIndex(lines, pos) {
+    let low = 0;
+    let high = lines.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lines[mid].from <= pos) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Parses the plan text into the formatter's document model.
+ * @param {string} text - The plan text.
+ * @returns {object} An object { entries } with one entry per line: { kind, text, from, to, comment, node }.
+ * `kind` is one of 'blank', 'comment', 'task', 'detailKey', 'detailValue', 'dependency', 'label', 'resource',
+ * 'group', 'directive' or 'unknown'; `comment` is the line's trailing `//` comment (or null) and `node` the
+ * statement node of the line, if any.
+ */
+export function parsePlanDocument(text) {
+    const lines = splitLines(text);
+    const entries = lines.map(line => {
+        const trimmed = line.text.trim();
+        // Like parseMarkdown, everything after "//" is a comment
+        const commentIndex = line.text.indexOf('//');
+        let kind = 'unknown';
+        if (trimmed === '') {
+            kind = 'blank';
+        } else if (trimmed.startsWith('//')) {
+            kind = 'comment';
+        }
+        return {
+            kind,
+            text: line.text,
+            from: line.from,
+            to: line.to,
+            comment: commentIndex === -1 ? null : line.text.slice(commentIndex).trimEnd(),
+            commentFrom: commentIndex === -1 ? line.to : line.from + commentIndex,
+            node: null,
+        };
+    });
+
+    const tree = planParser.parse(text);
+    for (let statement = tree.topNode.firstChild; statement; statement = statement.nextSibling) {
+        const kind = STATEMENT_KINDS[statement.name];
+        if (!kind) {
+            continue;
+        }
+        const details = statement.getChild('Details');
+        // End of the statement's own line, without its details and a trailing comment
+        let headTo = statement.from;
+        for (let child = statement.firstChild; child; child = child.nextSibling) {
+            if (child.name !== 'Details' && child.name !== 'LineComment') {
+                headTo = child.to;
+            }
+        }
+        const firstLine = findLineIndex(lines, statement.from);
+        const lastLine = findLineIndex(lines, statement.to);
+        const head = entries[firstLine];
+
+        // A statement that swallows a line break or a "//" inside quotes is not one parseMarkdown would read
+        // the same way, so its lines are left alone
+        const isClean = !containsError(statement) &&
+            findLineIndex(lines, headTo) === firstLine &&
+            headTo <= head.commentFrom;
+        if (!isClean) {
+            for (let index = firstLine; index <= lastLine; index++) {
+                entries[index].kind = 'unknown';
+            }
+            continue;
+        }
+
+        head.kind = kind;
+        head.node = statement;
+        if (details) {
+            for (let child = details.firstChild; child; child = child.nextSibling) {
+                if (child.name === 'DetailKey' || child.name === 'DetailValue') {
+                    const entry = entries[findLineIndex(lines, child.from)];
+                    entry.kind = child.name === 'DetailKey' ? 'detailKey' : 'detailValue';
+                }
+            }
+        }
+    }
+
+    return { entries, text };
+}
+
+/**
+ * Prints the document model exactly as it was read.
+ * @param {object} document - The model from parsePlanDocument.
+ * @returns {string} The original plan text.
+ */
+export function printPlanDocument(document) {
+    return document.entries.map(entry => entry.text).join('\n');
+}
+
+/**
+ * Prints a quoted string with its content trimmed and inner whitespace collapsed, the way parseMarkdown reads it.
+ * Dependency lists are printed as "A, B, C".
+ * @param {string} source - The string's source including its quotes.
+ * @param {boolean} isList - Whether the string holds a comma separated list.
+ * @returns {string} The canonical string.
+ */
+function formatString(source, isList) {
+    const content = source.slice(1, -1).replace(/\s+/g, ' ').trim();
+    if (!isList) {
+        return `"${content}"`;
+    }
+    return `"${content.split(',').map(item => item.trim()).filter(item => item.length > 0).join(', ')}"`;
+}
+
+/**
+ * Collects the tokens of a statement in canonical form, leaving out its details and comments.
+ * @param {SyntaxNode} node - The node to collect from.
+ * @param {string} text - The document text.
+ * @param {string[]} tokens - The array to add the tokens to.
+ */
+function collectTokens(node, text, tokens) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.name === 'Details' || child.name === 'LineComment') {
+            continue;
+        }
+        if (child.name === 'String') {
+            tokens.push(formatString(text.slice(child.from, child.to), node.name === 'Dependencies'));
+        } else if (child.firstChild) {
+            collectTokens(child, text, tokens);
+        } else {
+            tokens.push(text.slice(child.from, child.to).trim());
+        }
+    }
+}
+
+/**
+ * Prints a statement line in canonical form: single spaces between tokens, none before ":" and ",", and none
+ * inside square brackets.
+ * @param {object} entry - The line entry with its statement node.
+ * @param {string} text - The document text.
+ * @returns {string} The canonical statement, without indentation or comment.
+ */
+function formatStatement(entry, text) {
+    const tokens = [];
+    collectTokens(entry.node, text, tokens);
+    return tokens.reduce((line, token, index) => {
+        if (index === 0) return token;
+        if (token === ':' || token === ',' || token === ']' || line.endsWith('[')) return line + token;
+        return `${line} ${token}`;
+    }, '');
+}
+
+/**
+ * Prints a line entry in canonical form.
+ * @param {object} entry - The line entry.
+ * @param {string} text - The document text.
+ * @returns {string} The canonical line.
+ */
+function formatEntry(entry, text) {
+    const code = entry.text.slice(0, entry.commentFrom - entry.from).trim();
+    let line;
+    switch (entry.kind) {
+        case 'blank':
+            return '';
+        case 'comment':
+            return entry.comment;
+        case 'unknown':
+            return entry.text.trimEnd();
+        case 'detailKey':
+            line = `${DETAIL_KEY_INDENT}${code}`;
+            break;
+        case 'detailValue':
+            line = `${DETAIL_VALUE_INDENT}- ${code.slice(1).trim()}`;
+            break;
+        default:
+            line = formatStatement(entry, text);
+    }
+    return entry.comment ? `${line} ${entry.comment}` : line;
+}
+
+/**
+ * Returns the header rank of a header line, or null if the line belongs to the body.
+ * @param {object} entry - The line entry.
+ * @param {string} text - The document text.
+ * @returns {number|null} The rank from HEADER_RANKS.
+ */
+function getHeaderRank(entry, text) {
+    if (entry.kind === 'resource' || entry.kind === 'group') {
+        return HEADER_RANKS[entry.kind];
+    }
+    if (entry.kind === 'directive') {
+        const name = text.slice(entry.node.from, entry.node.to).split(':')[0].replace(/\s+/g, ' ').trim();
+        return HEADER_RANKS[name] !== undefined ? HEADER_RANKS[name] : null;
+    }
+    return null;
+}
+
+/**
+ * Formats the plan text into canonical form. Formatting is idempotent and leaves the data parseMarkdown reads
+ * from the plan unchanged.
+ * @param {string} text - The plan text.
+ * @returns {string} The formatted plan text, ending with a line break.
+ */
+export function formatPlan(text) {
+    const { entries } = parsePlanDocument(text);
+
+    // Comment lines directly above a statement travel with it
+    const items = [];
+    let pendingComments = [];
+    entries.forEach(entry => {
+        if (entry.kind === 'comment') {
+            pendingComments.push(entry);
+            return;
+        }
+        if (entry.kind === 'blank') {
+            items.push(...pendingComments.map(comment => ({ entry: comment, comments: [] })));
+            pendingComments = [];
+        }
+        items.push({ entry, comments: pendingComments });
+        pendingComments = [];
+    });
+    items.push(...pendingComments.map(comment => ({ entry: comment, comments: [] })));
+
+    // Comments at the very top of the plan that are not attached to a statement stay on top
+    const preamble = [];
+    while (items.length > 0 && (items[0].entry.kind === 'comment' || items[0].entry.kind === 'blank')) {
+        preamble.push(items.shift());
+    }
+
+    const header = [];
+    const labels = [];
+    const body = [];
+    items.forEach((item, index) => {
+        const rank = item.entry.node ? getHeaderRank(item.entry, text) : null;
+        // The grammar is more lenient than parseMarkdown; labels it would reject stay where they are
+        const definition = item.entry.kind === 'label' ? parseDurationLabelDefinition(formatStatement(item.entry, text)) : null;
+        if (rank !== null) {
+            header.push({ ...item, rank, index });
+        } else if (definition) {
+            labels.push({ ...item, definition, index });
+        } else {
+            body.push(item);
+        }
+    });
+
+    header.sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+    // Every definition of a label sorts by the value that finally applies, so redefinitions keep their order
+    const finalValues = {};
+    labels.forEach(({ definition }) => {
+        finalValues[definition.label] = definition.value;
+    });
+    labels.sort((a, b) => finalValues[a.definition.label] - finalValues[b.definition.label] ||
+        a.definition.label.localeCompare(b.definition.label) ||
+        a.index - b.index);
+
+    const printItems = (blockItems) => blockItems.flatMap(item => [
+        ...item.comments.map(comment => formatEntry(comment, text)),
+        formatEntry(item.entry, text),
+    ]);
+
+    // Runs of blank lines collapse into one; blocks are separated by a single blank line
+    const collapseBlankLines = (lines) => {
+        const collapsed = lines.filter((line, index) => line !== '' || (index > 0 && lines[index - 1] !== ''));
+        while (collapsed.length > 0 && collapsed[0] === '') collapsed.shift();
+        while (collapsed.length > 0 && collapsed[collapsed.length - 1] === '') collapsed.pop();
+        return collapsed;
+    };
+
+    const blocks = [
+        collapseBlankLines(printItems(preamble)),
+        printItems(header),
+        printItems(labels),
+        collapseBlankLines(printItems(body)),
+    ].filter(block => block.length > 0);
+    if (blocks.length === 0) {
+        return '';
+    }
+    return `${blocks.map(block => block.join('\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Works out the single change that turns the plan text into its formatted form, touching only the part that differs
+ * so the cursor and undo history stay meaningful.
+ * @param {string} text - The plan text.
+ * @returns {object|null} The change { from, to, insert }, or null if the text is already formatted.
+ */
+export function getFormattingChange(text) {
+    const formatted = formatPlan(text);
+    if (formatted === text) {
+        return null;
+    }
+    let start = 0;
+    while (start < text.length && start < formatted.length && text[start] === formatted[start]) {
+        start++;
+    }
+    let end = text.length;
+    let formattedEnd = formatted.length;
+    while (end > start && formattedEnd > start && text[end - 1] === formatted[formattedEnd - 1]) {
+        end--;
+        formattedEnd--;
+    }
+    return { from: start, to: end, insert: formatted.slice(start, formattedEnd) };
+}
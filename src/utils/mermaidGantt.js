@@ -0,0 +1,486 @@
+/**
+ * src/utils/mermaidGantt.js
+ *
+ * Converts between Mermaid `gantt` charts and plans.
+ *
+ * Import maps sections to Task Groups (unbounded, so the tasks may still run in parallel as they do in Mermaid),
+ * `after` clauses and tasks that follow the previous one to dependencies, and `dateFormat`/`excludes` to
+ * Start Date, Work Days and Holidays. Explicit start dates become `start:` attributes and end dates are turned
+ * into durations. Constructs a plan cannot express are reported as diagnostics { line, message, type } with
+ * the line in the Mermaid source: warnings for what only affects the chart's looks, errors for what changes
+ * the schedule.
+ *
+ * Export writes the computed schedule as a Mermaid gantt with an explicit start and end date for every task.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const MERMAID_INDENT = '    ';
+
+const FENCE_START_REGEX = /^\s*(```|~~~)\s*mermaid\s*$/i;
+const TASK_TAGS = new Set(['done', 'active', 'crit', 'milestone']);
+// Mermaid durations, in days. Only days and weeks are exact; the rest is rounded up to whole days.
+const DURATION_REGEX = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w|M|y)$/;
+const DURATION_UNIT_DAYS = { ms: 1 / MS_PER_DAY, s: 1 / 86400, m: 1 / 1440, h: 1 / 24, d: 1, w: 7, M: 30, y: 365 };
+// Statements that only change how Mermaid draws the chart
+const DISPLAY_KEYWORDS = ['axisFormat', 'tickInterval', 'todayMarker', 'weekday', 'topAxis', 'displayMode', 'accTitle', 'accDescr'];
+
+/**
+ * Formats a date as 'YYYY-MM-DD'.
+ * @param {Date} date - The date (UTC).
+ * @returns {string} The date.
+ */
+function toISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Adds days to a date.
+ * @param {Date} date - The date (UTC).
+ * @param {number} days - The number of days, may be negative.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+    return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Builds a date reader for a Mermaid dateFormat. Formats made of the day, month and year tokens (YYYY, YY, MM, M,
+ * DD, D) and literal separators are supported; times of day are not.
+ * @param {string} format - The dateFormat, e.g. 'YYYY-MM-DD' or 'DD.MM.YYYY'.
+ * @returns {function|null} A function turning text into a UTC Date (or null if it does not match), or null if
+ * the format is not supported.
+ */
+function createDateReader(format) {
+    const fields = [];
+    let pattern = '';
+    let rest = format;
+    while (rest.length > 0) {
+        const token = rest.match(/^(YYYY|YY|MM|M|DD|D)/);
+        if (token) {
+            fields.push(token[1]);
+            pattern += token[1].length === 4 ? '(\\d{4})' : (token[1].length === 2 ? '(\\d{2})' : '(\\d{1,2})');
+            rest = rest.slice(token[1].length);
+        } else if (/^[A-Za-z]/.test(rest)) {
+            return null;
+        } else {
+            pattern += rest[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            rest = rest.slice(1);
+        }
+    }
+    if (!fields.some(field => field.startsWith('Y')) || !fields.some(field => field.startsWith('M')) || !fields.some(field => field.startsWith('D'))) {
+        return null;
+    }
+
+    const regex = new RegExp(`^${pattern}$`);
+    return text => {
+        const match = text.match(regex);
+        if (!match) return null;
+        const parts = {};
+        fields.forEach((field, index) => {
+            parts[field[0]] = Number(match[index + 1]);
+        });
+        const year = parts.Y < 100 ? 2000 + parts.Y : parts.Y;
+        const date = new Date(Date.UTC(year, parts.M - 1, parts.D));
+        return date.getUTCMonth() === parts.M - 1 && date.getUTCDate() === parts.D ? date : null;
+    };
+}
+
+/**
+ * Finds the lines of the gantt chart: the first ```mermaid block of a Markdown document, or the whole text.
+ * @param {string} text - The Mermaid source or a Markdown document containing it.
+ * @returns {Array<Object>} The lines as { text, line } with 1-based line numbers in the original text.
+ */
+function getChartLines(text) {
+    const lines = text.split(/\r?\n/).map((lineText, index) => ({ text: lineText, line: index + 1 }));
+    const fenceIndex = lines.findIndex(line => FENCE_START_REGEX.test(line.text));
+    if (fenceIndex === -1) {
+        return lines;
+    }
+    const fence = lines[fenceIndex].text.trim().slice(0, 3);
+    const endIndex = lines.findIndex((line, index) => index > fenceIndex && line.text.trim() === fence);
+    return lines.slice(fenceIndex + 1, endIndex === -1 ? lines.length : endIndex);
+}
+
+/**
+ * Checks whether a text is a Mermaid gantt chart, or a Markdown document whose first Mermaid block is one.
+ * @param {string} text - The text.
+ * @returns {boolean} True if the text can be imported with importMermaidGantt.
+ */
+export function isMermaidGantt(text) {
+    const first = getChartLines(text).find(line => line.text.trim() !== '' && !line.text.trim().startsWith('%%'));
+    return !!first && /^gantt\s*$/i.test(first.text.trim());
+}
+
+/**
+ * Turns a Mermaid task name into a plan task name. Plan names cannot contain double quotes, and commas would
+ * split them in dependency lists.
+ * @param {string} name - The Mermaid task name.
+ * @returns {string} The plan task name.
+ */
+function toPlanName(name) {
+    return name.replace(/"/g, "'").replace(/,/g, ';').trim();
+}
+
+/**
+ * Counts the working days from start up to (not including) end.
+ * @param {Date} start - The first day.
+ * @param {Date} end - The day after the last day.
+ * @param {function} isWorkingDay - Tells whether a date is a working day.
+ * @returns {number} The number of working days.
+ */
+function countWorkingDays(start, end, isWorkingDay) {
+    let count = 0;
+    for (let day = start; day < end; day = addDays(day, 1)) {
+        if (isWorkingDay(day)) count++;
+    }
+    return count;
+}
+
+/**
+ * Finds the end of a task that starts on a date and lasts a number of working days, like Mermaid does when
+ * days are excluded: excluded days inside the task make it longer.
+ * @param {Date} start - The first day.
+ * @param {number} days - The duration in working days.
+ * @param {function} isWorkingDay - Tells whether a date is a working day.
+ * @returns {Date} The day after the last day.
+ */
+function addWorkingDays(start, days, isWorkingDay) {
+    let end = start;
+    let remaining = days;
+    while (remaining > 0) {
+        if (isWorkingDay(end)) remaining -= 1;
+        end = addDays(end, 1);
+    }
+    return end;
+}
+
+/**
+ * Reads the task data after the colon of a Mermaid task line, e.g. "crit, des3, after des1, 3d".
+ * @param {string} data - The task data.
+ * @returns {object} An object { tags, id, start, end } with the raw start and end fields (start is null when the
+ * task follows the previous one), or { error } when the data has too many or too few fields.
+ */
+function parseTaskData(data) {
+    const fields = data.split(',').map(field => field.trim());
+    const tags = [];
+    while (fields.length > 0 && TASK_TAGS.has(fields[0])) {
+        tags.push(fields.shift());
+    }
+    switch (fields.length) {
+        case 1:
+            return { tags, id: null, start: null, end: fields[0] };
+        case 2:
+            return { tags, id: null, start: fields[0], end: fields[1] };
+        case 3:
+            return { tags, id: fields[0], start: fields[1], end: fields[2] };
+        default:
+            return { error: fields.length === 0 ? 'has no duration' : 'has too many fields' };
+    }
+}
+
+/**
+ * Converts a Mermaid gantt chart into a plan.
+ * @param {string} text - The Mermaid source, with or without the surrounding ```mermaid fence.
+ * @returns {object} An object { markdown, errors } with the plan text and the diagnostics { line, message, type }
+ * for everything that could not be carried over.
+ */
+export function importMermaidGantt(text) {
+    const errors = [];
+    const report = (line, message, type = 'warning') => errors.push({ line, message, type });
+
+    let title = '';
+    let readDate = createDateReader(DEFAULT_DATE_FORMAT);
+    let inclusiveEndDates = false;
+    const excludedWeekdays = new Set();
+    const holidays = [];
+    const sections = []; // { name, taskNames }
+    const tasks = []; // { name, line, tags, id, start, end }
+    let hasHeader = false;
+    let section = null;
+    let skipUntilBrace = false;
+    let excludesLine = null;
+
+    getChartLines(text).forEach(({ text: lineText, line }) => {
+        const trimmed = lineText.trim();
+        if (skipUntilBrace) {
+            skipUntilBrace = !trimmed.includes('}');
+            return;
+        }
+        if (trimmed === '' || trimmed.startsWith('%%')) {
+            return;
+        }
+        if (!hasHeader) {
+            if (/^gantt$/i.test(trimmed)) {
+                hasHeader = true;
+            } else {
+                report(line, 'Expected the chart to start with "gantt".', 'error');
+            }
+            return;
+        }
+
+        const [keyword] = trimmed.split(/[\s:{]/, 1);
+        const argument = trimmed.slice(keyword.length).trim();
+        switch (keyword.toLowerCase()) {
+            case 'title':
+                title = argument;
+                return;
+            case 'dateformat':
+                readDate = createDateReader(argument);
+                if (!readDate) {
+                    report(line, `The date format "${argument}" is not supported. Use one made of YYYY, MM and DD, such as ${DEFAULT_DATE_FORMAT}.`, 'error');
+                }
+                return;
+            case 'inclusiveenddates':
+                inclusiveEndDates = true;
+                return;
+            case 'excludes':
+                excludesLine = excludesLine || line;
+                argument.split(/[\s,]+/).filter(Boolean).forEach(entry => {
+                    const weekday = WEEKDAY_NAMES.indexOf(entry.toLowerCase());
+                    const date = readDate && readDate(entry);
+                    if (entry.toLowerCase() === 'weekends') {
+                        excludedWeekdays.add(0);
+                        excludedWeekdays.add(6);
+                    } else if (weekday !== -1) {
+                        excludedWeekdays.add(weekday);
+                    } else if (date) {
+                        holidays.push(toISODate(date));
+                    } else {
+                        report(line, `Excluded day "${entry}" is not a weekday or a date in the chart's date format.`, 'error');
+                    }
+                });
+                return;
+            case 'includes':
+                report(line, 'Plans have no equivalent of "includes"; the days were not made working days.', 'error');
+                return;
+            case 'section':
+                section = sections.find(existing => existing.name === toPlanName(argument));
+                if (!section) {
+                    section = { name: toPlanName(argument), taskNames: [] };
+                    sections.push(section);
+                }
+                return;
+            case 'click':
+            case 'call':
+                report(line, `Plans have no equivalent of "${keyword}"; the interaction was ignored.`);
+                return;
+            default:
+                break;
+        }
+        if (DISPLAY_KEYWORDS.some(display => display.toLowerCase() === keyword.toLowerCase())) {
+            skipUntilBrace = trimmed.includes('{') && !trimmed.includes('}');
+            report(line, `"${keyword}" only changes how Mermaid draws the chart and was ignored.`);
+            return;
+        }
+
+        const taskMatch = trimmed.match(/^([^:]+):(.*)$/);
+        if (!taskMatch) {
+            report(line, 'Unrecognized Mermaid gantt line.', 'error');
+            return;
+        }
+        const mermaidName = taskMatch[1].trim();
+        const data = parseTaskData(taskMatch[2]);
+        if (data.error) {
+            report(line, `Task "${mermaidName}" ${data.error}.`, 'error');
+            return;
+        }
+
+        let name = toPlanName(mermaidName);
+        if (name !== mermaidName) {
+            report(line, `Task "${mermaidName}" was renamed to "${name}" because plan task names cannot contain double quotes or commas.`);
+        }
+        if (tasks.some(task => task.name === name)) {
+            let suffix = 2;
+            while (tasks.some(task => task.name === `${name} (${suffix})`)) suffix++;
+            report(line, `Task "${name}" appears more than once; this one was renamed to "${name} (${suffix})".`);
+            name = `${name} (${suffix})`;
+        }
+        data.tags
+            .filter(tag => tag === 'done' || tag === 'active')
+            .forEach(tag => report(line, `Plans have no equivalent of the "${tag}" tag; it was ignored.`));
+        // "crit" needs no counterpart: the scheduler works out the critical chain itself
+
+        tasks.push({ name, line, ...data, milestone: data.tags.includes('milestone') });
+        if (section) {
+            section.taskNames.push(name);
+        }
+    });
+
+    if (!hasHeader) {
+        return { markdown: '', errors: [{ line: 1, message: 'This is not a Mermaid gantt chart.', type: 'error' }] };
+    }
+
+    // Work out every task's dates as Mermaid does, so that end dates can be turned into durations
+    const isWorkingDay = date => !excludedWeekdays.has(date.getUTCDay()) && !holidays.includes(toISODate(date));
+    tasks.forEach((task, index) => {
+        task.predecessors = [];
+        task.startDate = null;
+        task.duration = null;
+
+        if (task.start === null) {
+            // A task with only a duration follows the previous task
+            if (index > 0) {
+                task.predecessors.push(tasks[index - 1].name);
+                task.startDate = tasks[index - 1].endDate;
+            }
+        } else if (/^after\s+/i.test(task.start)) {
+            const ends = [];
+            task.start.replace(/^after\s+/i, '').split(/\s+/).forEach(id => {
+                const source = tasks.find(other => other.id === id && other !== task);
+                if (source) {
+                    task.predecessors.push(source.name);
+                    ends.push(source.endDate);
+                } else {
+                    report(task.line, `Task "${task.name}" starts after "${id}", but no task has that id.`, 'error');
+                }
+            });
+            task.startDate = ends.length > 0 && ends.every(Boolean) ? new Date(Math.max(...ends)) : null;
+        } else {
+            task.startDate = readDate && readDate(task.start);
+            task.explicitStart = task.startDate;
+            if (!task.startDate) {
+                report(task.line, `The start "${task.start}" of task "${task.name}" is neither a date in the chart's date format nor an "after" clause.`, 'error');
+            }
+        }
+
+        const duration = task.end.match(DURATION_REGEX);
+        const endDate = readDate && readDate(task.end);
+        if (duration) {
+            const days = parseFloat(duration[1]) * DURATION_UNIT_DAYS[duration[2]];
+            task.duration = duration[2] === 'd' || duration[2] === 'w' ? days : Math.ceil(days);
+            if (task.duration !== days) {
+                report(task.line, `The duration "${task.end}" of task "${task.name}" was rounded up to ${task.duration} day(s).`);
+            }
+        } else if (endDate) {
+            const exclusiveEnd = inclusiveEndDates ? addDays(endDate, 1) : endDate;
+            if (task.startDate) {
+                task.duration = countWorkingDays(task.startDate, exclusiveEnd, isWorkingDay);
+            } else {
+                report(task.line, `Task "${task.name}" ends on a date, but its start is not known, so its duration could not be worked out.`, 'error');
+            }
+        } else if (/^until\s+/i.test(task.end)) {
+            report(task.line, `Plans have no equivalent of "until"; task "${task.name}" was given a duration of 1 day.`, 'error');
+        } else {
+            report(task.line, `The end "${task.end}" of task "${task.name}" is neither a duration nor a date in the chart's date format.`, 'error');
+        }
+        if (task.milestone) {
+            task.duration = 0;
+        } else if (task.duration === null) {
+            task.duration = 1;
+        }
+        task.endDate = task.startDate ? addWorkingDays(task.startDate, task.duration, isWorkingDay) : null;
+    });
+
+    // Assemble the plan in the formatter's canonical layout: the calendar and the task groups first, then the
+    // title and the tasks section by section
+    const lines = [];
+    const datedTasks = tasks.filter(task => task.explicitStart);
+    if (datedTasks.length > 0) {
+        const startDate = new Date(Math.min(...datedTasks.map(task => task.explicitStart)));
+        lines.push(`Start Date: ${toISODate(startDate)}`);
+        lines.push(`Work Days: ${[1, 2, 3, 4, 5, 6, 0].filter(day => !excludedWeekdays.has(day)).map(day => WEEKDAYS[day]).join(', ')}`);
+        if (holidays.length > 0) {
+            lines.push(`Holidays: ${holidays.join(', ')}`);
+        }
+    } else if (excludedWeekdays.size > 0 || holidays.length > 0) {
+        report(excludesLine, 'The chart has no task with a start date, so the excluded days were not carried over.');
+    }
+    sections
+        .filter(({ taskNames }) => taskNames.length > 0)
+        .forEach(({ name, taskNames }) => {
+            lines.push(`Task Group "${name}" [${taskNames.map(taskName => `"${taskName}"`).join(', ')}] bandwidth: "unbound"`);
+        });
+    if (title) {
+        lines.push('', `// ${title}`);
+    }
+
+    let currentSection;
+    tasks.forEach((task, index) => {
+        const taskSection = sections.find(({ taskNames }) => taskNames.includes(task.name));
+        if (index === 0 || taskSection !== currentSection) {
+            currentSection = taskSection;
+            lines.push('');
+            if (taskSection) {
+                lines.push(`// ${taskSection.name}`);
+            }
+        }
+        // The dependency field may only be left out when nothing follows it
+        const start = task.explicitStart ? ` start: "${toISODate(task.explicitStart)}"` : '';
+        const predecessors = task.predecessors.length > 0 || start ? ` "${task.predecessors.join(', ')}"` : '';
+        lines.push(task.milestone
+            ? `Milestone "${task.name}" ""${predecessors}${start}`
+            : `Task "${task.name}" "" "${task.duration}"${predecessors}${start}`);
+    });
+
+    const markdown = `${lines.join('\n').replace(/^\n+/, '')}\n`;
+    return { markdown, errors };
+}
+
+/**
+ * Makes text safe for a Mermaid gantt chart: task names end at ':' and cannot contain '#', titles and section
+ * names also end at ';'.
+ * @param {string} text - The text.
+ * @param {RegExp} [unsafe] - The characters to replace.
+ * @returns {string} The text with those characters replaced.
+ */
+function toMermaidText(text, unsafe = /[:#;]/g) {
+    return String(text).replace(unsafe, '-').trim();
+}
+
+/**
+ * Writes a computed schedule as a Mermaid gantt chart. Every task gets its computed start and end date, so
+ * Mermaid draws the schedule as it is rather than recomputing it. Task groups become sections; tasks outside
+ * any group come first. Plans without a Start Date count their time units as days from options.startDate.
+ * @param {Array<Object>} scheduledTasks - The tasks from scheduleTasks, in plan order.
+ * @param {object} [options] - Export options.
+ * @param {string} [options.title] - The chart title.
+ * @param {Date} [options.projectStartDate] - The scheduler's projectStartDate in date-aware mode.
+ * @param {string[]} [options.workDays] - The plan's work days, excluded from the chart when it has a Start Date.
+ * @param {string[]} [options.holidays] - The plan's holidays ('YYYY-MM-DD').
+ * @param {Date} [options.startDate] - The date of time unit 0 for plans without a Start Date; today by default.
+ * @returns {string} The Mermaid source.
+ */
+export function exportMermaidGantt(scheduledTasks, { title = '', projectStartDate = null, workDays = [], holidays = [], startDate = new Date() } = {}) {
+    const origin = projectStartDate
+        ? projectStartDate
+        : new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
+    const lines = ['gantt'];
+    if (title) {
+        lines.push(`${MERMAID_INDENT}title ${toMermaidText(title)}`);
+    }
+    lines.push(`${MERMAID_INDENT}dateFormat ${DEFAULT_DATE_FORMAT}`);
+
+    if (projectStartDate) {
+        const nonWorkingDays = [1, 2, 3, 4, 5, 6, 0].filter(day => !workDays.includes(WEEKDAYS[day]));
+        const excludes = nonWorkingDays.length === 2 && nonWorkingDays.includes(0) && nonWorkingDays.includes(6)
+            ? ['weekends']
+            : nonWorkingDays.map(day => WEEKDAY_NAMES[day]);
+        excludes.push(...holidays);
+        if (excludes.length > 0) {
+            lines.push(`${MERMAID_INDENT}excludes ${excludes.join(', ')}`);
+        }
+    } else {
+        lines.push(`${MERMAID_INDENT}%% Time units are shown as days from ${toISODate(origin)}`);
+    }
+
+    const taskLine = (task, indent) => {
+        const tags = [];
+        if (task.isCritical) tags.push('crit');
+        if (task.isMilestone) tags.push('milestone');
+        const start = addDays(origin, task.startTime || 0);
+        const end = task.isMilestone ? '0d' : toISODate(addDays(origin, task.endTime || 0));
+        return `${indent}${toMermaidText(task.name, /[:#]/g)} :${[...tags, toISODate(start), end].join(', ')}`;
+    };
+
+    const groupName = task => (task.assignedBandwidthGroup ? task.assignedBandwidthGroup.name : null);
+    scheduledTasks.filter(task => !groupName(task)).forEach(task => lines.push(taskLine(task, MERMAID_INDENT)));
+    [...new Set(scheduledTasks.map(groupName).filter(Boolean))].forEach(name => {
+        lines.push(`${MERMAID_INDENT}section ${toMermaidText(name)}`);
+        scheduledTasks.filter(task => groupName(task) === name).forEach(task => lines.push(taskLine(task, MERMAID_INDENT + MERMAID_INDENT)));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
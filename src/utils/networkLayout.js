@@ -0,0 +1,219 @@
+/**
+ * src/utils/networkLayout.js
+ *
+ * Layered layout of the dependency network for the PERT (activity-on-node) view. Tasks are ranked by the longest
+ * chain of predecessors leading to them, so every edge points to a later rank (left to right). Edges that skip
+ * ranks are split into chains of virtual nodes, and the order within each rank is improved by barycentre sweeps
+ * to reduce edge crossings (the Sugiyama method). The result is in canvas coordinates, independent of Konva.
+ */
+
+const DEFAULT_NODE_WIDTH = 180;
+const DEFAULT_NODE_HEIGHT = 66;
+const DEFAULT_RANK_GAP = 60; // Horizontal space between two ranks, where the edges run
+const DEFAULT_NODE_GAP = 24; // Vertical space between two nodes of a rank
+const DEFAULT_MARGIN = 20;
+const VIRTUAL_NODE_HEIGHT = 12; // Slot taken by an edge passing through a rank
+const ORDERING_SWEEPS = 12; // Down and up sweeps of the crossing minimisation
+
+/**
+ * Ranks the tasks by the longest path from a task without predecessors (rank 0). Tasks in a cycle, which the
+ * scheduler reports as an error, are ranked from the predecessors outside the cycle.
+ * @param {string[]} names - The task names, in plan order.
+ * @param {Map<string, string[]>} predecessors - The predecessors of each task.
+ * @returns {Map<string, number>} The rank of each task.
+ */
+function rankTasks(names, predecessors) {
+    const remaining = new Map(names.map(name => [name, predecessors.get(name).length]));
+    const successors = new Map(names.map(name => [name, []]));
+    names.forEach(name => predecessors.get(name).forEach(pred => successors.get(pred).push(name)));
+
+    const ranks = new Map();
+    const queue = names.filter(name => remaining.get(name) === 0);
+    const visit = (name) => {
+        ranks.set(name, Math.max(0, ...predecessors.get(name).filter(pred => ranks.has(pred)).map(pred => ranks.get(pred) + 1)));
+        successors.get(name).forEach(succ => {
+            remaining.set(succ, remaining.get(succ) - 1);
+            if (remaining.get(succ) === 0) {
+                queue.push(succ);
+            }
+        });
+    };
+    for (let i = 0; i < queue.length; i++) {
+        visit(queue[i]);
+    }
+    names.filter(name => !ranks.has(name)).forEach(visit);
+    return ranks;
+}
+
+/**
+ * Counts the crossings between the edges of two adjacent layers.
+ * @param {Array<Object>} upper - The nodes of the left layer, in order.
+ * @param {Map<Object, number>} position - The index of each node within its layer.
+ * @returns {number} The number of pairs of edges that cross.
+ */
+function countLayerCrossings(upper, position) {
+    const edges = [];
+    upper.forEach(node => node.successors.forEach(succ => edges.push([position.get(node), position.get(succ)])));
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            if ((edges[i][0] - edges[j][0]) * (edges[i][1] - edges[j][1]) < 0) {
+                crossings++;
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Counts the edge crossings of a layering.
+ * @param {Array<Array<Object>>} layers - The nodes of each rank, in order.
+ * @returns {number} The number of crossings.
+ */
+function countCrossings(layers) {
+    const position = new Map();
+    layers.forEach(layer => layer.forEach((node, index) => position.set(node, index)));
+    let crossings = 0;
+    for (let rank = 0; rank + 1 < layers.length; rank++) {
+        crossings += countLayerCrossings(layers[rank], position);
+    }
+    return crossings;
+}
+
+/**
+ * Reorders one layer by the mean position of each node's neighbours in the adjacent layer. Nodes without such
+ * neighbours keep their index.
+ * @param {Array<Object>} layer - The nodes to reorder.
+ * @param {function(Object): Array<Object>} neighbours - Returns the neighbours of a node in the adjacent layer.
+ * @param {Map<Object, number>} position - The index of each node within its layer; updated for this layer.
+ * @returns {Array<Object>} The reordered layer.
+ */
+function orderByBarycentre(layer, neighbours, position) {
+    const keyed = layer.map((node, index) => {
+        const adjacent = neighbours(node);
+        const barycentre = adjacent.length > 0
+            ? adjacent.reduce((sum, other) => sum + position.get(other), 0) / adjacent.length
+            : index;
+        return { node, barycentre, index };
+    });
+    keyed.sort((a, b) => a.barycentre - b.barycentre || a.index - b.index);
+    const ordered = keyed.map(entry => entry.node);
+    ordered.forEach((node, index) => position.set(node, index));
+    return ordered;
+}
+
+/**
+ * Lays out the dependency network of a schedule.
+ * @param {Array<Object>} tasks - The scheduled tasks, each with a name and the names of its predecessors.
+ * @param {Object} [options] - Optional { nodeWidth, nodeHeight, rankGap, nodeGap, margin } in pixels.
+ * @returns {Object} An object { nodes, edges, width, height } where nodes are { task, rank, x, y, width, height }
+ * in plan order and edges are { key, source, target, points } with points a flat list [x1, y1, x2, y2, ...] from
+ * the right edge of the source node to the left edge of the target node.
+ */
+export function layoutNetwork(tasks, options = {}) {
+    const nodeWidth = options.nodeWidth ?? DEFAULT_NODE_WIDTH;
+    const nodeHeight = options.nodeHeight ?? DEFAULT_NODE_HEIGHT;
+    const rankGap = options.rankGap ?? DEFAULT_RANK_GAP;
+    const nodeGap = options.nodeGap ?? DEFAULT_NODE_GAP;
+    const margin = options.margin ?? DEFAULT_MARGIN;
+
+    const taskByName = new Map();
+    tasks.forEach(task => {
+        if (!taskByName.has(task.name)) {
+            taskByName.set(task.name, task);
+        }
+    });
+    const names = Array.from(taskByName.keys());
+    const predecessors = new Map(names.map(name => [
+        name,
+        Array.from(new Set(taskByName.get(name).predecessors || [])).filter(pred => taskByName.has(pred) && pred !== name),
+    ]));
+    const ranks = rankTasks(names, predecessors);
+
+    // Graph of real and virtual nodes; an edge spanning several ranks runs through one virtual node per rank
+    const graphNodes = new Map(names.map(name => [name, { name, rank: ranks.get(name), virtual: false, predecessors: [], successors: [] }]));
+    const connect = (from, to) => {
+        from.successors.push(to);
+        to.predecessors.push(from);
+    };
+    const edgeChains = [];
+    names.forEach(target => {
+        predecessors.get(target).forEach(source => {
+            const chain = [graphNodes.get(source)];
+            for (let rank = ranks.get(source) + 1; rank < ranks.get(target); rank++) {
+                const virtualNode = { name: `${source}->${target}#${rank}`, rank, virtual: true, predecessors: [], successors: [] };
+                graphNodes.set(virtualNode.name, virtualNode);
+                chain.push(virtualNode);
+            }
+            chain.push(graphNodes.get(target));
+            for (let i = 0; i + 1 < chain.length; i++) {
+                connect(chain[i], chain[i + 1]);
+            }
+            edgeChains.push({ source, target, chain });
+        });
+    });
+
+    const rankCount = names.length > 0 ? Math.max(...names.map(name => ranks.get(name))) + 1 : 0;
+    let layers = Array.from({ length: rankCount }, () => []);
+    graphNodes.forEach(node => layers[node.rank].push(node));
+
+    // Crossing minimisation: alternate sweeps towards the right and the left, keeping the best order seen
+    const position = new Map();
+    layers.forEach(layer => layer.forEach((node, index) => position.set(node, index)));
+    let best = layers.map(layer => [...layer]);
+    let bestCrossings = countCrossings(best);
+    for (let sweep = 0; sweep < ORDERING_SWEEPS && bestCrossings > 0; sweep++) {
+        if (sweep % 2 === 0) {
+            for (let rank = 1; rank < rankCount; rank++) {
+                layers[rank] = orderByBarycentre(layers[rank], node => node.predecessors, position);
+            }
+        } else {
+            for (let rank = rankCount - 2; rank >= 0; rank--) {
+                layers[rank] = orderByBarycentre(layers[rank], node => node.successors, position);
+            }
+        }
+        const crossings = countCrossings(layers);
+        if (crossings < bestCrossings) {
+            best = layers.map(layer => [...layer]);
+            bestCrossings = crossings;
+        }
+    }
+    layers = best;
+
+    // Coordinates: ranks are columns, and each column is centred on the tallest one
+    const slotHeight = node => (node.virtual ? VIRTUAL_NODE_HEIGHT : nodeHeight);
+    const columnHeight = layer => layer.reduce((sum, node) => sum + slotHeight(node), 0) + Math.max(0, layer.length - 1) * nodeGap;
+    const contentHeight = Math.max(0, ...layers.map(columnHeight));
+    layers.forEach((layer, rank) => {
+        let y = margin + (contentHeight - columnHeight(layer)) / 2;
+        layer.forEach(node => {
+            node.x = margin + rank * (nodeWidth + rankGap);
+            node.y = y;
+            y += slotHeight(node) + nodeGap;
+        });
+    });
+
+    const nodes = names.map(name => {
+        const node = graphNodes.get(name);
+        return { task: taskByName.get(name), rank: node.rank, x: node.x, y: node.y, width: nodeWidth, height: nodeHeight };
+    });
+
+    const edges = edgeChains.map(({ source, target, chain }) => {
+        const from = chain[0];
+        const to = chain[chain.length - 1];
+        const points = [from.x + nodeWidth, from.y + nodeHeight / 2];
+        chain.slice(1, -1).forEach(virtualNode => {
+            const centerY = virtualNode.y + VIRTUAL_NODE_HEIGHT / 2;
+            points.push(virtualNode.x, centerY, virtualNode.x + nodeWidth, centerY);
+        });
+        points.push(to.x, to.y + nodeHeight / 2);
+        return { key: `${source}->${target}`, source, target, points };
+    });
+
+    return {
+        nodes,
+        edges,
+        width: rankCount > 0 ? margin * 2 + rankCount * nodeWidth + (rankCount - 1) * rankGap : 0,
+        height: rankCount > 0 ? margin * 2 + contentHeight : 0,
+    };
+}
@@ -6,11 +6,26 @@
  */
 
 // --- Constants and Regular Expressions ---
-const TASK_LINE_REGEX = /^Task\s+"([^"]+)"(?:\s+"([^"]*)")?\s+"([^"]+)"(?:\s+"([^"]*)")?(?:\s+start:\s*"?(\d{4}-\d{2}-\d{2})"?$)?/;
+const TASK_LINE_REGEX = /^Task\s+"([^"]+)"(?:\s+"([^"]*)")?\s+"([^"]+)"(?:\s+"([^"]*)")?(.*)$/;
+const MILESTONE_LINE_REGEX = /^Milestone\s+"([^"]+)"(?:\s+"([^"]*)")?(?:\s+"([^"]*)")?(.*)$/;
+// Trailing task attributes: a start date, date or time-unit constraints, and the "as late as possible" flag
+const START_ATTRIBUTE_REGEX = /^start:\s*"?(\d{4}-\d{2}-\d{2})"?(?=\s|$)/;
+const CONSTRAINT_ATTRIBUTE_REGEX = /^(due|start no earlier than|must finish on):\s*"?(\d{4}-\d{2}-\d{2}|\d+(?:\.\d+)?)"?(?=\s|$)/;
+const ALAP_ATTRIBUTE_REGEX = /^as late as possible(?=\s|$)/;
+// Assignee names are single words or quoted when they contain spaces, e.g. assignee: Alice, "Bob Smith"
+const ASSIGNEE_ATTRIBUTE_REGEX = /^assignees?:\s*((?:"[^"]+"|[^\s,"]+)(?:\s*,\s*(?:"[^"]+"|[^\s,"]+))*)(?=\s|$)/;
+const CONSTRAINT_ATTRIBUTE_KEYS = {
+    'due': 'due',
+    'start no earlier than': 'startNoEarlierThan',
+    'must finish on': 'mustFinishOn',
+};
 const DURATION_LABEL_DEFINITION_REGEX = /^([A-Z]+):\s*(\d+(\.\d+)?)$/;
+const RESOURCE_REGEX = /^Resource\s+"([^"]+)"(?:\s+capacity:\s*(\d+))?$/;
 const GLOBAL_BANDWIDTH_REGEX = /^Global Bandwidth:\s*("unbound"|\d+)$/;
 const TASK_GROUP_BANDWIDTH_REGEX = /^Task Group\s+(?:"([^"]*)"\s+)?(?:\[([^\]]+)\]|\/([^\/]+)\/)\s+bandwidth:\s*("unbound"|\d+)(?:\s+start:\s*"?(\d{4}-\d{2}-\d{2})"?$)?$/;
-const DEPENDENCY_EXPLICIT_REGEX = /"([^"]+)"\s+(should happen before|depends on|should happen after)\s+"([^"]+)"$/;
+const DEPENDENCY_EXPLICIT_REGEX = /"([^"]+)"\s+(should happen before|depends on|should happen after)\s+"([^"]+)"(?:\s+(lag|lead):\s*(-?\d+(?:\.\d+)?))?$/;
+const DEPENDENCY_RELATIONSHIP_REGEX = /^"([^"]+)"\s+should\s+(start|finish)\s+(?:when|after)\s+"([^"]+)"\s+(starts|finishes)(?:\s+(lag|lead):\s*(-?\d+(?:\.\d+)?))?$/;
+const INLINE_DEPENDENCY_REGEX = /^(.+?)(?:\s+(FS|SS|FF|SF))?(?:\s+(lag|lead):\s*(-?\d+(?:\.\d+)?))?$/;
 const DETAIL_KEY_LINE_REGEX = /^(\s*)([^:]+):\s*$/;
 const DETAIL_VALUE_LINE_REGEX = /^(\s*)-\s*(.+)$/;
 
@@ -31,33 +46,127 @@ function parseTaskLine(line) {
     if (!match) {
         return null;
     }
-    // We get the date from the 5th capturing group, which handles both quoted and unquoted dates.
-    const [, name, description, durationStr, inlineDependenciesStr, startDateStr] = match;
+    // Everything after the quoted fields (5th capturing group) holds the optional attributes
+    const [, name, description, durationStr, inlineDependenciesStr, attributesStr] = match;
 
     const task = {
         name: name.trim(),
         description: (description || '').trim(),
         duration: durationStr.trim(),
         dependencies: [],
-        startDate: startDateStr || null,
+        startDate: null,
     };
 
     if (inlineDependenciesStr) {
-        task.dependencies = inlineDependenciesStr
-            .split(',')
-            .map(dep => dep.trim())
-            .filter(dep => dep.length > 0);
+        task.inlineDependencies = parseInlineDependencies(inlineDependenciesStr);
+        task.dependencies = task.inlineDependencies.map(dep => dep.source);
     }
 
+    applyTaskAttributes(task, attributesStr);
+
     return task;
 }
 
+/**
+ * Parses the attributes that may follow the quoted fields of a task or milestone line and sets them on it:
+ * `start: "YYYY-MM-DD"` (startDate), `due: X` (due), `start no earlier than: X` (startNoEarlierThan),
+ * `must finish on: X` (mustFinishOn), `as late as possible` (asLateAsPossible) and `assignee: Alice, Bob`
+ * (assignees). X is either a date string or a number of time units. Text that cannot be parsed is kept in `unparsedAttributes` so the caller can report it.
+ * @param {object} task - The task or milestone being parsed (mutated).
+ * @param {string} attributesStr - The remainder of the line after the quoted fields.
+ */
+function applyTaskAttributes(task, attributesStr) {
+    let rest = (attributesStr || '').trim();
+
+    // A '#' where the next attribute would start begins a trailing comment; inside a value it is kept
+    while (rest.length > 0 && !rest.startsWith('#')) {
+        let match;
+        if ((match = rest.match(START_ATTRIBUTE_REGEX))) {
+            task.startDate = match[1];
+        } else if ((match = rest.match(CONSTRAINT_ATTRIBUTE_REGEX))) {
+            const value = match[2];
+            task[CONSTRAINT_ATTRIBUTE_KEYS[match[1]]] = value.includes('-') ? value : parseFloat(value);
+        } else if ((match = rest.match(ALAP_ATTRIBUTE_REGEX))) {
+            task.asLateAsPossible = true;
+        } else if ((match = rest.match(ASSIGNEE_ATTRIBUTE_REGEX))) {
+            task.assignees = match[1].split(',').map(name => name.trim().replace(/^"|"$/g, ''));
+        } else {
+            task.unparsedAttributes = rest;
+            return;
+        }
+        rest = rest.slice(match[0].length).trim();
+    }
+}
+
+/**
+ * Parses a milestone definition line (e.g., Milestone "Beta ready" "All features in" "Dev, QA").
+ * Milestones are zero-duration items that are reached once all their predecessors are done.
+ * @param {string} line - The line of text to parse.
+ * @returns {object|null} A task-like object flagged with `isMilestone` if parsed successfully, otherwise null.
+ */
+function parseMilestoneLine(line) {
+    const match = line.match(MILESTONE_LINE_REGEX);
+    if (!match) {
+        return null;
+    }
+    const [, name, description, inlineDependenciesStr, attributesStr] = match;
+
+    const milestone = {
+        name: name.trim(),
+        description: (description || '').trim(),
+        duration: '0',
+        dependencies: [],
+        startDate: null,
+        isMilestone: true,
+    };
+
+    if (inlineDependenciesStr) {
+        milestone.inlineDependencies = parseInlineDependencies(inlineDependenciesStr);
+        milestone.dependencies = milestone.inlineDependencies.map(dep => dep.source);
+    }
+
+    applyTaskAttributes(milestone, attributesStr);
+
+    return milestone;
+}
+
+/**
+ * Parses a comma-separated inline dependency list. Each entry is a task name, optionally followed by a
+ * relationship type and a lag/lead amount (e.g. "Dev SS lag: 2, Spec").
+ * @param {string} dependenciesStr - The content of the dependency quotes.
+ * @returns {Array<Object>} The entries as { source, type, lag }.
+ */
+export function parseInlineDependencies(dependenciesStr) {
+    return dependenciesStr
+        .split(',')
+        .map(dep => dep.trim())
+        .filter(dep => dep.length > 0)
+        .map(dep => {
+            const [, source, type, lagKeyword, lagAmount] = dep.match(INLINE_DEPENDENCY_REGEX);
+            return { source: source.trim(), type: type || 'FS', lag: parseLag(lagKeyword, lagAmount) };
+        });
+}
+
+/**
+ * Converts a `lag:` or `lead:` amount to a signed lag. A lead is a negative lag.
+ * @param {string} [keyword] - Either 'lag' or 'lead'; omitted when no amount was given.
+ * @param {string} [amountStr] - The amount in time units (working days in date-aware mode); may be negative.
+ * @returns {number} The lag, 0 when no amount was given.
+ */
+function parseLag(keyword, amountStr) {
+    if (!keyword) {
+        return 0;
+    }
+    const amount = parseFloat(amountStr);
+    return keyword === 'lead' ? -amount : amount;
+}
+
 /**
  * Parses a duration label definition line (e.g., L:10).
  * @param {string} line - The line of text to parse.
  * @returns {object|null} An object { label, value } if parsed successfully, otherwise null.
  */
-function parseDurationLabelDefinition(line) {
+export function parseDurationLabelDefinition(line) {
     const match = line.match(DURATION_LABEL_DEFINITION_REGEX);
     if (match) {
         return {
@@ -86,6 +195,23 @@ function parseGlobalBandwidth(line) {
     return null;
 }
 
+/**
+ * Parses a resource definition line (e.g., Resource "Alice" capacity: 1).
+ * @param {string} line - The line of text to parse.
+ * @returns {object|null} An object { name, capacity } if parsed successfully, otherwise null.
+ * The capacity is the number of tasks the resource can work on at once and defaults to 1.
+ */
+function parseResource(line) {
+    const match = line.match(RESOURCE_REGEX);
+    if (!match) {
+        return null;
+    }
+    return {
+        name: match[1].trim(),
+        capacity: match[2] !== undefined ? parseInt(match[2], 10) : 1
+    };
+}
+
 /**
  * Parses a task group bandwidth definition line.
  * @param {string} line - The line of text to parse.
@@ -103,7 +229,8 @@ function parseTaskGroupBandwidth(line) {
 
     if (listStr) {
         type = 'list';
-        identifiers = listStr.split(',').map(name => name.trim().replace(/^"|"$/g, ''));
+        // Quoted names may contain commas; unquoted entries end at the next comma
+        identifiers = (listStr.match(/"[^"]*"|[^,\s][^,]*/g) || []).map(name => name.trim().replace(/^"|"$/g, ''));
     } else if (regexStr) {
         type = 'regex';
         identifiers = [regexStr.trim()];
@@ -130,14 +257,26 @@ function parseTaskGroupBandwidth(line) {
 }
 
 /**
- * Parses an explicit dependency statement (e.g., "Task A" should happen before "Task B").
+ * Parses an explicit dependency statement. Besides the finish-to-start phrases
+ * ("Task A" should happen before "Task B", "Task B" depends on "Task A", "Task B" should happen after "Task A"),
+ * it understands relationship phrases such as "QA" should start after "Dev" starts (start-to-start),
+ * "Docs" should finish when "Release" finishes (finish-to-finish) and "Handover" should finish when "Support" starts
+ * (start-to-finish). Any statement may end with a `lag: N` or `lead: N` amount.
  * @param {string} line - The line of text to parse.
- * @returns {object|null} An object { source, target } if parsed successfully, otherwise null.
+ * @returns {object|null} An object { source, target, type, lag } if parsed successfully, otherwise null.
+ * `type` is one of 'FS', 'SS', 'FF' or 'SF'.
  */
 function parseExplicitDependency(line) {
+    const relationshipMatch = line.match(DEPENDENCY_RELATIONSHIP_REGEX);
+    if (relationshipMatch) {
+        const [, target, targetEvent, source, sourceEvent, lagKeyword, lagAmount] = relationshipMatch;
+        const type = `${sourceEvent === 'starts' ? 'S' : 'F'}${targetEvent === 'start' ? 'S' : 'F'}`;
+        return { source: source.trim(), target: target.trim(), type, lag: parseLag(lagKeyword, lagAmount) };
+    }
+
     const match = line.match(DEPENDENCY_EXPLICIT_REGEX);
     if (match) {
-        const [, task1, relationship, task2] = match;
+        const [, task1, relationship, task2, lagKeyword, lagAmount] = match;
         let source, target;
 
         if (relationship === 'should happen before') {
@@ -154,7 +293,7 @@ function parseExplicitDependency(line) {
             target = task2.trim();
         }
 
-        return { source, target };
+        return { source, target, type: 'FS', lag: parseLag(lagKeyword, lagAmount) };
     }
     return null;
 }
@@ -247,20 +386,81 @@ function parseNonWorkingDayColor(line) {
     return null;
 }
 
+/**
+ * Finds the columns of a name inside the quoted strings of a line. The name may fill a whole string ("Name") or be
+ * one entry of a comma separated list ("A, Name SS lag: 2"), in which case only the name part of the entry counts.
+ * @param {string} line - The raw line of text.
+ * @param {string} name - The task, group or resource name to look for.
+ * @returns {Array<Object>} The matches in line order as { start, end } columns, without the quotes.
+ */
+export function findQuotedNameColumns(line, name) {
+    const matches = [];
+    const quotedRegex = /"([^"]*)"/g;
+    let quoted;
+    while ((quoted = quotedRegex.exec(line)) !== null) {
+        let entryStart = quoted.index + 1;
+        quoted[1].split(',').forEach(entry => {
+            const content = entry.trim();
+            const nameMatch = content && content.match(INLINE_DEPENDENCY_REGEX);
+            if (nameMatch && nameMatch[1].trim() === name) {
+                const start = entryStart + entry.indexOf(content);
+                matches.push({ start, end: start + name.length });
+            }
+            entryStart += entry.length + 1;
+        });
+    }
+    return matches;
+}
+
 /**
  * Main function to parse the entire Markdown input.
  * @param {string} markdownInput - The raw Markdown text from the editor.
- * @returns {object} An object containing parsed data: { tasks, dependencies, durationLabels, globalBandwidth, taskGroups, errors, startDate, workDays, holidays, durationMode, nonWorkingDayColor }
+ * @returns {object} An object containing parsed data: { tasks, dependencies, durationLabels, globalBandwidth, taskGroups, resources, errors, startDate, workDays, holidays, durationMode, nonWorkingDayColor }
+ * Errors are { line, from, to, message, type }; those the editor offers quick fixes for also carry a `code`
+ * ('undefined-task', 'undefined-duration-label', 'self-dependency' or 'duplicate-task').
  */
 export function parseMarkdown(markdownInput) {
     const lines = markdownInput.split('\n');
 
     const tasks = {};
-    const uniqueDependencies = new Set();
+    const uniqueDependencies = new Map(); // 'source->target' -> { type, lag }
     const durationLabels = {};
     const taskGroups = [];
+    const resources = new Map(); // name -> { name, capacity, originalLineNum }
+    const dependencyLines = new Map(); // 'source->target' -> line of the last definition
+    const explicitDependencies = []; // Dependency statements with their line, added after the first pass
+    const taskGroupLines = new Map(); // task group -> line of its definition
     const errors = [];
 
+    // Document offset of the first character of each line, for the { from, to } ranges of the errors
+    const lineOffsets = [];
+    lines.reduce((offset, line) => {
+        lineOffsets.push(offset);
+        return offset + line.length + 1;
+    }, 0);
+
+    // Range of a line's content, without its indentation and trailing whitespace
+    const getLineRange = (lineNum) => {
+        const text = lines[lineNum - 1];
+        const indentation = text.length - text.trimStart().length;
+        return { from: lineOffsets[lineNum - 1] + indentation, to: lineOffsets[lineNum - 1] + text.trimEnd().length };
+    };
+
+    // Range of the token naming `name` on a line: the first quoted one, or the last one when the name is referenced
+    // as a predecessor (inline dependencies come after the task's own name). Unquoted names such as assignees are
+    // found by their text; if the name cannot be found at all the whole line is used.
+    const getNameRange = (lineNum, name, last = false) => {
+        const text = lines[lineNum - 1];
+        const lineOffset = lineOffsets[lineNum - 1];
+        const matches = findQuotedNameColumns(text, name);
+        if (matches.length > 0) {
+            const match = last ? matches[matches.length - 1] : matches[0];
+            return { from: lineOffset + match.start, to: lineOffset + match.end };
+        }
+        const column = text.lastIndexOf(name);
+        return column === -1 ? getLineRange(lineNum) : { from: lineOffset + column, to: lineOffset + column + name.length };
+    };
+
     // --- New PRD State Variables with Defaults ---
     let globalBandwidth = 'unbound';
     let globalStartDate = null;
@@ -276,25 +476,36 @@ export function parseMarkdown(markdownInput) {
     let currentKeyIndentation = null;
     let currentValueIndentation = null;
 
-    // Helper to add a dependency to the set
-    const addDependency = (source, target, originalLineNum = 'N/A') => {
+    // Helper to add a dependency to the map. Relationship type and lag default to finish-to-start without lag.
+    const addDependency = (source, target, originalLineNum, type = 'FS', lag = 0) => {
         if (source === target) {
             errors.push({
                 line: originalLineNum,
+                ...getNameRange(originalLineNum, source, true),
                 message: `Task "${source}" cannot depend on itself.`,
-                type: 'error'
+                type: 'error',
+                code: 'self-dependency'
             });
             return;
         }
-        uniqueDependencies.add(`${source}->${target}`);
+        const key = `${source}->${target}`;
+        const existing = uniqueDependencies.get(key);
+        if (existing && (existing.type !== type || existing.lag !== lag)) {
+            errors.push({
+                line: originalLineNum,
+                ...getNameRange(originalLineNum, source, true),
+                message: `Conflicting dependency between "${source}" and "${target}". The last one defined will be used.`,
+                type: 'warning'
+            });
+        }
+        uniqueDependencies.set(key, { type, lag });
+        dependencyLines.set(key, originalLineNum);
     };
 
     // First pass: Identify task definitions and explicit directives
     lines.forEach((line, index) => {
         const originalLineNum = index + 1;
 
-        console.log(`[Parser Debug] Line ${originalLineNum}: '${line}'`);
-    
         let processedLine = line;
 
         // Remove comments first
@@ -310,9 +521,6 @@ export function parseMarkdown(markdownInput) {
         let detailKeyMatch = null;
         let detailValueMatch = null;
 
-        console.log(`[Parser Debug] Effective Line: '${effectiveLine}'`);
-
-
         const leadingWhitespaceMatch = line.match(/^(\s*)/);
         const currentLineRawIndentation = leadingWhitespaceMatch ? leadingWhitespaceMatch[1].length : 0;
 
@@ -327,7 +535,7 @@ export function parseMarkdown(markdownInput) {
             return;
         }
 
-        const task = parseTaskLine(effectiveLine);
+        const task = parseTaskLine(effectiveLine) || parseMilestoneLine(effectiveLine);
         if (task) {
             currentTask = task;
             currentDetailKey = null;
@@ -336,12 +544,32 @@ export function parseMarkdown(markdownInput) {
             currentValueIndentation = null;
             task.originalLineNum = originalLineNum;
             task.details = {};
+            // Where the task is named; the scheduler points its diagnostics at these ranges
+            task.nameRange = { line: originalLineNum, ...getNameRange(originalLineNum, task.name) };
+            task.predecessorRanges = {};
+            task.successorRanges = {};
+
+            if (task.unparsedAttributes) {
+                const column = line.indexOf(task.unparsedAttributes);
+                errors.push({
+                    line: originalLineNum,
+                    ...(column === -1
+                        ? getLineRange(originalLineNum)
+                        : { from: lineOffsets[index] + column, to: lineOffsets[index] + column + task.unparsedAttributes.length }),
+                    message: `Unrecognized attribute "${task.unparsedAttributes}" on task "${task.name}".`,
+                    type: 'error'
+                });
+                delete task.unparsedAttributes;
+            }
 
             if (tasks[task.name]) {
                 errors.push({
                     line: originalLineNum,
+                    from: task.nameRange.from,
+                    to: task.nameRange.to,
                     message: `Duplicate task name "${task.name}". Task names must be unique.`,
-                    type: 'error'
+                    type: 'error',
+                    code: 'duplicate-task'
                 });
             }
             tasks[task.name] = task;
@@ -364,6 +592,7 @@ export function parseMarkdown(markdownInput) {
                     } else {
                         errors.push({
                             line: originalLineNum,
+                            ...getLineRange(originalLineNum),
                             message: `Inconsistent indentation for task detail key "${key}". Expected ${currentKeyIndentation} spaces.`,
                             type: 'error'
                         });
@@ -395,6 +624,7 @@ export function parseMarkdown(markdownInput) {
                     } else {
                         errors.push({
                             line: originalLineNum,
+                            ...getLineRange(originalLineNum),
                             message: `Inconsistent indentation for task detail value "- ${value}". Expected at least ${currentValueIndentation} spaces.`,
                             type: 'error'
                         });
@@ -421,8 +651,11 @@ export function parseMarkdown(markdownInput) {
             const labelDef = parseDurationLabelDefinition(effectiveLine);
             if (labelDef) {
                 if (durationLabels[labelDef.label]) {
+                    const column = line.indexOf(labelDef.label);
                     errors.push({
                         line: originalLineNum,
+                        from: lineOffsets[index] + column,
+                        to: lineOffsets[index] + column + labelDef.label.length,
                         message: `Duplicate definition for duration label "${labelDef.label}". The last definition will take precedence.`,
                         type: 'warning'
                     });
@@ -436,6 +669,7 @@ export function parseMarkdown(markdownInput) {
                 if (globalBandwidth !== 'unbound' && originalLineNum > 1) {
                     errors.push({
                         line: originalLineNum,
+                        ...getLineRange(originalLineNum),
                         message: `Duplicate Global Bandwidth definition. The last one defined will be used.`,
                         type: 'warning'
                     });
@@ -447,12 +681,36 @@ export function parseMarkdown(markdownInput) {
             const tg = parseTaskGroupBandwidth(effectiveLine);
             if (tg) {
                 taskGroups.push(tg);
+                taskGroupLines.set(tg, originalLineNum);
+                return;
+            }
+
+            const resource = parseResource(effectiveLine);
+            if (resource) {
+                if (resource.capacity < 1) {
+                    errors.push({
+                        line: originalLineNum,
+                        ...getNameRange(originalLineNum, resource.name),
+                        message: `Resource "${resource.name}" needs a capacity of at least 1.`,
+                        type: 'error'
+                    });
+                    return;
+                }
+                if (resources.has(resource.name)) {
+                    errors.push({
+                        line: originalLineNum,
+                        ...getNameRange(originalLineNum, resource.name),
+                        message: `Duplicate definition for resource "${resource.name}". The last definition will take precedence.`,
+                        type: 'warning'
+                    });
+                }
+                resources.set(resource.name, { ...resource, originalLineNum });
                 return;
             }
 
             const explicitDep = parseExplicitDependency(effectiveLine);
             if (explicitDep) {
-                addDependency(explicitDep.source, explicitDep.target, originalLineNum);
+                explicitDependencies.push({ ...explicitDep, line: originalLineNum });
                 return;
             }
 
@@ -462,6 +720,7 @@ export function parseMarkdown(markdownInput) {
                 if (globalStartDate) {
                     errors.push({
                         line: originalLineNum,
+                        ...getLineRange(originalLineNum),
                         message: `Duplicate Start Date definition. The last one defined will be used.`,
                         type: 'warning'
                     });
@@ -496,18 +755,21 @@ export function parseMarkdown(markdownInput) {
 
             errors.push({
                 line: originalLineNum,
+                ...getLineRange(originalLineNum),
                 message: `Unrecognized or malformed line syntax: "${effectiveLine}"`,
                 type: 'error'
             });
         }
     });
 
-    // Second pass: Process inline dependencies from parsed tasks and validate all dependencies
-    Object.values(tasks).forEach(task => {
-        task.dependencies.forEach(depName => {
-            addDependency(depName, task.name, task.originalLineNum);
-        });
-    });
+    // Second pass: Add the inline and explicit dependencies in the order of their lines, so that of two
+    // conflicting definitions the one further down wins
+    const inlineDependencies = Object.values(tasks).flatMap(task =>
+        (task.inlineDependencies || []).map(dep => ({ ...dep, target: task.name, line: task.originalLineNum }))
+    );
+    [...inlineDependencies, ...explicitDependencies]
+        .sort((a, b) => a.line - b.line)
+        .forEach(dep => addDependency(dep.source, dep.target, dep.line, dep.type, dep.lag));
 
     // Resolve duration labels to numerical values
     Object.values(tasks).forEach(task => {
@@ -518,10 +780,17 @@ export function parseMarkdown(markdownInput) {
         } else if (durationLabels[originalDuration]) {
             task.resolvedDuration = durationLabels[originalDuration];
         } else {
+            // The duration comes after the task's name (which may read the same)
+            const durationRange = findQuotedNameColumns(lines[task.originalLineNum - 1], originalDuration)
+                .find(match => lineOffsets[task.originalLineNum - 1] + match.start > task.nameRange.from);
             errors.push({
-                line: task.originalLineNum || 'N/A',
+                line: task.originalLineNum,
+                ...(durationRange
+                    ? { from: lineOffsets[task.originalLineNum - 1] + durationRange.start, to: lineOffsets[task.originalLineNum - 1] + durationRange.end }
+                    : getLineRange(task.originalLineNum)),
                 message: `Task "${task.name}" has an undefined duration label: "${originalDuration}".`,
-                type: 'error'
+                type: 'error',
+                code: 'undefined-duration-label'
             });
             task.resolvedDuration = 1;
         }
@@ -531,27 +800,41 @@ export function parseMarkdown(markdownInput) {
     const definedTaskNames = new Set(Object.keys(tasks));
 
     // Validate explicit and inline dependencies
-    const finalDependencies = Array.from(uniqueDependencies).map(depStr => {
+    // Plain finish-to-start dependencies keep the short { source, target } form
+    const finalDependencies = Array.from(uniqueDependencies).map(([depStr, { type, lag }]) => {
         const [source, target] = depStr.split('->');
-        return { source, target };
+        return type === 'FS' && lag === 0 ? { source, target } : { source, target, type, lag };
     }).sort((a, b) => {
         if (a.source !== b.source) return a.source.localeCompare(b.source);
         return a.target.localeCompare(b.target);
     });
 
     finalDependencies.forEach(dep => {
+        const line = dependencyLines.get(`${dep.source}->${dep.target}`);
+        // Predecessors are referenced after their successor on task lines, so the source is the last match
+        const sourceRange = { line, ...getNameRange(line, dep.source, true) };
+        const targetRange = { line, ...getNameRange(line, dep.target) };
+        if (tasks[dep.target]) {
+            tasks[dep.target].predecessorRanges[dep.source] = sourceRange;
+        }
+        if (tasks[dep.source]) {
+            tasks[dep.source].successorRanges[dep.target] = targetRange;
+        }
+
         if (!definedTaskNames.has(dep.source)) {
             errors.push({
-                line: 'N/A',
+                ...sourceRange,
                 message: `Dependency source task "${dep.source}" is not defined.`,
-                type: 'error'
+                type: 'error',
+                code: 'undefined-task'
             });
         }
         if (!definedTaskNames.has(dep.target)) {
             errors.push({
-                line: 'N/A',
+                ...targetRange,
                 message: `Dependency target task "${dep.target}" is not defined.`,
-                type: 'error'
+                type: 'error',
+                code: 'undefined-task'
             });
         }
     });
@@ -559,18 +842,36 @@ export function parseMarkdown(markdownInput) {
     // Validate task group identifiers
     taskGroups.forEach(group => {
         if (group.type === 'list') {
+            const line = taskGroupLines.get(group);
             group.identifiers.forEach(taskName => {
                 if (!definedTaskNames.has(taskName)) {
                     errors.push({
-                        line: 'N/A',
+                        line,
+                        // The list comes after the group's own name
+                        ...getNameRange(line, taskName, true),
                         message: `Task Group references undefined task "${taskName}".`,
-                        type: 'warning'
+                        type: 'warning',
+                        code: 'undefined-task'
                     });
                 }
             });
         }
     });
 
+    // Validate assignees; the scheduler assumes a capacity of 1 for people without a Resource line
+    Object.values(tasks).forEach(task => {
+        (task.assignees || []).forEach(name => {
+            if (!resources.has(name)) {
+                errors.push({
+                    line: task.originalLineNum,
+                    ...getNameRange(task.originalLineNum, name, true),
+                    message: `Task "${task.name}" is assigned to undefined resource "${name}". A capacity of 1 is assumed.`,
+                    type: 'warning'
+                });
+            }
+        });
+    });
+
     // --- Expanded Return Object ---
     return {
         tasks: Object.values(tasks),
@@ -578,6 +879,7 @@ export function parseMarkdown(markdownInput) {
         durationLabels: durationLabels,
         globalBandwidth: globalBandwidth,
         taskGroups: taskGroups,
+        resources: Array.from(resources.values()),
         errors: errors,
         startDate: globalStartDate,
         workDays: workDays,
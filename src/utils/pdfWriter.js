@@ -0,0 +1,229 @@
+/**
+ * src/utils/pdfWriter.js
+ *
+ * A small PDF 1.4 writer for vector drawings: filled and stroked paths, rounded rectangles, dashes, clipping
+ * and text in the standard Helvetica fonts. It covers what the chart export draws and nothing more.
+ *
+ * Coordinates are in points with the origin at the top-left corner of the page, like the canvas; the writer
+ * flips them into PDF's bottom-up space. Text is written with WinAnsi encoding: Latin-1 and common punctuation
+ * such as dashes, curly quotes and the ellipsis come through, anything else is replaced with '?'.
+ */
+
+const FONT_RESOURCES = {
+    regular: 'F1',
+    bold: 'F2',
+};
+
+// Approximate average glyph width of Helvetica, as a fraction of the font size
+export const HELVETICA_AVERAGE_CHAR_WIDTH = 0.55;
+
+// Control point distance that approximates a quarter circle with a cubic Bézier curve
+const KAPPA = 0.5523;
+
+/**
+ * Formats a number for a content stream with at most three decimals.
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function num(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Converts a '#rrggbb' or '#rgb' color to PDF color components.
+ * @param {string} hex - The color.
+ * @returns {string} The components "r g b" between 0 and 1.
+ */
+function toRGB(hex) {
+    let value = hex.replace('#', '');
+    if (value.length === 3) {
+        value = value.split('').map(char => char + char).join('');
+    }
+    const channels = [0, 2, 4].map(index => parseInt(value.slice(index, index + 2), 16) / 255);
+    return channels.map(channel => num(isNaN(channel) ? 0 : channel)).join(' ');
+}
+
+// WinAnsi codes of the punctuation outside Latin-1 that plan names commonly contain, as octal escapes
+const WIN_ANSI_ESCAPES = {
+    '€': '\\200', '…': '\\205', '‘': '\\221', '’': '\\222', '“': '\\223', '”': '\\224',
+    '•': '\\225', '–': '\\226', '—': '\\227',
+};
+
+/**
+ * Escapes text for a PDF string literal, replacing characters WinAnsi cannot encode.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/[\\()]/g, match => `\\${match}`)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, char => WIN_ANSI_ESCAPES[char] || '?');
+}
+
+/**
+ * Creates a page whose drawing methods append to a content stream.
+ * @param {number} width - The page width in points.
+ * @param {number} height - The page height in points.
+ * @returns {object} The page.
+ */
+function createPage(width, height) {
+    const ops = [];
+    const flipY = y => height - y;
+
+    const paint = (fill, stroke) => {
+        if (fill && stroke) return 'B';
+        if (fill) return 'f';
+        return stroke ? 'S' : 'n';
+    };
+
+    const applyStyle = ({ fill, stroke, lineWidth = 1, dash = null }) => {
+        if (fill) ops.push(`${toRGB(fill)} rg`);
+        if (stroke) {
+            ops.push(`${toRGB(stroke)} RG`);
+            ops.push(`${num(lineWidth)} w`);
+            ops.push(`[${(dash || []).map(num).join(' ')}] 0 d`);
+        }
+    };
+
+    return {
+        width,
+        height,
+        ops,
+
+        /** Saves the graphics state (style and clipping). */
+        save() {
+            ops.push('q');
+        },
+
+        /** Restores the graphics state saved last. */
+        restore() {
+            ops.push('Q');
+        },
+
+        /**
+         * Restricts drawing to a rectangle until the next restore().
+         * @param {number} x - Left edge.
+         * @param {number} y - Top edge.
+         * @param {number} w - Width.
+         * @param {number} h - Height.
+         */
+        clipRect(x, y, w, h) {
+            ops.push(`${num(x)} ${num(flipY(y + h))} ${num(w)} ${num(h)} re W n`);
+        },
+
+        /**
+         * Draws a rectangle, with rounded corners when a radius is given.
+         * @param {number} x - Left edge.
+         * @param {number} y - Top edge.
+         * @param {number} w - Width.
+         * @param {number} h - Height.
+         * @param {object} style - { fill?, stroke?, lineWidth?, dash?, radius? }
+         */
+        rect(x, y, w, h, style) {
+            ops.push('q');
+            applyStyle(style);
+            const r = Math.min(style.radius || 0, w / 2, h / 2);
+            if (r > 0) {
+                const k = r * KAPPA;
+                const [left, right, top, bottom] = [x, x + w, flipY(y), flipY(y + h)];
+                ops.push(`${num(left + r)} ${num(top)} m`);
+                ops.push(`${num(right - r)} ${num(top)} l`);
+                ops.push(`${num(right - r + k)} ${num(top)} ${num(right)} ${num(top - r + k)} ${num(right)} ${num(top - r)} c`);
+                ops.push(`${num(right)} ${num(bottom + r)} l`);
+                ops.push(`${num(right)} ${num(bottom + r - k)} ${num(right - r + k)} ${num(bottom)} ${num(right - r)} ${num(bottom)} c`);
+                ops.push(`${num(left + r)} ${num(bottom)} l`);
+                ops.push(`${num(left + r - k)} ${num(bottom)} ${num(left)} ${num(bottom + r - k)} ${num(left)} ${num(bottom + r)} c`);
+                ops.push(`${num(left)} ${num(top - r)} l`);
+                ops.push(`${num(left)} ${num(top - r + k)} ${num(left + r - k)} ${num(top)} ${num(left + r)} ${num(top)} c`);
+                ops.push('h');
+            } else {
+                ops.push(`${num(x)} ${num(flipY(y + h))} ${num(w)} ${num(h)} re`);
+            }
+            ops.push(paint(style.fill, style.stroke));
+            ops.push('Q');
+        },
+
+        /**
+         * Draws a polyline or polygon.
+         * @param {number[]} points - Flat list of coordinates [x1, y1, x2, y2, ...].
+         * @param {object} style - { fill?, stroke?, lineWidth?, dash?, closed? }
+         */
+        path(points, style) {
+            if (points.length < 4) return;
+            ops.push('q');
+            applyStyle(style);
+            ops.push('1 j 1 J'); // Round joins and caps, like the canvas arrows
+            for (let i = 0; i < points.length; i += 2) {
+                ops.push(`${num(points[i])} ${num(flipY(points[i + 1]))} ${i === 0 ? 'm' : 'l'}`);
+            }
+            if (style.closed) ops.push('h');
+            ops.push(paint(style.fill, style.stroke));
+            ops.push('Q');
+        },
+
+        /**
+         * Writes a line of text.
+         * @param {number} x - Left edge of the text.
+         * @param {number} y - Baseline.
+         * @param {string} text - The text.
+         * @param {object} style - { size, color?, bold? }
+         */
+        text(x, y, text, { size, color = '#000000', bold = false }) {
+            const font = bold ? FONT_RESOURCES.bold : FONT_RESOURCES.regular;
+            ops.push(`BT ${toRGB(color)} rg /${font} ${num(size)} Tf ${num(x)} ${num(flipY(y))} Td (${escapeText(text)}) Tj ET`);
+        },
+    };
+}
+
+/**
+ * Creates an empty PDF document.
+ * @param {object} [info] - Document information.
+ * @param {string} [info.title] - The document title.
+ * @returns {object} The document with addPage(width, height) returning a page to draw on, and toBytes()
+ * returning the finished file as a Uint8Array.
+ */
+export function createPdfDocument({ title = '' } = {}) {
+    const pages = [];
+
+    return {
+        addPage(width, height) {
+            const page = createPage(width, height);
+            pages.push(page);
+            return page;
+        },
+
+        toBytes() {
+            // Objects 1-5 are fixed; every page then takes a page object and a content stream object
+            const objects = [];
+            const pageIds = pages.map((_, index) => 6 + index * 2);
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+            objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+            objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+            objects[5] = `<< /Title (${escapeText(title)}) /Producer (Task Flow Visualizer) >>`;
+            pages.forEach((page, index) => {
+                const pageId = pageIds[index];
+                const content = page.ops.join('\n');
+                objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+                    `/Resources << /Font << /${FONT_RESOURCES.regular} 3 0 R /${FONT_RESOURCES.bold} 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+                objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+            });
+
+            // All text is single-byte, so string offsets are byte offsets
+            let output = '%PDF-1.4\n';
+            const offsets = [];
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = output.length;
+                output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+            }
+            const xrefOffset = output.length;
+            output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+            for (let id = 1; id < objects.length; id++) {
+                output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Uint8Array.from(output, char => char.charCodeAt(0));
+        },
+    };
+}
@@ -0,0 +1,243 @@
+/**
+ * src/utils/planEdits.js
+ *
+ * Text edits for the changes made on the canvas and in the task table: a new duration, start, description or
+ * dependency.
+ * Each function finds the task's definition in the syntax tree and returns the smallest change { from, to, insert }
+ * that makes the plan say so, leaving the rest of the line (spacing, comments, other attributes) as it was. The
+ * editor applies the change as one transaction, so a gesture is undone in one step.
+ */
+
+import { planParser } from './planLanguage';
+import { parseMarkdown, parseInlineDependencies } from './parser';
+import { scheduleTasks } from './scheduler';
+import Calendar from './dateHelpers';
+
+// Nodes of a task definition that end its fields and attributes; trailing comments and details come after them
+const FIELD_NODES = ['TaskName', 'Description', 'TaskDuration', 'Dependencies', 'StartAttribute', 'ConstraintAttribute', 'AsLateAsPossible', 'AssigneeAttribute'];
+
+/**
+ * Finds the definition of a task or milestone. With duplicate names the first definition wins.
+ * @param {string} text - The plan text.
+ * @param {string} taskName - The task's name.
+ * @returns {SyntaxNode|null} The TaskDefinition or MilestoneDefinition node, or null if there is none.
+ */
+function findTaskDefinition(text, taskName) {
+    const tree = planParser.parse(text);
+    for (let statement = tree.topNode.firstChild; statement; statement = statement.nextSibling) {
+        if (statement.name !== 'TaskDefinition' && statement.name !== 'MilestoneDefinition') {
+            continue;
+        }
+        const name = statement.getChild('TaskName');
+        if (name && readString(text, name) === taskName) {
+            return statement;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads the content of a quoted field the way parseMarkdown does, without the quotes and surrounding spaces.
+ * @param {string} text - The plan text.
+ * @param {SyntaxNode} node - The field node, e.g. TaskName.
+ * @returns {string} The content.
+ */
+function readString(text, node) {
+    return text.slice(node.from + 1, node.to - 1).trim();
+}
+
+/**
+ * Finds the end of the last field or attribute of a definition, where a new attribute goes.
+ * @param {SyntaxNode} statement - The TaskDefinition or MilestoneDefinition node.
+ * @returns {number} The document offset.
+ */
+function getFieldsEnd(statement) {
+    let end = statement.from;
+    for (let child = statement.firstChild; child; child = child.nextSibling) {
+        if (FIELD_NODES.includes(child.name)) {
+            end = child.to;
+        }
+    }
+    return end;
+}
+
+/**
+ * Works out the change that sets a task's duration.
+ * @param {string} text - The plan text.
+ * @param {string} taskName - The task's name.
+ * @param {number|string} duration - The new duration: a number or a duration label.
+ * @param {Object} [durationLabels] - The plan's duration labels { label: value }. A label the task already uses is
+ * kept when it stands for the new duration.
+ * @returns {object|null} The change { from, to, insert }, or null if there is no such task (milestones have no
+ * duration), it already has that duration or the duration is empty or contains a quote.
+ */
+export function getTaskDurationChange(text, taskName, duration, durationLabels = {}) {
+    const value = String(duration).trim();
+    const statement = findTaskDefinition(text, taskName);
+    const field = statement && statement.getChild('TaskDuration');
+    if (!field || value === '' || /["\n]/.test(value)) {
+        return null;
+    }
+    const current = readString(text, field);
+    if (current === value || durationLabels[current] === Number(value)) {
+        return null;
+    }
+    return { from: field.from + 1, to: field.to - 1, insert: value };
+}
+
+/**
+ * Works out the change that sets the description of a task or milestone. Double quotes cannot appear inside a
+ * field, so they become single quotes, and line breaks become spaces. A task written with two fields gets a
+ * description field between its name and duration.
+ * @param {string} text - The plan text.
+ * @param {string} taskName - The task's name.
+ * @param {string} description - The new description.
+ * @returns {object|null} The change { from, to, insert }, or null if there is no such task or the description is
+ * unchanged.
+ */
+export function getTaskDescriptionChange(text, taskName, description) {
+    const value = description.replace(/\s+/g, ' ').trim().replace(/"/g, "'");
+    const statement = findTaskDefinition(text, taskName);
+    if (!statement) {
+        return null;
+    }
+    const field = statement.getChild('Description');
+    if (field) {
+        return readString(text, field) === value ? null : { from: field.from + 1, to: field.to - 1, insert: value };
+    }
+    if (value === '') {
+        return null;
+    }
+    const name = statement.getChild('TaskName');
+    return { from: name.to, to: name.to, insert: ` "${value}"` };
+}
+
+/**
+ * Works out the change that gives a task or milestone an explicit start: `start: "YYYY-MM-DD"` for a date, or
+ * `start no earlier than: N` for a time-unit offset. An existing start attribute of either kind is replaced.
+ * @param {string} text - The plan text.
+ * @param {string} taskName - The task's name.
+ * @param {string|number} start - The start date ('YYYY-MM-DD') or offset.
+ * @returns {object|null} The change { from, to, insert }, or null if there is no such task or it already starts so.
+ */
+export function getTaskStartChange(text, taskName, start) {
+    const statement = findTaskDefinition(text, taskName);
+    if (!statement) {
+        return null;
+    }
+    const attribute = typeof start === 'number' ? `start no earlier than: ${start}` : `start: "${start}"`;
+    const existing = statement.getChildren('StartAttribute')
+        .concat(statement.getChildren('ConstraintAttribute').filter(node => /^start\s/.test(text.slice(node.from, node.to))))[0];
+    if (existing) {
+        return text.slice(existing.from, existing.to) === attribute ? null : { from: existing.from, to: existing.to, insert: attribute };
+    }
+    const end = getFieldsEnd(statement);
+    return { from: end, to: end, insert: ` ${attribute}` };
+}
+
+/**
+ * Works out the change that moves a task or milestone to a time-unit offset in a plan without a Start Date.
+ * `start no earlier than: N` only holds a task back, so the edited plan is scheduled to check that the task really
+ * starts at N; when its dependencies or bandwidth keep it later, there is no change.
+ * @param {string} text - The plan text.
+ * @param {string} taskName - The task's name.
+ * @param {number} startTime - The offset to move the task to.
+ * @returns {object} { change, startTime }: the change (null if there is none) and the offset the task would start
+ * at with it, which differs from the requested one when the move cannot be expressed.
+ */
+export function getTaskMoveChange(text, taskName, startTime) {
+    const change = getTaskStartChange(text, taskName, startTime);
+    if (!change) {
+        return { change: null, startTime };
+    }
+    const { tasks, dependencies, globalBandwidth, taskGroups, resources, errors } = parseMarkdown(
+        text.slice(0, change.from) + change.insert + text.slice(change.to)
+    );
+    if (errors.some(error => error.type === 'error')) {
+        return { change, startTime };
+    }
+    const { scheduledTasks } = scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups, undefined, resources);
+    const task = scheduledTasks.find(t => t.name === taskName);
+    return !task || task.startTime === startTime ? { change, startTime } : { change: null, startTime: task.startTime };
+}
+
+/**
+ * Works out the change that makes a task or milestone depend on another task (finish-to-start). The source is
+ * added to the target's dependency field, which is created when the line has none; a source whose name contains a
+ * comma cannot be listed there and gets a `"Target" depends on "Source"` line below the target instead.
+ * @param {string} text - The plan text.
+ * @param {string} source - The task that has to finish first.
+ * @param {string} target - The task that depends on it.
+ * @returns {object|null} The change { from, to, insert }, or null if there is no target, the task would depend on
+ * itself or its dependency field already lists the source.
+ */
+export function getDependencyChange(text, source, target) {
+    const statement = source !== target && findTaskDefinition(text, target);
+    if (!statement) {
+        return null;
+    }
+
+    if (source.includes(',')) {
+        const lineStart = text.lastIndexOf('\n', statement.from - 1) + 1;
+        const indentation = text.slice(lineStart, statement.from).match(/^\s*/)[0];
+        const lineEnd = text.indexOf('\n', statement.to);
+        const at = lineEnd === -1 ? text.length : lineEnd;
+        return { from: at, to: at, insert: `\n${indentation}"${target}" depends on "${source}"` };
+    }
+
+    const dependencies = statement.getChild('Dependencies');
+    if (dependencies) {
+        const content = text.slice(dependencies.from + 1, dependencies.to - 1);
+        if (parseInlineDependencies(content).some(entry => entry.source === source)) {
+            return null;
+        }
+        const at = dependencies.from + 1 + content.trimEnd().length;
+        return content.trim() === ''
+            ? { from: dependencies.from + 1, to: dependencies.to - 1, insert: source }
+            : { from: at, to: at, insert: `, ${source}` };
+    }
+
+    const description = statement.getChild('Description');
+    if (statement.name === 'MilestoneDefinition') {
+        const after = description || statement.getChild('TaskName');
+        return { from: after.to, to: after.to, insert: description ? ` "${source}"` : ` "" "${source}"` };
+    }
+    const duration = statement.getChild('TaskDuration');
+    if (description) {
+        return { from: duration.to, to: duration.to, insert: ` "${source}"` };
+    }
+    // With two fields the second one is the duration, so an empty description has to come first
+    return { from: duration.from, to: duration.to, insert: `"" ${text.slice(duration.from, duration.to)} "${source}"` };
+}
+
+/**
+ * Turns a time offset on the canvas into a date.
+ * @param {Date} projectStartDate - Day 0 of the schedule.
+ * @param {number} offset - The offset in days.
+ * @returns {string} The date as 'YYYY-MM-DD'.
+ */
+export function offsetToISODate(projectStartDate, offset) {
+    return Calendar.addElapsedDays(projectStartDate, offset).toISOString().split('T')[0];
+}
+
+/**
+ * Works out the duration of a bar that spans the given offsets. In date mode with working-day durations only the
+ * working days count; in time-unit mode and with elapsed durations the span is the duration.
+ * @param {number} startTime - The bar's start offset.
+ * @param {number} endTime - The bar's end offset (exclusive).
+ * @param {object} [calendar] - { projectStartDate, workDays, holidays, durationMode } in date mode.
+ * @returns {number} The duration.
+ */
+export function spanToDuration(startTime, endTime, calendar = null) {
+    if (!calendar || !calendar.projectStartDate || calendar.durationMode === 'elapsed') {
+        return endTime - startTime;
+    }
+    let workingDays = 0;
+    for (let offset = startTime; offset < endTime; offset++) {
+        const date = Calendar.addElapsedDays(calendar.projectStartDate, offset);
+        if (Calendar.isWorkingDay(date, calendar.workDays) && !Calendar.isHoliday(date, calendar.holidays)) {
+            workingDays++;
+        }
+    }
+    return workingDays;
+}
@@ -0,0 +1,147 @@
+/**
+ * src/utils/planFiles.js
+ *
+ * Opening and saving plans as local Markdown files; Mermaid gantt files (.mmd) and task lists in CSV files can be
+ * opened too and are imported by the app. Browsers with the File System Access API get the native pickers and can save back to the file they
+ * opened; elsewhere files are read through a file input and saved as downloads.
+ */
+
+export const PLAN_FILE_TYPES = [
+    {
+        description: 'Plan files',
+        accept: { 'text/markdown': ['.md', '.markdown', '.txt', '.mmd'], 'text/csv': ['.csv'] },
+    },
+];
+
+const PLAN_FILE_ACCEPT = '.md,.markdown,.txt,.mmd,.csv,text/markdown,text/plain,text/csv';
+
+/**
+ * Checks whether the File System Access API is available.
+ * @param {Window} [win] - The window, the global one by default.
+ * @returns {boolean} True if files can be opened and saved in place.
+ */
+export function supportsFileSystemAccess(win = globalThis.window) {
+    return !!win && typeof win.showOpenFilePicker === 'function' && typeof win.showSaveFilePicker === 'function';
+}
+
+/**
+ * Derives a plan name from a file name, e.g. "release-plan.md" becomes "release-plan".
+ * @param {string} fileName - The file name.
+ * @returns {string} The plan name.
+ */
+export function planNameFromFileName(fileName) {
+    return fileName.replace(/\.(md|markdown|txt|mmd|csv)$/i, '');
+}
+
+/**
+ * Turns a plan name into a file name, replacing characters that are not allowed in file names.
+ * @param {string} planName - The plan name.
+ * @param {string} [extension='.md'] - The file extension.
+ * @returns {string} The file name, ending in the extension.
+ */
+export function fileNameFromPlanName(planName, extension = '.md') {
+    const baseName = (planName || '').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'plan';
+    return baseName.toLowerCase().endsWith(extension) ? baseName : `${baseName}${extension}`;
+}
+
+/**
+ * Lets the user pick a file through a temporary file input.
+ * @param {Document} doc - The document.
+ * @returns {Promise<File|null>} The chosen file, or null if none was chosen.
+ */
+function pickFileWithInput(doc) {
+    return new Promise(resolve => {
+        const input = doc.createElement('input');
+        input.type = 'file';
+        input.accept = PLAN_FILE_ACCEPT;
+        input.addEventListener('change', () => resolve(input.files && input.files[0] ? input.files[0] : null));
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
+
+/**
+ * Asks the user for a plan file and reads it.
+ * @param {Window} [win] - The window, the global one by default.
+ * @returns {Promise<Object|null>} An object { name, fileName, markdown, handle } where markdown is the file content
+ * and handle is the FileSystemFileHandle to save back to (null without the File System Access API), or null if the
+ * user cancelled.
+ */
+export async function openPlanFile(win = globalThis.window) {
+    if (supportsFileSystemAccess(win)) {
+        let handles;
+        try {
+            handles = await win.showOpenFilePicker({ types: PLAN_FILE_TYPES, multiple: false });
+        } catch (e) {
+            if (e.name === 'AbortError') return null;
+            throw e;
+        }
+        const file = await handles[0].getFile();
+        return { name: planNameFromFileName(file.name), fileName: file.name, markdown: await file.text(), handle: handles[0] };
+    }
+
+    const file = await pickFileWithInput(win.document);
+    if (!file) return null;
+    return { name: planNameFromFileName(file.name), fileName: file.name, markdown: await file.text(), handle: null };
+}
+
+/**
+ * Offers a blob as a file download.
+ * @param {Window} win - The window.
+ * @param {Blob} blob - The file content.
+ * @param {string} fileName - The suggested file name.
+ */
+export function downloadBlob(win, blob, fileName) {
+    const url = win.URL.createObjectURL(blob);
+    const link = win.document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    win.document.body.appendChild(link);
+    link.click();
+    link.remove();
+    win.URL.revokeObjectURL(url);
+}
+
+/**
+ * Offers text as a file download.
+ * @param {Window} win - The window.
+ * @param {string} text - The file content.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} [mimeType='text/markdown'] - The content type.
+ */
+export function downloadTextFile(win, text, fileName, mimeType = 'text/markdown') {
+    downloadBlob(win, new win.Blob([text], { type: `${mimeType};charset=utf-8` }), fileName);
+}
+
+/**
+ * Saves a plan to a local file. With the File System Access API the plan is written to the given handle, or to
+ * a file the user picks; otherwise it is downloaded.
+ * @param {string} markdown - The plan text.
+ * @param {object} [options] - Save options.
+ * @param {FileSystemFileHandle} [options.handle] - The file to save back to.
+ * @param {string} [options.name] - The plan name, used to suggest a file name.
+ * @param {Window} [options.win] - The window, the global one by default.
+ * @returns {Promise<Object|null>} An object { name, handle } for the written file (handle is null for downloads),
+ * or null if the user cancelled.
+ */
+export async function savePlanFile(markdown, { handle = null, name = '', win = globalThis.window } = {}) {
+    if (supportsFileSystemAccess(win)) {
+        let target = handle;
+        if (!target) {
+            try {
+                target = await win.showSaveFilePicker({ suggestedName: fileNameFromPlanName(name), types: PLAN_FILE_TYPES });
+            } catch (e) {
+                if (e.name === 'AbortError') return null;
+                throw e;
+            }
+        }
+        const writable = await target.createWritable();
+        await writable.write(markdown);
+        await writable.close();
+        return { name: planNameFromFileName(target.name), handle: target };
+    }
+
+    const fileName = fileNameFromPlanName(name);
+    downloadTextFile(win, markdown, fileName);
+    return { name: planNameFromFileName(fileName), handle: null };
+}
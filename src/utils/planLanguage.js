@@ -0,0 +1,144 @@
+/**
+ * src/utils/planLanguage.js
+ *
+ * CodeMirror language support for the plan DSL, built on the Lezer grammar in plan.grammar.
+ * It provides syntax highlighting, quote and bracket matching, folding of indented task details,
+ * the syntax tree the completion provider works on and the lookup of the task under the cursor.
+ */
+
+import {
+    LRLanguage,
+    LanguageSupport,
+    HighlightStyle,
+    syntaxHighlighting,
+    foldNodeProp,
+} from '@codemirror/language';
+import { NodeProp } from '@lezer/common';
+import { styleTags, tags as t } from '@lezer/highlight';
+import { parser } from './plan.grammar';
+import { parseInlineDependencies } from './parser';
+
+/**
+ * Folds the detail lines of a task or milestone, keeping its definition line visible.
+ * @param {SyntaxNode} node - A TaskDefinition or MilestoneDefinition node.
+ * @param {EditorState} state - The editor state.
+ * @returns {object|null} The range { from, to } to fold, or null if the task has no details.
+ */
+function foldTaskDetails(node, state) {
+    const details = node.getChild('Details');
+    if (!details) {
+        return null;
+    }
+    return { from: state.doc.lineAt(node.from).to, to: details.to };
+}
+
+export const planParser = parser.configure({
+    props: [
+        styleTags({
+            'Task Milestone Resource Group': t.definitionKeyword,
+            'Global Bandwidth Start Date Work Days Holidays Duration Mode Non-working Day Color': t.keyword,
+            'bandwidth capacity start due no earlier than must finish on as late possible assignee assignees': t.attributeName,
+            'should happen before after depends when starts finishes lag lead': t.operatorKeyword,
+            'TaskName/String ResourceName/String': t.definition(t.string),
+            'GroupName/String': t.labelName,
+            'TaskDuration/String': t.unit,
+            String: t.string,
+            Number: t.number,
+            DateLiteral: t.special(t.string),
+            ColorLiteral: t.color,
+            Regex: t.regexp,
+            LabelName: t.labelName,
+            'AssigneeName/Identifier': t.variableName,
+            DetailKey: t.propertyName,
+            DetailValue: t.content,
+            'LineComment TrailingComment': t.lineComment,
+            '[ ]': t.squareBracket,
+            ':': t.punctuation,
+            ',': t.separator,
+        }),
+        foldNodeProp.add({
+            TaskDefinition: foldTaskDetails,
+            MilestoneDefinition: foldTaskDetails,
+        }),
+        // Quotes are paired up like brackets inside their String node
+        NodeProp.closedBy.add({ OpenQuote: ['CloseQuote'] }),
+        NodeProp.openedBy.add({ CloseQuote: ['OpenQuote'] }),
+    ],
+});
+
+export const planLanguage = LRLanguage.define({
+    name: 'plan',
+    parser: planParser,
+    languageData: {
+        commentTokens: { line: '//' },
+        closeBrackets: { brackets: ['"', '['] },
+    },
+});
+
+// Colors follow the Tailwind palette used across the app
+export const planHighlightStyle = HighlightStyle.define([
+    { tag: t.definitionKeyword, color: '#7c3aed', fontWeight: 'bold' }, // Violet-600
+    { tag: t.keyword, color: '#7c3aed' },
+    { tag: t.attributeName, color: '#0891b2' }, // Cyan-600
+    { tag: t.operatorKeyword, color: '#c026d3' }, // Fuchsia-600
+    { tag: t.definition(t.string), color: '#1d4ed8', fontWeight: 'bold' }, // Blue-700
+    { tag: t.string, color: '#15803d' }, // Green-700
+    { tag: t.unit, color: '#b45309' }, // Amber-700
+    { tag: [t.number, t.special(t.string), t.color], color: '#b45309' },
+    { tag: t.regexp, color: '#be123c' }, // Rose-700
+    { tag: [t.labelName, t.variableName], color: '#0f766e' }, // Teal-700
+    { tag: t.propertyName, color: '#4338ca', fontStyle: 'italic' }, // Indigo-700
+    { tag: t.lineComment, color: '#94a3b8', fontStyle: 'italic' }, // Slate-400
+]);
+
+/**
+ * Returns the CodeMirror extension for the plan DSL: the language itself plus its highlighting.
+ * @returns {LanguageSupport} The language support.
+ */
+export function plan() {
+    return new LanguageSupport(planLanguage, [syntaxHighlighting(planHighlightStyle)]);
+}
+
+/**
+ * Finds the task a position in the plan refers to: a task name or a dependency reference under the cursor, or
+ * else the task or milestone whose definition (including its details) contains the position.
+ * @param {Tree} tree - The syntax tree of the plan.
+ * @param {function(number, number): string} read - Returns the document text between two offsets.
+ * @param {number} pos - The document offset, e.g. the cursor.
+ * @returns {string|null} The task name, or null if the position is not on a task.
+ */
+export function findTaskNameAt(tree, read, pos) {
+    for (const side of [1, -1]) {
+        let node = tree.resolveInner(pos, side);
+        while (node && node.name !== 'String') {
+            node = node.parent;
+        }
+        if (!node || !node.parent) {
+            continue;
+        }
+        const contentFrom = node.from + 1;
+        const contentTo = node.lastChild && node.lastChild.name === 'CloseQuote' ? node.to - 1 : node.to;
+        const content = read(contentFrom, contentTo);
+        if (node.parent.name === 'TaskName' || node.parent.name === 'TaskRef') {
+            return content.trim() || null;
+        }
+        if (node.parent.name === 'Dependencies') {
+            // Only the entry of the comma separated list the position is in
+            const offset = pos - contentFrom;
+            const entryFrom = content.lastIndexOf(',', offset - 1) + 1;
+            const entryTo = content.indexOf(',', offset);
+            const entries = parseInlineDependencies(content.slice(entryFrom, entryTo === -1 ? content.length : entryTo));
+            if (entries.length > 0) {
+                return entries[0].source;
+            }
+        }
+    }
+
+    for (let node = tree.resolveInner(pos, 1); node; node = node.parent) {
+        if (node.name === 'TaskDefinition' || node.name === 'MilestoneDefinition') {
+            const name = node.getChild('TaskName');
+            return name ? findTaskNameAt(tree, read, name.from + 1) : null;
+        }
+    }
+    return null;
+}
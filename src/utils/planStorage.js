@@ -0,0 +1,230 @@
+/**
+ * src/utils/planStorage.js
+ *
+ * Named plans stored in IndexedDB, each with a history of timestamped revisions.
+ *
+ * Database layout:
+ * - `plans`: { id, name, markdown, createdAt, updatedAt }, the current content of every plan.
+ * - `revisions`: { id, planId, markdown, kind, createdAt, updatedAt }, indexed by planId. `kind` is 'manual' for
+ *   explicit saves and 'autosave' for saves made while typing.
+ *
+ * Autosaves made within AUTOSAVE_REVISION_INTERVAL_MS of the revision they follow are folded into it, so typing
+ * produces a revision every few minutes rather than one per keystroke. Only the newest MAX_AUTOSAVE_REVISIONS
+ * autosaves of a plan are kept; manual revisions are never pruned.
+ */
+
+export const PLAN_DATABASE_NAME = 'task-flow-plans';
+const PLAN_DATABASE_VERSION = 1;
+const PLANS_STORE = 'plans';
+const REVISIONS_STORE = 'revisions';
+
+export const AUTOSAVE_REVISION_INTERVAL_MS = 5 * 60 * 1000;
+export const MAX_AUTOSAVE_REVISIONS = 50;
+export const UNTITLED_PLAN_NAME = 'Untitled plan';
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for a transaction to commit.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves once the transaction has completed.
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+}
+
+/**
+ * Opens (and on first use creates) the plan database.
+ * @param {IDBFactory} idbFactory - The IndexedDB implementation.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openPlanDatabase(idbFactory) {
+    if (!idbFactory) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    const request = idbFactory.open(PLAN_DATABASE_NAME, PLAN_DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PLANS_STORE)) {
+            db.createObjectStore(PLANS_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+            const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+            revisions.createIndex('planId', 'planId');
+        }
+    };
+    return requestToPromise(request);
+}
+
+/**
+ * Sorts revisions newest first. Revision ids grow with every save, so they break ties between equal timestamps.
+ * @param {Array<Object>} revisions - The revisions.
+ * @returns {Array<Object>} The sorted revisions.
+ */
+function sortNewestFirst(revisions) {
+    return revisions.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+}
+
+/**
+ * Creates the plan store.
+ * @param {IDBFactory} [idbFactory] - The IndexedDB implementation, the browser's by default.
+ * @returns {object} The store with the async methods listPlans, getPlan, savePlan, renamePlan, deletePlan,
+ * listRevisions and close. The database is opened on first use; every method rejects if IndexedDB is unavailable.
+ */
+export function createPlanStore(idbFactory = globalThis.indexedDB) {
+    let dbPromise = null;
+    const getDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = openPlanDatabase(idbFactory);
+        }
+        return dbPromise;
+    };
+
+    const getRevisionsOf = (revisionsStore, planId) => {
+        return requestToPromise(revisionsStore.index('planId').getAll(planId)).then(sortNewestFirst);
+    };
+
+    return {
+        /**
+         * Lists the saved plans, most recently changed first.
+         * @returns {Promise<Array<Object>>} The plans.
+         */
+        async listPlans() {
+            const db = await getDatabase();
+            const plans = await requestToPromise(db.transaction(PLANS_STORE).objectStore(PLANS_STORE).getAll());
+            return plans.sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        /**
+         * Loads a plan.
+         * @param {number} id - The plan id.
+         * @returns {Promise<Object|null>} The plan, or null if there is none with this id.
+         */
+        async getPlan(id) {
+            const db = await getDatabase();
+            const plan = await requestToPromise(db.transaction(PLANS_STORE).objectStore(PLANS_STORE).get(id));
+            return plan || null;
+        },
+
+        /**
+         * Saves a plan and records a revision of it. A plan without an id is created.
+         * A save that does not change the content adds no revision (a manual save turns a matching autosave
+         * into a manual revision instead).
+         * @param {object} plan - The plan { id?, name, markdown }.
+         * @param {object} [options] - Save options.
+         * @param {boolean} [options.autosave=false] - Whether this save was made automatically while editing.
+         * @param {number} [options.now=Date.now()] - The save time.
+         * @returns {Promise<Object>} The saved plan, with its id.
+         */
+        async savePlan({ id, name, markdown }, { autosave = false, now = Date.now() } = {}) {
+            const db = await getDatabase();
+            const transaction = db.transaction([PLANS_STORE, REVISIONS_STORE], 'readwrite');
+            const done = transactionDone(transaction);
+            const plansStore = transaction.objectStore(PLANS_STORE);
+            const revisionsStore = transaction.objectStore(REVISIONS_STORE);
+
+            const existing = id !== undefined && id !== null ? await requestToPromise(plansStore.get(id)) : null;
+            const plan = {
+                ...(existing || { createdAt: now }),
+                name: name || (existing && existing.name) || UNTITLED_PLAN_NAME,
+                markdown,
+                updatedAt: now,
+            };
+            plan.id = await requestToPromise(plansStore.put(plan));
+
+            const revisions = await getRevisionsOf(revisionsStore, plan.id);
+            const latest = revisions[0];
+            const kind = autosave ? 'autosave' : 'manual';
+            if (latest && latest.markdown === markdown) {
+                if (!autosave && latest.kind === 'autosave') {
+                    revisionsStore.put({ ...latest, kind, updatedAt: now });
+                }
+            } else if (autosave && latest && latest.kind === 'autosave' && now - latest.createdAt < AUTOSAVE_REVISION_INTERVAL_MS) {
+                revisionsStore.put({ ...latest, markdown, updatedAt: now });
+            } else {
+                revisionsStore.add({ planId: plan.id, markdown, kind, createdAt: now, updatedAt: now });
+                if (autosave) {
+                    revisions
+                        .filter(revision => revision.kind === 'autosave')
+                        .slice(MAX_AUTOSAVE_REVISIONS - 1)
+                        .forEach(revision => revisionsStore.delete(revision.id));
+                }
+            }
+
+            await done;
+            return plan;
+        },
+
+        /**
+         * Renames a plan without recording a revision.
+         * @param {number} id - The plan id.
+         * @param {string} name - The new name.
+         * @returns {Promise<Object|null>} The renamed plan, or null if there is none with this id.
+         */
+        async renamePlan(id, name) {
+            const db = await getDatabase();
+            const transaction = db.transaction(PLANS_STORE, 'readwrite');
+            const done = transactionDone(transaction);
+            const plansStore = transaction.objectStore(PLANS_STORE);
+            const plan = await requestToPromise(plansStore.get(id));
+            if (plan) {
+                plan.name = name || UNTITLED_PLAN_NAME;
+                plansStore.put(plan);
+            }
+            await done;
+            return plan || null;
+        },
+
+        /**
+         * Deletes a plan together with its revisions.
+         * @param {number} id - The plan id.
+         * @returns {Promise<void>}
+         */
+        async deletePlan(id) {
+            const db = await getDatabase();
+            const transaction = db.transaction([PLANS_STORE, REVISIONS_STORE], 'readwrite');
+            const done = transactionDone(transaction);
+            transaction.objectStore(PLANS_STORE).delete(id);
+            const revisionsStore = transaction.objectStore(REVISIONS_STORE);
+            const revisionIds = await requestToPromise(revisionsStore.index('planId').getAllKeys(id));
+            revisionIds.forEach(revisionId => revisionsStore.delete(revisionId));
+            await done;
+        },
+
+        /**
+         * Lists the revisions of a plan, newest first.
+         * @param {number} planId - The plan id.
+         * @returns {Promise<Array<Object>>} The revisions.
+         */
+        async listRevisions(planId) {
+            const db = await getDatabase();
+            return getRevisionsOf(db.transaction(REVISIONS_STORE).objectStore(REVISIONS_STORE), planId);
+        },
+
+        /**
+         * Closes the database connection.
+         * @returns {Promise<void>}
+         */
+        async close() {
+            if (dbPromise) {
+                const db = await dbPromise.catch(() => null);
+                if (db) db.close();
+                dbPromise = null;
+            }
+        },
+    };
+}
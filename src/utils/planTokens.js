@@ -0,0 +1,96 @@
+/**
+ * src/utils/planTokens.js
+ *
+ * External tokenizer for the plan grammar (plan.grammar). Task details are the only indentation-sensitive
+ * part of the DSL: an indented "Key:" or "- value" line below a task belongs to that task. This tokenizer
+ * turns the line break before such a line into a `detailBreak` token (instead of an ordinary newline) and
+ * reads the detail line itself as a single `DetailKey` or `DetailValue` token.
+ */
+
+import { ExternalTokenizer } from '@lezer/lr';
+import { detailBreak, DetailKey, DetailValue } from './plan.grammar.terms';
+
+const NEWLINE = 10;
+const SPACE = 32;
+const TAB = 9;
+const CARRIAGE_RETURN = 13;
+
+// Same shapes as DETAIL_KEY_LINE_REGEX and DETAIL_VALUE_LINE_REGEX in parser.js, without the indentation
+const DETAIL_KEY_REGEX = /^[^:]+:$/;
+const DETAIL_VALUE_REGEX = /^-\s*\S/;
+
+/**
+ * Reads the line starting at the given offset from the current input position.
+ * @param {InputStream} input - The tokenizer input.
+ * @param {number} offset - Offset of the first character of the line.
+ * @returns {object} An object { indentation, content, contentStart, contentEnd } where content is the trimmed
+ * text without a trailing `//` comment and the offsets are relative to the current input position.
+ */
+function readLine(input, offset) {
+    let pos = offset;
+    while (input.peek(pos) === SPACE || input.peek(pos) === TAB) {
+        pos++;
+    }
+    const contentStart = pos;
+    let text = '';
+    while (input.peek(pos) !== NEWLINE && input.peek(pos) !== -1) {
+        text += String.fromCharCode(input.peek(pos));
+        pos++;
+    }
+    const commentIndex = text.indexOf('//');
+    const content = (commentIndex === -1 ? text : text.slice(0, commentIndex)).trimEnd();
+    return {
+        indentation: contentStart - offset,
+        content,
+        contentStart,
+        contentEnd: contentStart + content.length,
+    };
+}
+
+/**
+ * Checks whether a line's content has the shape of a task detail.
+ * @param {string} content - The trimmed line content.
+ * @returns {boolean} True for "Key:" and "- value" lines.
+ */
+function isDetailContent(content) {
+    return DETAIL_KEY_REGEX.test(content) || DETAIL_VALUE_REGEX.test(content);
+}
+
+/**
+ * Finds the indentation of the task or milestone line that owns the current line, walking back
+ * over the detail lines in between.
+ * @param {InputStream} input - The tokenizer input, positioned on the line break that ends the current line.
+ * @returns {number} The indentation of the owning line.
+ */
+function findOwnerIndentation(input) {
+    let lineEnd = 0;
+    for (;;) {
+        let lineStart = lineEnd;
+        while (input.peek(lineStart - 1) !== NEWLINE && input.peek(lineStart - 1) !== -1) {
+            lineStart--;
+        }
+        const line = readLine(input, lineStart);
+        if (!isDetailContent(line.content) || input.peek(lineStart - 1) === -1) {
+            return line.indentation;
+        }
+        lineEnd = lineStart - 1;
+    }
+}
+
+export const detailTokens = new ExternalTokenizer((input, stack) => {
+    if (input.next === NEWLINE && stack.canShift(detailBreak)) {
+        const next = readLine(input, 1);
+        if (next.content.length > 0 && isDetailContent(next.content) && next.indentation > findOwnerIndentation(input)) {
+            // The break covers the indentation as well, so the detail token starts at the content
+            input.acceptToken(detailBreak, next.contentStart);
+        }
+        return;
+    }
+
+    if (stack.canShift(DetailKey) && input.next !== NEWLINE && input.next !== CARRIAGE_RETURN && input.next !== -1) {
+        const line = readLine(input, 0);
+        if (line.content.length > 0) {
+            input.acceptToken(line.content.startsWith('-') ? DetailValue : DetailKey, line.contentEnd);
+        }
+    }
+}, { contextual: true });
@@ -0,0 +1,213 @@
+/**
+ * src/utils/quickFixes.js
+ *
+ * Quick fixes for the plan diagnostics shown in the editor. The parser and scheduler tag the errors that have a
+ * fix with a `code` and point their { from, to } range at the offending token; this file turns them into the
+ * actions offered in the lint tooltip. Applying a fix yields a single transaction, so it can be undone like any
+ * other edit.
+ */
+
+import { parseDurationLabelDefinition } from './parser';
+
+const MAX_NAME_SUGGESTIONS = 3;
+const STUB_TASK_DURATION = '1';
+const LABEL_VALUE_PLACEHOLDER = '?';
+
+/**
+ * Computes the Levenshtein distance between two strings, ignoring case.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single-character edits turning one string into the other.
+ */
+export function getEditDistance(a, b) {
+    const s = a.toLowerCase();
+    const t = b.toLowerCase();
+    let previousRow = Array.from({ length: t.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= s.length; i++) {
+        const currentRow = [i];
+        for (let j = 1; j <= t.length; j++) {
+            const substitution = previousRow[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1);
+            currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, substitution));
+        }
+        previousRow = currentRow;
+    }
+    return previousRow[t.length];
+}
+
+/**
+ * Finds the known names closest to a misspelled one.
+ * @param {string} name - The misspelled name.
+ * @param {string[]} candidates - The names to choose from.
+ * @returns {string[]} Up to three candidates within a third of the name's length (at least 2 edits), closest first.
+ */
+export function findSimilarNames(name, candidates) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    return candidates
+        .filter(candidate => candidate !== name)
+        .map(candidate => ({ candidate, distance: getEditDistance(name, candidate) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, MAX_NAME_SUGGESTIONS)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Inserts a definition for a duration label below the last existing label definition, or at the end of the plan.
+ * The value is left as a placeholder and selected so it can be typed over.
+ * @param {EditorState} state - The editor state.
+ * @param {string} label - The label to define.
+ * @returns {object} The transaction spec.
+ */
+function defineDurationLabel(state, label) {
+    let lastLabelLine = null;
+    for (let lineNum = 1; lineNum <= state.doc.lines; lineNum++) {
+        const line = state.doc.line(lineNum);
+        const effectiveLine = line.text.replace(/\/\/.*$/, '').trim();
+        if (parseDurationLabelDefinition(effectiveLine)) {
+            lastLabelLine = line;
+        }
+    }
+
+    const definition = `${label}: ${LABEL_VALUE_PLACEHOLDER}`;
+    let insertAt, insert;
+    if (lastLabelLine) {
+        insertAt = lastLabelLine.to;
+        insert = `\n${definition}`;
+    } else {
+        insertAt = state.doc.length;
+        insert = state.doc.lineAt(insertAt).length > 0 ? `\n${definition}` : definition;
+    }
+    const placeholderAt = insertAt + insert.length - LABEL_VALUE_PLACEHOLDER.length;
+    return {
+        changes: { from: insertAt, insert },
+        selection: { anchor: placeholderAt, head: placeholderAt + LABEL_VALUE_PLACEHOLDER.length },
+        userEvent: 'input',
+    };
+}
+
+/**
+ * Inserts a minimal task definition for an undefined task above the line that references it.
+ * @param {EditorState} state - The editor state.
+ * @param {number} from - Start of the reference.
+ * @param {string} name - The undefined task's name.
+ * @returns {object} The transaction spec.
+ */
+function createStubTask(state, from, name) {
+    const line = state.doc.lineAt(from);
+    const indentation = line.text.match(/^\s*/)[0];
+    return {
+        changes: { from: line.from, insert: `${indentation}Task "${name}" "${STUB_TASK_DURATION}"\n` },
+        userEvent: 'input',
+    };
+}
+
+/**
+ * Removes a task from its own dependencies. On a task line only the entry in the dependency list goes (with its
+ * lag or relationship type and one separating comma); an explicit dependency statement is removed as a whole.
+ * @param {EditorState} state - The editor state.
+ * @param {number} from - Start of the self-reference.
+ * @returns {object} The transaction spec.
+ */
+function removeSelfDependency(state, from) {
+    const line = state.doc.lineAt(from);
+    const text = line.text;
+
+    if (text.trimStart().startsWith('"')) {
+        const deleteFrom = line.number < state.doc.lines ? line.from : Math.max(0, line.from - 1);
+        const deleteTo = line.number < state.doc.lines ? line.to + 1 : line.to;
+        return { changes: { from: deleteFrom, to: deleteTo }, userEvent: 'delete' };
+    }
+
+    const column = from - line.from;
+    const quoteStart = text.lastIndexOf('"', column - 1);
+    const quoteEnd = text.indexOf('"', column);
+    const previousComma = text.lastIndexOf(',', column - 1);
+    const nextComma = text.indexOf(',', column);
+    const hasPreviousComma = previousComma > quoteStart;
+    const hasNextComma = nextComma !== -1 && nextComma < quoteEnd;
+
+    let deleteFrom, deleteTo;
+    if (hasNextComma) {
+        // Take the entry with its comma and the spaces after it: "A, B, C" -> "A, C"
+        deleteFrom = hasPreviousComma ? previousComma + 1 : quoteStart + 1;
+        deleteTo = nextComma + 1;
+        while (text[deleteTo] === ' ' && !hasPreviousComma) {
+            deleteTo++;
+        }
+    } else {
+        // The last entry takes the comma before it: "A, B" -> "A"
+        deleteFrom = hasPreviousComma ? previousComma : quoteStart + 1;
+        deleteTo = quoteEnd;
+    }
+    return { changes: { from: line.from + deleteFrom, to: line.from + deleteTo }, userEvent: 'delete' };
+}
+
+/**
+ * Builds the quick fixes for a diagnostic.
+ * @param {EditorState} state - The editor state the diagnostic's range refers to.
+ * @param {object} diagnostic - The error with its `code`, `from` and `to`.
+ * @param {string[]} taskNames - The task names parseMarkdown found.
+ * @returns {Array<Object>} The fixes as { name, apply } where apply(state, from, to) returns the transaction spec
+ * for the diagnostic's range in that (possibly newer) state.
+ */
+export function getQuickFixes(state, diagnostic, taskNames = []) {
+    const { code, from, to } = diagnostic;
+    if (!code || !Number.isInteger(from) || !Number.isInteger(to) || to > state.doc.length) {
+        return [];
+    }
+    const token = state.sliceDoc(from, to);
+
+    switch (code) {
+        case 'undefined-duration-label':
+            // Only labels the parser would accept can be defined
+            if (!parseDurationLabelDefinition(`${token}:1`)) {
+                return [];
+            }
+            return [{
+                name: `Define label "${token}"`,
+                apply: (currentState) => defineDurationLabel(currentState, token),
+            }];
+
+        case 'undefined-task':
+            if (!token || /["\n]/.test(token)) {
+                return [];
+            }
+            return [
+                ...findSimilarNames(token, taskNames).map(candidate => ({
+                    name: `Did you mean "${candidate}"?`,
+                    apply: (currentState, currentFrom, currentTo) => ({
+                        changes: { from: currentFrom, to: currentTo, insert: candidate },
+                        userEvent: 'input',
+                    }),
+                })),
+                {
+                    name: `Create stub task "${token}"`,
+                    apply: (currentState, currentFrom) => createStubTask(currentState, currentFrom, token),
+                },
+            ];
+
+        case 'self-dependency':
+            return [{
+                name: 'Remove self-dependency',
+                apply: (currentState, currentFrom) => removeSelfDependency(currentState, currentFrom),
+            }];
+
+        case 'duplicate-task': {
+            let suffix = 2;
+            while (taskNames.includes(`${token} ${suffix}`)) {
+                suffix++;
+            }
+            const newName = `${token} ${suffix}`;
+            return [{
+                name: `Rename to "${newName}"`,
+                apply: (currentState, currentFrom, currentTo) => ({
+                    changes: { from: currentFrom, to: currentTo, insert: newName },
+                    userEvent: 'input',
+                }),
+            }];
+        }
+
+        default:
+            return [];
+    }
+}
@@ -0,0 +1,15 @@
+// src/utils/samplePlan.js
+
+// The plan shown on first start, before anything has been saved
+export const SAMPLE_PLAN = `Task "Develop UI" "Implement frontend" "M" "Code Backend"
+Task "Code Backend" "Develop API and DB" "L"
+Task "Write Docs" "Prepare user documentation" "S" "Develop UI"
+Task "Deploy Backend" "Set up server infrastructure" "XL" "Code Backend"
+Task "Test Integration" "Ensure systems work together" "M" "Develop UI, Deploy Backend"
+
+Global Bandwidth: 2
+L:10
+M:5
+S:2
+XL:15
+`;
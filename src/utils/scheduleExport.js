@@ -0,0 +1,188 @@
+/**
+ * src/utils/scheduleExport.js
+ *
+ * This file turns a computed schedule into exportable formats: JSON, CSV and a static SVG Gantt chart.
+ * It has no browser dependencies, so the command-line tool and the app can share it.
+ */
+
+import { buildTimeAxisTicks } from './timeAxis';
+import { toCSVField, formatListField } from './csv';
+
+// Layout of the static SVG chart
+const SVG_ROW_HEIGHT = 28;
+const SVG_BAR_HEIGHT = 18;
+const SVG_LABEL_WIDTH = 180;
+const SVG_AXIS_HEIGHT = 28;
+const SVG_PADDING = 16;
+const SVG_UNIT_WIDTH = 20; // Pixels per time unit (or day), like TIME_UNIT_WIDTH on the canvas
+const SVG_FONT = 'Arial, sans-serif';
+const SVG_BAR_COLOR = '#4299e1'; // Blue-500, the canvas task fill
+const SVG_BAR_STROKE_COLOR = '#2b6cb0'; // Blue-700
+const SVG_CRITICAL_STROKE_COLOR = '#7c3aed'; // Violet-600, the canvas critical chain
+const SVG_MILESTONE_COLOR = '#f59e0b'; // Amber-500
+const SVG_MILESTONE_STROKE_COLOR = '#b45309'; // Amber-700
+const SVG_LATE_COLOR = '#dc2626'; // Red-600
+const SVG_GRID_COLOR = '#e2e8f0'; // Slate-200
+const SVG_TEXT_COLOR = '#334155'; // Slate-700
+
+export const CSV_COLUMNS = [
+    'name', 'description', 'duration', 'start', 'end', 'startDate', 'endDate',
+    'predecessors', 'assignees', 'groups', 'milestone', 'critical', 'totalFloat', 'lateBy',
+];
+
+/**
+ * Formats a date as 'YYYY-MM-DD'.
+ * @param {Date} [date] - The date.
+ * @returns {string|null} The date, or null when there is none.
+ */
+function toISODate(date) {
+    return date instanceof Date && !isNaN(date) ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Writes a dependency the way it is written in a task's dependency field, e.g. "Design SS lag: 2".
+ * @param {Object} dependency - The dependency { source, type?, lag? }.
+ * @returns {string} The dependency entry.
+ */
+function formatPredecessor(dependency) {
+    let entry = dependency.source;
+    if (dependency.type && dependency.type !== 'FS') {
+        entry += ` ${dependency.type}`;
+    }
+    if (dependency.lag) {
+        entry += dependency.lag < 0 ? ` lead: ${-dependency.lag}` : ` lag: ${dependency.lag}`;
+    }
+    return entry;
+}
+
+/**
+ * Flattens the scheduled tasks into export rows, ordered by start and then by plan order.
+ * @param {Array<Object>} scheduledTasks - The tasks from scheduleTasks.
+ * @param {Array<Object>} [dependencies] - The dependencies from parseMarkdown.
+ * @returns {Array<Object>} The rows as { name, description, duration, start, end, startDate, endDate, predecessors,
+ * assignees, groups, milestone, critical, totalFloat, lateBy }.
+ */
+export function getScheduleRows(scheduledTasks, dependencies = []) {
+    return scheduledTasks
+        .map((task, index) => ({ task, index }))
+        .sort((a, b) => (a.task.startTime || 0) - (b.task.startTime || 0) || a.index - b.index)
+        .map(({ task }) => ({
+            name: task.name,
+            description: task.description || '',
+            duration: task.resolvedDuration !== undefined ? task.resolvedDuration : task.duration,
+            start: task.startTime,
+            end: task.endTime,
+            startDate: toISODate(task.startDate),
+            endDate: toISODate(task.endDate),
+            predecessors: dependencies.filter(dep => dep.target === task.name).map(formatPredecessor),
+            assignees: task.assignees || [],
+            groups: (task.assignedBandwidthGroups || []).map(group => group.name),
+            milestone: !!task.isMilestone,
+            critical: !!task.isCritical,
+            totalFloat: task.totalFloat !== undefined ? task.totalFloat : null,
+            lateBy: task.lateBy || 0,
+        }));
+}
+
+/**
+ * Exports the schedule as pretty-printed JSON.
+ * @param {Array<Object>} rows - The rows from getScheduleRows.
+ * @param {Object} [meta] - Extra top-level fields, e.g. { projectStartDate }.
+ * @returns {string} The JSON document.
+ */
+export function exportScheduleAsJSON(rows, meta = {}) {
+    const projectFinish = rows.reduce((finish, row) => Math.max(finish, row.end || 0), 0);
+    return `${JSON.stringify({ ...meta, projectFinish, tasks: rows }, null, 2)}\n`;
+}
+
+/**
+ * Exports the schedule as CSV with a header row. List fields are joined with ", ", quoting entries that contain
+ * commas (see csv.js), so the file can be imported again with buildPlanFromCSV.
+ * @param {Array<Object>} rows - The rows from getScheduleRows.
+ * @returns {string} The CSV document.
+ */
+export function exportScheduleAsCSV(rows) {
+    const lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(row => {
+        lines.push(CSV_COLUMNS.map(column => {
+            const value = row[column];
+            return toCSVField(Array.isArray(value) ? formatListField(value) : value);
+        }).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Escapes text for use in SVG markup.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Exports the schedule as a static SVG Gantt chart: one row per task with its name on the left, a time axis on
+ * top, bars (diamonds for milestones), the critical chain outlined and late finishes marked in red.
+ * @param {Array<Object>} rows - The rows from getScheduleRows.
+ * @param {Object} [options] - Chart options.
+ * @param {Date} [options.projectStartDate] - Day 0 of a date-aware schedule; the axis then shows dates.
+ * @param {string} [options.title] - Accessible title of the chart.
+ * @returns {string} The SVG document.
+ */
+export function exportScheduleAsSVG(rows, { projectStartDate, title = 'Schedule' } = {}) {
+    const projectFinish = rows.reduce((finish, row) => Math.max(finish, row.end || 0), 0);
+    const chartX = SVG_PADDING + SVG_LABEL_WIDTH;
+    const chartY = SVG_PADDING + SVG_AXIS_HEIGHT;
+    const width = chartX + Math.max(1, projectFinish) * SVG_UNIT_WIDTH + SVG_PADDING;
+    const height = chartY + rows.length * SVG_ROW_HEIGHT + SVG_PADDING;
+    const toX = time => chartX + time * SVG_UNIT_WIDTH;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${SVG_FONT}" font-size="12">`,
+        `<title>${escapeXML(title)}</title>`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ];
+
+    const { ticks } = buildTimeAxisTicks({
+        from: 0,
+        to: Math.max(1, projectFinish),
+        pixelsPerUnit: SVG_UNIT_WIDTH,
+        projectStartDate,
+    });
+    ticks.forEach(tick => {
+        const x = toX(tick.offset);
+        parts.push(`<line x1="${x}" y1="${chartY - 6}" x2="${x}" y2="${height - SVG_PADDING}" stroke="${SVG_GRID_COLOR}"/>`);
+        parts.push(`<text x="${x + 2}" y="${chartY - 10}" fill="${SVG_TEXT_COLOR}" font-size="11">${escapeXML(tick.label)}</text>`);
+    });
+
+    rows.forEach((row, index) => {
+        const rowY = chartY + index * SVG_ROW_HEIGHT;
+        const centerY = rowY + SVG_ROW_HEIGHT / 2;
+        const stroke = row.critical ? SVG_CRITICAL_STROKE_COLOR : null;
+        parts.push(`<g data-task="${escapeXML(row.name)}">`);
+        parts.push(`<text x="${SVG_PADDING}" y="${centerY + 4}" fill="${SVG_TEXT_COLOR}">${escapeXML(row.name)}</text>`);
+
+        if (row.milestone) {
+            const x = toX(row.start);
+            const r = SVG_BAR_HEIGHT / 2;
+            parts.push(`<polygon points="${x},${centerY - r} ${x + r},${centerY} ${x},${centerY + r} ${x - r},${centerY}" fill="${SVG_MILESTONE_COLOR}" stroke="${stroke || SVG_MILESTONE_STROKE_COLOR}"/>`);
+        } else {
+            const x = toX(row.start);
+            const barWidth = Math.max(1, (row.end - row.start) * SVG_UNIT_WIDTH);
+            parts.push(`<rect x="${x}" y="${centerY - SVG_BAR_HEIGHT / 2}" width="${barWidth}" height="${SVG_BAR_HEIGHT}" rx="3" fill="${SVG_BAR_COLOR}" stroke="${stroke || SVG_BAR_STROKE_COLOR}" stroke-width="${row.critical ? 2 : 1}"/>`);
+            if (row.lateBy > 0) {
+                const lateWidth = Math.min(barWidth, row.lateBy * SVG_UNIT_WIDTH);
+                parts.push(`<rect x="${x + barWidth - lateWidth}" y="${centerY + SVG_BAR_HEIGHT / 2 - 4}" width="${lateWidth}" height="4" fill="${SVG_LATE_COLOR}"/>`);
+            }
+        }
+        parts.push('</g>');
+    });
+
+    parts.push('</svg>');
+    return `${parts.join('\n')}\n`;
+}
@@ -11,13 +11,15 @@ import Calendar from './dateHelpers';
 /**
  * Creates a graph from tasks and dependencies for topological sorting and scheduling.
  * @param {Array<Object>} tasks - An array of task objects from the parser.
- * @param {Array<Object>} dependencies - An array of dependency objects { source, target }.
+ * @param {Array<Object>} dependencies - An array of dependency objects { source, target, type?, lag? }.
  * @param {Array<Object>} errors - An array to push errors into.
- * @returns {object} An object containing the graph (adjacency list) and in-degrees, and task map with predecessors.
+ * @returns {object} An object containing the graph (adjacency list), in-degrees, the dependency links
+ * ({ 'source->target': { type, lag } }) and the task map with predecessors.
  */
 function buildGraph(tasks, dependencies, errors) {
     const graph = {}; // Adjacency list: { taskName: [dependentTask1, dependentTask2] }
     const inDegree = {}; // Number of incoming dependencies: { taskName: count }
+    const links = {}; // Relationship of each edge: { 'source->target': { type, lag } }
     const taskMap = new Map(tasks.map(task => [task.name, { ...task, predecessors: [] }]));
 
     tasks.forEach(task => {
@@ -33,25 +35,95 @@ function buildGraph(tasks, dependencies, errors) {
             graph[dep.source].push(dep.target);
             inDegree[dep.target]++;
             targetTask.predecessors.push(dep.source);
+            links[`${dep.source}->${dep.target}`] = { type: dep.type || 'FS', lag: dep.lag || 0 };
         } else {
             if (!sourceTask) {
                 errors.push({
                     message: `Scheduling error: Dependency source task "${dep.source}" not found.`,
                     type: 'error',
-                    line: 'N/A'
+                    code: 'undefined-task',
+                    ...getReferenceLocation(targetTask && targetTask.predecessorRanges, dep.source)
                 });
             }
             if (!targetTask) {
                 errors.push({
                     message: `Scheduling error: Dependency target task "${dep.target}" not found.`,
                     type: 'error',
-                    line: 'N/A'
+                    code: 'undefined-task',
+                    ...getReferenceLocation(sourceTask && sourceTask.successorRanges, dep.target)
                 });
             }
         }
     });
 
-    return { graph, inDegree, taskMap };
+    return { graph, inDegree, links, taskMap };
+}
+
+/**
+ * Returns where a task refers to another one, from the ranges the parser records on each task
+ * (`predecessorRanges` and `successorRanges`), so errors about the reference can point at its token.
+ * @param {Object} [ranges] - The task's ranges by referenced task name.
+ * @param {string} name - The referenced task's name.
+ * @returns {object} An object { line, from, to }, or { line: 'N/A' } if the location is unknown.
+ */
+function getReferenceLocation(ranges, name) {
+    const range = ranges && ranges[name];
+    return range ? { line: range.line, from: range.from, to: range.to } : { line: 'N/A' };
+}
+
+/**
+ * Returns the relationship of a dependency edge, defaulting to finish-to-start without lag.
+ * @param {Object} links - The links built by buildGraph.
+ * @param {string} source - The predecessor's name.
+ * @param {string} target - The successor's name.
+ * @returns {object} An object { type, lag }.
+ */
+function getLink(links, source, target) {
+    return links[`${source}->${target}`] || { type: 'FS', lag: 0 };
+}
+
+/**
+ * Computes the earliest start a dependency allows for its successor:
+ * FS waits for the predecessor's finish, SS for its start, FF lets the successor finish no earlier than the
+ * predecessor finishes and SF no earlier than the predecessor starts. The lag (negative for a lead) shifts the bound.
+ * @param {Object} link - The dependency { type, lag }.
+ * @param {number} sourceStart - The predecessor's start time.
+ * @param {number} sourceEnd - The predecessor's (exclusive) end time.
+ * @param {number} targetDuration - The successor's duration.
+ * @returns {number} The earliest start time of the successor.
+ */
+function getLinkedStartTime(link, sourceStart, sourceEnd, targetDuration) {
+    switch (link.type) {
+        case 'SS':
+            return sourceStart + link.lag;
+        case 'FF':
+            return sourceEnd + link.lag - targetDuration;
+        case 'SF':
+            return sourceStart + link.lag - targetDuration;
+        default:
+            return sourceEnd + link.lag;
+    }
+}
+
+/**
+ * Computes the latest finish a dependency allows for its predecessor, the mirror image of getLinkedStartTime.
+ * @param {Object} link - The dependency { type, lag }.
+ * @param {number} targetStart - The successor's (latest) start time.
+ * @param {number} targetEnd - The successor's (latest) finish time.
+ * @param {number} sourceDuration - The predecessor's duration.
+ * @returns {number} The latest finish time of the predecessor.
+ */
+function getLinkedFinishTime(link, targetStart, targetEnd, sourceDuration) {
+    switch (link.type) {
+        case 'SS':
+            return targetStart - link.lag + sourceDuration;
+        case 'FF':
+            return targetEnd - link.lag;
+        case 'SF':
+            return targetEnd - link.lag + sourceDuration;
+        default:
+            return targetStart - link.lag;
+    }
 }
 
 /**
@@ -80,10 +152,12 @@ function detectCircularDependencies(graph, tasks, errors) {
                 hasCycle = true;
                 const cycleStart = path.indexOf(neighbor);
                 const cycle = path.slice(cycleStart).join(' -> ') + ` -> ${neighbor}`;
+                // Point at the reference that closes the cycle: the current task named as a predecessor of its neighbor
+                const neighborTask = tasks.find(task => task.name === neighbor);
                 errors.push({
                     message: `Circular dependency detected: ${cycle}`,
                     type: 'error',
-                    line: 'N/A'
+                    ...getReferenceLocation(neighborTask && neighborTask.predecessorRanges, taskName)
                 });
                 return true;
             }
@@ -104,6 +178,529 @@ function detectCircularDependencies(graph, tasks, errors) {
     return hasCycle;
 }
 
+/**
+ * Returns the key used to track the occupancy of a task group.
+ * @param {Object} group - A task group object.
+ * @returns {string} The joined identifiers for list groups, or the pattern for regex groups.
+ */
+function getGroupKey(group) {
+    return group.type === 'list' ? group.identifiers.join(',') : group.identifiers[0];
+}
+
+/**
+ * Finds every task group whose bandwidth applies to a task. Milestones never belong to a group.
+ * @param {Object} task - The task.
+ * @param {Array<Object>} taskGroups - The task groups, with compiled `regex` for regex groups.
+ * @returns {Array<Object>} The matching groups, in the order they are defined.
+ */
+function findTaskGroups(task, taskGroups) {
+    if (task.isMilestone) {
+        return [];
+    }
+    return taskGroups.filter(group =>
+        (group.type === 'list' && group.identifiers.includes(task.name)) ||
+        (group.type === 'regex' && group.regex.test(task.name))
+    );
+}
+
+/**
+ * Counts the running tasks of every task group.
+ * @param {Array<Object>} runningTasks - Running tasks with the `groupKeys` of all their groups.
+ * @returns {Object} Number of running tasks by group key.
+ */
+function countGroupOccupancy(runningTasks) {
+    const occupancy = {};
+    runningTasks.forEach(task => {
+        task.groupKeys.forEach(key => {
+            occupancy[key] = (occupancy[key] || 0) + 1;
+        });
+    });
+    return occupancy;
+}
+
+/**
+ * Checks whether every group a task belongs to has a free slot.
+ * @param {Array<Object>} groups - The task's groups.
+ * @param {Object} groupOccupancy - Number of running tasks by group key.
+ * @returns {boolean} True if none of the groups is at its bandwidth.
+ */
+function hasFreeGroupSlots(groups, groupOccupancy) {
+    return groups.every(group =>
+        group.bandwidth === 'unbound' || (groupOccupancy[getGroupKey(group)] || 0) < group.bandwidth
+    );
+}
+
+/**
+ * Lists the tasks that belong to several task groups, since the limits of all of them apply at once.
+ * @param {Array<Object>} tasks - The tasks.
+ * @param {Array<Object>} taskGroups - The task groups, with compiled `regex` for regex groups.
+ * @param {Array<Object>} errors - An array to push the diagnostics into.
+ */
+function reportMultiGroupTasks(tasks, taskGroups, errors) {
+    tasks.forEach(task => {
+        const groups = findTaskGroups(task, taskGroups);
+        if (groups.length < 2) {
+            return;
+        }
+        // Unnamed groups go by their regex or task list, quoted like names
+        const groupNames = groups.map(group => `"${group.name && group.name !== 'Unnamed Group' ? group.name : getGroupKey(group)}"`);
+        errors.push({
+            message: `Task "${task.name}" belongs to ${groups.length} task groups (${groupNames.join(', ')}); the bandwidth of each of them applies.`,
+            type: 'info',
+            line: task.originalLineNum || 'N/A'
+        });
+    });
+}
+
+/**
+ * Builds the lookup of how many tasks each named resource can work on at once.
+ * @param {Array<Object>} resources - Resource definitions { name, capacity } from the parser.
+ * @returns {Map<string, number>} Capacity by resource name.
+ */
+function buildResourceCapacities(resources) {
+    return new Map((resources || []).map(resource => [resource.name, resource.capacity]));
+}
+
+/**
+ * Checks whether every person assigned to a task can take on one more task. People without a
+ * Resource definition have a capacity of 1.
+ * @param {Object} task - The task, with an optional `assignees` list.
+ * @param {Object} assigneeOccupancy - Number of running tasks by resource name.
+ * @param {Map<string, number>} resourceCapacities - Capacity by resource name.
+ * @returns {boolean} True if none of the assignees is fully booked.
+ */
+function hasFreeAssignees(task, assigneeOccupancy, resourceCapacities) {
+    return (task.assignees || []).every(name =>
+        (assigneeOccupancy[name] || 0) < (resourceCapacities.get(name) ?? 1)
+    );
+}
+
+/**
+ * Counts the running tasks of every assigned person.
+ * @param {Array<Object>} runningTasks - Running tasks with an optional `assignees` list.
+ * @returns {Object} Number of running tasks by resource name.
+ */
+function countAssigneeOccupancy(runningTasks) {
+    const occupancy = {};
+    runningTasks.forEach(task => {
+        (task.assignees || []).forEach(name => {
+            occupancy[name] = (occupancy[name] || 0) + 1;
+        });
+    });
+    return occupancy;
+}
+
+// Task constraints and the attribute names they are written with
+const CONSTRAINT_LABELS = {
+    due: 'due',
+    startNoEarlierThan: 'start no earlier than',
+    mustFinishOn: 'must finish on',
+};
+
+/**
+ * Returns a task's constraint value if it fits the scheduling mode: a date string in date-aware mode,
+ * a number of time units otherwise.
+ * @param {Object} task - The task.
+ * @param {string} key - One of the CONSTRAINT_LABELS keys.
+ * @param {boolean} isDateAwareMode - Whether the plan has a Start Date.
+ * @returns {string|number|null} The value, or null if the task has none or it does not fit the mode.
+ */
+function getConstraintValue(task, key, isDateAwareMode) {
+    const value = task[key];
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return (typeof value === 'string') === isDateAwareMode ? value : null;
+}
+
+/**
+ * Warns about constraints that cannot be used in the current scheduling mode; they are ignored.
+ * @param {Array<Object>} tasks - The tasks.
+ * @param {boolean} isDateAwareMode - Whether the plan has a Start Date.
+ * @param {Array<Object>} errors - An array to push warnings into.
+ */
+function reportMismatchedConstraints(tasks, isDateAwareMode, errors) {
+    tasks.forEach(task => {
+        Object.entries(CONSTRAINT_LABELS).forEach(([key, label]) => {
+            if (task[key] === undefined || task[key] === null || getConstraintValue(task, key, isDateAwareMode) !== null) {
+                return;
+            }
+            const expected = isDateAwareMode
+                ? 'a date because the plan has a Start Date'
+                : 'a number of time units because the plan has no Start Date';
+            errors.push({
+                message: `Constraint "${label}: ${task[key]}" on task "${task.name}" needs ${expected}; it is ignored.`,
+                type: 'warning',
+                line: task.originalLineNum || 'N/A'
+            });
+        });
+    });
+}
+
+/**
+ * Returns the earliest of a task's deadlines (`must finish on` and `due`) as an exclusive end time.
+ * @param {Object} task - The task.
+ * @param {function(string|number): number} toDeadlineTime - Converts a constraint value to an end time.
+ * @param {boolean} isDateAwareMode - Whether the plan has a Start Date.
+ * @returns {number|null} The deadline, or null if the task has none.
+ */
+function getDeadlineTime(task, toDeadlineTime, isDateAwareMode) {
+    const deadlines = ['mustFinishOn', 'due']
+        .map(key => getConstraintValue(task, key, isDateAwareMode))
+        .filter(value => value !== null)
+        .map(toDeadlineTime);
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
+
+/**
+ * Compares the computed finish of every task with its deadlines. Each task with a deadline gets
+ * `deadlineTime` (its earliest deadline, in the same units as `endTime`) and `lateBy`; every missed
+ * deadline is reported as a warning on the task's line, including by how much it is missed.
+ * @param {Array<Object>} scheduledTasks - The scheduled tasks (mutated).
+ * @param {Array<Object>} errors - An array to push warnings into.
+ * @param {function(string|number): number} toDeadlineTime - Converts a constraint value to an end time.
+ * @param {boolean} isDateAwareMode - Whether the plan has a Start Date.
+ */
+function checkDeadlines(scheduledTasks, errors, toDeadlineTime, isDateAwareMode) {
+    const unit = isDateAwareMode ? 'day' : 'time unit';
+    const formatAmount = amount => `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+    scheduledTasks.forEach(task => {
+        const deadlineTime = getDeadlineTime(task, toDeadlineTime, isDateAwareMode);
+        if (deadlineTime === null) {
+            return;
+        }
+        task.deadlineTime = deadlineTime;
+        task.lateBy = Math.max(0, task.endTime - deadlineTime);
+
+        ['mustFinishOn', 'due'].forEach(key => {
+            const value = getConstraintValue(task, key, isDateAwareMode);
+            if (value === null) {
+                return;
+            }
+            const lateBy = task.endTime - toDeadlineTime(value);
+            if (lateBy <= 0) {
+                return;
+            }
+            errors.push({
+                message: key === 'mustFinishOn'
+                    ? `Task "${task.name}" must finish on ${value} but finishes ${formatAmount(lateBy)} late.`
+                    : `Task "${task.name}" misses its deadline (${value}) by ${formatAmount(lateBy)}.`,
+                type: 'warning',
+                line: task.originalLineNum || 'N/A',
+                lateBy
+            });
+        });
+    });
+}
+
+/**
+ * Moves tasks flagged `asLateAsPossible` as late as they can go without delaying a successor, the project
+ * finish or their own deadline, and without exceeding the global or task group bandwidth or the capacity
+ * of their assignees.
+ * Tasks are handled from the last finishing one backwards, so a chain of such tasks moves as a whole.
+ * @param {Array<Object>} scheduledTasks - The scheduled tasks (mutated).
+ * @param {Object} graph - The adjacency list built by buildGraph.
+ * @param {Object} links - The dependency relationships built by buildGraph.
+ * @param {number|'unbound'} globalBandwidth - The global parallelization limit.
+ * @param {Map<string, number>} resourceCapacities - Capacity by resource name.
+ * @param {function(Object): number|null} getLatestFinish - Returns a task's own latest allowed finish (its deadline), if any.
+ * @param {function(Object, number): Object} placeToFinishBy - Returns the fields ({ startTime, endTime }, and
+ * the dates in date-aware mode) that make a task finish at or before the given time.
+ */
+function applyAsLateAsPossible(scheduledTasks, graph, links, globalBandwidth, resourceCapacities, getLatestFinish, placeToFinishBy) {
+    const lateTasks = scheduledTasks
+        .filter(task => task.asLateAsPossible)
+        .sort((a, b) => b.endTime - a.endTime);
+    if (lateTasks.length === 0) {
+        return;
+    }
+
+    const taskByName = new Map(scheduledTasks.map(task => [task.name, task]));
+    const projectFinish = Math.max(...scheduledTasks.map(task => task.endTime));
+    const globalLimit = globalBandwidth === 'unbound' ? Infinity : globalBandwidth;
+
+    // Checks the occupancy at every point where a slot may be taken while the task runs in [startTime, endTime)
+    const fitsBandwidth = (task, startTime, endTime) => {
+        if (endTime <= startTime) {
+            return true;
+        }
+        const groups = task.assignedBandwidthGroups || [];
+        const others = scheduledTasks.filter(other => other !== task && other.endTime > other.startTime);
+        const points = [startTime, ...others.map(other => other.startTime).filter(point => point > startTime && point < endTime)];
+
+        return points.every(point => {
+            const running = others.filter(other => other.startTime <= point && other.endTime > point);
+            const groupOccupancy = countGroupOccupancy(running.map(other => ({
+                groupKeys: (other.assignedBandwidthGroups || []).map(getGroupKey)
+            })));
+            return running.length < globalLimit &&
+                hasFreeGroupSlots(groups, groupOccupancy) &&
+                hasFreeAssignees(task, countAssigneeOccupancy(running), resourceCapacities);
+        });
+    };
+
+    lateTasks.forEach(task => {
+        const duration = task.endTime - task.startTime;
+        const successorBounds = (graph[task.name] || []).map(successorName => {
+            const successor = taskByName.get(successorName);
+            return getLinkedFinishTime(getLink(links, task.name, successorName), successor.startTime, successor.endTime, duration);
+        });
+        const ownDeadline = getLatestFinish(task);
+        let latestFinish = Math.min(projectFinish, ...successorBounds, ownDeadline === null ? Infinity : ownDeadline);
+
+        while (latestFinish > task.endTime) {
+            const placement = placeToFinishBy(task, latestFinish);
+            if (placement.startTime <= task.startTime) {
+                return;
+            }
+            if (fitsBandwidth(task, placement.startTime, placement.endTime)) {
+                Object.assign(task, placement);
+                return;
+            }
+            latestFinish = Math.min(latestFinish, placement.endTime) - 1;
+        }
+    });
+}
+
+/**
+ * Runs a critical path (CPM) forward and backward pass over a dependency graph.
+ * Times are expressed in the same units as the durations returned by `getDuration`.
+ * @param {Array<Object>} tasks - Task objects with a `name`.
+ * @param {Object} graph - An adjacency list { taskName: [successorName, ...] }, such as the one built by buildGraph.
+ * @param {function(Object): number} getDuration - Returns the duration of a task.
+ * @param {function(Object): number} [getEarliestStart] - Pins each task's earliest start (e.g. to its bandwidth-levelled
+ * start time). When omitted, the earliest start is derived purely from the predecessors.
+ * @param {Object} [links] - Dependency relationships { 'source->target': { type, lag } } as built by buildGraph.
+ * Edges without an entry are finish-to-start without lag.
+ * @returns {object} An object { timings, projectFinish, criticalChain } where timings maps task names to
+ * { earliestStart, earliestFinish, latestStart, latestFinish, totalFloat, freeFloat, isCritical }.
+ */
+export function analyzeCriticalPath(tasks, graph, getDuration, getEarliestStart, links = {}) {
+    const EPSILON = 1e-9;
+    const taskByName = new Map(tasks.map(task => [task.name, task]));
+    const successors = name => (graph[name] || []).filter(succ => taskByName.has(succ));
+
+    const predecessors = {};
+    tasks.forEach(task => {
+        predecessors[task.name] = [];
+    });
+    tasks.forEach(task => {
+        successors(task.name).forEach(succ => predecessors[succ].push(task.name));
+    });
+
+    // Kahn's algorithm gives an order in which every predecessor comes first
+    const remaining = {};
+    tasks.forEach(task => {
+        remaining[task.name] = predecessors[task.name].length;
+    });
+    const order = tasks.filter(task => remaining[task.name] === 0).map(task => task.name);
+    for (let i = 0; i < order.length; i++) {
+        successors(order[i]).forEach(succ => {
+            remaining[succ]--;
+            if (remaining[succ] === 0) {
+                order.push(succ);
+            }
+        });
+    }
+
+    const timings = {};
+
+    // Forward pass
+    order.forEach(name => {
+        const task = taskByName.get(name);
+        const duration = getDuration(task);
+        const earliestStart = getEarliestStart
+            ? getEarliestStart(task)
+            : Math.max(0, ...predecessors[name].map(pred =>
+                getLinkedStartTime(getLink(links, pred, name), timings[pred].earliestStart, timings[pred].earliestFinish, duration)
+            ));
+        timings[name] = { earliestStart, earliestFinish: earliestStart + duration };
+    });
+
+    const projectFinish = Math.max(0, ...Object.values(timings).map(t => t.earliestFinish));
+
+    // Backward pass
+    for (let i = order.length - 1; i >= 0; i--) {
+        const name = order[i];
+        const timing = timings[name];
+        const duration = timing.earliestFinish - timing.earliestStart;
+        const succs = successors(name);
+
+        // A task never has to finish after the project does, whatever its outgoing links allow
+        timing.latestFinish = Math.min(projectFinish, ...succs.map(succ =>
+            getLinkedFinishTime(getLink(links, name, succ), timings[succ].latestStart, timings[succ].latestFinish, duration)
+        ));
+        timing.latestStart = timing.latestFinish - duration;
+        timing.totalFloat = timing.latestStart - timing.earliestStart;
+        timing.freeFloat = Math.min(projectFinish, ...succs.map(succ =>
+            getLinkedFinishTime(getLink(links, name, succ), timings[succ].earliestStart, timings[succ].earliestFinish, duration)
+        )) - timing.earliestFinish;
+        timing.isCritical = Math.abs(timing.totalFloat) < EPSILON;
+    }
+
+    const criticalChain = order
+        .filter(name => timings[name].isCritical)
+        .sort((a, b) => timings[a].earliestStart - timings[b].earliestStart);
+
+    return { timings, projectFinish, criticalChain };
+}
+
+/**
+ * Extends the dependency graph with resource links: a task that had to wait for a free bandwidth slot
+ * (or for a busy assignee) is linked to the task(s) whose completion released that slot. Slipping such a task would delay the
+ * waiting one just like a dependency would, which is what makes the levelled analysis a critical chain.
+ * @param {Array<Object>} scheduledTasks - The scheduled tasks.
+ * @param {Object} graph - The adjacency list built by buildGraph.
+ * @returns {Object} A new adjacency list including the resource links.
+ */
+function addResourceLinks(scheduledTasks, graph) {
+    const levelledGraph = {};
+    Object.keys(graph).forEach(name => {
+        levelledGraph[name] = [...graph[name]];
+    });
+
+    scheduledTasks.forEach(task => {
+        // Tasks scheduled as late as possible start late by choice, not because they waited for a slot
+        if (task.asLateAsPossible || task.startTime <= task.earliestPossibleStartTime) {
+            return;
+        }
+        // Zero-duration tasks never hold a slot, so they cannot release one either
+        const releasingTasks = scheduledTasks.filter(other =>
+            other !== task &&
+            other.endTime > other.startTime &&
+            other.endTime > task.earliestPossibleStartTime &&
+            other.endTime <= task.startTime
+        );
+        if (releasingTasks.length === 0) {
+            return;
+        }
+        const lastRelease = Math.max(...releasingTasks.map(other => other.endTime));
+        releasingTasks
+            .filter(other => other.endTime === lastRelease && !levelledGraph[other.name].includes(task.name))
+            .forEach(other => levelledGraph[other.name].push(task.name));
+    });
+
+    return levelledGraph;
+}
+
+/**
+ * Maps calendar-day offsets to working-day offsets and back, so that the critical path analysis of a
+ * date-aware plan counting working days does not mistake weekends and holidays for float.
+ * @param {function(number): boolean} isWorkingOffset - Tells whether the day at a calendar offset is a working day.
+ * @returns {object} { toWorkingTime(calendarTime), toCalendarStart(workingTime), toCalendarFinish(workingTime) }.
+ */
+function createWorkingTimeScale(isWorkingOffset) {
+    // Calendar offsets of the working days from offset 0 on, and of those before it counting backwards
+    const laterDays = [];
+    const earlierDays = [];
+
+    // Returns the calendar offset of the working day with the given index (index 0 is the first one from offset 0 on)
+    const getWorkingDay = index => {
+        const days = index >= 0 ? laterDays : earlierDays;
+        const position = index >= 0 ? index : -index - 1;
+        const step = index >= 0 ? 1 : -1;
+        let offset = days.length > 0 ? days[days.length - 1] : (index >= 0 ? -1 : 0);
+        while (days.length <= position) {
+            offset += step;
+            if (isWorkingOffset(offset)) {
+                days.push(offset);
+            }
+        }
+        return days[position];
+    };
+
+    // Counts the working days between calendar offset 0 and the given one (negative before offset 0)
+    const toWorkingTime = time => {
+        if (time >= 0) {
+            while (getWorkingDay(laterDays.length - 1) < time) {
+                getWorkingDay(laterDays.length);
+            }
+            return laterDays.findIndex(offset => offset >= time);
+        }
+        while (getWorkingDay(-earlierDays.length) >= time) {
+            getWorkingDay(-earlierDays.length - 1);
+        }
+        return -earlierDays.findIndex(offset => offset < time);
+    };
+
+    const toCalendarTime = (time, isFinish) => {
+        const index = Math.floor(time);
+        const fraction = time - index;
+        if (fraction > 0) {
+            return getWorkingDay(index) + fraction;
+        }
+        // A finish lies right after the last working day it completes, a start on the first working day it begins
+        return isFinish ? getWorkingDay(index - 1) + 1 : getWorkingDay(index);
+    };
+
+    return {
+        toWorkingTime,
+        toCalendarStart: time => toCalendarTime(time, false),
+        toCalendarFinish: time => toCalendarTime(time, true),
+    };
+}
+
+/**
+ * Converts critical path timings measured on a working time scale back to calendar offsets. Floats stay
+ * in working days, and zero-duration tasks keep their finish on their start.
+ * @param {Object} timing - The timing from analyzeCriticalPath (mutated).
+ * @param {Object} timeScale - The scale built by createWorkingTimeScale.
+ */
+function toCalendarTiming(timing, timeScale) {
+    const isInstant = timing.earliestFinish === timing.earliestStart;
+    const earliestStart = timeScale.toCalendarStart(timing.earliestStart);
+    const latestStart = timeScale.toCalendarStart(timing.latestStart);
+    Object.assign(timing, {
+        earliestStart,
+        earliestFinish: isInstant ? earliestStart : timeScale.toCalendarFinish(timing.earliestFinish),
+        latestStart,
+        latestFinish: isInstant ? latestStart : timeScale.toCalendarFinish(timing.latestFinish),
+    });
+}
+
+/**
+ * Attaches critical path figures to the scheduled tasks, both for the bandwidth-levelled schedule
+ * (the start/end times actually assigned) and for the pure dependency network without bandwidth limits.
+ * The levelled figures are set directly on each task; the network ones live under `task.unconstrained`.
+ * @param {Array<Object>} scheduledTasks - The scheduled tasks (mutated).
+ * @param {Object} graph - The adjacency list built by buildGraph.
+ * @param {Object} links - The dependency relationships built by buildGraph.
+ * @param {Object} [timeScale] - A working time scale (see createWorkingTimeScale). When given, both analyses run
+ * in working days, like the durations and lags do, and the resulting times are converted back to calendar offsets.
+ * @returns {object} The summary { projectFinish, criticalChain, unconstrained: { projectFinish, criticalChain } }.
+ */
+function applyCriticalPathAnalysis(scheduledTasks, graph, links, timeScale = null) {
+    const toTime = timeScale ? timeScale.toWorkingTime : time => time;
+    const constrained = analyzeCriticalPath(
+        scheduledTasks,
+        addResourceLinks(scheduledTasks, graph),
+        task => toTime(task.endTime) - toTime(task.startTime),
+        task => toTime(task.startTime),
+        links
+    );
+    const unconstrained = analyzeCriticalPath(scheduledTasks, graph, task => task.resolvedDuration, undefined, links);
+
+    scheduledTasks.forEach(task => {
+        Object.assign(task, constrained.timings[task.name]);
+        task.unconstrained = unconstrained.timings[task.name];
+        if (timeScale) {
+            toCalendarTiming(task, timeScale);
+            toCalendarTiming(task.unconstrained, timeScale);
+        }
+    });
+
+    const toFinishTime = time => (timeScale && time > 0 ? timeScale.toCalendarFinish(time) : time);
+    return {
+        projectFinish: toFinishTime(constrained.projectFinish),
+        criticalChain: constrained.criticalChain,
+        unconstrained: {
+            projectFinish: toFinishTime(unconstrained.projectFinish),
+            criticalChain: unconstrained.criticalChain,
+        },
+    };
+}
+
 /**
  * Calculates the earliest possible start time for each task using topological sort.
  * @param {Array<Object>} tasks - An array of task objects from the parser (not yet scheduled).
@@ -111,13 +708,18 @@ function detectCircularDependencies(graph, tasks, errors) {
  * @param {number|'unbound'} globalBandwidth - The global parallelization limit.
  * @param {Array<Object>} taskGroups - An array of task group objects.
  * @param {Object} [calendarData] - Optional object containing global scheduling parameters.
- * @returns {object} An object containing the scheduled tasks and any new errors.
+ * @param {Array<Object>} [resources] - Named resources { name, capacity }. A task never runs while one of its
+ * `assignees` is already working on as many tasks as their capacity allows.
+ * @returns {object} An object containing the scheduled tasks and any new errors. When scheduling succeeds it also
+ * contains the `criticalPath` summary (see applyCriticalPathAnalysis), and in date-aware mode the
+ * `projectStartDate` that the tasks' `startTime`/`endTime` day offsets are relative to.
  */
-export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups, calendarData) {
+export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups, calendarData, resources = []) {
     const errors = [];
     const scheduledTasks = {};
+    const resourceCapacities = buildResourceCapacities(resources);
 
-    const { graph, inDegree, taskMap } = buildGraph(tasks, dependencies, errors);
+    const { graph, inDegree, links, taskMap } = buildGraph(tasks, dependencies, errors);
 
     if (errors.length > 0) {
         return { scheduledTasks: Array.from(taskMap.values()), errors };
@@ -150,22 +752,33 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
         return { scheduledTasks: Object.values(scheduledTasks), errors };
     }
 
-    // Add these two log statements
-    console.log('--- Scheduler Start ---');
-    console.log('Received calendarData:', calendarData);
     const isDateAwareMode = !!calendarData && !!calendarData.startDate;
-    console.log('isDateAwareMode:', isDateAwareMode);
+
+    reportMismatchedConstraints(Array.from(taskMap.values()), isDateAwareMode, errors);
+    reportMultiGroupTasks(Array.from(taskMap.values()), processedTaskGroups, errors);
 
     // New: Check if calendarData is present. If not, use the old scheduling logic.
     if (!calendarData || !calendarData.startDate) {
         // --- Fallback to Old Time-Unit Scheduling Logic ---
         Array.from(taskMap.values()).forEach(task => {
+            // Hard constraints move the earliest start: "start no earlier than" directly,
+            // "must finish on" by leaving just enough time to finish on that time
+            const startNoEarlierThan = getConstraintValue(task, 'startNoEarlierThan', false);
+            const mustFinishOn = getConstraintValue(task, 'mustFinishOn', false);
+            const earliestPossibleStartTime = Math.max(
+                0,
+                startNoEarlierThan ?? 0,
+                mustFinishOn === null ? 0 : mustFinishOn - task.resolvedDuration
+            );
+
             scheduledTasks[task.name] = {
                 ...task,
                 startTime: 0,
                 endTime: 0,
-                earliestPossibleStartTime: 0,
+                earliestPossibleStartTime,
+                isScheduled: false,
                 assignedBandwidthGroup: null, // This will be assigned later in the loop
+                assignedBandwidthGroups: [],
             };
         });
 
@@ -174,42 +787,21 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
         let time = 0;
         let runningTasks = [];
 
-        while (Object.values(scheduledTasks).some(t => t.endTime === 0)) {
-            // Update in-degrees for newly finished tasks
-            const newlyFinishedTasks = runningTasks.filter(task => task.endTime <= time);
+        while (Object.values(scheduledTasks).some(t => !t.isScheduled)) {
+            // Free the slots of finished tasks. Successors were already released when their predecessors started.
             runningTasks = runningTasks.filter(task => task.endTime > time);
 
-            if (newlyFinishedTasks.length > 0) {
-                newlyFinishedTasks.forEach(finishedTask => {
-                    graph[finishedTask.taskName].forEach(dependentTaskName => {
-                        inDegree[dependentTaskName]--;
-                        scheduledTasks[dependentTaskName].earliestPossibleStartTime = Math.max(
-                            scheduledTasks[dependentTaskName].earliestPossibleStartTime,
-                            finishedTask.endTime
-                        );
-                        if (inDegree[dependentTaskName] === 0 && scheduledTasks[dependentTaskName].endTime === 0) {
-                            queue.push(scheduledTasks[dependentTaskName]);
-                        }
-                    });
-                });
-            }
-
             const currentGlobalBandwidth = globalBandwidth === 'unbound' ? Infinity : globalBandwidth;
-            let globalOccupancy = runningTasks.filter(t => !t.assignedBandwidthGroup).length;
-
-            const currentGroupOccupancyMap = {};
-            processedTaskGroups.forEach(group => {
-                const key = group.type === 'list' ? group.identifiers.join(',') : group.identifiers[0];
-                currentGroupOccupancyMap[key] = runningTasks.filter(t =>
-                    t.assignedBandwidthGroup &&
-                    ((t.assignedBandwidthGroup.type === 'list' && group.type === 'list' && t.assignedBandwidthGroup.identifiers.join(',') === key) ||
-                        (t.assignedBandwidthGroup.type === 'regex' && group.type === 'regex' && t.assignedBandwidthGroup.regex.test(t.taskName)))
-                ).length;
-            });
+            let globalOccupancy = runningTasks.length;
+
+            // Occupancy is tracked per group; a task in several groups takes a slot in each of them
+            const currentGroupOccupancyMap = countGroupOccupancy(runningTasks);
+
+            const assigneeOccupancy = countAssigneeOccupancy(runningTasks);
 
             const potentialTasksToRun = queue
                 .filter(task =>
-                    task.endTime === 0 &&
+                    !task.isScheduled &&
                     inDegree[task.name] === 0 &&
                     task.earliestPossibleStartTime <= time
                 )
@@ -221,23 +813,28 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
                 const task = potentialTasksToRun[i];
                 const taskScheduledData = scheduledTasks[task.name];
 
-                // Re-assign group since it's not done initially in this old logic branch
-                const taskGroup = processedTaskGroups.find(group =>
-                    (group.type === 'list' && group.identifiers.includes(task.name)) ||
-                    (group.type === 'regex' && group.regex.test(task.name))
-                );
-                taskScheduledData.assignedBandwidthGroup = taskGroup;
+                // Re-assign groups since it's not done initially in this old logic branch.
+                // The first matching group stays the task's main group, e.g. for the canvas lanes.
+                const groups = findTaskGroups(task, processedTaskGroups);
+                taskScheduledData.assignedBandwidthGroups = groups;
+                taskScheduledData.assignedBandwidthGroup = groups[0];
 
                 let canRun = false;
                 const group = taskScheduledData.assignedBandwidthGroup;
 
-                if (group) {
-                    const groupKey = group.type === 'list' ? group.identifiers.join(',') : group.identifiers[0];
-                    const groupBandwidth = group.bandwidth === 'unbound' ? Infinity : group.bandwidth;
-                    const currentThisGroupOccupancy = currentGroupOccupancyMap[groupKey] || 0;
-                    if (currentThisGroupOccupancy < groupBandwidth && globalOccupancy < currentGlobalBandwidth) {
+                if (task.isMilestone) {
+                    // Milestones are reached as soon as their predecessors allow and never take a slot
+                    canRun = true;
+                } else if (!hasFreeAssignees(task, assigneeOccupancy, resourceCapacities)) {
+                    // One of the assignees is busy with other tasks
+                    canRun = false;
+                } else if (group) {
+                    if (hasFreeGroupSlots(groups, currentGroupOccupancyMap) && globalOccupancy < currentGlobalBandwidth) {
                         canRun = true;
-                        currentGroupOccupancyMap[groupKey] = currentThisGroupOccupancy + 1;
+                        groups.forEach(g => {
+                            const groupKey = getGroupKey(g);
+                            currentGroupOccupancyMap[groupKey] = (currentGroupOccupancyMap[groupKey] || 0) + 1;
+                        });
                         globalOccupancy++;
                     }
                 } else {
@@ -250,28 +847,75 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
                 if (canRun) {
                     taskScheduledData.startTime = time;
                     taskScheduledData.endTime = taskScheduledData.startTime + task.resolvedDuration;
+                    taskScheduledData.isScheduled = true;
                     tasksStartedThisCycle.push(task.name);
-                    runningTasks.push({
-                        taskName: task.name,
-                        endTime: taskScheduledData.endTime,
-                        assignedBandwidthGroup: group
-                    });
+                    if (!task.isMilestone) {
+                        const assignees = task.assignees || [];
+                        runningTasks.push({
+                            taskName: task.name,
+                            endTime: taskScheduledData.endTime,
+                            assignedBandwidthGroup: group,
+                            groupKeys: groups.map(getGroupKey),
+                            assignees
+                        });
+                        assignees.forEach(name => {
+                            assigneeOccupancy[name] = (assigneeOccupancy[name] || 0) + 1;
+                        });
+                    }
                     const queueIndex = queue.indexOf(task);
                     if (queueIndex > -1) {
                         queue.splice(queueIndex, 1);
                     }
+
+                    // Once a task is placed its successors know their earliest start, whatever the relationship type
+                    graph[task.name].forEach(dependentTaskName => {
+                        const dependent = scheduledTasks[dependentTaskName];
+                        inDegree[dependentTaskName]--;
+                        dependent.earliestPossibleStartTime = Math.max(
+                            dependent.earliestPossibleStartTime,
+                            getLinkedStartTime(
+                                getLink(links, task.name, dependentTaskName),
+                                taskScheduledData.startTime,
+                                taskScheduledData.endTime,
+                                dependent.resolvedDuration
+                            )
+                        );
+                        if (inDegree[dependentTaskName] === 0 && !dependent.isScheduled) {
+                            queue.push(dependent);
+                        }
+                    });
                 }
             }
 
+            // Start-to-start (or lead) successors released this cycle may be able to start right away
+            const releasedThisCycle = queue.some(t =>
+                !t.isScheduled &&
+                inDegree[t.name] === 0 &&
+                t.earliestPossibleStartTime <= time &&
+                !potentialTasksToRun.includes(t)
+            );
+            if (tasksStartedThisCycle.length > 0 && releasedThisCycle) {
+                continue;
+            }
+
             if (runningTasks.length > 0) {
+                // Advance to the next finish, or to an earlier point where a released successor may start
                 const minEndTimeRunning = Math.min(...runningTasks.map(t => t.endTime));
-                time = Math.max(time, minEndTimeRunning);
-            } else if (tasksStartedThisCycle.length === 0 && Object.values(scheduledTasks).some(t => t.endTime === 0)) {
+                const upcomingStarts = Object.values(scheduledTasks)
+                    .filter(t => !t.isScheduled && inDegree[t.name] === 0 && t.earliestPossibleStartTime > time)
+                    .map(t => t.earliestPossibleStartTime);
+                time = Math.max(time, Math.min(minEndTimeRunning, ...upcomingStarts));
+            } else if (Object.values(scheduledTasks).some(t => !t.isScheduled)) {
                 let nextAdvanceTime = time + 1;
                 const nextAvailableEps = Object.values(scheduledTasks)
-                    .filter(t => t.endTime === 0 && inDegree[t.name] === 0 && t.earliestPossibleStartTime > time)
+                    .filter(t => !t.isScheduled && inDegree[t.name] === 0 && t.earliestPossibleStartTime > time)
                     .map(t => t.earliestPossibleStartTime);
 
+                if (nextAvailableEps.length === 0 && tasksStartedThisCycle.length === 0) {
+                    // Nothing is running and nothing waits for a later start: the remaining tasks can never run
+                    break;
+                }
+
                 if (nextAvailableEps.length > 0) {
                     nextAdvanceTime = Math.min(nextAdvanceTime, ...nextAvailableEps);
                 }
@@ -282,7 +926,7 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
         }
 
         Object.values(scheduledTasks).forEach(task => {
-            if (task.endTime === 0) {
+            if (!task.isScheduled) {
                 errors.push({
                     message: `Scheduling error: Task "${task.name}" could not be scheduled. Possible deadlock or unreachable state.`,
                     type: 'error',
@@ -291,134 +935,318 @@ export function scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups,
             }
         });
 
-        return { scheduledTasks: Object.values(scheduledTasks), errors };
+        const timeUnitTasks = Object.values(scheduledTasks);
+        const hasSchedulingErrors = errors.some(error => error.type === 'error');
+        const toDeadlineTime = value => value;
+
+        if (!hasSchedulingErrors) {
+            applyAsLateAsPossible(
+                timeUnitTasks,
+                graph,
+                links,
+                globalBandwidth,
+                resourceCapacities,
+                task => getDeadlineTime(task, toDeadlineTime, false),
+                (task, finish) => ({ startTime: finish - (task.endTime - task.startTime), endTime: finish })
+            );
+            checkDeadlines(timeUnitTasks, errors, toDeadlineTime, false);
+        }
+
+        const criticalPath = !hasSchedulingErrors ? applyCriticalPathAnalysis(timeUnitTasks, graph, links) : null;
+
+        return { scheduledTasks: timeUnitTasks, errors, criticalPath };
     }
 
     // --- New Date-Aware Scheduling Logic (Only runs if calendarData is present) ---
-    Array.from(taskMap.values()).forEach(task => {
+    const workDays = calendarData.workDays || ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+    const holidays = calendarData.holidays || [];
+    const durationMode = calendarData.durationMode || 'working';
+
+    // New: Function to find the next valid working day
+    function findNextWorkingDay(date) {
+        let newDate = new Date(date);
+        while (!Calendar.isWorkingDay(newDate, workDays) || Calendar.isHoliday(newDate, holidays)) {
+            newDate.setUTCDate(newDate.getUTCDate() + 1);
+        }
+        return newDate;
+    }
 
-        // Log the current task name
-        console.log(`\n--- Processing Task: ${task.name} ---`);
+    function findPreviousWorkingDay(date) {
+        let newDate = new Date(date);
+        while (!Calendar.isWorkingDay(newDate, workDays) || Calendar.isHoliday(newDate, holidays)) {
+            newDate.setUTCDate(newDate.getUTCDate() - 1);
+        }
+        return newDate;
+    }
 
-        // Log the task's explicit start date from the input
-        console.log(`Task's explicit start date:`, task.startDate);
+    // Returns the (inclusive) end date of a task starting on startDate
+    function getEndDate(startDate, duration) {
+        return durationMode === 'working'
+            ? Calendar.addWorkingDays(startDate, duration, workDays, holidays)
+            : Calendar.addElapsedDays(startDate, duration);
+    }
 
-        const taskGroup = processedTaskGroups.find(group =>
-            (group.type === 'list' && group.identifiers.includes(task.name)) ||
-            (group.type === 'regex' && group.regex.test(task.name))
-        );
+    // Moves a date by a lag, counted in working days or calendar days like the durations are
+    function shiftDate(date, days) {
+        return durationMode === 'working'
+            ? Calendar.shiftWorkingDays(date, days, workDays, holidays)
+            : Calendar.addElapsedDays(date, days);
+    }
+
+    // Returns the start date for which a task of the given duration ends on (or after) endDate
+    function getStartForEndDate(endDate, duration) {
+        if (durationMode === 'working') {
+            return shiftDate(findNextWorkingDay(endDate), -Math.max(Math.ceil(duration) - 1, 0));
+        }
+        return Calendar.addElapsedDays(endDate, -duration);
+    }
+
+    function addDays(date, days) {
+        const newDate = new Date(date);
+        newDate.setUTCDate(newDate.getUTCDate() + days);
+        return newDate;
+    }
 
-        // Log the start date from the found group
-        console.log(`Group start date found:`, taskGroup ? taskGroup.startDate : 'N/A');
+    // Returns the start date that lets a task finish on endDate (inclusive). A milestone reached
+    // once that day is over sits at the start of the next day.
+    function getStartDateToFinishOn(task, endDate) {
+        return task.isMilestone ? addDays(endDate, 1) : getStartForEndDate(endDate, task.resolvedDuration);
+    }
 
-        const taskStartDate = task.startDate || (taskGroup ? taskGroup.startDate : null) || (calendarData ? calendarData.startDate : null);
+    // Date counterpart of getLinkedStartTime. End dates are inclusive, so a finish-to-start successor
+    // starts the day after its predecessor ends, and a start-to-finish one may end the day before it starts.
+    // A milestone happens at the very start of its date, so it "ends" on the day before.
+    function getLinkedStartDate(link, source, target) {
+        const sourceEndDate = source.isMilestone ? addDays(source.startDate, -1) : source.endDate;
+        const startForEndDate = (endDate) => getStartDateToFinishOn(target, endDate);
 
-        // Log the final resolved start date before it's assigned
-        console.log(`Resolved start date:`, taskStartDate);
+        switch (link.type) {
+            case 'SS':
+                return shiftDate(source.startDate, link.lag);
+            case 'FF':
+                return startForEndDate(shiftDate(sourceEndDate, link.lag));
+            case 'SF':
+                return startForEndDate(shiftDate(source.startDate, link.lag - 1));
+            default: {
+                const dayAfterSource = addDays(sourceEndDate, 1);
+                return link.lag === 0 ? dayAfterSource : shiftDate(findNextWorkingDay(dayAfterSource), link.lag);
+            }
+        }
+    }
+
+    Array.from(taskMap.values()).forEach(task => {
+        const groups = findTaskGroups(task, processedTaskGroups);
+        const taskGroup = groups[0];
+
+        // The most specific start date wins: task > group > global
+        const taskStartDate = task.startDate || (taskGroup ? taskGroup.startDate : null) || calendarData.startDate;
+
+        // Hard constraints can only push the earliest start later
+        let earliestPossibleStartDate = new Date(taskStartDate);
+        const startNoEarlierThan = getConstraintValue(task, 'startNoEarlierThan', true);
+        const mustFinishOn = getConstraintValue(task, 'mustFinishOn', true);
+        if (startNoEarlierThan && new Date(startNoEarlierThan) > earliestPossibleStartDate) {
+            earliestPossibleStartDate = new Date(startNoEarlierThan);
+        }
+        if (mustFinishOn) {
+            const startToFinishOn = getStartDateToFinishOn(task, new Date(mustFinishOn));
+            if (startToFinishOn > earliestPossibleStartDate) {
+                earliestPossibleStartDate = startToFinishOn;
+            }
+        }
 
         scheduledTasks[task.name] = {
             ...task,
-            startDate: taskStartDate ? new Date(taskStartDate) : null,
+            startDate: null,
             endDate: null,
             isScheduled: false,
             assignedBandwidthGroup: taskGroup,
-            // The time fields will be calculated later
+            assignedBandwidthGroups: groups,
+            earliestPossibleStartDate,
+            // The time fields are derived from the dates once scheduling is done
             startTime: 0,
             endTime: 0,
             earliestPossibleStartTime: 0,
         };
     });
 
-    // This code is new:
-    const workDays = calendarData.workDays || ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
-    const holidays = calendarData.holidays || [];
-    const durationMode = calendarData.durationMode || 'working';
+    const currentGlobalBandwidth = globalBandwidth === 'unbound' ? Infinity : globalBandwidth;
+    const allTasks = Object.values(scheduledTasks);
+    const scheduledTasksList = [];
+    let runningTasks = [];
 
-    // New: Function to find the next valid working day
-    function findNextWorkingDay(date) {
-        let newDate = new Date(date);
-        while (!Calendar.isWorkingDay(newDate, workDays) || Calendar.isHoliday(newDate, holidays)) {
-            newDate.setUTCDate(newDate.getUTCDate() + 1);
-        }
-        return newDate;
-    }
+    // Day-by-day loop over the working calendar. Every running task occupies a global slot
+    // and a slot in every Task Group it belongs to, from its start date to its end date (inclusive).
+    let currentDate = allTasks.length > 0
+        ? findNextWorkingDay(new Date(Math.min(...allTasks.map(t => t.earliestPossibleStartDate.getTime()))))
+        : null;
 
-    // New: Topological sort-based scheduling loop for date-aware logic
-    const queue = Object.values(scheduledTasks).filter(t => inDegree[t.name] === 0);
-    const scheduledTasksList = [];
+    while (scheduledTasksList.length < allTasks.length) {
+        runningTasks = runningTasks.filter(t => t.endDate >= currentDate);
 
-    while (queue.length > 0) {
-        const task = queue.shift(); // Dequeue the next task to schedule
+        // Milestones take no slot, so they are placed as soon as they are released, even on a future or non-working day
+        const isReady = (task) =>
+            !task.isScheduled &&
+            inDegree[task.name] === 0 &&
+            (task.isMilestone || task.earliestPossibleStartDate <= currentDate);
+        const readyTasks = allTasks
+            .filter(isReady)
+            .sort((a, b) => b.resolvedDuration - a.resolvedDuration);
 
-        // Determine the task's start date
-        let resolvedStartDate = task.startDate ? new Date(task.startDate) : new Date(calendarData.startDate);
-        console.log(`Task "${task.name}": Initial resolvedStartDate from source: ${resolvedStartDate}`);
+        let globalOccupancy = runningTasks.length;
+        const currentGroupOccupancyMap = countGroupOccupancy(runningTasks);
 
+        const assigneeOccupancy = countAssigneeOccupancy(runningTasks);
 
-        // Check for predecessors and adjust the start date if necessary
-        if (task.predecessors.length > 0) {
-            task.predecessors.forEach(predecessorName => {
-                const predecessorEndDate = scheduledTasks[predecessorName].endDate;
-                console.log(`  Task "${task.name}": Predecessor "${predecessorName}" endDate: ${predecessorEndDate.toISOString()}`);
-                if (predecessorEndDate) {
-                    // The successor must start on the day *after* the predecessor finishes.
-                    const dayAfterPredecessor = new Date(predecessorEndDate);
-                    dayAfterPredecessor.setUTCDate(dayAfterPredecessor.getUTCDate() + 1);
+        const tasksStartedToday = [];
 
-                    console.log(`  Task "${task.name}": Day after predecessor ends: ${dayAfterPredecessor.toISOString()}`);
+        readyTasks.forEach(task => {
+            const groupKeys = task.assignedBandwidthGroups.map(getGroupKey);
 
-                    // Take the later of the explicit start date and the day after the predecessor
-                    if (dayAfterPredecessor > resolvedStartDate) {
-                        resolvedStartDate = dayAfterPredecessor;
-                        console.log(`  Task "${task.name}": Adjusted resolvedStartDate based on dependency to: ${resolvedStartDate.toISOString()}`);
-                    }
-                }
-            });
-        }
+            if (!task.isMilestone && globalOccupancy >= currentGlobalBandwidth) {
+                return;
+            }
+            if (!task.isMilestone && !hasFreeAssignees(task, assigneeOccupancy, resourceCapacities)) {
+                return;
+            }
+            if (!hasFreeGroupSlots(task.assignedBandwidthGroups, currentGroupOccupancyMap)) {
+                return;
+            }
 
-        
-        // Now, after considering all dependencies, find the next valid working day.
-        // This is the final start date for the task.
-        const finalStartDate = findNextWorkingDay(resolvedStartDate);
-        task.startDate = finalStartDate;
-        console.log(`Task "${task.name}": Final adjustedStartDate (next working day): ${task.startDate.toISOString()}`);
+            if (task.isMilestone) {
+                task.startDate = new Date(task.earliestPossibleStartDate);
+                task.endDate = new Date(task.startDate);
+            } else {
+                task.startDate = new Date(currentDate);
+                task.endDate = getEndDate(task.startDate, task.resolvedDuration);
+            }
+            task.isScheduled = true;
+            scheduledTasksList.push(task);
+            tasksStartedToday.push(task.name);
 
+            // Zero-duration tasks do not hold on to a slot
+            if (task.resolvedDuration > 0) {
+                const assignees = task.assignees || [];
+                runningTasks.push({ taskName: task.name, endDate: task.endDate, groupKeys, assignees });
+                assignees.forEach(name => {
+                    assigneeOccupancy[name] = (assigneeOccupancy[name] || 0) + 1;
+                });
+                globalOccupancy++;
+                groupKeys.forEach(key => {
+                    currentGroupOccupancyMap[key] = (currentGroupOccupancyMap[key] || 0) + 1;
+                });
+            }
 
-        // Calculate the end date based on the adjusted start date
-        if (durationMode === 'working') {
-            task.endDate = Calendar.addWorkingDays(task.startDate, task.resolvedDuration, workDays, holidays);
-        } else {
-            task.endDate = Calendar.addElapsedDays(task.startDate, task.resolvedDuration);
-        }
-        console.log(`Task "${task.name}": Calculated endDate: ${task.endDate}`);
+            // Release the successors; a finish-to-start successor must start on the day *after* the predecessor finishes.
+            graph[task.name].forEach(dependentTaskName => {
+                const dependent = scheduledTasks[dependentTaskName];
+                inDegree[dependentTaskName]--;
+                const linkedStartDate = getLinkedStartDate(getLink(links, task.name, dependentTaskName), task, dependent);
+                if (linkedStartDate > dependent.earliestPossibleStartDate) {
+                    dependent.earliestPossibleStartDate = linkedStartDate;
+                }
+            });
+        });
 
+        if (scheduledTasksList.length === allTasks.length) {
+            break;
+        }
 
-        task.isScheduled = true;
-        scheduledTasksList.push(task);
+        // Start-to-start (or lead) successors released today may be able to start today as well
+        const releasedToday = allTasks.some(t => isReady(t) && !readyTasks.includes(t));
+        if (tasksStartedToday.length > 0 && releasedToday) {
+            continue;
+        }
 
-        // Process dependents and add them to the queue if ready
-        graph[task.name].forEach(dependentTaskName => {
-            inDegree[dependentTaskName]--;
-            if (inDegree[dependentTaskName] === 0) {
-                // Dependency met, add to queue
-                queue.push(scheduledTasks[dependentTaskName]);
+        if (runningTasks.length === 0 && tasksStartedToday.length === 0) {
+            // Nothing is running, so only a later earliest start date can unblock the remaining tasks
+            const upcomingDates = allTasks
+                .filter(t => !t.isScheduled && inDegree[t.name] === 0 && t.earliestPossibleStartDate > currentDate)
+                .map(t => t.earliestPossibleStartDate.getTime());
+            if (upcomingDates.length === 0) {
+                break;
             }
-        });
+            currentDate = findNextWorkingDay(new Date(Math.min(...upcomingDates)));
+        } else {
+            const nextDate = new Date(currentDate);
+            nextDate.setUTCDate(nextDate.getUTCDate() + 1);
+            currentDate = findNextWorkingDay(nextDate);
+        }
     }
 
-    // Final check for unscheduled tasks (circular dependencies)
-    Object.values(scheduledTasks).forEach(task => {
+    // Final check for unscheduled tasks (bandwidth deadlock)
+    allTasks.forEach(task => {
         if (!task.isScheduled) {
             errors.push({
-                message: `Scheduling error: Task "${task.name}" could not be scheduled. Possible circular dependency.`,
+                message: `Scheduling error: Task "${task.name}" could not be scheduled. Possible deadlock or unreachable state.`,
                 type: 'error',
                 line: task.originalLineNum || 'N/A'
             });
         }
     });
 
+    // Expose day offsets from the project start so the canvas can lay out date-based schedules
+    // the same way as time-unit ones. endTime is exclusive: a task ending on day N has endTime N + 1.
+    const projectStartDate = scheduledTasksList.length > 0
+        ? new Date(Math.min(new Date(calendarData.startDate).getTime(), ...scheduledTasksList.map(t => t.startDate.getTime())))
+        : new Date(calendarData.startDate);
+
+    scheduledTasksList.forEach(task => {
+        task.startTime = Calendar.differenceInDays(projectStartDate, task.startDate);
+        task.endTime = task.resolvedDuration > 0
+            ? Calendar.differenceInDays(projectStartDate, task.endDate) + 1
+            : task.startTime;
+        task.earliestPossibleStartTime = Calendar.differenceInDays(projectStartDate, task.earliestPossibleStartDate);
+    });
+
+    const hasSchedulingErrors = errors.some(error => error.type === 'error');
+    // A deadline date is inclusive, so the task may run until the end of that day
+    const toDeadlineTime = value => Calendar.differenceInDays(projectStartDate, new Date(value)) + 1;
+
+    if (!hasSchedulingErrors) {
+        applyAsLateAsPossible(
+            scheduledTasksList,
+            graph,
+            links,
+            globalBandwidth,
+            resourceCapacities,
+            task => getDeadlineTime(task, toDeadlineTime, true),
+            (task, finish) => {
+                if (task.isMilestone) {
+                    const date = addDays(projectStartDate, finish);
+                    return { startDate: date, endDate: new Date(date), startTime: finish, endTime: finish };
+                }
+                const lastDay = findPreviousWorkingDay(addDays(projectStartDate, finish - 1));
+                const startDate = findPreviousWorkingDay(getStartForEndDate(lastDay, task.resolvedDuration));
+                const endDate = getEndDate(startDate, task.resolvedDuration);
+                return {
+                    startDate,
+                    endDate,
+                    startTime: Calendar.differenceInDays(projectStartDate, startDate),
+                    endTime: task.resolvedDuration > 0
+                        ? Calendar.differenceInDays(projectStartDate, endDate) + 1
+                        : Calendar.differenceInDays(projectStartDate, startDate),
+                };
+            }
+        );
+        checkDeadlines(scheduledTasksList, errors, toDeadlineTime, true);
+    }
+
+    // Durations and lags count working days, so the critical path figures have to as well
+    const timeScale = durationMode === 'working'
+        ? createWorkingTimeScale(offset => {
+            const date = addDays(projectStartDate, offset);
+            return Calendar.isWorkingDay(date, workDays) && !Calendar.isHoliday(date, holidays);
+        })
+        : null;
+    const criticalPath = !hasSchedulingErrors
+        ? applyCriticalPathAnalysis(scheduledTasksList, graph, links, timeScale)
+        : null;
+
     return {
         scheduledTasks: scheduledTasksList,
-        errors: errors
+        errors: errors,
+        projectStartDate,
+        criticalPath
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,132 @@
+/**
+ * src/utils/shareLink.js
+ *
+ * Share links carry the whole plan in the URL fragment, so opening one needs no server and the plan never
+ * leaves the browser. The fragment looks like `#plan=z.<data>` or `#plan=z.<data>&view=1` for the read-only
+ * viewer, where <data> is the plan text deflated (CompressionStream 'deflate-raw') and base64url encoded.
+ * Browsers without CompressionStream write `#plan=u.<data>` with the UTF-8 text uncompressed.
+ */
+
+const COMPRESSED_PREFIX = 'z.';
+const UNCOMPRESSED_PREFIX = 'u.';
+const COMPRESSION_FORMAT = 'deflate-raw';
+
+/**
+ * Encodes bytes as base64url (RFC 4648 §5) without padding.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The encoded text.
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text.
+ * @param {string} text - The encoded text, with or without padding.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pipes bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - The input.
+ * @param {TransformStream} stream - A CompressionStream or DecompressionStream.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+async function transformBytes(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    // Failures surface when the output is read, so the writer's own rejections are not reported twice
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
+
+/**
+ * Encodes a plan for the URL fragment.
+ * @param {string} markdown - The plan text.
+ * @returns {Promise<string>} The encoded plan, prefixed with its encoding.
+ */
+export async function encodePlanForUrl(markdown) {
+    const bytes = new TextEncoder().encode(markdown);
+    if (typeof CompressionStream === 'undefined') {
+        return UNCOMPRESSED_PREFIX + toBase64Url(bytes);
+    }
+    return COMPRESSED_PREFIX + toBase64Url(await transformBytes(bytes, new CompressionStream(COMPRESSION_FORMAT)));
+}
+
+/**
+ * Decodes a plan encoded by encodePlanForUrl.
+ * @param {string} encoded - The encoded plan.
+ * @returns {Promise<string>} The plan text.
+ * @throws {Error} If the data is not a valid encoded plan.
+ */
+export async function decodePlanFromUrl(encoded) {
+    const data = encoded.slice(2);
+    try {
+        if (encoded.startsWith(UNCOMPRESSED_PREFIX)) {
+            return new TextDecoder('utf-8', { fatal: true }).decode(fromBase64Url(data));
+        }
+        if (encoded.startsWith(COMPRESSED_PREFIX)) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('this browser cannot decompress it');
+            }
+            const bytes = await transformBytes(fromBase64Url(data), new DecompressionStream(COMPRESSION_FORMAT));
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        }
+    } catch (e) {
+        throw new Error(`The shared plan could not be read: ${e.message}`);
+    }
+    throw new Error('The shared plan could not be read: unknown encoding.');
+}
+
+/**
+ * Reads the share parameters from a URL fragment.
+ * @param {string} hash - The fragment, e.g. window.location.hash.
+ * @returns {object|null} An object { encoded, readOnly }, or null if the fragment holds no shared plan.
+ */
+export function parseShareFragment(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const encoded = params.get('plan');
+    if (!encoded) {
+        return null;
+    }
+    return { encoded, readOnly: params.get('view') === '1' };
+}
+
+/**
+ * Builds a link that opens the given plan.
+ * @param {string} markdown - The plan text.
+ * @param {object} [options] - Link options.
+ * @param {string} [options.baseUrl] - The page URL; any fragment is replaced. Defaults to the current page.
+ * @param {boolean} [options.readOnly=false] - Whether the link opens the read-only viewer.
+ * @returns {Promise<string>} The share link.
+ */
+export async function buildShareUrl(markdown, { baseUrl = globalThis.location.href, readOnly = false } = {}) {
+    // The encoded plan only uses URL-safe characters, so it needs no further escaping
+    let fragment = `plan=${await encodePlanForUrl(markdown)}`;
+    if (readOnly) {
+        fragment += '&view=1';
+    }
+    return `${baseUrl.split('#')[0]}#${fragment}`;
+}
+
+/**
+ * Reads a shared plan from a URL fragment.
+ * @param {string} hash - The fragment, e.g. window.location.hash.
+ * @returns {Promise<Object|null>} An object { markdown, readOnly }, or null if the fragment holds no shared plan.
+ * @throws {Error} If the fragment holds a plan that cannot be decoded.
+ */
+export async function readSharedPlan(hash) {
+    const share = parseShareFragment(hash);
+    if (!share) {
+        return null;
+    }
+    return { markdown: await decodePlanFromUrl(share.encoded), readOnly: share.readOnly };
+}
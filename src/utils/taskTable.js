@@ -0,0 +1,191 @@
+/**
+ * src/utils/taskTable.js
+ *
+ * Rows, sorting and filtering for the task table, the spreadsheet-style view of the schedule. The rows extend the
+ * schedule export rows (see getScheduleRows) with what the table shows on top: the duration as written in the plan,
+ * the successors, a status and the task's detail values. Everything here is plain data, so the component only
+ * renders it.
+ */
+
+import { getScheduleRows } from './scheduleExport';
+
+/**
+ * The fixed columns of the table, in display order. `type` decides how a column sorts: 'number' columns
+ * numerically, 'text' and 'list' columns alphabetically. `editable` columns write back to the plan text.
+ */
+export const TASK_TABLE_COLUMNS = [
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'description', label: 'Description', type: 'text', editable: true },
+    { key: 'durationLabel', label: 'Duration', type: 'text', editable: true },
+    { key: 'duration', label: 'Resolved', type: 'number' },
+    { key: 'start', label: 'Start', type: 'number' },
+    { key: 'end', label: 'End', type: 'number' },
+    { key: 'groups', label: 'Group', type: 'list' },
+    { key: 'predecessors', label: 'Predecessors', type: 'list' },
+    { key: 'successors', label: 'Successors', type: 'list' },
+    { key: 'totalFloat', label: 'Slack', type: 'number' },
+    { key: 'status', label: 'Status', type: 'list' },
+];
+
+/**
+ * The statuses the table filters by. A task can have several, e.g. critical and late.
+ */
+export const TASK_STATUSES = [
+    { key: 'critical', label: 'Critical' },
+    { key: 'late', label: 'Late' },
+    { key: 'slack', label: 'Has slack' },
+    { key: 'milestone', label: 'Milestone' },
+];
+
+const DETAIL_COLUMN_PREFIX = 'detail:';
+
+/**
+ * Works out the statuses of a row.
+ * @param {Object} row - A row from getScheduleRows.
+ * @returns {string[]} The keys of the row's statuses (see TASK_STATUSES).
+ */
+function getStatusKeys(row) {
+    const keys = [];
+    if (row.critical) keys.push('critical');
+    if (row.lateBy > 0) keys.push('late');
+    if (row.totalFloat > 0) keys.push('slack');
+    if (row.milestone) keys.push('milestone');
+    return keys;
+}
+
+/**
+ * Builds the table rows, in the order of the schedule export (by start, then plan order).
+ * @param {Array<Object>} scheduledTasks - The tasks from scheduleTasks.
+ * @param {Array<Object>} [dependencies] - The dependencies from parseMarkdown.
+ * @returns {Array<Object>} The rows of getScheduleRows with { durationLabel, successors, statusKeys, status,
+ * details } added; details maps each detail key to its values joined with "; ".
+ */
+export function getTaskTableRows(scheduledTasks, dependencies = []) {
+    const taskByName = new Map(scheduledTasks.map(task => [task.name, task]));
+    return getScheduleRows(scheduledTasks, dependencies).map(row => {
+        const task = taskByName.get(row.name);
+        const statusKeys = getStatusKeys(row);
+        const details = {};
+        Object.entries(task.details || {}).forEach(([key, values]) => {
+            details[key] = values.join('; ');
+        });
+        return {
+            ...row,
+            durationLabel: row.milestone ? '' : String(task.duration ?? ''),
+            successors: scheduledTasks.filter(other => (other.predecessors || []).includes(row.name)).map(other => other.name),
+            statusKeys,
+            status: TASK_STATUSES.filter(status => statusKeys.includes(status.key)).map(status => status.label),
+            details,
+        };
+    });
+}
+
+/**
+ * Lists the detail keys used by any task, as extra columns after the fixed ones.
+ * @param {Array<Object>} rows - The rows from getTaskTableRows.
+ * @returns {Array<Object>} The columns { key: 'detail:<name>', label: <name>, type: 'text', detail: <name> }.
+ */
+export function getDetailColumns(rows) {
+    const names = [];
+    rows.forEach(row => Object.keys(row.details).forEach(name => {
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+    }));
+    return names.map(name => ({ key: `${DETAIL_COLUMN_PREFIX}${name}`, label: name, type: 'text', detail: name }));
+}
+
+/**
+ * Reads the value of a cell for sorting.
+ * @param {Object} row - The row.
+ * @param {string} key - The column key.
+ * @returns {*} The value: a number, a string or an array for list columns.
+ */
+function getCellValue(row, key) {
+    if (key.startsWith(DETAIL_COLUMN_PREFIX)) {
+        return row.details[key.slice(DETAIL_COLUMN_PREFIX.length)] || '';
+    }
+    return row[key];
+}
+
+/**
+ * Formats a cell as text, the same for the screen and for copying. Start and end show dates when the schedule has
+ * them.
+ * @param {Object} row - The row.
+ * @param {string} key - The column key.
+ * @returns {string} The cell text.
+ */
+export function formatCell(row, key) {
+    if (key === 'start' && row.startDate) return row.startDate;
+    if (key === 'end' && row.endDate) return row.endDate;
+    const value = getCellValue(row, key);
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'number') return Number(value.toFixed(2)).toString();
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Sorts rows by a column. Empty values go last in both directions; ties keep their order.
+ * @param {Array<Object>} rows - The rows.
+ * @param {Object} column - The column { key, type }.
+ * @param {string} [direction='ascending'] - 'ascending' or 'descending'.
+ * @returns {Array<Object>} A sorted copy of the rows.
+ */
+export function sortTaskRows(rows, column, direction = 'ascending') {
+    const sign = direction === 'descending' ? -1 : 1;
+    const sortValue = row => {
+        const value = getCellValue(row, column.key);
+        if (column.type === 'number') {
+            return typeof value === 'number' ? value : null;
+        }
+        const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+        return text === '' ? null : text;
+    };
+    return rows
+        .map((row, index) => ({ row, index, value: sortValue(row) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return (a.value === null) - (b.value === null) || a.index - b.index;
+            }
+            const order = column.type === 'number'
+                ? a.value - b.value
+                : a.value.localeCompare(b.value, undefined, { numeric: true, sensitivity: 'base' });
+            return sign * order || a.index - b.index;
+        })
+        .map(entry => entry.row);
+}
+
+/**
+ * Filters rows by free text, group and status.
+ * @param {Array<Object>} rows - The rows.
+ * @param {Object} [filters] - The filters; empty ones match every row.
+ * @param {string} [filters.text] - Text to look for (case-insensitive) in the name, description, dependencies and
+ * detail values.
+ * @param {string} [filters.group] - A group name the task must belong to.
+ * @param {string} [filters.status] - A status key (see TASK_STATUSES) the task must have.
+ * @returns {Array<Object>} The matching rows, in their order.
+ */
+export function filterTaskRows(rows, { text = '', group = '', status = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    return rows.filter(row => {
+        if (group && !row.groups.includes(group)) return false;
+        if (status && !row.statusKeys.includes(status)) return false;
+        if (!needle) return true;
+        const haystack = [row.name, row.description, ...row.predecessors, ...row.successors, ...Object.values(row.details)];
+        return haystack.some(value => value.toLowerCase().includes(needle));
+    });
+}
+
+/**
+ * Writes rows as tab-separated text with a header, which spreadsheets paste as cells.
+ * @param {Array<Object>} rows - The rows.
+ * @param {Array<Object>} columns - The columns { key, label } to include.
+ * @returns {string} The text.
+ */
+export function formatRowsAsTSV(rows, columns) {
+    const clean = text => text.replace(/[\t\r\n]+/g, ' ');
+    return [
+        columns.map(column => clean(column.label)).join('\t'),
+        ...rows.map(row => columns.map(column => clean(formatCell(row, column.key))).join('\t')),
+    ].join('\n');
+}
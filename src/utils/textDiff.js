@@ -0,0 +1,60 @@
+/**
+ * src/utils/textDiff.js
+ *
+ * Line-based diff used to compare plan revisions. Plans are a few hundred lines at most, so a plain
+ * longest-common-subsequence table is fast enough and keeps the output easy to follow.
+ */
+
+/**
+ * Computes the line differences between two texts.
+ * @param {string} oldText - The earlier text.
+ * @param {string} newText - The later text.
+ * @returns {Array<Object>} The lines in order as { type: 'equal'|'delete'|'insert', text, oldLine, newLine } where
+ * oldLine and newLine are 1-based line numbers (null for the side a line is missing from).
+ */
+export function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    // lcs[i][j] is the length of the longest common subsequence of oldLines[i..] and newLines[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && oldLines[i] === newLines[j]) {
+            result.push({ type: 'equal', text: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+            i++;
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            // Removed lines come before the lines replacing them
+            result.push({ type: 'delete', text: oldLines[i], oldLine: i + 1, newLine: null });
+            i++;
+        } else {
+            result.push({ type: 'insert', text: newLines[j], oldLine: null, newLine: j + 1 });
+            j++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Counts the inserted and deleted lines of a diff.
+ * @param {Array<Object>} diff - The result of diffLines.
+ * @returns {object} An object { inserted, deleted }.
+ */
+export function summarizeDiff(diff) {
+    return diff.reduce((summary, line) => {
+        if (line.type === 'insert') summary.inserted++;
+        if (line.type === 'delete') summary.deleted++;
+        return summary;
+    }, { inserted: 0, deleted: 0 });
+}
@@ -0,0 +1,103 @@
+/**
+ * src/utils/timeAxis.js
+ *
+ * This file contains the tick generation for the time axis ruler shown above the task visualization.
+ * In abstract mode the axis counts time units; in date mode it shows calendar dates at day, week or
+ * month granularity depending on how much room one day gets at the current zoom level.
+ */
+
+import Calendar from './dateHelpers';
+
+const MIN_LABEL_SPACING = 48; // Minimum pixels between two labelled ticks
+const DAY_SCALE_MIN_PIXELS = 24; // Pixels per day needed to label every day
+const WEEK_SCALE_MIN_PIXELS = 8; // Pixels per day needed to label every week
+const MAX_AXIS_DAYS = 36600; // Safety net against absurd ranges (100 years)
+const NICE_UNIT_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 5000, 10000];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Picks the calendar granularity for the date axis.
+ * @param {number} pixelsPerDay - On-screen width of one day at the current zoom.
+ * @returns {'day'|'week'|'month'} The granularity to label.
+ */
+export function chooseDateScale(pixelsPerDay) {
+    if (pixelsPerDay >= DAY_SCALE_MIN_PIXELS) return 'day';
+    if (pixelsPerDay >= WEEK_SCALE_MIN_PIXELS) return 'week';
+    return 'month';
+}
+
+/**
+ * Picks a round step between labelled ticks for the abstract time-unit axis.
+ * @param {number} pixelsPerUnit - On-screen width of one time unit at the current zoom.
+ * @returns {number} The number of time units between two ticks.
+ */
+export function chooseUnitStep(pixelsPerUnit) {
+    const step = NICE_UNIT_STEPS.find(candidate => candidate * pixelsPerUnit >= MIN_LABEL_SPACING);
+    return step || NICE_UNIT_STEPS[NICE_UNIT_STEPS.length - 1];
+}
+
+/**
+ * Builds the ticks of the time axis for the visible range.
+ * @param {Object} options - The axis options.
+ * @param {number} options.from - First visible offset (time units, or days since projectStartDate).
+ * @param {number} options.to - Last visible offset.
+ * @param {number} options.pixelsPerUnit - On-screen width of one time unit (or day) at the current zoom.
+ * @param {Date} [options.projectStartDate] - Day 0 of the schedule in date mode; omit for abstract time units.
+ * @param {string[]} [options.workDays] - Working weekdays, used to flag non-working days at day granularity.
+ * @param {string[]} [options.holidays] - Holidays in 'YYYY-MM-DD' format.
+ * @returns {object} An object { scale, ticks } where scale is 'unit', 'day', 'week' or 'month' and each tick
+ * is { offset, label } (date ticks also carry `date` and, at day granularity, `nonWorking`).
+ */
+export function buildTimeAxisTicks({ from, to, pixelsPerUnit, projectStartDate, workDays, holidays }) {
+    const first = Math.max(0, from);
+    if (!(to >= first) || !(pixelsPerUnit > 0)) {
+        return { scale: projectStartDate ? chooseDateScale(pixelsPerUnit) : 'unit', ticks: [] };
+    }
+
+    if (!projectStartDate) {
+        const step = chooseUnitStep(pixelsPerUnit);
+        const ticks = [];
+        for (let offset = Math.ceil(first / step) * step; offset <= to; offset += step) {
+            ticks.push({ offset, label: String(offset) });
+        }
+        return { scale: 'unit', ticks };
+    }
+
+    const scale = chooseDateScale(pixelsPerUnit);
+    const ticks = [];
+    const lastDay = Math.min(Math.floor(to), Math.ceil(first) + MAX_AXIS_DAYS);
+
+    for (let offset = Math.ceil(first); offset <= lastDay; offset++) {
+        const date = new Date(projectStartDate);
+        date.setUTCDate(date.getUTCDate() + offset);
+        const month = MONTH_NAMES[date.getUTCMonth()];
+        const day = date.getUTCDate();
+
+        if (scale === 'day') {
+            const showMonth = ticks.length === 0 || day === 1;
+            ticks.push({
+                offset,
+                date,
+                label: showMonth ? `${month} ${day}` : String(day),
+                nonWorking: !!workDays && (!Calendar.isWorkingDay(date, workDays) || Calendar.isHoliday(date, holidays || [])),
+            });
+        } else if (scale === 'week' && date.getUTCDay() === 1) {
+            ticks.push({ offset, date, label: `${month} ${day}` });
+        } else if (scale === 'month' && day === 1) {
+            ticks.push({ offset, date, label: `${month} ${date.getUTCFullYear()}` });
+        }
+    }
+
+    return { scale, ticks };
+}
+
+/**
+ * Returns the day offset of today relative to the project start, or null if it is unknown.
+ * @param {Date} projectStartDate - Day 0 of the schedule.
+ * @param {Date} [today] - The current date; defaults to now.
+ * @returns {number|null} Days since the project start.
+ */
+export function getTodayOffset(projectStartDate, today = new Date()) {
+    if (!projectStartDate) return null;
+    return Calendar.differenceInDays(new Date(projectStartDate), today);
+}
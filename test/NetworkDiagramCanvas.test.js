@@ -0,0 +1,77 @@
+// Mock ResizeObserver for test environment
+if (typeof global.ResizeObserver === 'undefined') {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+
+// test/NetworkDiagramCanvas.test.js
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import NetworkDiagramCanvas from '../src/components/NetworkDiagramCanvas.vue';
+
+// Mock VueKonva components since they're globally registered
+const mockVueKonva = {
+  vStage: { template: '<div data-testid="v-stage"><slot /></div>', props: ['config'] },
+  vLayer: { template: '<div data-testid="v-layer"><slot /></div>' },
+  vGroup: { template: '<div><slot /></div>', props: ['config'] },
+  vRect: { template: '<div data-testid="v-rect"></div>', props: ['config'] },
+  vText: { template: '<div data-testid="v-text"></div>', props: ['config'] },
+  vArrow: { template: '<div data-testid="v-arrow"></div>', props: ['config'] },
+  vLine: { template: '<div data-testid="v-line"></div>', props: ['config'] },
+};
+
+describe('NetworkDiagramCanvas', () => {
+  // Dev and QA form the critical chain; Docs has 4 units of float
+  const tasks = [
+    { name: 'Dev', resolvedDuration: 5, startTime: 0, endTime: 5, predecessors: [], earliestStart: 0, earliestFinish: 5, latestStart: 0, latestFinish: 5, totalFloat: 0, isCritical: true },
+    { name: 'Docs', resolvedDuration: 1, startTime: 0, endTime: 1, predecessors: [], earliestStart: 0, earliestFinish: 1, latestStart: 4, latestFinish: 5, totalFloat: 4, isCritical: false },
+    { name: 'QA', resolvedDuration: 2.5, startTime: 5, endTime: 7.5, predecessors: ['Dev', 'Docs'], earliestStart: 5, earliestFinish: 7.5, latestStart: 5, latestFinish: 7.5, totalFloat: 0, isCritical: true },
+  ];
+
+  const mountCanvas = (props = {}) => mount(NetworkDiagramCanvas, {
+    props: { scheduledTasks: tasks, errors: [], ...props },
+    global: { components: mockVueKonva }
+  });
+  const nodeOf = (wrapper, name) => wrapper.vm.network.nodes.find(node => node.task.name === name);
+
+  it('should draw one node per task and one edge per dependency', () => {
+    const wrapper = mountCanvas();
+
+    expect(wrapper.find('[data-testid="network-node-QA"]').exists()).toBe(true);
+    expect(wrapper.findAll('[data-testid^="network-edge-"]').map(edge => edge.attributes('data-testid'))).toEqual([
+      'network-edge-Dev->QA', 'network-edge-Docs->QA',
+    ]);
+    expect(nodeOf(wrapper, 'QA').x).toBeGreaterThan(nodeOf(wrapper, 'Dev').x);
+  });
+
+  it('should show the early and late dates, duration and float in activity-on-node layout', () => {
+    const wrapper = mountCanvas();
+    const texts = Object.fromEntries(wrapper.vm.getNodeCells(nodeOf(wrapper, 'Docs')).map(cell => [cell.key, cell.config.text]));
+
+    expect(texts).toEqual({ es: '0', duration: '1', ef: '1', name: 'Docs', ls: '4', float: '4', lf: '5' });
+    expect(wrapper.vm.getNodeCells(nodeOf(wrapper, 'QA')).find(cell => cell.key === 'duration').config.text).toBe('2.5');
+  });
+
+  it('should emphasise the critical chain', () => {
+    const wrapper = mountCanvas();
+    const edge = key => wrapper.vm.network.edges.find(e => e.key === key);
+
+    expect(wrapper.vm.getNodeBoxConfig(nodeOf(wrapper, 'Dev'))).toMatchObject({ stroke: '#7c3aed', strokeWidth: 3 });
+    expect(wrapper.vm.getNodeBoxConfig(nodeOf(wrapper, 'Docs')).stroke).toBe('#2b6cb0');
+    expect(wrapper.vm.getEdgeConfig(edge('Dev->QA'))).toMatchObject({ stroke: '#7c3aed', strokeWidth: 2.5 });
+    expect(wrapper.vm.getEdgeConfig(edge('Docs->QA'))).toMatchObject({ stroke: '#94a3b8', strokeWidth: 1.5 });
+  });
+
+  it('should select a task when its node is clicked and outline the selected task', async () => {
+    const wrapper = mountCanvas();
+
+    wrapper.vm.getNodeGroupConfig(nodeOf(wrapper, 'Docs')).onClick();
+    expect(wrapper.emitted('select-task')).toEqual([['Docs']]);
+
+    await wrapper.setProps({ selectedTaskName: 'Dev' });
+    expect(wrapper.vm.getNodeBoxConfig(nodeOf(wrapper, 'Dev'))).toMatchObject({ stroke: '#0f172a', strokeWidth: 4 });
+  });
+});
@@ -0,0 +1,94 @@
+// test/TaskTable.test.js
+import { describe, it, expect } from 'vitest';
+import { mount } from '@vue/test-utils';
+import TaskTable from '../src/components/TaskTable.vue';
+
+describe('TaskTable', () => {
+  const scheduledTasks = [
+    { name: 'Design', description: 'Sketch', duration: '2', resolvedDuration: 2, startTime: 0, endTime: 2, predecessors: [], isCritical: true, totalFloat: 0, assignedBandwidthGroups: [{ name: 'Team' }] },
+    { name: 'Docs', description: 'Write the guide', duration: '1', resolvedDuration: 1, startTime: 2, endTime: 3, predecessors: ['Design'], totalFloat: 2, details: { Owner: ['Sam'] } },
+    { name: 'Build', description: 'Compile it', duration: 'M', resolvedDuration: 3, startTime: 2, endTime: 5, predecessors: ['Design'], isCritical: true, totalFloat: 0, assignedBandwidthGroups: [{ name: 'Team' }] },
+    { name: 'Launch', description: '', duration: '0', resolvedDuration: 0, startTime: 5, endTime: 5, predecessors: ['Build', 'Docs'], isMilestone: true, isCritical: true, totalFloat: 0 },
+  ];
+
+  const mountTable = (props = {}) => mount(TaskTable, {
+    props: { scheduledTasks, editable: true, ...props },
+    attachTo: document.body,
+  });
+  const rowNames = wrapper => wrapper.findAll('tbody tr').map(row => row.attributes('data-testid').replace('table-row-', ''));
+
+  it('should list every task with a column per detail key', () => {
+    const wrapper = mountTable();
+
+    expect(rowNames(wrapper)).toEqual(['Design', 'Docs', 'Build', 'Launch']);
+    const headers = wrapper.findAll('th[scope="col"]').map(th => th.text());
+    expect(headers).toContain('Successors');
+    expect(headers[headers.length - 1]).toBe('Owner');
+    expect(wrapper.get('[data-testid="table-row-Design"]').text()).toContain('Docs, Build');
+    wrapper.unmount();
+  });
+
+  it('should sort by a column and announce the order to assistive technology', async () => {
+    const wrapper = mountTable();
+    const header = () => wrapper.get('[data-testid="sort-totalFloat"]').element.closest('th');
+
+    await wrapper.get('[data-testid="sort-totalFloat"]').trigger('click');
+    await wrapper.get('[data-testid="sort-totalFloat"]').trigger('click');
+    expect(rowNames(wrapper)[0]).toBe('Docs');
+    expect(header().getAttribute('aria-sort')).toBe('descending');
+
+    await wrapper.get('[data-testid="sort-totalFloat"]').trigger('click');
+    expect(rowNames(wrapper)).toEqual(['Design', 'Docs', 'Build', 'Launch']);
+    expect(header().getAttribute('aria-sort')).toBe('none');
+    wrapper.unmount();
+  });
+
+  it('should filter by text, group and status', async () => {
+    const wrapper = mountTable();
+
+    await wrapper.get('[data-testid="table-filter-group"]').setValue('Team');
+    expect(rowNames(wrapper)).toEqual(['Design', 'Build']);
+    await wrapper.get('[data-testid="table-filter-text"]').setValue('compile');
+    expect(rowNames(wrapper)).toEqual(['Build']);
+    await wrapper.get('[data-testid="table-filter-group"]').setValue('');
+    await wrapper.get('[data-testid="table-filter-text"]').setValue('');
+    await wrapper.get('[data-testid="table-filter-status"]').setValue('slack');
+    expect(rowNames(wrapper)).toEqual(['Docs']);
+    expect(wrapper.get('[data-testid="table-summary"]').text()).toBe('1 of 4 tasks');
+    wrapper.unmount();
+  });
+
+  it('should select several rows with Ctrl- and Shift-click and report the clicked task', async () => {
+    const wrapper = mountTable();
+
+    await wrapper.get('[data-testid="table-row-Design"]').trigger('click');
+    await wrapper.get('[data-testid="table-row-Build"]').trigger('click', { shiftKey: true });
+    expect(wrapper.get('[data-testid="table-summary"]').text()).toBe('4 tasks, 3 selected');
+
+    await wrapper.get('[data-testid="table-row-Docs"]').trigger('click', { ctrlKey: true });
+    expect(wrapper.get('[data-testid="table-summary"]').text()).toBe('4 tasks, 2 selected');
+    expect(wrapper.get('[data-testid="table-row-Docs"] input[type="checkbox"]').element.checked).toBe(false);
+    expect(wrapper.emitted('select-task').map(args => args[0])).toEqual(['Design', 'Build', 'Docs']);
+    wrapper.unmount();
+  });
+
+  it('should edit descriptions and durations, but not milestone durations or in read-only mode', async () => {
+    const wrapper = mountTable();
+
+    await wrapper.get('[data-testid="edit-durationLabel-Build"]').trigger('click');
+    const input = wrapper.get('input[aria-label="Duration of Build"]');
+    expect(document.activeElement).toBe(input.element);
+    await input.setValue('L');
+    await input.trigger('keydown', { key: 'Enter' });
+    expect(wrapper.emitted('edit-cell')).toEqual([[{ name: 'Build', key: 'durationLabel', value: 'L' }]]);
+
+    await wrapper.get('[data-testid="edit-description-Docs"]').trigger('click');
+    await wrapper.get('input[aria-label="Description of Docs"]').trigger('keydown', { key: 'Escape' });
+    expect(wrapper.emitted('edit-cell')).toHaveLength(1);
+
+    expect(wrapper.find('[data-testid="edit-durationLabel-Launch"]').exists()).toBe(false);
+    await wrapper.setProps({ editable: false });
+    expect(wrapper.find('[data-testid^="edit-"]').exists()).toBe(false);
+    wrapper.unmount();
+  });
+});
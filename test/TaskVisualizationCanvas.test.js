@@ -8,7 +8,7 @@ if (typeof global.ResizeObserver === 'undefined') {
 }
 
 // test/TaskVisualizationCanvas.test.js
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { mount } from '@vue/test-utils';
 import TaskVisualizationCanvas from '../src/components/TaskVisualizationCanvas.vue';
 
@@ -29,6 +29,14 @@ const mockVueKonva = {
   vText: {
     template: '<div data-testid="v-text"></div>',
     props: ['config']
+  },
+  vArrow: {
+    template: '<div data-testid="v-arrow"></div>',
+    props: ['config']
+  },
+  vLine: {
+    template: '<div data-testid="v-line"></div>',
+    props: ['config']
   }
 };
 
@@ -38,6 +46,28 @@ const mockTaskHoverCard = {
   props: ['task', 'mousePosition', 'containerRect']
 };
 
+// jsdom lays nothing out, so give every container a viewport; the canvas draws nothing in a container without size
+const VIEWPORT_WIDTH = 1600;
+const VIEWPORT_HEIGHT = 1000;
+beforeEach(() => {
+  vi.spyOn(HTMLElement.prototype, 'offsetWidth', 'get').mockReturnValue(VIEWPORT_WIDTH);
+  vi.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockReturnValue(VIEWPORT_HEIGHT);
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// Returns a mount function for a suite. The suite's defaults (usually its tasks) go over the base props,
+// and the props given to a single mount go over those.
+const createCanvasMounter = (defaults = {}) => (props = {}) => mount(TaskVisualizationCanvas, {
+  props: { scheduledTasks: [], taskGroups: [], errors: [], ...defaults, ...props },
+  global: { components: mockVueKonva }
+});
+const mountCanvas = createCanvasMounter();
+
+// Layout of a task by name
+const layoutOf = (wrapper, name) => wrapper.vm.tasksWithLayout.find(t => t.name === name);
+
 describe('TaskVisualizationCanvas - Lane Assignment', () => {
   let wrapper;
 
@@ -559,4 +589,607 @@ describe('TaskVisualizationCanvas - Lane Assignment', () => {
     const groupBoxes = wrapper.findAll('[data-testid^="group-box-"]');
     expect(groupBoxes.length).toBe(0);
   });
-}); 
\ No newline at end of file
+}); 
+describe('TaskVisualizationCanvas - Date Mode', () => {
+  // Monday 2025-06-02 .. Tuesday 2025-06-10 around a weekend, relative to a Sunday project start
+  const dateTask = {
+    name: 'Task A',
+    description: '',
+    duration: 'M',
+    resolvedDuration: 6,
+    startTime: 1,
+    endTime: 10,
+    assignedBandwidthGroup: null
+  };
+
+  const calendar = {
+    projectStartDate: new Date('2025-06-01T00:00:00.000Z'),
+    workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+    holidays: ['2025-06-05'],
+    nonWorkingDayColor: 'ddd'
+  };
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: [dateTask] });
+
+  it('should size bars by calendar days rather than working days', async () => {
+    const wrapper = mountCanvas({ calendar });
+    await wrapper.vm.$nextTick();
+
+    const [task] = wrapper.vm.tasksWithLayout;
+    const [timeUnitTask] = mountCanvas().vm.tasksWithLayout;
+
+    expect(task.x).toBe(timeUnitTask.x);
+    expect(task.width / timeUnitTask.width).toBe(9 / 6);
+  });
+
+  it('should shade weekends and holidays with the configured color', async () => {
+    const wrapper = mountCanvas({ calendar });
+    await wrapper.vm.$nextTick();
+
+    const bands = wrapper.vm.nonWorkingDayBands;
+    expect(bands.map(b => b.key)).toEqual(['2025-06-01', '2025-06-05', '2025-06-07', '2025-06-08']);
+    bands.forEach(band => expect(band.config.fill).toBe('#ddd'));
+    expect(wrapper.findAll('[data-testid^="non-working-day-"]')).toHaveLength(4);
+  });
+
+  it('should not shade anything in time-unit mode', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.nonWorkingDayBands).toHaveLength(0);
+  });
+});
+
+describe('TaskVisualizationCanvas - Critical Chain', () => {
+  it('should outline critical tasks differently from the rest', async () => {
+    const base = { description: '', duration: 'M', resolvedDuration: 2, assignedBandwidthGroup: null };
+    const critical = { ...base, name: 'Critical', startTime: 0, endTime: 2, isCritical: true };
+    const relaxed = { ...base, name: 'Relaxed', startTime: 0, endTime: 2, isCritical: false };
+
+    const wrapper = mountCanvas({ scheduledTasks: [critical, relaxed] });
+    await wrapper.vm.$nextTick();
+
+    const criticalConfig = wrapper.vm.getTaskRectConfig(critical);
+    const relaxedConfig = wrapper.vm.getTaskRectConfig(relaxed);
+
+    expect(criticalConfig.stroke).not.toBe(relaxedConfig.stroke);
+    expect(criticalConfig.strokeWidth).toBeGreaterThan(relaxedConfig.strokeWidth);
+  });
+});
+
+describe('TaskVisualizationCanvas - Dependency Arrows', () => {
+  const base = { description: '', duration: 'M', assignedBandwidthGroup: null };
+  const scheduledTasks = [
+    { ...base, name: 'Task A', resolvedDuration: 5, startTime: 0, endTime: 5, predecessors: [] },
+    { ...base, name: 'Task B', resolvedDuration: 3, startTime: 5, endTime: 8, predecessors: ['Task A'] },
+    { ...base, name: 'Task C', resolvedDuration: 2, startTime: 0, endTime: 2, predecessors: [] },
+    { ...base, name: 'Task D', resolvedDuration: 2, startTime: 8, endTime: 10, predecessors: ['Task B', 'Task C'] },
+  ];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks });
+
+  it('should draw one arrow per predecessor from its end to the successor start', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    const arrows = wrapper.vm.dependencyArrows;
+    expect(arrows.map(a => a.key).sort()).toEqual(['Task A->Task B', 'Task B->Task D', 'Task C->Task D']);
+    expect(wrapper.findAll('[data-testid^="dependency-arrow-"]')).toHaveLength(3);
+
+    const layout = Object.fromEntries(wrapper.vm.tasksWithLayout.map(t => [t.name, t]));
+    const arrow = arrows.find(a => a.key === 'Task C->Task D');
+    expect(arrow.points.slice(0, 2)).toEqual([layout['Task C'].x + layout['Task C'].width, layout['Task C'].y + layout['Task C'].height / 2]);
+    expect(arrow.points.slice(-2)).toEqual([layout['Task D'].x, layout['Task D'].y + layout['Task D'].height / 2]);
+  });
+
+  it('should highlight arrows when the task at either end is hovered', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    const arrowConfig = (key) => wrapper.vm.getDependencyArrowConfig(wrapper.vm.dependencyArrows.find(a => a.key === key));
+    const idleStroke = arrowConfig('Task A->Task B').stroke;
+
+    wrapper.vm.getTaskRectConfig(scheduledTasks[1]).onMouseenter({ evt: { clientX: 0, clientY: 0 } });
+    await wrapper.vm.$nextTick();
+
+    // The highlighted copies are drawn on the hover layer; the arrows underneath keep their style
+    expect(wrapper.vm.hoverArrows.map(arrow => arrow.key)).toEqual(['Task A->Task B', 'Task B->Task D']);
+    expect(wrapper.vm.hoverArrows[0].config.stroke).not.toBe(idleStroke);
+    expect(wrapper.vm.hoverArrows[0].config.points).toEqual(arrowConfig('Task A->Task B').points);
+    expect(arrowConfig('Task A->Task B').stroke).toBe(idleStroke);
+    expect(wrapper.find('[data-testid="hover-arrow-Task B->Task D"]').exists()).toBe(true);
+  });
+
+  it('should hide all arrows when showDependencies is off', async () => {
+    const wrapper = mountCanvas({ showDependencies: false });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.dependencyArrows).toHaveLength(0);
+    expect(wrapper.findAll('[data-testid^="dependency-arrow-"]')).toHaveLength(0);
+  });
+});
+
+describe('TaskVisualizationCanvas - Time Axis', () => {
+  const task = {
+    name: 'Task A',
+    description: '',
+    duration: 'M',
+    resolvedDuration: 5,
+    startTime: 0,
+    endTime: 5,
+    assignedBandwidthGroup: null
+  };
+
+  const calendar = {
+    projectStartDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+    workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+    holidays: [],
+    nonWorkingDayColor: 'ddd'
+  };
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: [task] });
+
+  it('should label time units in abstract mode', async () => {
+    const wrapper = mountCanvas({});
+    wrapper.vm.viewportWidth = 400;
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.find('[data-testid="time-axis"]').exists()).toBe(true);
+    expect(wrapper.vm.timeAxis.scale).toBe('unit');
+    expect(wrapper.vm.timeAxis.ticks[0]).toEqual({ offset: 0, label: '0' });
+  });
+
+  it('should switch from days to weeks to months when zooming out in date mode', async () => {
+    const wrapper = mountCanvas({ calendar });
+    wrapper.vm.viewportWidth = 800;
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.scale = 1.5;
+    expect(wrapper.vm.timeAxis.scale).toBe('day');
+    expect(wrapper.vm.timeAxis.ticks[0].label).toBe('Jun 2');
+    expect(wrapper.vm.timeAxis.ticks[5].nonWorking).toBe(true);
+    expect(wrapper.vm.getRulerNonWorkingCellConfig(wrapper.vm.timeAxis.ticks[5]).fill).toBe('#ddd');
+
+    wrapper.vm.scale = 0.5;
+    expect(wrapper.vm.timeAxis.scale).toBe('week');
+
+    wrapper.vm.scale = 0.1;
+    expect(wrapper.vm.timeAxis.scale).toBe('month');
+  });
+
+  it('should only draw the today line in date mode when enabled', async () => {
+    const wrapper = mountCanvas({ calendar, showTodayLine: false });
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.todayLineConfig).toBeNull();
+
+    await wrapper.setProps({ showTodayLine: true });
+    expect(wrapper.vm.todayLineConfig.stroke).toBe('#e11d48');
+    expect(wrapper.find('[data-testid="today-line"]').exists()).toBe(true);
+
+    await wrapper.setProps({ calendar: null });
+    expect(wrapper.vm.todayLineConfig).toBeNull();
+  });
+});
+
+describe('TaskVisualizationCanvas - Milestones', () => {
+  const tasks = [
+    { name: 'Dev', description: '', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: null, predecessors: [] },
+    { name: 'QA', description: '', duration: 'S', resolvedDuration: 2, startTime: 0, endTime: 2, assignedBandwidthGroup: null, predecessors: [] },
+    { name: 'GA', description: '', duration: '0', resolvedDuration: 0, startTime: 5, endTime: 5, assignedBandwidthGroup: null, predecessors: ['Dev'], isMilestone: true },
+    { name: 'Beta', description: '', duration: '0', resolvedDuration: 0, startTime: 2, endTime: 2, assignedBandwidthGroup: null, predecessors: ['QA'], isMilestone: true }
+  ];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks });
+
+  it('should give every milestone its own lane below the tasks, centred on its moment', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    const layout = Object.fromEntries(wrapper.vm.tasksWithLayout.map(t => [t.name, t]));
+    expect(layout.QA.laneIndex).toBe(0);
+    expect(layout.Dev.laneIndex).toBe(1);
+    expect(layout.Beta.laneIndex).toBe(2);
+    expect(layout.GA.laneIndex).toBe(3);
+    expect(layout.GA.x + layout.GA.width / 2).toBe(layout.Dev.x + layout.Dev.width);
+    expect(layout.GA.groupKey).toBe('milestone');
+  });
+
+  it('should render milestones as labelled diamonds', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.find('[data-testid="milestone-GA"]').exists()).toBe(true);
+
+    const milestone = layoutOf(wrapper, 'GA');
+    const shape = wrapper.vm.getMilestoneShapeConfig(milestone);
+    expect(shape.closed).toBe(true);
+    expect(shape.points).toHaveLength(8);
+    expect(shape.fill).toBe('#f59e0b');
+    expect(typeof shape.onMouseenter).toBe('function');
+
+    const label = wrapper.vm.getMilestoneLabelConfig(milestone);
+    expect(label.text).toBe('GA');
+    expect(label.x).toBeGreaterThan(milestone.x + milestone.width);
+  });
+
+  it('should draw dependency arrows into and out of milestones', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.dependencyArrows.map(a => a.key)).toEqual(expect.arrayContaining(['Dev->GA', 'QA->Beta']));
+  });
+});
+
+describe('TaskVisualizationCanvas - Late Markers', () => {
+  const tasks = [
+    { name: 'Dev', description: '', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: null, predecessors: [] },
+    { name: 'QA', description: '', duration: 'S', resolvedDuration: 3, startTime: 5, endTime: 8, assignedBandwidthGroup: null, predecessors: ['Dev'], deadlineTime: 6, lateBy: 2 },
+    { name: 'Docs', description: '', duration: 'S', resolvedDuration: 2, startTime: 0, endTime: 2, assignedBandwidthGroup: null, predecessors: [], deadlineTime: 4, lateBy: 0 }
+  ];
+
+  it('should mark the overdue part of late bars only', async () => {
+    const wrapper = mountCanvas({ scheduledTasks: tasks });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.lateMarkers.map(marker => marker.key)).toEqual(['QA']);
+    expect(wrapper.find('[data-testid="late-marker-QA"]').exists()).toBe(true);
+    expect(wrapper.find('[data-testid="late-marker-Docs"]').exists()).toBe(false);
+
+    const qa = layoutOf(wrapper, 'QA');
+    const { config } = wrapper.vm.lateMarkers[0];
+    // 20px offset + 6 units * 20px up to the end of the bar
+    expect(config.x).toBe(140);
+    expect(config.x + config.width).toBe(qa.x + qa.width);
+    expect(config.fill).toBe('#dc2626');
+  });
+});
+
+describe('TaskVisualizationCanvas - Swimlanes by Assignee', () => {
+  const group = { name: 'Backend', type: 'list', identifiers: ['Dev', 'API'], bandwidth: 2 };
+  const tasks = [
+    { name: 'Dev', description: '', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: group, predecessors: [], assignees: ['Bob'] },
+    { name: 'API', description: '', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: group, predecessors: [], assignees: ['Alice', 'Bob'] },
+    { name: 'Docs', description: '', duration: 'S', resolvedDuration: 2, startTime: 5, endTime: 7, assignedBandwidthGroup: null, predecessors: ['API'], assignees: ['Alice'] },
+    { name: 'Party', description: '', duration: 'S', resolvedDuration: 2, startTime: 7, endTime: 9, assignedBandwidthGroup: null, predecessors: [] }
+  ];
+  const resources = [{ name: 'Alice', capacity: 1 }, { name: 'Bob', capacity: 2 }];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks, taskGroups: [group], resources });
+
+  it('should keep the task group lanes by default', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    const layout = Object.fromEntries(wrapper.vm.tasksWithLayout.map(t => [t.name, t]));
+    expect(layout.Dev.groupKey).toBe('Backend');
+    expect(layout.API.groupKey).toBe('Backend');
+    expect(wrapper.vm.groupBoxes.map(box => box.labelConfig.text)).toEqual(['Backend']);
+  });
+
+  it('should give every assignee a swimlane in the order the resources are declared', async () => {
+    const wrapper = mountCanvas({ laneMode: 'assignees' });
+    await wrapper.vm.$nextTick();
+
+    const layout = Object.fromEntries(wrapper.vm.tasksWithLayout.map(t => [t.name, t]));
+    // A task shared by several people sits in the swimlane of the first one
+    expect(layout.API.groupKey).toBe('assignee:Alice');
+    expect(layout.Docs.groupKey).toBe('assignee:Alice');
+    expect(layout.Dev.groupKey).toBe('assignee:Bob');
+    expect(layout.Party.groupKey).toBe('global');
+    expect(layout.API.laneIndex).toBe(0);
+    expect(layout.Docs.laneIndex).toBe(0);
+    expect(layout.Dev.laneIndex).toBeGreaterThan(layout.API.laneIndex);
+    expect(layout.Party.laneIndex).toBeGreaterThan(layout.Dev.laneIndex);
+
+    expect(wrapper.vm.groupBoxes.map(box => box.labelConfig.text)).toEqual(['Alice', 'Bob']);
+    expect(wrapper.find('[data-testid="group-box-assignee:Bob"]').exists()).toBe(true);
+  });
+});
+
+describe('TaskVisualizationCanvas - Overlapping Task Groups', () => {
+  const backend = { name: 'Backend', type: 'list', identifiers: ['users-DB', 'api'], bandwidth: 2 };
+  const database = { name: 'Database', type: 'regex', identifiers: ['.*-DB'], bandwidth: 1 };
+  const tasks = [
+    { name: 'users-DB', description: '', duration: '3', resolvedDuration: 3, startTime: 0, endTime: 3, assignedBandwidthGroup: backend, assignedBandwidthGroups: [backend, database], predecessors: [] },
+    { name: 'api', description: '', duration: '2', resolvedDuration: 2, startTime: 0, endTime: 2, assignedBandwidthGroup: backend, assignedBandwidthGroups: [backend], predecessors: [] },
+    { name: 'orders-DB', description: '', duration: '2', resolvedDuration: 2, startTime: 3, endTime: 5, assignedBandwidthGroup: database, assignedBandwidthGroups: [database], predecessors: [] }
+  ];
+
+  it('should outline the additional groups of a task with a dashed box around its bar', async () => {
+    const wrapper = mountCanvas({ scheduledTasks: tasks, taskGroups: [backend, database] });
+    await wrapper.vm.$nextTick();
+
+    const keys = wrapper.vm.groupBoxes.map(box => box.groupKey);
+    expect(keys).toEqual(['Backend', 'Database', 'Database@users-DB']);
+    expect(wrapper.find('[data-testid="group-box-Database@users-DB"]').exists()).toBe(true);
+
+    const bar = layoutOf(wrapper, 'users-DB');
+    const membership = wrapper.vm.groupBoxes[2];
+    expect(membership.labelConfig).toBeNull();
+    expect(membership.boxConfig.dash).toBeDefined();
+    expect(membership.boxConfig.x).toBeLessThan(bar.x);
+    expect(membership.boxConfig.x + membership.boxConfig.width).toBeGreaterThan(bar.x + bar.width);
+  });
+});
+
+describe('TaskVisualizationCanvas - Export Scene', () => {
+  const group = { name: 'Backend', type: 'list', identifiers: ['Dev', 'QA'], bandwidth: 1 };
+  const tasks = [
+    { name: 'Dev', description: 'Build it', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: group, predecessors: [], isCritical: true },
+    { name: 'QA', description: '', duration: 'S', resolvedDuration: 3, startTime: 5, endTime: 8, assignedBandwidthGroup: group, predecessors: ['Dev'], deadlineTime: 6, lateBy: 2 },
+    { name: 'GA', description: '', duration: '0', resolvedDuration: 0, startTime: 8, endTime: 8, assignedBandwidthGroup: null, predecessors: ['QA'], isMilestone: true }
+  ];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks, taskGroups: [group] });
+
+  it('should describe the whole chart, including arrows that are hidden on the canvas', async () => {
+    const wrapper = mountCanvas({ showDependencies: false });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.dependencyArrows).toEqual([]);
+    const scene = wrapper.vm.getExportScene();
+    expect(scene.items.filter(item => item.type === 'arrow')).toHaveLength(2);
+
+    const bars = scene.items.filter(item => item.role === 'task');
+    const dev = layoutOf(wrapper, 'Dev');
+    expect(bars).toHaveLength(2);
+    expect(bars[0]).toMatchObject({ x: dev.x, y: dev.y, width: dev.width, height: dev.height });
+    expect(scene.items.some(item => item.type === 'text' && item.text === 'Dev' && item.bold)).toBe(true);
+    expect(scene.items.some(item => item.type === 'path' && item.closed)).toBe(true);
+
+    expect(scene.groupLabels.map(label => label.text)).toEqual(['Backend', 'milestone']);
+    expect(scene.bounds.x).toBeLessThan(dev.x);
+    expect(scene.bounds.x + scene.bounds.width).toBeGreaterThan(dev.x + dev.width);
+    expect(scene.legend.map(entry => entry.label)).toEqual(['Task', 'Critical chain', 'Milestone', 'Dependency', 'Task group', 'Late']);
+  });
+
+  it('should have nothing to export without tasks', async () => {
+    const wrapper = mountCanvas({ scheduledTasks: [] });
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.getExportScene()).toBeNull();
+  });
+});
+
+describe('TaskVisualizationCanvas - Selection', () => {
+  const tasks = [
+    { name: 'Dev', description: '', duration: 'M', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: null, predecessors: [], isCritical: true },
+    { name: 'QA', description: '', duration: 'S', resolvedDuration: 3, startTime: 5, endTime: 8, assignedBandwidthGroup: null, predecessors: ['Dev'] },
+    { name: 'GA', description: '', duration: '0', resolvedDuration: 0, startTime: 8, endTime: 8, assignedBandwidthGroup: null, predecessors: ['QA'], isMilestone: true }
+  ];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks });
+
+  it('should select a task when its bar or milestone is clicked', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'QA')).onClick();
+    wrapper.vm.getMilestoneShapeConfig(layoutOf(wrapper, 'GA')).onTap();
+    expect(wrapper.emitted('select-task')).toEqual([['QA'], ['GA']]);
+  });
+
+  it('should outline the selected task over its critical stroke while another task is hovered', async () => {
+    const wrapper = mountCanvas({ selectedTaskName: 'Dev' });
+    await wrapper.vm.$nextTick();
+
+    wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'QA')).onMouseenter({ evt: { clientX: 0, clientY: 0 } });
+    expect(wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'Dev'))).toMatchObject({ stroke: '#0f172a', strokeWidth: 4 });
+    expect(wrapper.vm.hoverHighlights.map(highlight => highlight.key)).toEqual(['QA']);
+    expect(wrapper.vm.hoverHighlights[0].config.stroke).toBe('#ff8c00');
+
+    await wrapper.setProps({ selectedTaskName: 'GA' });
+    wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'QA')).onMouseleave();
+    expect(wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'Dev')).stroke).toBe('#7c3aed');
+    expect(wrapper.vm.getMilestoneShapeConfig(layoutOf(wrapper, 'GA')).stroke).toBe('#0f172a');
+  });
+
+  it('should pan a task into the middle of the view without changing the zoom', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    const container = wrapper.vm.canvasContainer;
+    Object.defineProperty(container, 'offsetWidth', { value: 400 });
+    Object.defineProperty(container, 'offsetHeight', { value: 300 });
+
+    wrapper.vm.centerOnTask('QA');
+    const qa = layoutOf(wrapper, 'QA');
+    expect(wrapper.vm.position).toEqual({ x: 200 - (qa.x + qa.width / 2), y: 150 - (qa.y + qa.height / 2) });
+    expect(wrapper.vm.scale).toBe(1);
+
+    wrapper.vm.centerOnTask('Unknown');
+    expect(wrapper.vm.position.x).toBe(200 - (qa.x + qa.width / 2));
+  });
+});
+
+describe('TaskVisualizationCanvas - Editing Gestures', () => {
+  const tasks = [
+    { name: 'Dev', description: '', duration: '5', resolvedDuration: 5, startTime: 0, endTime: 5, assignedBandwidthGroup: null, predecessors: [] },
+    { name: 'QA', description: '', duration: '3', resolvedDuration: 3, startTime: 5, endTime: 8, assignedBandwidthGroup: null, predecessors: ['Dev'] },
+    { name: 'GA', description: '', duration: '0', resolvedDuration: 0, startTime: 8, endTime: 8, assignedBandwidthGroup: null, predecessors: ['QA'], isMilestone: true }
+  ];
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks, editable: true });
+
+  // A Konva node stand-in that starts at (x, y) and is dragged by dx
+  const dragEvent = (x, y, evt = {}) => {
+    let current = { x, y };
+    return {
+      target: {
+        x: () => current.x,
+        position: (to) => (to ? (current = { ...to }) : { ...current }),
+        absolutePosition: () => ({ ...current }),
+        moveBy: (dx) => { current = { x: current.x + dx, y: current.y }; },
+      },
+      evt: { clientX: 0, clientY: 0, ...evt },
+    };
+  };
+
+  it('should report a moved bar in whole time units and put the shape back', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    const qa = layoutOf(wrapper, 'QA');
+    const config = wrapper.vm.getTaskRectConfig(qa);
+    expect(config.draggable).toBe(true);
+
+    const textX = wrapper.vm.getTaskTextConfig(qa).x;
+
+    const e = dragEvent(qa.x, qa.y);
+    config.onDragstart(e);
+    e.target.moveBy(40);
+    config.onDragmove(e);
+    expect(wrapper.vm.getTaskTextConfig(qa).x).toBe(textX + 40);
+    config.onDragend(e);
+
+    expect(wrapper.emitted('move-task')).toEqual([[{ name: 'QA', startTime: 7 }]]);
+    expect(e.target.position()).toEqual({ x: qa.x, y: qa.y });
+  });
+
+  it('should keep dragged bars on their row and snap them to the time grid', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    const qa = layoutOf(wrapper, 'QA');
+    const e = dragEvent(qa.x, qa.y);
+    wrapper.vm.getTaskRectConfig(qa).onDragstart(e);
+
+    expect(wrapper.vm.dragBoundFunc({ x: qa.x + 27, y: qa.y + 50 })).toEqual({ x: qa.x + 20, y: qa.y });
+  });
+
+  it('should resize a bar from its handle and never below one time unit', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.resizeHandles.map(handle => handle.key)).toEqual(['Dev', 'QA']);
+
+    const handle = wrapper.vm.resizeHandles.find(h => h.key === 'Dev').config;
+    let e = dragEvent(handle.x, handle.y);
+    handle.onDragstart(e);
+    e.target.moveBy(40);
+    handle.onDragmove(e);
+    expect(wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'Dev')).width).toBe(layoutOf(wrapper, 'Dev').width + 40);
+    handle.onDragend(e);
+
+    e = dragEvent(handle.x, handle.y);
+    handle.onDragstart(e);
+    e.target.moveBy(-200);
+    handle.onDragmove(e);
+    handle.onDragend(e);
+
+    expect(wrapper.emitted('resize-task')).toEqual([[{ name: 'Dev', endTime: 7 }], [{ name: 'Dev', endTime: 1 }]]);
+  });
+
+  it('should link two tasks when a bar is Alt-dragged onto another', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    const dev = layoutOf(wrapper, 'Dev');
+    const ga = layoutOf(wrapper, 'GA');
+    const config = wrapper.vm.getTaskRectConfig(dev);
+    const onMilestone = { clientX: ga.x + ga.width / 2, clientY: ga.y + ga.height / 2 };
+
+    const e = dragEvent(dev.x, dev.y, { altKey: true });
+    config.onDragstart(e);
+    e.target.moveBy(100);
+    e.evt = { ...e.evt, ...onMilestone };
+    config.onDragmove(e);
+    expect(wrapper.vm.linkArrowConfig.points.slice(2)).toEqual([onMilestone.clientX, onMilestone.clientY]);
+    expect(wrapper.vm.dragBoundFunc({ x: dev.x + 100, y: dev.y })).toEqual({ x: dev.x, y: dev.y });
+    config.onDragend(e);
+
+    expect(wrapper.emitted('link-tasks')).toEqual([[{ source: 'Dev', target: 'GA' }]]);
+    expect(wrapper.emitted('move-task')).toBeUndefined();
+    expect(wrapper.vm.linkArrowConfig).toBeNull();
+  });
+
+  it('should not offer the gestures when the chart is not editable', async () => {
+    const wrapper = mountCanvas({ editable: false });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.getTaskRectConfig(layoutOf(wrapper, 'Dev')).draggable).toBe(false);
+    expect(wrapper.vm.getMilestoneShapeConfig(layoutOf(wrapper, 'GA')).draggable).toBe(false);
+    expect(wrapper.vm.resizeHandles).toEqual([]);
+  });
+});
+
+describe('TaskVisualizationCanvas - Viewport Culling', () => {
+  // A chain of 40 five-unit tasks in one lane, 100px each
+  const tasks = Array.from({ length: 40 }, (_, i) => ({
+    name: `T${i}`, description: '', duration: '5', resolvedDuration: 5, startTime: i * 5, endTime: i * 5 + 5,
+    assignedBandwidthGroup: null, predecessors: i > 0 ? [`T${i - 1}`] : [],
+  }));
+
+  const mountCanvas = createCanvasMounter({ scheduledTasks: tasks });
+  const visibleNames = wrapper => wrapper.vm.visibleTasks.map(task => task.name);
+
+  it('should draw nothing while the view has no size, e.g. when the chart is hidden', async () => {
+    const wrapper = mountCanvas();
+    wrapper.vm.viewportWidth = 0;
+    wrapper.vm.viewportHeight = 0;
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.visibleTasks).toHaveLength(0);
+    expect(wrapper.findAll('[data-testid^="dependency-arrow-"]')).toHaveLength(0);
+
+    wrapper.vm.viewportWidth = 400;
+    wrapper.vm.viewportHeight = 300;
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.visibleTasks).not.toHaveLength(0);
+  });
+
+  it('should only draw the tasks and arrows near the view, and follow panning and zooming', async () => {
+    const wrapper = mountCanvas();
+    wrapper.vm.viewportWidth = 400;
+    wrapper.vm.viewportHeight = 300;
+    await wrapper.vm.$nextTick();
+
+    // The view covers x 0..400, drawn with half a view of margin and snapped to 256px cells: x -256..768
+    expect(visibleNames(wrapper)).toEqual(['T0', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7']);
+    expect(wrapper.findAll('[data-testid^="dependency-arrow-"]')).toHaveLength(7);
+
+    wrapper.vm.position = { x: -3000, y: 0 };
+    await wrapper.vm.$nextTick();
+    expect(visibleNames(wrapper)[0]).toBe('T25');
+    expect(visibleNames(wrapper)).toContain('T33');
+    expect(visibleNames(wrapper)).not.toContain('T7');
+
+    wrapper.vm.scale = 0.1;
+    wrapper.vm.position = { x: 0, y: 0 };
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.visibleTasks).toHaveLength(40);
+  });
+
+  it('should keep the culling window while panning within a cell', async () => {
+    const wrapper = mountCanvas();
+    wrapper.vm.viewportWidth = 400;
+    wrapper.vm.viewportHeight = 300;
+    await wrapper.vm.$nextTick();
+    const visibleTasks = wrapper.vm.visibleTasks;
+
+    wrapper.vm.position = { x: -10, y: 5 };
+    await wrapper.vm.$nextTick();
+    expect(wrapper.vm.visibleTasks).toBe(visibleTasks);
+  });
+
+  it('should keep the shape configurations while hovering and moving the mouse', async () => {
+    const wrapper = mountCanvas();
+    await wrapper.vm.$nextTick();
+    const taskShapes = wrapper.vm.taskShapes;
+    const arrowShapes = wrapper.vm.dependencyArrowShapes;
+
+    taskShapes[1].shapeConfig.onMouseenter({ evt: { clientX: 10, clientY: 10 } });
+    await wrapper.vm.$nextTick();
+    taskShapes[1].shapeConfig.onMousemove({ evt: { clientX: 20, clientY: 10 } });
+    await wrapper.vm.$nextTick();
+
+    expect(wrapper.vm.hoverHighlights.map(highlight => highlight.key)).toEqual(['T0', 'T1']);
+    expect(wrapper.vm.taskShapes).toBe(taskShapes);
+    expect(wrapper.vm.dependencyArrowShapes).toBe(arrowShapes);
+  });
+
+  it('should still export the whole chart', async () => {
+    const wrapper = mountCanvas();
+    wrapper.vm.viewportWidth = 400;
+    wrapper.vm.viewportHeight = 300;
+    await wrapper.vm.$nextTick();
+
+    const scene = wrapper.vm.getExportScene();
+    expect(scene.items.filter(item => item.role === 'task')).toHaveLength(40);
+    expect(scene.items.filter(item => item.type === 'arrow')).toHaveLength(39);
+  });
+});
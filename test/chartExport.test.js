@@ -0,0 +1,112 @@
+// test/chartExport.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    fitText,
+    getArrowGeometry,
+    findPageBreaks,
+    paginateScene,
+    renderSceneToSVG,
+    renderSceneToPDF,
+} from '../src/utils/chartExport';
+
+const createScene = ({ taskCount = 3, unitWidth = 20 } = {}) => {
+    const items = [];
+    for (let i = 0; i < taskCount; i++) {
+        const y = 20 + i * 60;
+        items.push({ type: 'rect', role: 'task', x: 20 + i * 40, y, width: 60, height: 40, fill: '#dbeafe', stroke: '#3b82f6', strokeWidth: 1.5, cornerRadius: 4 });
+        items.push({ type: 'text', x: 20 + i * 40, y: y + 14, width: 60, align: 'center', text: `<${i}> & co`, fontSize: 12, color: '#1e293b', bold: true });
+    }
+    items.push({ type: 'arrow', points: [80, 40, 100, 40, 100, 100], color: '#64748b', strokeWidth: 1.5, pointerSize: 6 });
+    const height = taskCount * 60 + 20;
+    return {
+        items,
+        bounds: { x: 12, y: 12, width: 40 * taskCount + 80, height },
+        groupLabels: [{ text: 'Backend', top: 12, bottom: height }],
+        timeScale: { originX: 20, unitWidth },
+        legend: [
+            { label: 'Task', swatch: { type: 'bar', fill: '#dbeafe', stroke: '#3b82f6' } },
+            { label: 'Dependency', swatch: { type: 'arrow', stroke: '#64748b' } },
+        ],
+    };
+};
+
+const pdfText = bytes => String.fromCharCode(...bytes);
+
+describe('chartExport', () => {
+    it('should shorten text that does not fit with an ellipsis', () => {
+        expect(fitText('Short', 100, 10)).toBe('Short');
+        // 60 / (10 * 0.6) = 10 characters
+        expect(fitText('A rather long task name', 60, 10)).toBe('A rather…');
+        expect(fitText('Anything', 5, 10)).toBe('');
+    });
+
+    it('should end arrow shafts at the base of the head', () => {
+        const { shaft, head } = getArrowGeometry([0, 0, 10, 0, 10, 20], 6);
+        expect(shaft).toEqual([0, 0, 10, 0, 10, 14]);
+        expect(head.slice(0, 2)).toEqual([10, 20]);
+        expect(head[3]).toBe(14);
+        expect(Math.abs(head[2] - head[4])).toBe(6);
+    });
+
+    it('should move page breaks so they do not cut through obstacles', () => {
+        expect(findPageBreaks(0, 250, 100)).toEqual([[0, 100], [100, 200], [200, 250]]);
+        expect(findPageBreaks(0, 250, 100, [[90, 120]])).toEqual([[0, 90], [90, 190], [190, 250]]);
+        // Obstacles starting at the page top cannot be moved to the next page, so they are cut
+        expect(findPageBreaks(0, 150, 100, [[0, 120]])).toEqual([[0, 100], [100, 150]]);
+    });
+
+    it('should split a scene into rows and columns of pages without cutting task bars', () => {
+        const scene = createScene({ taskCount: 5 });
+        const regions = paginateScene(scene, 150, 130);
+        const rows = Math.max(...regions.map(region => region.row)) + 1;
+        const columns = Math.max(...regions.map(region => region.column)) + 1;
+        expect(columns).toBe(2);
+        expect(regions).toHaveLength(rows * columns);
+
+        const bars = scene.items.filter(item => item.role === 'task');
+        regions.filter(region => region.column === 0).forEach(region => {
+            const bottom = region.y + region.height;
+            bars.forEach(bar => {
+                expect(bar.y < bottom && bar.y + bar.height > bottom).toBe(false);
+            });
+        });
+    });
+
+    it('should render the whole scene as SVG with the axis, the chart and the legend', () => {
+        const svg = renderSceneToSVG(createScene(), { title: 'Release <plan>' });
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+        expect(svg).toContain('<title>Release &lt;plan&gt;</title>');
+        expect(svg).toContain('data-part="axis"');
+        expect(svg).toContain('data-part="chart"');
+        expect(svg).toContain('data-part="legend"');
+        expect(svg.match(/<rect [^>]*rx="4"/g)).toHaveLength(3);
+        // Arrows are a shaft and a filled head
+        expect(svg).toContain('<polyline points="80,40 100,40 100,94"');
+        expect(svg).toContain('<polygon points="100,100');
+        expect(svg).toContain('>&lt;0&gt; &amp; co<');
+        expect(svg).toContain('>Dependency</text>');
+    });
+
+    it('should render a PDF with one page per region, each with its own axis, group labels and legend', () => {
+        const scene = createScene({ taskCount: 12 });
+        const bytes = renderSceneToPDF(scene, { title: 'Release – Q3', pageSize: 'letter' });
+        const pdf = pdfText(bytes);
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        const pageCount = Number(pdf.match(/\/Count (\d+)/)[1]);
+        expect(pageCount).toBeGreaterThan(1);
+        expect(pdf.match(/\/Type \/Page /g)).toHaveLength(pageCount);
+        expect(pdf).toContain('/MediaBox [0 0 792 612]');
+        expect(pdf).toContain(`Page ${pageCount} of ${pageCount}`);
+        expect(pdf.match(/\(Backend\) Tj/g)).toHaveLength(pageCount);
+        expect(pdf.match(/\(Dependency\) Tj/g)).toHaveLength(pageCount);
+        // WinAnsi en dash in the title
+        expect(pdf).toContain('/Title (Release \\226 Q3)');
+
+        // The cross-reference table points at the objects
+        const xref = pdf.slice(pdf.lastIndexOf('\nxref\n') + 1);
+        const firstOffset = Number(xref.split('\n')[3].slice(0, 10));
+        expect(pdf.slice(firstOffset, firstOffset + 7)).toBe('1 0 obj');
+    });
+});
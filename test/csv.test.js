@@ -0,0 +1,34 @@
+// test/csv.test.js
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, parseCSV, toCSVField, formatListField, splitListField } from '../src/utils/csv';
+
+describe('csv', () => {
+    it('should read quoted fields with separators, doubled quotes and line breaks', () => {
+        const text = '﻿name,notes\r\n"Backend, API","Says ""hi""\nto all"\r\n\r\nDocs,\n';
+        expect(parseCSV(text)).toEqual([
+            { fields: ['name', 'notes'], line: 1 },
+            { fields: ['Backend, API', 'Says "hi"\nto all'], line: 2 },
+            { fields: ['Docs', ''], line: 5 },
+        ]);
+        expect(parseCSV('a,b')).toEqual([{ fields: ['a', 'b'], line: 1 }]);
+    });
+
+    it('should guess the delimiter from the first line', () => {
+        expect(detectDelimiter('name;duration\nA;1')).toBe(';');
+        expect(detectDelimiter('name\tduration')).toBe('\t');
+        expect(detectDelimiter('"a;b",c')).toBe(',');
+        expect(detectDelimiter('name')).toBe(',');
+        expect(parseCSV('name;duration\n"A;B";2\n')[1].fields).toEqual(['A;B', '2']);
+    });
+
+    it('should round-trip list fields whose values contain commas and quotes', () => {
+        const values = ['Backend, API SS lag: 2', 'Say "when"', 'Docs'];
+        const list = formatListField(values);
+        expect(list).toBe('"Backend, API SS lag: 2", "Say ""when""", Docs');
+        expect(splitListField(list)).toEqual(values);
+
+        const field = toCSVField(list);
+        expect(parseCSV(`${field}\n`)[0].fields).toEqual([list]);
+        expect(splitListField(' A ,, B ')).toEqual(['A', 'B']);
+    });
+});
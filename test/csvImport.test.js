@@ -0,0 +1,122 @@
+// test/csvImport.test.js
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from '../src/utils/csv';
+import { guessColumnMapping, buildPlanFromCSV } from '../src/utils/csvImport';
+import { getScheduleRows, exportScheduleAsCSV } from '../src/utils/scheduleExport';
+import { formatPlan } from '../src/utils/formatter';
+import { analyzePlan } from '../src/cli/plan';
+import { parseMarkdown } from '../src/utils/parser';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+const PLAN = `Start Date: 2024-03-04
+Task Group "UI, Web" ["Frontend", "Backend, API"] bandwidth: "unbound"
+
+Task "Design" "Says 'hi'" "2"
+Task "Backend, API" "Server, DB" "3" "Design"
+Task "Frontend" "" "4" "Design SS lag: 1"
+"Frontend" should finish when "Backend, API" finishes lead: 1
+Milestone "Launch" "" "Frontend"
+`;
+
+const scheduleOf = (analysis) => analysis.scheduleResult.scheduledTasks.map(task => [task.name, task.startTime, task.endTime]);
+
+describe('csvImport', () => {
+    it('should guess the column of each field from the header row', () => {
+        expect(guessColumnMapping(['Task Name', 'Notes', 'Days', 'Depends on', 'Start Date', 'Start'])).toEqual({
+            name: 0, description: 1, duration: 2, dependencies: 3, group: -1, start: 4,
+        });
+        // A column is used for one field only
+        expect(guessColumnMapping(['Name', 'Title'])).toMatchObject({ name: 0 });
+    });
+
+    it('should build a canonical plan and report the rows it had to change', () => {
+        const records = parseCSV([
+            'Task,Estimate,Predecessors,Phase,Start',
+            'Spec,3d,,Design,2024-05-06',
+            ',2,,,',
+            '"Build, test",5,"Spec SS lag: 1",Build,',
+            'Ship,0,"""Build, test"" FF",,',
+            'Say "hi",later,Nope,,soon',
+            'Spec,1,,,',
+        ].join('\n'));
+        const mapping = guessColumnMapping(records[0].fields);
+        const { markdown, errors } = buildPlanFromCSV(records, mapping);
+        expect(markdown).toBe([
+            'Start Date: 2024-05-06',
+            'Task Group "Design" ["Spec"] bandwidth: "unbound"',
+            'Task Group "Build" ["Build, test"] bandwidth: "unbound"',
+            '',
+            'Task "Spec" "" "3" "" start: "2024-05-06"',
+            'Task "Build, test" "" "5" "Spec SS lag: 1"',
+            'Milestone "Ship" ""',
+            'Task "Say \'hi\'" "" "1"',
+            'Task "Spec (2)" "" "1"',
+            '"Ship" should finish when "Build, test" finishes',
+            '',
+        ].join('\n'));
+        expect(formatPlan(markdown)).toBe(markdown);
+        expect(errors).toEqual([
+            { line: 3, message: 'The row has no task name and was skipped.', type: 'warning' },
+            { line: 6, message: 'Task "Say "hi"" was renamed to "Say \'hi\'" because plan task names cannot contain double quotes.', type: 'warning' },
+            { line: 7, message: 'Task "Spec" appears more than once; this one was renamed to "Spec (2)".', type: 'warning' },
+            { line: 6, message: 'The duration "later" of task "Say \'hi\'" is not a number of days; it was set to 1.', type: 'error' },
+            { line: 6, message: 'Task "Say \'hi\'" depends on "Nope", but no row has that name.', type: 'error' },
+            { line: 6, message: 'The start "soon" of task "Say \'hi\'" is neither a YYYY-MM-DD date nor a number of days; it was ignored.', type: 'error' },
+        ]);
+        expect(analyzePlan(markdown).errors).toEqual([]);
+    });
+
+    it('should turn numeric starts into dates when other rows start on a date', () => {
+        const records = parseCSV('Name,Duration,Start\nKickoff,1,2024-05-06\nBuild,2,3\n');
+        const { markdown, errors } = buildPlanFromCSV(records, guessColumnMapping(records[0].fields));
+        expect(markdown).toContain('Task "Build" "" "2" "" start: "2024-05-09"');
+        expect(errors).toEqual([{
+            line: 1,
+            message: 'Some starts are dates and some are numbers of days; the numbers were turned into dates counted from the earliest date, 2024-05-06.',
+            type: 'warning',
+        }]);
+
+        // The scheduler keeps the start instead of dropping it as a number without a date
+        const parseResult = parseMarkdown(markdown);
+        const { scheduledTasks, errors: scheduleErrors } = scheduleTasks(
+            parseResult.tasks,
+            parseResult.dependencies,
+            parseResult.globalBandwidth,
+            parseResult.taskGroups,
+            { startDate: parseResult.startDate, workDays: parseResult.workDays, holidays: parseResult.holidays, durationMode: parseResult.durationMode },
+            parseResult.resources
+        );
+        expect([...parseResult.errors, ...scheduleErrors]).toEqual([]);
+        const build = scheduledTasks.find(task => task.name === 'Build');
+        expect(build.startTime).toBe(3);
+        expect(build.startDate).toEqual(new Date('2024-05-09'));
+    });
+
+    it('should require a name column and map columns in order without a header row', () => {
+        const records = parseCSV('A,2\nB,3,A\n');
+        expect(buildPlanFromCSV(records, { name: -1 }).errors[0].type).toBe('error');
+        const { markdown } = buildPlanFromCSV(records, { name: 0, duration: 1, dependencies: 2 }, { hasHeader: false });
+        expect(markdown).toBe('Task "A" "" "2"\nTask "B" "" "3" "A"\n');
+    });
+
+    it('should import an exported CSV schedule back to the same tasks, dependencies and schedule', () => {
+        const analysis = analyzePlan(PLAN);
+        expect(analysis.errors).toEqual([]);
+        const csv = exportScheduleAsCSV(getScheduleRows(analysis.scheduleResult.scheduledTasks, analysis.parseResult.dependencies));
+        expect(csv).toContain(',"""Backend, API FF lead: 1"", Design SS lag: 1",');
+
+        const records = parseCSV(csv);
+        const { markdown, errors } = buildPlanFromCSV(records, guessColumnMapping(records[0].fields));
+        expect(errors).toEqual([]);
+        expect(markdown).toContain('Task "Backend, API" "Server, DB" "3" "Design" start: "2024-03-06"');
+
+        const imported = analyzePlan(markdown);
+        expect(imported.errors).toEqual([]);
+        const sortDependencies = dependencies => dependencies
+            .map(({ source, target, type = 'FS', lag = 0 }) => ({ source, target, type, lag }))
+            .sort((a, b) => `${a.source}>${a.target}`.localeCompare(`${b.source}>${b.target}`));
+        expect(sortDependencies(imported.parseResult.dependencies)).toEqual(sortDependencies(analysis.parseResult.dependencies));
+        expect(imported.parseResult.taskGroups.map(group => [group.name, group.identifiers])).toEqual([['UI, Web', ['Backend, API', 'Frontend']]]);
+        expect(scheduleOf(imported)).toEqual(scheduleOf(analysis));
+    });
+});
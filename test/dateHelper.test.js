@@ -92,4 +92,20 @@ describe('Calendar Class - Comprehensive addWorkingDays Logic', () => {
         const expectedDate = new Date('2025-06-02T12:00:00Z');
         expect(Calendar.addWorkingDays(startDate, daysToAdd, standardWorkDays, [])).toEqual(expectedDate);
     });
-});
\ No newline at end of file
+
+    it('should count calendar days between two dates ignoring the time of day', () => {
+        const startDate = new Date('2025-06-02T00:00:00Z'); // Mon
+        const endDate = new Date('2025-06-09T18:30:00Z'); // Next Mon
+        expect(Calendar.differenceInDays(startDate, endDate)).toBe(7);
+        expect(Calendar.differenceInDays(endDate, startDate)).toBe(-7);
+        expect(Calendar.differenceInDays(startDate, startDate)).toBe(0);
+    });
+
+    it('should shift a date by working days in both directions', () => {
+        const friday = new Date('2025-06-06T00:00:00Z');
+        expect(Calendar.shiftWorkingDays(friday, 1, standardWorkDays, [])).toEqual(new Date('2025-06-09T00:00:00Z')); // Mon
+        expect(Calendar.shiftWorkingDays(friday, 2, standardWorkDays, ['2025-06-09'])).toEqual(new Date('2025-06-11T00:00:00Z')); // Wed
+        expect(Calendar.shiftWorkingDays(new Date('2025-06-09T00:00:00Z'), -1, standardWorkDays, [])).toEqual(friday);
+        expect(Calendar.shiftWorkingDays(friday, 0, standardWorkDays, [])).toEqual(friday);
+    });
+});
@@ -0,0 +1,74 @@
+// test/dependencyRouting.test.js
+import { describe, it, expect } from 'vitest';
+import { routeDependency, createObstacleIndex } from '../src/utils/dependencyRouting';
+
+describe('routeDependency', () => {
+
+    // Helper to create a bar rectangle
+    const bar = (x, y, width, height = 40) => ({ x, y, width, height });
+
+    it('should draw a straight line between bars in the same lane', () => {
+        const points = routeDependency(bar(0, 0, 100), bar(120, 0, 50));
+        expect(points).toEqual([100, 20, 120, 20]);
+    });
+
+    it('should bend once close to the successor when there is horizontal room', () => {
+        const points = routeDependency(bar(0, 0, 100), bar(160, 55, 50));
+        expect(points).toEqual([100, 20, 150, 20, 150, 75, 160, 75]);
+    });
+
+    it('should move the vertical segment to avoid crossing another bar', () => {
+        // The bar in the middle lane covers x 145..180, so bends at x=170, 160 and 150 would cross it
+        const obstacle = bar(145, 55, 35);
+        const points = routeDependency(bar(0, 0, 100), bar(180, 110, 50), [obstacle]);
+
+        expect(points).toEqual([100, 20, 140, 20, 140, 130, 180, 130]);
+    });
+
+    it('should route back through the lane corridor when the successor starts where the predecessor ends', () => {
+        const points = routeDependency(bar(0, 0, 100), bar(100, 55, 50), [], { laneGap: 15 });
+
+        // Out of the predecessor, down to the corridor above the successor, back and into its left edge
+        expect(points).toEqual([
+            100, 20,
+            110, 20,
+            110, 47.5,
+            90, 47.5,
+            90, 75,
+            100, 75,
+        ]);
+    });
+
+    it('should use the corridor below the successor when it sits above the predecessor', () => {
+        const points = routeDependency(bar(0, 55, 100), bar(50, 0, 50), [], { laneGap: 15 });
+        expect(points[5]).toBe(47.5);
+    });
+});
+
+describe('createObstacleIndex', () => {
+    it('should find the bars overlapping a box, edges included', () => {
+        const bars = [
+            { x: 0, y: 110, width: 50, height: 40 },
+            { x: 0, y: 0, width: 50, height: 40 },
+            { x: 200, y: 55, width: 50, height: 40 },
+            { x: 60, y: 55, width: 50, height: 40 },
+        ];
+        const query = createObstacleIndex(bars);
+
+        expect(query(50, 20, 150, 75)).toEqual([bars[1], bars[3]]);
+        expect(query(0, 150, 10, 160)).toEqual([bars[0]]);
+        expect(query(300, 0, 400, 200)).toEqual([]);
+        expect(createObstacleIndex([])(0, 0, 10, 10)).toEqual([]);
+    });
+
+    it('should find bars spanning several cells once each', () => {
+        const bars = [
+            { x: 0, y: 0, width: 500, height: 40 },
+            { x: 90, y: 55, width: 20, height: 40 },
+        ];
+        const query = createObstacleIndex(bars, 30);
+
+        expect(query(100, 0, 400, 100)).toEqual(bars);
+        expect(query(450, 10, 460, 20)).toEqual([bars[0]]);
+    });
+});
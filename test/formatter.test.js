@@ -0,0 +1,116 @@
+// test/formatter.test.js
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown } from '../src/utils/parser';
+import { formatPlan, parsePlanDocument, printPlanDocument, getFormattingChange } from '../src/utils/formatter';
+
+describe('formatPlan', () => {
+
+    const messyPlan = [
+        '// Release plan',
+        '',
+        'Task   "Design"  " Draft the UI "   "M"',
+        '  Notes:',
+        '     - wireframes   first',
+        '  Owners:',
+        '    -  Alice',
+        'M:5',
+        'Task "Build" "" "L"   "Design,Spec SS lag: 1"  due:20 # keep this note',
+        '// Explicit ordering',
+        '"Ship"   depends on "Build"',
+        'Work Days: Mon,Tue,Wed,Thu,Fri',
+        'Task "Spec" "XS" // quick one',
+        '',
+        '',
+        'Task Group "Team"   [ "Design","Build" ]   bandwidth:1',
+        'L:10',
+        'XS: 1',
+        'Milestone   "Ship"',
+        'Global Bandwidth:2',
+        'Start Date: 2025-06-02',
+        'Resource "Alice"  capacity:2',
+    ].join('\n');
+
+    // The data parseMarkdown reads from a plan, without line numbers and source ranges
+    const planData = (markdown) => {
+        const result = parseMarkdown(markdown);
+        return {
+            tasks: result.tasks.map(({ originalLineNum, nameRange, predecessorRanges, successorRanges, ...task }) => task),
+            dependencies: result.dependencies,
+            durationLabels: result.durationLabels,
+            globalBandwidth: result.globalBandwidth,
+            taskGroups: result.taskGroups,
+            resources: result.resources.map(({ originalLineNum, ...resource }) => resource),
+            startDate: result.startDate,
+            workDays: result.workDays,
+            errors: result.errors.map(error => error.message),
+        };
+    };
+
+    it('should print the document model back losslessly', () => {
+        const inputs = [messyPlan, '', '\n\n', 'Task "A" "M"\r\n  Notes:\r\n', 'Task "Broken\nnot a plan at all   '];
+        inputs.forEach(input => {
+            expect(printPlanDocument(parsePlanDocument(input))).toBe(input);
+        });
+    });
+
+    it('should classify lines with the grammar', () => {
+        const { entries } = parsePlanDocument('// hi\nTask "A" "M" // c\n    Notes:\n        - x\n\nM:5\n"A" depends on "B"\n???');
+
+        expect(entries.map(entry => entry.kind)).toEqual(['comment', 'task', 'detailKey', 'detailValue', 'blank', 'label', 'dependency', 'unknown']);
+        expect(entries[1]).toEqual(expect.objectContaining({ comment: '// c', from: 6, to: 23 }));
+    });
+
+    it('should rewrite the plan into canonical form', () => {
+        expect(formatPlan(messyPlan)).toBe([
+            '// Release plan',
+            '',
+            'Global Bandwidth: 2',
+            'Work Days: Mon, Tue, Wed, Thu, Fri',
+            'Start Date: 2025-06-02',
+            'Resource "Alice" capacity: 2',
+            'Task Group "Team" ["Design", "Build"] bandwidth: 1',
+            '',
+            'XS: 1',
+            'M: 5',
+            'L: 10',
+            '',
+            'Task "Design" "Draft the UI" "M"',
+            '    Notes:',
+            '        - wireframes   first',
+            '    Owners:',
+            '        - Alice',
+            'Task "Build" "" "L" "Design, Spec SS lag: 1" due: 20 # keep this note',
+            '// Explicit ordering',
+            '"Ship" depends on "Build"',
+            'Task "Spec" "XS" // quick one',
+            '',
+            'Milestone "Ship"',
+            ''
+        ].join('\n'));
+    });
+
+    it('should be idempotent and keep the plan data unchanged', () => {
+        const formatted = formatPlan(messyPlan);
+
+        expect(formatPlan(formatted)).toBe(formatted);
+        expect(planData(formatted)).toEqual(planData(messyPlan));
+    });
+
+    it('should keep redefined labels in their order so the last definition still wins', () => {
+        const formatted = formatPlan('M: 5\nS: 2\nM: 1\nTask "A" "M"');
+
+        expect(formatted).toBe('M: 5\nM: 1\nS: 2\n\nTask "A" "M"\n');
+        expect(parseMarkdown(formatted).durationLabels).toEqual({ M: 1, S: 2 });
+    });
+
+    it('should keep lines it cannot read verbatim', () => {
+        const formatted = formatPlan('Task "A" "M"\n  what   is this\nM:5\nTask "Broken');
+
+        expect(formatted).toBe('M: 5\n\nTask "A" "M"\n  what   is this\nTask "Broken\n');
+    });
+
+    it('should describe the formatting as one minimal change', () => {
+        expect(getFormattingChange('Task "A" "M"\n')).toBeNull();
+        expect(getFormattingChange('Task "A"  "M"\nTask "B" "M"\n')).toEqual({ from: 9, to: 10, insert: '' });
+    });
+});
@@ -0,0 +1,145 @@
+// test/mermaidGantt.test.js
+import { describe, it, expect } from 'vitest';
+import { isMermaidGantt, importMermaidGantt, exportMermaidGantt } from '../src/utils/mermaidGantt';
+import { formatPlan } from '../src/utils/formatter';
+import { analyzePlan } from '../src/cli/plan';
+
+const CHART = `# Release notes
+
+\`\`\`mermaid
+gantt
+    title Release
+    dateFormat YYYY-MM-DD
+    excludes weekends, 2024-01-15
+    section Design
+    Spec          :a1, 2024-01-01, 2024-01-06
+    Review        :after a1, 3d
+    section Build
+    Backend, API  :b1, 2024-01-08, 5d
+    Frontend      :1w
+    Launch        :milestone, after a1 b1, 0d
+\`\`\`
+`;
+
+const datesOf = (analysis) => Object.fromEntries(analysis.scheduleResult.scheduledTasks.map(task => [
+    task.name,
+    [task.startDate.toISOString().slice(0, 10), task.endDate.toISOString().slice(0, 10)],
+]));
+
+describe('mermaidGantt', () => {
+    it('should recognize gantt charts, also inside a Markdown document', () => {
+        expect(isMermaidGantt(CHART)).toBe(true);
+        expect(isMermaidGantt('%% comment\ngantt\n  A :1d\n')).toBe(true);
+        expect(isMermaidGantt('```mermaid\nflowchart LR\n```\n')).toBe(false);
+        expect(isMermaidGantt('Task "A" "" "1"\n')).toBe(false);
+    });
+
+    it('should map sections, after clauses and the calendar to a plan', () => {
+        const { markdown, errors } = importMermaidGantt(CHART);
+        expect(markdown).toBe([
+            'Start Date: 2024-01-01',
+            'Work Days: Mon, Tue, Wed, Thu, Fri',
+            'Holidays: 2024-01-15',
+            'Task Group "Design" ["Spec", "Review"] bandwidth: "unbound"',
+            'Task Group "Build" ["Backend; API", "Frontend", "Launch"] bandwidth: "unbound"',
+            '',
+            '// Release',
+            '',
+            '// Design',
+            'Task "Spec" "" "5" "" start: "2024-01-01"',
+            'Task "Review" "" "3" "Spec"',
+            '',
+            '// Build',
+            'Task "Backend; API" "" "5" "" start: "2024-01-08"',
+            'Task "Frontend" "" "7" "Backend; API"',
+            'Milestone "Launch" "" "Spec, Backend; API"',
+            '',
+        ].join('\n'));
+        expect(formatPlan(markdown)).toBe(markdown);
+        expect(errors).toEqual([
+            { line: 12, message: 'Task "Backend, API" was renamed to "Backend; API" because plan task names cannot contain double quotes or commas.', type: 'warning' },
+        ]);
+
+        const analysis = analyzePlan(markdown);
+        expect(analysis.errors.filter(error => error.type === 'error')).toEqual([]);
+        const dates = datesOf(analysis);
+        expect(dates.Spec).toEqual(['2024-01-01', '2024-01-05']);
+        expect(dates.Review).toEqual(['2024-01-08', '2024-01-10']);
+        // The backend ends on Friday the 12th and the 15th is a holiday
+        expect(dates.Frontend).toEqual(['2024-01-16', '2024-01-24']);
+    });
+
+    it('should support other date formats, inclusive end dates and single excluded weekdays', () => {
+        const { markdown, errors } = importMermaidGantt([
+            'gantt',
+            '  dateFormat DD.MM.YYYY',
+            '  inclusiveEndDates',
+            '  excludes sunday',
+            '  Setup :01.07.2024, 06.07.2024',
+        ].join('\n'));
+        expect(errors).toEqual([]);
+        expect(markdown).toContain('Start Date: 2024-07-01\nWork Days: Mon, Tue, Wed, Thu, Fri, Sat\n');
+        expect(markdown).toContain('Task "Setup" "" "6" "" start: "2024-07-01"');
+    });
+
+    it('should report what a plan cannot express with the line of the Mermaid source', () => {
+        const { errors } = importMermaidGantt([
+            'gantt',
+            '  axisFormat %d',
+            '  A :done, a, 2024-01-01, 2d',
+            '  B :after zz, 2d',
+            '  C :2024-01-02, until a',
+            '  D :4h',
+            '  click a href "https://example.com"',
+            '  this is not a task',
+        ].join('\n'));
+        expect(errors).toEqual([
+            { line: 2, message: '"axisFormat" only changes how Mermaid draws the chart and was ignored.', type: 'warning' },
+            { line: 3, message: 'Plans have no equivalent of the "done" tag; it was ignored.', type: 'warning' },
+            { line: 7, message: 'Plans have no equivalent of "click"; the interaction was ignored.', type: 'warning' },
+            { line: 8, message: 'Unrecognized Mermaid gantt line.', type: 'error' },
+            { line: 4, message: 'Task "B" starts after "zz", but no task has that id.', type: 'error' },
+            { line: 5, message: 'Plans have no equivalent of "until"; task "C" was given a duration of 1 day.', type: 'error' },
+            { line: 6, message: 'The duration "4h" of task "D" was rounded up to 1 day(s).', type: 'warning' },
+        ]);
+        expect(importMermaidGantt('gantt\n  dateFormat HH:mm\n').errors).toEqual([
+            { line: 2, message: 'The date format "HH:mm" is not supported. Use one made of YYYY, MM and DD, such as YYYY-MM-DD.', type: 'error' },
+        ]);
+        expect(importMermaidGantt('flowchart LR\n').errors.at(-1)).toEqual({ line: 1, message: 'This is not a Mermaid gantt chart.', type: 'error' });
+    });
+
+    it('should export the computed schedule with explicit dates that import back to the same schedule', () => {
+        const analysis = analyzePlan(importMermaidGantt(CHART).markdown);
+        const mermaid = exportMermaidGantt(analysis.scheduleResult.scheduledTasks, {
+            title: 'Release: Q1',
+            projectStartDate: analysis.scheduleResult.projectStartDate,
+            workDays: analysis.parseResult.workDays,
+            holidays: analysis.parseResult.holidays,
+        });
+        expect(mermaid.split('\n').slice(0, 5)).toEqual([
+            'gantt',
+            '    title Release- Q1',
+            '    dateFormat YYYY-MM-DD',
+            '    excludes weekends, 2024-01-15',
+            '    Launch :milestone, 2024-01-13, 0d',
+        ]);
+        expect(mermaid).toContain('    section Design\n        Spec :2024-01-01, 2024-01-06\n');
+        expect(mermaid).toContain('        Frontend :crit, 2024-01-16, 2024-01-25\n');
+
+        const roundTrip = analyzePlan(importMermaidGantt(mermaid).markdown);
+        expect(datesOf(roundTrip)).toEqual(datesOf(analysis));
+    });
+
+    it('should count time units as days from a given date for plans without a Start Date', () => {
+        const analysis = analyzePlan('Task "A" "" "2"\nTask "B" "" "3" "A"\n');
+        const mermaid = exportMermaidGantt(analysis.scheduleResult.scheduledTasks, { startDate: new Date('2025-05-01T15:00:00Z') });
+        expect(mermaid).toBe([
+            'gantt',
+            '    dateFormat YYYY-MM-DD',
+            '    %% Time units are shown as days from 2025-05-01',
+            '    A :crit, 2025-05-01, 2025-05-03',
+            '    B :crit, 2025-05-03, 2025-05-06',
+            '',
+        ].join('\n'));
+    });
+});
@@ -228,18 +228,24 @@ describe('myCompletion', () => {
             expect(result.from).toBe(doc.length - 2); // Should replace 'X'
         });
 
-        it.skip('should suggest all duration labels inside empty quotes in duration field', () => {
-            // TODO come back to this
+        it('should suggest all duration labels inside empty quotes in duration field', () => {
             const doc = `Task "Name" "Desc" ""`;
             const context = createContext(doc, doc.length - 1); // Cursor at "|
             const result = myCompletion(context);
-            console.log("Result is", result)
             expect(result).not.toBeNull();
             expect(result.options.map(o => o.label)).toEqual(predefinedDurationLabels);
             expect(result.from).toBe(doc.length - 1); // Should replace from after "
         });
     });
 
+    describe('Duration Labels Autocomplete - Description field', () => {
+        it('should not suggest duration labels in the description field', () => {
+            const doc = `Task "Name" "X" "M"`;
+            const context = createContext(doc, doc.indexOf('X') + 1); // Cursor at "X|
+            expect(myCompletion(context)).toBeNull();
+        });
+    });
+
     describe('Global Bandwidth Autocomplete', () => {
         it('should suggest "unbound" and numbers when typing "Global Bandwidth: u"', () => {
             const doc = `Global Bandwidth: u`;
@@ -259,6 +265,15 @@ describe('myCompletion', () => {
             expect(result.from).toBe(doc.length - 1);
         });
 
+        it('should suggest numbers before the colon is typed', () => {
+            const doc = `Global Bandwidth 3`;
+            const context = createContext(doc, doc.length);
+            const result = myCompletion(context);
+            expect(result).not.toBeNull();
+            expect(result.options.map(o => o.label)).toEqual(['3']);
+            expect(result.from).toBe(doc.length - 1);
+        });
+
         it.skip('should suggest "unbound" and numbers when typing "Global Bandwi"', () => {
             const doc = `Global Bandwi`;
             const context = createContext(doc, doc.length);
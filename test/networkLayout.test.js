@@ -0,0 +1,67 @@
+// test/networkLayout.test.js
+import { describe, it, expect } from 'vitest';
+import { layoutNetwork } from '../src/utils/networkLayout';
+
+describe('layoutNetwork', () => {
+
+    const task = (name, predecessors = []) => ({ name, predecessors });
+    const nodeOf = (layout, name) => layout.nodes.find(node => node.task.name === name);
+
+    it('should rank tasks by their longest chain of predecessors', () => {
+        const layout = layoutNetwork([
+            task('Spec'),
+            task('Design', ['Spec']),
+            task('Build', ['Design']),
+            task('Docs', ['Spec']),
+            task('Release', ['Build', 'Docs']),
+        ]);
+
+        expect(layout.nodes.map(node => [node.task.name, node.rank])).toEqual([
+            ['Spec', 0], ['Design', 1], ['Build', 2], ['Docs', 1], ['Release', 3],
+        ]);
+        expect(nodeOf(layout, 'Release').x).toBe(20 + 3 * (180 + 60));
+        expect(layout.width).toBe(20 * 2 + 4 * 180 + 3 * 60);
+    });
+
+    it('should route an edge that skips ranks through the ranks in between', () => {
+        const layout = layoutNetwork([task('A'), task('B', ['A']), task('C', ['B', 'A'])]);
+        const edge = layout.edges.find(e => e.key === 'A->C');
+        const a = nodeOf(layout, 'A');
+        const c = nodeOf(layout, 'C');
+
+        expect(edge.points.slice(0, 2)).toEqual([a.x + a.width, a.y + a.height / 2]);
+        expect(edge.points.slice(-2)).toEqual([c.x, c.y + c.height / 2]);
+        // One pass through rank 1, beside B rather than through it
+        expect(edge.points).toHaveLength(8);
+        const b = nodeOf(layout, 'B');
+        expect(edge.points[3] < b.y || edge.points[3] > b.y + b.height).toBe(true);
+    });
+
+    it('should order the nodes of a rank to avoid crossing edges', () => {
+        // In plan order X2 would be above X1 and their edges to Y1 and Y2 would cross
+        const layout = layoutNetwork([
+            task('X1'),
+            task('X2'),
+            task('Y2', ['X2']),
+            task('Y1', ['X1']),
+        ]);
+
+        expect(nodeOf(layout, 'X1').y < nodeOf(layout, 'X2').y).toBe(nodeOf(layout, 'Y1').y < nodeOf(layout, 'Y2').y);
+    });
+
+    it('should ignore unknown and repeated predecessors and still place tasks in a cycle', () => {
+        const layout = layoutNetwork([
+            task('A', ['Missing', 'A']),
+            task('B', ['A', 'A', 'C']),
+            task('C', ['B']),
+        ]);
+
+        expect(layout.nodes).toHaveLength(3);
+        expect(layout.edges.map(edge => edge.key)).toEqual(['A->B', 'C->B', 'B->C']);
+        expect(nodeOf(layout, 'A').rank).toBe(0);
+    });
+
+    it('should return an empty layout without tasks', () => {
+        expect(layoutNetwork([])).toEqual({ nodes: [], edges: [], width: 0, height: 0 });
+    });
+});
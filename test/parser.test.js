@@ -117,6 +117,17 @@ describe('parseMarkdown - Existing Functionality', () => {
         expect(result.errors).toHaveLength(0);
     });
 
+    it('should keep commas inside quoted task group members', () => {
+        const markdown = `
+        Task "Backend, API" "" "2"
+        Task "Docs" "" "1"
+        Task Group "Team" ["Backend, API", "Docs"] bandwidth: 1
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.taskGroups[0].identifiers).toEqual(['Backend, API', 'Docs']);
+        expect(result.errors).toHaveLength(0);
+    });
+
     it('should parse task group by regex', () => {
         const markdown = `Task Group "Backend Services" /backend-*/ bandwidth: "unbound"`;
         const result = parseMarkdown(markdown);
@@ -813,4 +824,319 @@ describe('parseMarkdown - New PRD Features (Timeline & Scheduling)', () => {
         expect(result.tasks[1].startDate).toBe('2025-08-10');
         expect(result.errors).toHaveLength(0);
     });
-});
\ No newline at end of file
+});
+describe('parseMarkdown - Dependency Types and Lag', () => {
+
+    it('should parse start-to-start, finish-to-finish and start-to-finish phrases', () => {
+        const markdown = `
+        Task "Dev" "" "M"
+        Task "QA" "" "M"
+        Task "Docs" "" "M"
+        Task "Handover" "" "M"
+        "QA" should start after "Dev" starts lag: 2
+        "Docs" should finish when "Dev" finishes
+        "Handover" should finish when "QA" starts lead: 1
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+        expect(result.dependencies).toEqual([
+            { source: 'Dev', target: 'Docs', type: 'FF', lag: 0 },
+            { source: 'Dev', target: 'QA', type: 'SS', lag: 2 },
+            { source: 'QA', target: 'Handover', type: 'SF', lag: -1 }
+        ]);
+    });
+
+    it('should accept a lag on finish-to-start statements, including negative amounts', () => {
+        const markdown = `
+        Task "A" "" "M"
+        Task "B" "" "M"
+        Task "C" "" "M"
+        "A" should happen before "B" lag: 3
+        "C" depends on "B" lag: -1.5
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+        expect(result.dependencies).toEqual([
+            { source: 'A', target: 'B', type: 'FS', lag: 3 },
+            { source: 'B', target: 'C', type: 'FS', lag: -1.5 }
+        ]);
+    });
+
+    it('should parse relationship types and lag in inline dependency lists', () => {
+        const markdown = `
+        Task "Spec" "" "M"
+        Task "Dev" "" "M"
+        Task "QA" "" "M" "Dev SS lag: 2, Spec, Dev FF lead: 1"
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        const qa = result.tasks.find(t => t.name === 'QA');
+        expect(qa.dependencies).toEqual(['Dev', 'Spec', 'Dev']);
+        expect(result.dependencies).toEqual([
+            { source: 'Dev', target: 'QA', type: 'FF', lag: -1 },
+            { source: 'Spec', target: 'QA' }
+        ]);
+        // The second "Dev" entry redefines the first one
+        expect(result.errors).toEqual([expect.objectContaining({
+            type: 'warning',
+            message: 'Conflicting dependency between "Dev" and "QA". The last one defined will be used.'
+        })]);
+    });
+
+    it('should resolve conflicts between inline and explicit dependencies by line order', () => {
+        const laterStatement = parseMarkdown(`
+        Task "A" "" "M"
+        Task "B" "" "M" "A"
+        "B" depends on "A" lag: 1
+        M:5
+        `);
+        expect(laterStatement.dependencies).toEqual([{ source: 'A', target: 'B', type: 'FS', lag: 1 }]);
+        expect(laterStatement.errors).toEqual([expect.objectContaining({ line: 4, type: 'warning' })]);
+
+        const laterInline = parseMarkdown(`
+        Task "A" "" "M"
+        "B" depends on "A" lag: 1
+        Task "B" "" "M" "A"
+        M:5
+        `);
+        expect(laterInline.dependencies).toEqual([{ source: 'A', target: 'B' }]);
+        expect(laterInline.errors).toEqual([expect.objectContaining({ line: 4, type: 'warning' })]);
+    });
+});
+
+describe('parseMarkdown - Milestones', () => {
+
+    it('should parse milestone lines as zero-duration items', () => {
+        const markdown = `
+        Task "Dev" "" "M"
+        Task "QA" "" "S"
+        Milestone "Beta ready" "Feature complete" "Dev, QA"
+        Milestone "Kickoff"
+        M:5
+        S:2
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+
+        const beta = result.tasks.find(t => t.name === 'Beta ready');
+        expect(beta).toEqual(expect.objectContaining({
+            description: 'Feature complete',
+            duration: '0',
+            resolvedDuration: 0,
+            dependencies: ['Dev', 'QA'],
+            isMilestone: true
+        }));
+        expect(result.tasks.find(t => t.name === 'Kickoff')).toEqual(expect.objectContaining({
+            description: '',
+            dependencies: [],
+            isMilestone: true
+        }));
+    });
+
+    it('should let milestones be dependency sources and targets', () => {
+        const markdown = `
+        Task "Dev" "" "M"
+        Task "Launch" "" "M" "GA"
+        Milestone "GA" "" "Dev"
+        "GA" should happen before "Docs"
+        Task "Docs" "" "M"
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+        expect(result.dependencies).toEqual([
+            { source: 'Dev', target: 'GA' },
+            { source: 'GA', target: 'Docs' },
+            { source: 'GA', target: 'Launch' }
+        ]);
+    });
+
+    it('should report a milestone that reuses a task name', () => {
+        const markdown = `
+        Task "Beta" "" "M"
+        Milestone "Beta"
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toEqual([expect.objectContaining({
+            line: 3,
+            message: 'Duplicate task name "Beta". Task names must be unique.'
+        })]);
+    });
+});
+
+describe('parseMarkdown - Deadlines and Constraints', () => {
+
+    it('should parse deadline and constraint attributes given as dates', () => {
+        const markdown = `
+        Start Date: 2025-06-02
+        Task "Dev" "" "M" due: 2025-06-20
+        Task "QA" "" "S" "Dev" start no earlier than: "2025-06-10" as late as possible
+        Milestone "GA" "" "QA" must finish on: 2025-06-30
+        M:5
+        S:2
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+
+        expect(result.tasks.find(t => t.name === 'Dev').due).toBe('2025-06-20');
+        expect(result.tasks.find(t => t.name === 'QA')).toEqual(expect.objectContaining({
+            dependencies: ['Dev'],
+            startNoEarlierThan: '2025-06-10',
+            asLateAsPossible: true
+        }));
+        expect(result.tasks.find(t => t.name === 'GA').mustFinishOn).toBe('2025-06-30');
+    });
+
+    it('should parse constraints given as time units next to an inline start date', () => {
+        const markdown = `
+        Task "Dev" "" "M" "" start: "2025-06-04" due: 12 # keep some slack
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+        expect(result.tasks[0]).toEqual(expect.objectContaining({ startDate: '2025-06-04', due: 12 }));
+    });
+
+    it('should report unrecognized attributes on the task line', () => {
+        const markdown = `
+        Task "Dev" "" "M"
+        Task "QA" "" "S" "Dev" deu: 2025-06-20
+        M:5
+        S:2
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toEqual([expect.objectContaining({
+            line: 3,
+            type: 'error',
+            message: 'Unrecognized attribute "deu: 2025-06-20" on task "QA".'
+        })]);
+        expect(result.tasks.find(t => t.name === 'QA').unparsedAttributes).toBeUndefined();
+    });
+});
+
+describe('parseMarkdown - Resources and Assignees', () => {
+
+    it('should parse resources and task assignees', () => {
+        const markdown = `
+        Resource "Alice" capacity: 2
+        Resource "Bob Smith"
+        Task "Dev" "" "M" assignee: Alice, "Bob Smith"
+        Task "QA" "" "S" "Dev" assignees: Alice due: 12
+        M:5
+        S:2
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+
+        expect(result.resources).toEqual([
+            { name: 'Alice', capacity: 2, originalLineNum: 2 },
+            { name: 'Bob Smith', capacity: 1, originalLineNum: 3 }
+        ]);
+        expect(result.tasks.find(t => t.name === 'Dev').assignees).toEqual(['Alice', 'Bob Smith']);
+        expect(result.tasks.find(t => t.name === 'QA')).toEqual(expect.objectContaining({ assignees: ['Alice'], due: 12 }));
+    });
+
+    it('should keep a # inside an assignee name and still allow a trailing # comment', () => {
+        const markdown = `
+        Resource "Team #2"
+        Task "Dev" "" "M" assignee: "Team #2" # Reviewed by the leads
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(0);
+        expect(result.tasks[0].assignees).toEqual(['Team #2']);
+    });
+
+    it('should warn about assignees without a resource definition', () => {
+        const markdown = `
+        Resource "Alice"
+        Task "Dev" "" "M" assignee: Alice, Carol
+        M:5
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toEqual([{
+            line: 3,
+            from: markdown.indexOf('Carol'),
+            to: markdown.indexOf('Carol') + 'Carol'.length,
+            message: 'Task "Dev" is assigned to undefined resource "Carol". A capacity of 1 is assumed.',
+            type: 'warning'
+        }]);
+    });
+
+    it('should report duplicate resources and resources without capacity', () => {
+        const markdown = `
+        Resource "Alice" capacity: 1
+        Resource "Alice" capacity: 2
+        Resource "Bob" capacity: 0
+        `;
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toEqual([
+            expect.objectContaining({ line: 3, type: 'warning', message: 'Duplicate definition for resource "Alice". The last definition will take precedence.' }),
+            expect.objectContaining({ line: 4, type: 'error', message: 'Resource "Bob" needs a capacity of at least 1.' })
+        ]);
+        expect(result.resources).toEqual([{ name: 'Alice', capacity: 2, originalLineNum: 3 }]);
+    });
+});
+
+describe('parseMarkdown - Diagnostic Ranges', () => {
+    // Helper returning the text an error's range covers
+    const rangeText = (markdown, error) => markdown.slice(error.from, error.to);
+
+    it('should point an undefined inline dependency at its entry in the dependency list', () => {
+        const markdown = 'Task "Design" "M"\nTask "Build" "Code it" "M" "Design, Desgn SS lag: 1"\nM:5';
+        const result = parseMarkdown(markdown);
+        const error = result.errors.find(e => e.message === 'Dependency source task "Desgn" is not defined.');
+        expect(error).toEqual(expect.objectContaining({ line: 2, type: 'error' }));
+        expect(error.from).toBe(markdown.indexOf('Desgn'));
+        expect(rangeText(markdown, error)).toBe('Desgn');
+    });
+
+    it('should point undefined explicit dependency tasks at their quoted names', () => {
+        const markdown = 'Task "A" "M"\nM:5\n  "Ghost"   depends on "A"';
+        const result = parseMarkdown(markdown);
+        const error = result.errors.find(e => e.message.includes('"Ghost"'));
+        expect(error).toEqual(expect.objectContaining({ line: 3, message: 'Dependency target task "Ghost" is not defined.' }));
+        expect(rangeText(markdown, error)).toBe('Ghost');
+    });
+
+    it('should point task group references to missing tasks at the list entry', () => {
+        const markdown = 'Task "A" "M"\nM:5\nTask Group "A" ["A", "Bee"] bandwidth: 1';
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0]).toEqual(expect.objectContaining({ line: 3, type: 'warning' }));
+        expect(result.errors[0].from).toBe(markdown.indexOf('Bee'));
+        expect(rangeText(markdown, result.errors[0])).toBe('Bee');
+    });
+
+    it('should point task errors at the offending token and line errors at the line content', () => {
+        const markdown = 'Task "A" "M"\nTask "A" "Again" "Q"\n   oops this line  \nM:5';
+        const result = parseMarkdown(markdown);
+        const duplicate = result.errors.find(e => e.message.startsWith('Duplicate task name'));
+        const label = result.errors.find(e => e.message.includes('undefined duration label'));
+        const malformed = result.errors.find(e => e.message.startsWith('Unrecognized or malformed'));
+        expect(duplicate.from).toBe(markdown.indexOf('A', markdown.indexOf('\n')));
+        expect(rangeText(markdown, duplicate)).toBe('A');
+        expect(rangeText(markdown, label)).toBe('Q');
+        expect(rangeText(markdown, malformed)).toBe('oops this line');
+    });
+
+    it('should point a self-dependency at the dependency rather than the task name', () => {
+        const markdown = 'Task "A" "" "M" "A"\nM:5';
+        const result = parseMarkdown(markdown);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0].from).toBe(markdown.lastIndexOf('A"'));
+    });
+
+    it('should record where each task and its dependencies are named', () => {
+        const markdown = 'Task "A" "M"\nTask "B" "" "M" "A"\n"B" should happen before "C"\nTask "C" "M"\nM:5';
+        const result = parseMarkdown(markdown);
+        const b = result.tasks.find(t => t.name === 'B');
+        expect(b.nameRange).toEqual({ line: 2, from: 19, to: 20 });
+        expect(b.predecessorRanges).toEqual({ A: { line: 2, from: 30, to: 31 } });
+        expect(b.successorRanges.C).toEqual(expect.objectContaining({ line: 3 }));
+        expect(rangeText(markdown, b.successorRanges.C)).toBe('C');
+    });
+});
@@ -0,0 +1,95 @@
+// test/planCli.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { runPlanCli, parseArguments, formatDiagnostic, EXIT_OK, EXIT_PLAN_ERRORS, EXIT_USAGE } from '../src/cli/plan';
+
+const FIXTURE = 'test_datasets/limited_scheduling.md';
+
+describe('plan CLI', () => {
+    let files, written, stdout, stderr, io;
+
+    beforeEach(() => {
+        files = {
+            [FIXTURE]: fs.readFileSync(path.resolve(__dirname, '..', FIXTURE), 'utf8'),
+            'broken.md': 'Task "A" "" "1" "Missing"\nTask "B" "" "XL"\n',
+        };
+        written = {};
+        stdout = '';
+        stderr = '';
+        io = {
+            readFile: file => {
+                if (!(file in files)) throw new Error('ENOENT');
+                return files[file];
+            },
+            writeFile: (file, text) => { written[file] = text; },
+            isDirectory: dir => dir === 'out',
+            joinPath: (dir, name) => `${dir}/${name}`,
+            stdout: text => { stdout += text; },
+            stderr: text => { stderr += text; },
+        };
+    });
+
+    it('should validate a clean plan silently', () => {
+        expect(runPlanCli([FIXTURE], io)).toBe(EXIT_OK);
+        expect(stdout).toBe('');
+        expect(stderr).toBe('');
+    });
+
+    it('should not write to the console while parsing and scheduling', () => {
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+        try {
+            expect(runPlanCli([FIXTURE, '--format', 'json'], io)).toBe(EXIT_OK);
+            expect(log).not.toHaveBeenCalled();
+        } finally {
+            log.mockRestore();
+        }
+    });
+
+    it('should export the limited_scheduling schedule as JSON respecting the group bandwidth', () => {
+        expect(runPlanCli([FIXTURE, '--format', 'json'], io)).toBe(EXIT_OK);
+        const schedule = JSON.parse(stdout);
+        expect(schedule.projectFinish).toBe(5);
+        const byName = Object.fromEntries(schedule.tasks.map(task => [task.name, task]));
+        expect(byName['BE-Task1']).toMatchObject({ start: 0, end: 1 });
+        // FE-Task1 and FE-Task2 share a group with bandwidth 1, so they run one after the other
+        const feTasks = [byName['FE-Task1'], byName['FE-Task2']].sort((a, b) => a.start - b.start);
+        expect(feTasks[1].start).toBe(feTasks[0].end);
+    });
+
+    it('should print file:line:col diagnostics and exit non-zero on errors', () => {
+        expect(runPlanCli(['broken.md', '-f', 'csv'], io)).toBe(EXIT_PLAN_ERRORS);
+        expect(stdout).toBe('');
+        expect(stderr).toContain('broken.md:1:18: error: ');
+        expect(stderr).toContain('broken.md:2:14: error: ');
+    });
+
+    it('should write one export per plan into the output directory', () => {
+        files['second.md'] = 'Task "Solo" "" "2"\n';
+        expect(runPlanCli([FIXTURE, 'second.md', '-f', 'svg', '-o', 'out'], io)).toBe(EXIT_OK);
+        expect(Object.keys(written)).toEqual(['out/limited_scheduling.svg', 'out/second.svg']);
+        expect(written['out/second.svg']).toContain('<g data-task="Solo">');
+    });
+
+    it('should write Mermaid exports to .mmd files', () => {
+        files['second.md'] = 'Start Date: 2024-03-04\nTask "Solo" "" "2"\n';
+        expect(runPlanCli([FIXTURE, 'second.md', '-f', 'mermaid', '-o', 'out'], io)).toBe(EXIT_OK);
+        expect(Object.keys(written)).toEqual(['out/limited_scheduling.mmd', 'out/second.mmd']);
+        expect(written['out/second.mmd']).toContain('    Solo :crit, 2024-03-04, 2024-03-06\n');
+    });
+
+    it('should report usage problems and unreadable files with exit code 2', () => {
+        expect(runPlanCli([], io)).toBe(EXIT_USAGE);
+        expect(runPlanCli([FIXTURE, '--format', 'xml'], io)).toBe(EXIT_USAGE);
+        expect(runPlanCli([FIXTURE, 'second.md', '-f', 'csv'], io)).toBe(EXIT_USAGE);
+        expect(runPlanCli(['missing.md'], io)).toBe(EXIT_USAGE);
+        expect(stderr).toContain('missing.md: cannot read file: ENOENT');
+        expect(parseArguments(['-h']).help).toBe(true);
+    });
+
+    it('should compute the column from the error offset', () => {
+        const markdown = 'Task "A" "1"\n  Task "B" "1"\n';
+        expect(formatDiagnostic('p.md', markdown, { line: 2, from: 20, to: 21, type: 'warning', message: 'm' })).toBe('p.md:2:8: warning: m');
+        expect(formatDiagnostic('p.md', markdown, { line: 'N/A', type: 'error', message: 'm' })).toBe('p.md: error: m');
+    });
+});
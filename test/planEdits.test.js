@@ -0,0 +1,138 @@
+// test/planEdits.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    getTaskDurationChange,
+    getTaskDescriptionChange,
+    getTaskStartChange,
+    getTaskMoveChange,
+    getDependencyChange,
+    offsetToISODate,
+    spanToDuration,
+} from '../src/utils/planEdits';
+import { parseMarkdown } from '../src/utils/parser';
+
+const PLAN = [
+    'Start Date: 2024-03-04',
+    'M: 3',
+    'Resource "Alice"',
+    '',
+    'Task "Design" "2" // short',
+    'Task "Build" "Compile it" "M" start: "2024-03-06" assignee: Alice',
+    '    Notes:',
+    '        - Ask QA',
+    'Task "QA"  "Test it" "3" "Build SS lag: 1 " due: 10',
+    'Milestone "Launch"',
+    'Task "API, v2" "" "1" ""',
+].join('\n');
+
+// Applies a change the way the editor does
+const apply = (text, change) => text.slice(0, change.from) + change.insert + text.slice(change.to);
+const lineOf = (text, name) => text.split('\n').find(line => line.includes(`"${name}"`));
+
+describe('planEdits', () => {
+    it('should replace only the duration of a task', () => {
+        const change = getTaskDurationChange(PLAN, 'Build', 4);
+        expect(change).toEqual({ from: PLAN.indexOf('"M"') + 1, to: PLAN.indexOf('"M"') + 2, insert: '4' });
+        expect(lineOf(apply(PLAN, change), 'Build')).toBe('Task "Build" "Compile it" "4" start: "2024-03-06" assignee: Alice');
+        expect(getTaskDurationChange(PLAN, 'Design', 2)).toBeNull();
+        expect(getTaskDurationChange(PLAN, 'Launch', 1)).toBeNull();
+        expect(getTaskDurationChange(PLAN, 'Nope', 1)).toBeNull();
+    });
+
+    it('should take duration labels and reject durations that would break the line', () => {
+        expect(lineOf(apply(PLAN, getTaskDurationChange(PLAN, 'Design', ' M ')), 'Design')).toBe('Task "Design" "M" // short');
+        expect(getTaskDurationChange(PLAN, 'Design', '')).toBeNull();
+        expect(getTaskDurationChange(PLAN, 'Design', '2" "x')).toBeNull();
+    });
+
+    it('should keep a duration label that still stands for the new duration', () => {
+        expect(getTaskDurationChange(PLAN, 'Build', 3, { M: 3 })).toBeNull();
+        expect(lineOf(apply(PLAN, getTaskDurationChange(PLAN, 'Build', 4, { M: 3 })), 'Build'))
+            .toBe('Task "Build" "Compile it" "4" start: "2024-03-06" assignee: Alice');
+    });
+
+    it('should set a description, adding the field to tasks written with two fields', () => {
+        expect(lineOf(apply(PLAN, getTaskDescriptionChange(PLAN, 'Build', 'Compile "all"\nof it')), 'Build'))
+            .toBe('Task "Build" "Compile \'all\' of it" "M" start: "2024-03-06" assignee: Alice');
+        expect(lineOf(apply(PLAN, getTaskDescriptionChange(PLAN, 'Design', 'Sketch')), 'Design')).toBe('Task "Design" "Sketch" "2" // short');
+        expect(lineOf(apply(PLAN, getTaskDescriptionChange(PLAN, 'Launch', 'Go live')), 'Launch')).toBe('Milestone "Launch" "Go live"');
+        expect(getTaskDescriptionChange(PLAN, 'QA', 'Test it')).toBeNull();
+        expect(getTaskDescriptionChange(PLAN, 'Design', '  ')).toBeNull();
+    });
+
+    it('should replace an existing start or add one after the last attribute', () => {
+        expect(lineOf(apply(PLAN, getTaskStartChange(PLAN, 'Build', '2024-03-11')), 'Build'))
+            .toBe('Task "Build" "Compile it" "M" start: "2024-03-11" assignee: Alice');
+        expect(lineOf(apply(PLAN, getTaskStartChange(PLAN, 'Design', '2024-03-05')), 'Design'))
+            .toBe('Task "Design" "2" start: "2024-03-05" // short');
+        expect(lineOf(apply(PLAN, getTaskStartChange(PLAN, 'QA', 4)), 'QA'))
+            .toBe('Task "QA"  "Test it" "3" "Build SS lag: 1 " due: 10 start no earlier than: 4');
+        expect(lineOf(apply(PLAN, getTaskStartChange(PLAN, 'Launch', '2024-03-20')), 'Launch'))
+            .toBe('Milestone "Launch" start: "2024-03-20"');
+        expect(getTaskStartChange(PLAN, 'Build', '2024-03-06')).toBeNull();
+
+        const offsetPlan = 'Task "A" "2" start no earlier than: 3\n';
+        expect(apply(offsetPlan, getTaskStartChange(offsetPlan, 'A', 5))).toBe('Task "A" "2" start no earlier than: 5\n');
+    });
+
+    it('should only move a time-unit task where the plan can start it', () => {
+        const plan = 'Task "A" "2"\nTask "B" "" "3" "A"\n';
+        const move = getTaskMoveChange(plan, 'B', 4);
+        expect(apply(plan, move.change)).toBe('Task "A" "2"\nTask "B" "" "3" "A" start no earlier than: 4\n');
+        expect(move.startTime).toBe(4);
+
+        // B cannot start before A has finished
+        expect(getTaskMoveChange(plan, 'B', 1)).toEqual({ change: null, startTime: 2 });
+        expect(getTaskMoveChange(plan, 'A', 0)).toEqual({ change: expect.objectContaining({ insert: ' start no earlier than: 0' }), startTime: 0 });
+    });
+
+    it('should add a dependency to the dependency field, creating the field where needed', () => {
+        const lines = (source, target) => lineOf(apply(PLAN, getDependencyChange(PLAN, source, target)), target);
+        expect(lines('Design', 'QA')).toBe('Task "QA"  "Test it" "3" "Build SS lag: 1, Design " due: 10');
+        expect(lines('Design', 'Build')).toBe('Task "Build" "Compile it" "M" "Design" start: "2024-03-06" assignee: Alice');
+        expect(lines('Build', 'Design')).toBe('Task "Design" "" "2" "Build" // short');
+        expect(lines('QA', 'Launch')).toBe('Milestone "Launch" "" "QA"');
+        expect(lines('QA', 'API, v2')).toBe('Task "API, v2" "" "1" "QA"');
+
+        expect(getDependencyChange(PLAN, 'Build', 'QA')).toBeNull();
+        expect(getDependencyChange(PLAN, 'QA', 'QA')).toBeNull();
+    });
+
+    it('should write a dependency statement for a source whose name has a comma', () => {
+        const text = apply(PLAN, getDependencyChange(PLAN, 'API, v2', 'Build'));
+        expect(text.split('\n').slice(5, 9)).toEqual([
+            'Task "Build" "Compile it" "M" start: "2024-03-06" assignee: Alice',
+            '    Notes:',
+            '        - Ask QA',
+            '"Build" depends on "API, v2"',
+        ]);
+    });
+
+    it('should keep the plan readable after every edit', () => {
+        let text = PLAN;
+        [
+            getTaskDurationChange(PLAN, 'Design', 3),
+            getTaskStartChange(PLAN, 'QA', '2024-03-12'),
+            getDependencyChange(PLAN, 'Design', 'Launch'),
+            getDependencyChange(PLAN, 'API, v2', 'Design'),
+        ].sort((a, b) => b.from - a.from).forEach(change => { text = apply(text, change); });
+
+        const { tasks, dependencies, errors } = parseMarkdown(text);
+        expect(errors).toEqual([]);
+        const byName = Object.fromEntries(tasks.map(task => [task.name, task]));
+        expect(byName.Design.duration).toBe('3');
+        expect(byName.QA).toMatchObject({ startDate: '2024-03-12', due: 10 });
+        expect(byName.Build.assignees).toEqual(['Alice']);
+        expect(dependencies.map(dep => `${dep.source}->${dep.target}`)).toEqual(expect.arrayContaining(['Design->Launch', 'API, v2->Design']));
+    });
+
+    it('should turn canvas offsets into dates and durations', () => {
+        const calendar = { projectStartDate: new Date('2024-03-04T00:00:00Z'), workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], holidays: ['2024-03-13'] };
+        expect(offsetToISODate(calendar.projectStartDate, 9)).toBe('2024-03-13');
+        // Thursday 7th to Wednesday 13th (exclusive): Thu, Fri, Mon, Tue
+        expect(spanToDuration(3, 9, calendar)).toBe(4);
+        expect(spanToDuration(3, 10, calendar)).toBe(4);
+        expect(spanToDuration(3, 10, { ...calendar, durationMode: 'elapsed' })).toBe(7);
+        expect(spanToDuration(2, 5)).toBe(3);
+    });
+});
@@ -0,0 +1,74 @@
+// test/planFiles.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { openPlanFile, savePlanFile, supportsFileSystemAccess, fileNameFromPlanName, planNameFromFileName } from '../src/utils/planFiles';
+
+describe('planFiles', () => {
+    it('should map between plan and file names', () => {
+        expect(planNameFromFileName('release-plan.md')).toBe('release-plan');
+        expect(planNameFromFileName('tasks.CSV')).toBe('tasks');
+        expect(fileNameFromPlanName('Q3: launch/beta')).toBe('Q3- launch-beta.md');
+        expect(fileNameFromPlanName('')).toBe('plan.md');
+        expect(fileNameFromPlanName('Roadmap', '.pdf')).toBe('Roadmap.pdf');
+    });
+
+    it('should open and save in place with the File System Access API', async () => {
+        const writable = { write: vi.fn(), close: vi.fn() };
+        const handle = {
+            name: 'roadmap.md',
+            getFile: async () => ({ name: 'roadmap.md', text: async () => 'Task "A" "1"' }),
+            createWritable: async () => writable,
+        };
+        const win = {
+            showOpenFilePicker: vi.fn(async () => [handle]),
+            showSaveFilePicker: vi.fn(async () => handle),
+        };
+        expect(supportsFileSystemAccess(win)).toBe(true);
+
+        const opened = await openPlanFile(win);
+        expect(opened).toEqual({ name: 'roadmap', fileName: 'roadmap.md', markdown: 'Task "A" "1"', handle });
+
+        const saved = await savePlanFile('Task "B" "2"', { handle, win });
+        expect(win.showSaveFilePicker).not.toHaveBeenCalled();
+        expect(writable.write).toHaveBeenCalledWith('Task "B" "2"');
+        expect(writable.close).toHaveBeenCalled();
+        expect(saved).toEqual({ name: 'roadmap', handle });
+    });
+
+    it('should treat a dismissed picker as cancelled', async () => {
+        const abort = Object.assign(new Error('dismissed'), { name: 'AbortError' });
+        const win = {
+            showOpenFilePicker: async () => { throw abort; },
+            showSaveFilePicker: async () => { throw abort; },
+        };
+        expect(await openPlanFile(win)).toBeNull();
+        expect(await savePlanFile('x', { name: 'P', win })).toBeNull();
+    });
+
+    it('should fall back to a download without the File System Access API', async () => {
+        const createObjectURL = vi.fn(() => 'blob:plan');
+        const revokeObjectURL = vi.fn();
+        const win = { document, Blob, URL: { createObjectURL, revokeObjectURL } };
+        const clicked = [];
+        const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            clicked.push({ href: this.getAttribute('href'), download: this.download });
+        });
+
+        const saved = await savePlanFile('Task "A" "1"', { name: 'Sprint 4', win });
+        expect(saved).toEqual({ name: 'Sprint 4', handle: null });
+        expect(clicked).toEqual([{ href: 'blob:plan', download: 'Sprint 4.md' }]);
+        expect(revokeObjectURL).toHaveBeenCalledWith('blob:plan');
+        clickSpy.mockRestore();
+    });
+
+    it('should read an uploaded file without the File System Access API', async () => {
+        const file = { name: 'upload.md', text: async () => 'Task "A" "1"' }; // jsdom's File has no text()
+        const clickSpy = vi.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function () {
+            Object.defineProperty(this, 'files', { value: [file] });
+            this.dispatchEvent(new Event('change'));
+        });
+
+        const opened = await openPlanFile({ document });
+        expect(opened).toEqual({ name: 'upload', fileName: 'upload.md', markdown: 'Task "A" "1"', handle: null });
+        clickSpy.mockRestore();
+    });
+});
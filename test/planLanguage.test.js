@@ -0,0 +1,160 @@
+// test/planLanguage.test.js
+import { describe, it, expect } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { foldable, syntaxTree, matchBrackets } from '@codemirror/language';
+import { planParser, plan, findTaskNameAt } from '../src/utils/planLanguage';
+import { getOpenStringContext } from '../src/utils/completionProvider';
+
+describe('plan language', () => {
+
+    // Helper function to list the statements of a document with their children
+    const parseStatements = (doc) => {
+        const statements = [];
+        const cursor = planParser.parse(doc).topNode.firstChild?.cursor();
+        if (!cursor) return statements;
+        do {
+            const node = cursor.node;
+            const children = [];
+            for (let child = node.firstChild; child; child = child.nextSibling) {
+                children.push(child.name);
+            }
+            statements.push({ name: node.name, children });
+        } while (cursor.nextSibling());
+        return statements;
+    };
+
+    const createState = (doc) => EditorState.create({ doc, extensions: [plan()] });
+
+    describe('syntax tree', () => {
+        it('should parse task definitions with their fields and attributes', () => {
+            const statements = parseStatements('Task "A" "Write it" "M" "B, C" due: 5 # note\nTask "B" "S"');
+
+            expect(statements).toEqual([
+                {
+                    name: 'TaskDefinition',
+                    children: ['Task', 'TaskName', 'Description', 'TaskDuration', 'Dependencies', 'ConstraintAttribute', 'TrailingComment']
+                },
+                { name: 'TaskDefinition', children: ['Task', 'TaskName', 'TaskDuration'] }
+            ]);
+        });
+
+        it('should parse milestones, groups, resources, labels, dependencies and directives', () => {
+            const doc = [
+                'Milestone "Launch" "Go live" "A"',
+                'Task Group "Backend" ["A", "B"] bandwidth: 1',
+                'Resource "Alice" capacity: 2',
+                'XL: 15',
+                '"B" should start after "A" finishes lag: 2',
+                'Start Date: 2025-06-02',
+                'Holidays: 2025-06-03, 2025-06-04',
+                '// A comment on its own line',
+            ].join('\n');
+
+            expect(parseStatements(doc).map(statement => statement.name)).toEqual([
+                'MilestoneDefinition',
+                'TaskGroupDefinition',
+                'ResourceDefinition',
+                'DurationLabelDefinition',
+                'Dependency',
+                'Directive',
+                'Directive',
+                'LineComment'
+            ]);
+            expect(parseStatements(doc)[4].children).toEqual(['TaskRef', 'Relation', 'TaskRef', 'Event', 'Lag']);
+        });
+
+        it('should attach indented detail lines to the task above them', () => {
+            const doc = 'Task "A" "M"\n    Notes:\n    - first\n    - second\nTask "B" "S"';
+
+            const statements = parseStatements(doc);
+
+            expect(statements.map(statement => statement.name)).toEqual(['TaskDefinition', 'TaskDefinition']);
+            expect(statements[0].children).toContain('Details');
+            const details = planParser.parse(doc).topNode.firstChild.getChild('Details');
+            const detailNames = [];
+            for (let child = details.firstChild; child; child = child.nextSibling) {
+                detailNames.push(child.name);
+            }
+            expect(detailNames).toEqual(['DetailKey', 'DetailValue', 'DetailValue']);
+        });
+
+        it('should not treat unindented lines as details', () => {
+            const statements = parseStatements('Task "A" "M"\nXL: 15');
+
+            expect(statements.map(statement => statement.name)).toEqual(['TaskDefinition', 'DurationLabelDefinition']);
+            expect(statements[0].children).not.toContain('Details');
+        });
+    });
+
+    describe('editor support', () => {
+        it('should fold the details of a task below its definition line', () => {
+            const doc = 'Task "A" "M"\n    Notes:\n    - first\nTask "B" "S"';
+            const state = createState(doc);
+            syntaxTree(state); // Make sure the tree is available
+
+            const firstLine = state.doc.line(1);
+            expect(foldable(state, firstLine.from, firstLine.to)).toEqual({ from: firstLine.to, to: state.doc.line(3).to });
+            const lastLine = state.doc.line(4);
+            expect(foldable(state, lastLine.from, lastLine.to)).toBeNull();
+        });
+
+        it('should match opening and closing quotes', () => {
+            const doc = 'Task "Design" "M"';
+            const state = createState(doc);
+
+            const match = matchBrackets(state, doc.indexOf('"'), 1);
+
+            expect(match.matched).toBe(true);
+            expect(match.end.from).toBe(doc.indexOf('"', doc.indexOf('"') + 1));
+        });
+    });
+
+    describe('completion context', () => {
+        it('should name the field of the string being typed', () => {
+            expect(getOpenStringContext('Task "A" "Desc" "M" "Co')).toEqual({ field: 'Dependencies', statement: 'TaskDefinition', fragment: 'Co' });
+            expect(getOpenStringContext('Task "A" "Desc" "X')).toEqual({ field: 'TaskDuration', statement: 'TaskDefinition', fragment: 'X' });
+            expect(getOpenStringContext('"B" depends on "De')).toEqual({ field: 'TaskRef', statement: 'Dependency', fragment: 'De' });
+            expect(getOpenStringContext('Task Group "Team" ["A", "B')).toEqual({ field: 'TaskRef', statement: 'TaskGroupDefinition', fragment: 'B' });
+            expect(getOpenStringContext('Task "A" "X', 'Task "A" "X" "M"')).toEqual({ field: 'Description', statement: 'TaskDefinition', fragment: 'X' });
+        });
+
+        it('should find no string context outside quotes or in comments', () => {
+            expect(getOpenStringContext('Task "A" "M"')).toBeNull();
+            expect(getOpenStringContext('// Task "A')).toBeNull();
+        });
+    });
+
+    describe('task under the cursor', () => {
+        const doc = [
+            '// Release',
+            'Task "Build" "Compile it" "M" "Design SS lag: 2, Spec"',
+            '    Notes:',
+            '    - Ask QA',
+            '"QA" should start when "Build" finishes',
+            'Milestone "Launch"',
+        ].join('\n');
+        const tree = planParser.parse(doc);
+        const read = (from, to) => doc.slice(from, to);
+        const nameAt = (text, offset = 0) => findTaskNameAt(tree, read, doc.indexOf(text) + offset);
+
+        it('should find the task whose definition contains the position', () => {
+            expect(nameAt('Task "Build"')).toBe('Build');
+            expect(nameAt('Compile', 3)).toBe('Build');
+            expect(nameAt('- Ask QA', 4)).toBe('Build');
+            expect(nameAt('Milestone')).toBe('Launch');
+        });
+
+        it('should find the dependency entry or the task reference under the position', () => {
+            expect(nameAt('Design SS', 2)).toBe('Design');
+            expect(nameAt('lag: 2', 3)).toBe('Design');
+            expect(nameAt('Spec"', 4)).toBe('Spec');
+            expect(nameAt('"QA"', 2)).toBe('QA');
+            expect(nameAt('"Build" finishes', 7)).toBe('Build');
+        });
+
+        it('should find nothing outside task definitions and references', () => {
+            expect(nameAt('// Release', 3)).toBeNull();
+            expect(nameAt('should start', 2)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,82 @@
+// test/planStorage.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { createPlanStore, AUTOSAVE_REVISION_INTERVAL_MS, MAX_AUTOSAVE_REVISIONS, UNTITLED_PLAN_NAME } from '../src/utils/planStorage';
+
+describe('planStorage', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createPlanStore(new IDBFactory());
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('should create a plan on first save and list plans by last change', async () => {
+        const first = await store.savePlan({ name: 'Release', markdown: 'Task "A" "1"' }, { now: 1000 });
+        const second = await store.savePlan({ name: '', markdown: 'Task "B" "1"' }, { now: 2000 });
+        expect(first.id).toBeDefined();
+        expect(second.name).toBe(UNTITLED_PLAN_NAME);
+
+        await store.savePlan({ id: first.id, name: 'Release', markdown: 'Task "A" "2"' }, { now: 3000 });
+        const plans = await store.listPlans();
+        expect(plans.map(plan => plan.id)).toEqual([first.id, second.id]);
+        expect(plans[0]).toMatchObject({ markdown: 'Task "A" "2"', createdAt: 1000, updatedAt: 3000 });
+        expect(await store.getPlan(12345)).toBeNull();
+    });
+
+    it('should record a timestamped revision per save, newest first', async () => {
+        const plan = await store.savePlan({ name: 'P', markdown: 'v1' }, { now: 1000 });
+        await store.savePlan({ id: plan.id, name: 'P', markdown: 'v2' }, { now: 2000 });
+        await store.savePlan({ id: plan.id, name: 'P', markdown: 'v2' }, { now: 3000 }); // Unchanged, no revision
+
+        const revisions = await store.listRevisions(plan.id);
+        expect(revisions.map(revision => [revision.markdown, revision.kind, revision.createdAt])).toEqual([
+            ['v2', 'manual', 2000],
+            ['v1', 'manual', 1000],
+        ]);
+    });
+
+    it('should fold autosaves made shortly after each other into one revision', async () => {
+        const plan = await store.savePlan({ name: 'P', markdown: 'a' }, { autosave: true, now: 0 });
+        await store.savePlan({ id: plan.id, markdown: 'ab' }, { autosave: true, now: 1000 });
+        await store.savePlan({ id: plan.id, markdown: 'abc' }, { autosave: true, now: AUTOSAVE_REVISION_INTERVAL_MS + 1 });
+
+        let revisions = await store.listRevisions(plan.id);
+        expect(revisions.map(revision => revision.markdown)).toEqual(['abc', 'ab']);
+
+        // A manual save of the same content keeps the autosave as a manual revision
+        await store.savePlan({ id: plan.id, markdown: 'abc' }, { now: AUTOSAVE_REVISION_INTERVAL_MS + 2 });
+        revisions = await store.listRevisions(plan.id);
+        expect(revisions.map(revision => revision.kind)).toEqual(['manual', 'autosave']);
+        expect((await store.getPlan(plan.id)).name).toBe('P');
+    });
+
+    it('should keep only the newest autosave revisions', async () => {
+        const plan = await store.savePlan({ name: 'P', markdown: 'manual' }, { now: 0 });
+        for (let i = 1; i <= MAX_AUTOSAVE_REVISIONS + 2; i++) {
+            await store.savePlan({ id: plan.id, markdown: `autosave ${i}` }, { autosave: true, now: i * AUTOSAVE_REVISION_INTERVAL_MS });
+        }
+        const revisions = await store.listRevisions(plan.id);
+        expect(revisions.filter(revision => revision.kind === 'autosave')).toHaveLength(MAX_AUTOSAVE_REVISIONS);
+        expect(revisions[0].markdown).toBe(`autosave ${MAX_AUTOSAVE_REVISIONS + 2}`);
+        expect(revisions[revisions.length - 1].markdown).toBe('manual');
+    });
+
+    it('should rename and delete plans', async () => {
+        const plan = await store.savePlan({ name: 'Old', markdown: 'x' });
+        await store.renamePlan(plan.id, 'New');
+        expect((await store.getPlan(plan.id)).name).toBe('New');
+        expect(await store.listRevisions(plan.id)).toHaveLength(1);
+
+        await store.deletePlan(plan.id);
+        expect(await store.getPlan(plan.id)).toBeNull();
+        expect(await store.listRevisions(plan.id)).toEqual([]);
+    });
+
+    it('should reject when IndexedDB is unavailable', async () => {
+        await expect(createPlanStore(null).listPlans()).rejects.toThrow('IndexedDB is not available');
+    });
+});
@@ -0,0 +1,117 @@
+// test/quickFixes.test.js
+import { describe, it, expect } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { parseMarkdown } from '../src/utils/parser';
+import { getQuickFixes, findSimilarNames, getEditDistance } from '../src/utils/quickFixes';
+
+describe('quick fixes', () => {
+
+    // Helper that parses a plan and returns the fixes offered for the first error with the given code
+    const fixesFor = (doc, code) => {
+        const { tasks, errors } = parseMarkdown(doc);
+        const error = errors.find(e => e.code === code);
+        const state = EditorState.create({ doc });
+        return { state, error, fixes: getQuickFixes(state, error, tasks.map(t => t.name)) };
+    };
+
+    // Helper that applies a fix the way the lint action does and returns the new document and selection
+    const applyFix = ({ state, error }, fix) => {
+        const newState = state.update(fix.apply(state, error.from, error.to)).state;
+        return { doc: newState.doc.toString(), selection: newState.selection.main };
+    };
+
+    describe('names', () => {
+        it('should measure edit distance ignoring case', () => {
+            expect(getEditDistance('Desgn', 'Design')).toBe(1);
+            expect(getEditDistance('qa', 'QA')).toBe(0);
+            expect(getEditDistance('', 'abc')).toBe(3);
+        });
+
+        it('should suggest the closest names first and skip distant ones', () => {
+            expect(findSimilarNames('Tst', ['Tests', 'Test', 'Deploy'])).toEqual(['Test', 'Tests']);
+            expect(findSimilarNames('Build', ['Deploy'])).toEqual([]);
+        });
+    });
+
+    describe('undefined task', () => {
+        const doc = 'Task "Design" "M"\nTask "Build" "" "M" "Design, Desgn"\nM:5';
+
+        it('should offer to replace a misspelled dependency with a known task name', () => {
+            const result = fixesFor(doc, 'undefined-task');
+
+            expect(result.fixes.map(f => f.name)).toEqual(['Did you mean "Design"?', 'Create stub task "Desgn"']);
+            expect(applyFix(result, result.fixes[0]).doc).toBe('Task "Design" "M"\nTask "Build" "" "M" "Design, Design"\nM:5');
+        });
+
+        it('should create a stub task above the referencing line', () => {
+            const result = fixesFor(doc, 'undefined-task');
+
+            const { doc: fixed } = applyFix(result, result.fixes[1]);
+
+            expect(fixed).toBe('Task "Design" "M"\nTask "Desgn" "1"\nTask "Build" "" "M" "Design, Desgn"\nM:5');
+            expect(parseMarkdown(fixed).errors).toEqual([]);
+        });
+
+        it('should offer the fixes for task group references too', () => {
+            const result = fixesFor('Task "Design" "M"\nM:5\nTask Group ["Desgn"] bandwidth: 1', 'undefined-task');
+
+            expect(result.fixes.map(f => f.name)).toContain('Did you mean "Design"?');
+        });
+    });
+
+    describe('undefined duration label', () => {
+        it('should define the label next to the other label definitions and select its value', () => {
+            const result = fixesFor('Task "A" "XL"\nM:5\nS:2\nTask "B" "M"', 'undefined-duration-label');
+
+            expect(result.fixes.map(f => f.name)).toEqual(['Define label "XL"']);
+            const { doc, selection } = applyFix(result, result.fixes[0]);
+            expect(doc).toBe('Task "A" "XL"\nM:5\nS:2\nXL: ?\nTask "B" "M"');
+            expect(doc.slice(selection.from, selection.to)).toBe('?');
+        });
+
+        it('should append the definition when the plan has no labels yet', () => {
+            const result = fixesFor('Task "A" "L"\n', 'undefined-duration-label');
+
+            expect(applyFix(result, result.fixes[0]).doc).toBe('Task "A" "L"\nL: ?');
+        });
+
+        it('should not offer to define labels the parser would reject', () => {
+            expect(fixesFor('Task "A" "huge"', 'undefined-duration-label').fixes).toEqual([]);
+        });
+    });
+
+    describe('self-dependency', () => {
+        it.each([
+            ['A, B', 'B'],
+            ['B, A', 'B'],
+            ['B, A SS lag: 2, C', 'B, C'],
+            ['A', ''],
+        ])('should remove the self-reference from "%s"', (dependencies, expected) => {
+            const result = fixesFor(`Task "A" "" "M" "${dependencies}"\nTask "B" "M"\nTask "C" "M"\nM:5`, 'self-dependency');
+
+            expect(result.fixes.map(f => f.name)).toEqual(['Remove self-dependency']);
+            expect(applyFix(result, result.fixes[0]).doc.split('\n')[0]).toBe(`Task "A" "" "M" "${expected}"`);
+        });
+
+        it('should remove an explicit self-dependency statement', () => {
+            const result = fixesFor('Task "A" "M"\n"A" depends on "A"\nM:5', 'self-dependency');
+
+            expect(applyFix(result, result.fixes[0]).doc).toBe('Task "A" "M"\nM:5');
+        });
+    });
+
+    describe('duplicate task', () => {
+        it('should rename the duplicate to the first free numbered name', () => {
+            const result = fixesFor('Task "A" "M"\nTask "A 2" "M"\nTask "A" "M"\nM:5', 'duplicate-task');
+
+            expect(result.fixes.map(f => f.name)).toEqual(['Rename to "A 3"']);
+            expect(applyFix(result, result.fixes[0]).doc).toBe('Task "A" "M"\nTask "A 2" "M"\nTask "A 3" "M"\nM:5');
+        });
+    });
+
+    it('should offer nothing for errors without a code or range', () => {
+        const state = EditorState.create({ doc: 'oops' });
+        expect(getQuickFixes(state, { message: 'x', type: 'error', line: 1 })).toEqual([]);
+        expect(getQuickFixes(state, { code: 'undefined-task', line: 'N/A' })).toEqual([]);
+    });
+});
@@ -0,0 +1,51 @@
+// test/scheduleExport.test.js
+import { describe, it, expect } from 'vitest';
+import { getScheduleRows, exportScheduleAsJSON, exportScheduleAsCSV, exportScheduleAsSVG, CSV_COLUMNS } from '../src/utils/scheduleExport';
+
+describe('scheduleExport', () => {
+    const scheduledTasks = [
+        { name: 'Build', description: 'Says "hi", twice', duration: 3, startTime: 2, endTime: 5, isCritical: true, totalFloat: 0, assignees: ['Alice', 'Bob'] },
+        { name: 'Design', description: '', duration: 2, startTime: 0, endTime: 2, isCritical: true, totalFloat: 0, assignedBandwidthGroups: [{ name: 'Team' }] },
+        { name: 'Launch', description: '', duration: 0, startTime: 5, endTime: 5, isMilestone: true, isCritical: false, totalFloat: 1, lateBy: 2 },
+    ];
+    const dependencies = [
+        { source: 'Design', target: 'Build', type: 'FS', lag: 0 },
+        { source: 'Design', target: 'Launch', type: 'SS', lag: 2 },
+        { source: 'Build', target: 'Launch', lag: -1 },
+    ];
+
+    it('should order rows by start and write predecessors like the dependency field', () => {
+        const rows = getScheduleRows(scheduledTasks, dependencies);
+        expect(rows.map(row => row.name)).toEqual(['Design', 'Build', 'Launch']);
+        expect(rows[0].groups).toEqual(['Team']);
+        expect(rows[2].predecessors).toEqual(['Design SS lag: 2', 'Build lead: 1']);
+        expect(rows[2]).toMatchObject({ milestone: true, critical: false, totalFloat: 1, lateBy: 2, startDate: null });
+    });
+
+    it('should export JSON with the project finish', () => {
+        const json = JSON.parse(exportScheduleAsJSON(getScheduleRows(scheduledTasks, dependencies), { projectStartDate: '2025-06-02' }));
+        expect(json.projectStartDate).toBe('2025-06-02');
+        expect(json.projectFinish).toBe(5);
+        expect(json.tasks).toHaveLength(3);
+    });
+
+    it('should export CSV with quoted fields and CRLF line endings', () => {
+        const lines = exportScheduleAsCSV(getScheduleRows(scheduledTasks, dependencies)).split('\r\n');
+        expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+        expect(lines[2]).toBe('Build,"Says ""hi"", twice",3,2,5,,,Design,"Alice, Bob",,false,true,0,0');
+        expect(lines[4]).toBe('');
+    });
+
+    it('should export an SVG chart with a bar per task and a diamond per milestone', () => {
+        const svg = exportScheduleAsSVG(getScheduleRows(scheduledTasks, dependencies), { title: 'A & B' });
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+        expect(svg).toContain('<title>A &amp; B</title>');
+        expect(svg.match(/<g data-task=/g)).toHaveLength(3);
+        expect(svg.match(/<polygon /g)).toHaveLength(1);
+        expect(svg).toContain('stroke="#7c3aed"');
+        expect(svg).not.toContain('fill="#dc2626"'); // Late milestones have no bar to mark
+
+        const lateRows = getScheduleRows([{ ...scheduledTasks[0], lateBy: 1 }]);
+        expect(exportScheduleAsSVG(lateRows)).toContain('width="20" height="4" fill="#dc2626"');
+    });
+});
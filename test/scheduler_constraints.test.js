@@ -0,0 +1,151 @@
+// test/scheduler_constraints.test.js
+import { describe, it, expect } from 'vitest';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Deadlines and Constraints', () => {
+
+    // Helper function to easily create task objects for tests
+    const createTask = (name, duration, attributes = {}) => ({
+        name,
+        description: '',
+        duration,
+        resolvedDuration: duration,
+        dependencies: [],
+        ...attributes
+    });
+    const createDependency = (source, target) => ({ source, target });
+
+    const byName = (scheduledTasks, name) => scheduledTasks.find(t => t.name === name);
+    const toISODate = (date) => date.toISOString().split('T')[0];
+
+    const calendarData = {
+        startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+        workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+        holidays: [],
+        durationMode: 'working'
+    };
+
+    describe('time units', () => {
+        it('should not start a task before its start-no-earlier-than time', () => {
+            const tasks = [createTask('A', 2), createTask('B', 3, { startNoEarlierThan: 5 })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('A', 'B')], 'unbound', []);
+
+            expect(errors).toHaveLength(0);
+            expect(byName(scheduledTasks, 'B')).toEqual(expect.objectContaining({ startTime: 5, endTime: 8 }));
+        });
+
+        it('should hold a task back so it finishes on its must-finish-on time', () => {
+            const tasks = [createTask('A', 3, { mustFinishOn: 10 })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', []);
+
+            expect(errors).toHaveLength(0);
+            expect(byName(scheduledTasks, 'A')).toEqual(expect.objectContaining({ startTime: 7, endTime: 10, lateBy: 0 }));
+        });
+
+        it('should warn on the task line when a task misses its deadline, including by how much', () => {
+            const tasks = [createTask('A', 5), createTask('B', 4, { due: 6, originalLineNum: 3 })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('A', 'B')], 'unbound', []);
+
+            expect(errors).toEqual([{
+                message: 'Task "B" misses its deadline (6) by 3 time units.',
+                type: 'warning',
+                line: 3,
+                lateBy: 3
+            }]);
+            expect(byName(scheduledTasks, 'B')).toEqual(expect.objectContaining({ deadlineTime: 6, lateBy: 3 }));
+            // Warnings do not stop the critical path analysis
+            expect(byName(scheduledTasks, 'B').isCritical).toBe(true);
+        });
+
+        it('should move as-late-as-possible tasks up to their successors and the project finish', () => {
+            const tasks = [
+                createTask('A', 2, { asLateAsPossible: true }),
+                createTask('B', 1, { asLateAsPossible: true }),
+                createTask('C', 6),
+                createTask('D', 3)
+            ];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('A', 'D')], 'unbound', []);
+
+            expect(errors).toHaveLength(0);
+            expect(byName(scheduledTasks, 'A')).toEqual(expect.objectContaining({ startTime: 0, endTime: 2 }));
+            expect(byName(scheduledTasks, 'B')).toEqual(expect.objectContaining({ startTime: 5, endTime: 6 }));
+        });
+
+        it('should not move an as-late-as-possible task into a full task group', () => {
+            // X waits for Y and then takes the only slot of the team from 4 to 5
+            const tasks = [createTask('Y', 4), createTask('X', 1), createTask('C', 1, { asLateAsPossible: true })];
+            const taskGroups = [{ name: 'Team', type: 'list', identifiers: ['X', 'C'], bandwidth: 1 }];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('Y', 'X')], 'unbound', taskGroups);
+
+            expect(errors).toHaveLength(0);
+            expect(byName(scheduledTasks, 'C')).toEqual(expect.objectContaining({ startTime: 3, endTime: 4 }));
+        });
+
+        it('should ignore date constraints with a warning', () => {
+            const tasks = [createTask('A', 2, { due: '2025-06-20', originalLineNum: 2 })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', []);
+
+            expect(errors).toEqual([expect.objectContaining({
+                message: 'Constraint "due: 2025-06-20" on task "A" needs a number of time units because the plan has no Start Date; it is ignored.',
+                type: 'warning',
+                line: 2
+            })]);
+            expect(byName(scheduledTasks, 'A').lateBy).toBeUndefined();
+        });
+    });
+
+    describe('dates', () => {
+        it('should start a task on the first working day on or after its start-no-earlier-than date', () => {
+            const tasks = [createTask('A', 2, { startNoEarlierThan: '2025-06-07' })]; // Saturday
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], calendarData);
+
+            expect(errors).toHaveLength(0);
+            expect(toISODate(byName(scheduledTasks, 'A').startDate)).toBe('2025-06-09');
+        });
+
+        it('should finish a must-finish-on task on that date', () => {
+            const tasks = [createTask('A', 3, { mustFinishOn: '2025-06-13' })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], calendarData);
+
+            expect(errors).toHaveLength(0);
+            const a = byName(scheduledTasks, 'A');
+            expect(toISODate(a.startDate)).toBe('2025-06-11');
+            expect(toISODate(a.endDate)).toBe('2025-06-13');
+            expect(a.lateBy).toBe(0);
+        });
+
+        it('should report lateness in calendar days', () => {
+            const tasks = [createTask('A', 5), createTask('B', 3, { due: '2025-06-10', originalLineNum: 4 })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('A', 'B')], 'unbound', [], calendarData);
+
+            // B runs Mon 9 - Wed 11, one day after its deadline
+            expect(errors).toEqual([{
+                message: 'Task "B" misses its deadline (2025-06-10) by 1 day.',
+                type: 'warning',
+                line: 4,
+                lateBy: 1
+            }]);
+            expect(byName(scheduledTasks, 'B').lateBy).toBe(1);
+        });
+
+        it('should move as-late-as-possible tasks onto the last working days before the project finish', () => {
+            const tasks = [createTask('A', 5), createTask('B', 2, { asLateAsPossible: true })];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], calendarData);
+
+            expect(errors).toHaveLength(0);
+            const b = byName(scheduledTasks, 'B');
+            expect(toISODate(b.startDate)).toBe('2025-06-05');
+            expect(toISODate(b.endDate)).toBe('2025-06-06');
+        });
+    });
+});
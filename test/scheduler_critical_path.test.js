@@ -0,0 +1,187 @@
+// test/scheduler_critical_path.test.js
+import { describe, it, expect } from 'vitest';
+import { scheduleTasks, analyzeCriticalPath } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Critical Path Analysis', () => {
+
+    // Helper function to easily create task objects for tests
+    const createTask = (name, duration) => ({
+        name,
+        description: '',
+        duration,
+        resolvedDuration: duration,
+        dependencies: []
+    });
+
+    // Helper to easily create dependency objects
+    const createDependency = (source, target) => ({ source, target });
+
+    //   A(3) -> B(2) -> D(1)
+    //   A(3) -> C(4) -> D(1)
+    const tasks = [
+        createTask('A', 3),
+        createTask('B', 2),
+        createTask('C', 4),
+        createTask('D', 1)
+    ];
+    const dependencies = [
+        createDependency('A', 'B'),
+        createDependency('A', 'C'),
+        createDependency('B', 'D'),
+        createDependency('C', 'D')
+    ];
+
+    it('should compute earliest/latest start and finish for every task', () => {
+        const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+        expect(errors).toHaveLength(0);
+        const b = scheduledTasks.find(t => t.name === 'B');
+        const c = scheduledTasks.find(t => t.name === 'C');
+
+        expect(b).toEqual(expect.objectContaining({
+            earliestStart: 3,
+            earliestFinish: 5,
+            latestStart: 5,
+            latestFinish: 7,
+            totalFloat: 2,
+            freeFloat: 2,
+            isCritical: false
+        }));
+        expect(c).toEqual(expect.objectContaining({
+            earliestStart: 3,
+            earliestFinish: 7,
+            latestStart: 3,
+            latestFinish: 7,
+            totalFloat: 0,
+            isCritical: true
+        }));
+    });
+
+    it('should mark the critical chain in order', () => {
+        const { criticalPath } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+        expect(criticalPath.projectFinish).toBe(8);
+        expect(criticalPath.criticalChain).toEqual(['A', 'C', 'D']);
+        expect(criticalPath.unconstrained.criticalChain).toEqual(['A', 'C', 'D']);
+    });
+
+    it('should report the levelled and the unconstrained analysis separately when bandwidth delays tasks', () => {
+        // With one slot, B and C cannot overlap: A(0-3), C(3-7), B(7-9), D(9-10)
+        const { scheduledTasks, criticalPath } = scheduleTasks(tasks, dependencies, 1, []);
+
+        expect(criticalPath.projectFinish).toBe(10);
+        // B waits for the slot C releases, so C slipping would delay B as well
+        expect(criticalPath.criticalChain).toEqual(['A', 'C', 'B', 'D']);
+        expect(criticalPath.unconstrained.projectFinish).toBe(8);
+        expect(criticalPath.unconstrained.criticalChain).toEqual(['A', 'C', 'D']);
+
+        const b = scheduledTasks.find(t => t.name === 'B');
+        expect(b.isCritical).toBe(true);
+        expect(b.totalFloat).toBe(0);
+        expect(b.unconstrained.totalFloat).toBe(2);
+
+        const c = scheduledTasks.find(t => t.name === 'C');
+        expect(c.isCritical).toBe(true);
+        expect(c.freeFloat).toBe(0);
+    });
+
+    it('should leave float on tasks that are not delayed by bandwidth', () => {
+        // E and F share a group of one; G is independent and short
+        const groupTasks = [createTask('E', 2), createTask('F', 2), createTask('G', 1)];
+        const taskGroups = [{ name: 'Team', type: 'list', identifiers: ['E', 'F'], bandwidth: 1 }];
+
+        const { scheduledTasks, criticalPath } = scheduleTasks(groupTasks, [], 'unbound', taskGroups);
+
+        expect(criticalPath.projectFinish).toBe(4);
+        expect(scheduledTasks.find(t => t.name === 'G').totalFloat).toBe(3);
+        expect(scheduledTasks.find(t => t.name === 'G').isCritical).toBe(false);
+        expect(criticalPath.criticalChain).toHaveLength(2);
+    });
+
+    it('should mark every chain of equal length as critical', () => {
+        //   X(1) -> Y(1) -> Z(5)
+        //   W(2)          -> Z
+        const chainTasks = [createTask('X', 1), createTask('Y', 1), createTask('W', 2), createTask('Z', 5)];
+        const chainDeps = [
+            createDependency('X', 'Y'),
+            createDependency('Y', 'Z'),
+            createDependency('W', 'Z')
+        ];
+
+        const { scheduledTasks } = scheduleTasks(chainTasks, chainDeps, 'unbound', []);
+        const x = scheduledTasks.find(t => t.name === 'X');
+        const w = scheduledTasks.find(t => t.name === 'W');
+
+        expect(x.totalFloat).toBe(0);
+        expect(x.freeFloat).toBe(0);
+        expect(w.isCritical).toBe(true);
+        expect(scheduledTasks.find(t => t.name === 'Y').totalFloat).toBe(0);
+    });
+
+    it('should include the analysis in date-aware schedules', () => {
+        const calendarData = {
+            startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+            workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+            holidays: [],
+            durationMode: 'working'
+        };
+
+        const { scheduledTasks, criticalPath, errors } = scheduleTasks(tasks, dependencies, 'unbound', [], calendarData);
+
+        expect(errors).toHaveLength(0);
+        expect(criticalPath.criticalChain).toEqual(['A', 'C', 'D']);
+        // B spans Thu-Fri while C runs until Tuesday: the weekend in between is not float
+        const b = scheduledTasks.find(t => t.name === 'B');
+        expect(b.totalFloat).toBe(2);
+        expect(b.unconstrained.totalFloat).toBe(2);
+    });
+
+    it('should not count a weekend between a task and its successor as float', () => {
+        const calendarData = {
+            startDate: new Date('2025-06-04T00:00:00.000Z'), // Wednesday
+            workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+            holidays: [],
+            durationMode: 'working'
+        };
+
+        const { scheduledTasks, criticalPath } = scheduleTasks(
+            [createTask('A', 3), createTask('B', 2)], [createDependency('A', 'B')], 'unbound', [], calendarData
+        );
+
+        // A runs Wed-Fri and B Mon-Tue
+        expect(criticalPath.criticalChain).toEqual(['A', 'B']);
+        expect(criticalPath.projectFinish).toBe(7);
+        const a = scheduledTasks.find(t => t.name === 'A');
+        expect(a).toMatchObject({ totalFloat: 0, isCritical: true, earliestFinish: 3, latestFinish: 3 });
+        expect(a.unconstrained.totalFloat).toBe(0);
+        const b = scheduledTasks.find(t => t.name === 'B');
+        expect(b).toMatchObject({ earliestStart: 5, latestStart: 5, latestFinish: 7 });
+    });
+
+    it('should not run the analysis when scheduling fails', () => {
+        const { criticalPath, errors } = scheduleTasks(tasks, [createDependency('A', 'Missing')], 'unbound', []);
+
+        expect(errors.length).toBeGreaterThan(0);
+        expect(criticalPath).toBeUndefined();
+    });
+
+    it('should run standalone over any graph', () => {
+        const graph = { P: ['Q'], Q: [] };
+        const analysis = analyzeCriticalPath(
+            [{ name: 'P', predecessors: [] }, { name: 'Q', predecessors: ['P'] }],
+            graph,
+            () => 2
+        );
+
+        expect(analysis.projectFinish).toBe(4);
+        expect(analysis.timings.Q).toEqual({
+            earliestStart: 2,
+            earliestFinish: 4,
+            latestStart: 2,
+            latestFinish: 4,
+            totalFloat: 0,
+            freeFloat: 0,
+            isCritical: true
+        });
+    });
+});
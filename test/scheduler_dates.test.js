@@ -250,4 +250,93 @@ describe('scheduleTasks - Date-Aware Scheduling', () => {
         expect(successor.startDate).toEqual(new Date('2025-06-04T00:00:00.000Z'));
         expect(successor.endDate).toEqual(new Date('2025-06-09T00:00:00.000Z'));
     });
-});
\ No newline at end of file
+
+    it('should enforce the global bandwidth day by day on the working calendar', () => {
+        const tasks = [
+            createTask('Task A', 3),
+            createTask('Task B', 2)
+        ];
+        const calendarData = {
+            ...mockCalendarData,
+            startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+            holidays: []
+        };
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 1, [], calendarData);
+
+        expect(errors).toHaveLength(0);
+        const taskA = scheduledTasks.find(t => t.name === 'Task A');
+        const taskB = scheduledTasks.find(t => t.name === 'Task B');
+
+        // The longer task goes first; the second one waits for the only slot to free up
+        expect(taskA.startDate).toEqual(new Date('2025-06-02T00:00:00.000Z'));
+        expect(taskA.endDate).toEqual(new Date('2025-06-04T00:00:00.000Z'));
+        expect(taskB.startDate).toEqual(new Date('2025-06-05T00:00:00.000Z'));
+        // Thu, Fri
+        expect(taskB.endDate).toEqual(new Date('2025-06-06T00:00:00.000Z'));
+    });
+
+    it('should enforce task group bandwidth and skip non-working days when a slot frees up', () => {
+        const tasks = [
+            createTask('FE-Task1', 3),
+            createTask('FE-Task2', 2),
+            createTask('BE-Task1', 1)
+        ];
+        const taskGroups = [
+            createTaskGroup('Frontend', 'list', ['FE-Task1', 'FE-Task2'], 1)
+        ];
+        const calendarData = {
+            ...mockCalendarData,
+            startDate: new Date('2025-06-04T00:00:00.000Z'), // Wednesday, Thursday is a holiday
+        };
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', taskGroups, calendarData);
+
+        expect(errors).toHaveLength(0);
+        const fe1 = scheduledTasks.find(t => t.name === 'FE-Task1');
+        const fe2 = scheduledTasks.find(t => t.name === 'FE-Task2');
+        const be1 = scheduledTasks.find(t => t.name === 'BE-Task1');
+
+        // Wed, (Thu holiday), Fri, Mon
+        expect(fe1.startDate).toEqual(new Date('2025-06-04T00:00:00.000Z'));
+        expect(fe1.endDate).toEqual(new Date('2025-06-09T00:00:00.000Z'));
+        // Waits for the group slot: Tue, Wed
+        expect(fe2.startDate).toEqual(new Date('2025-06-10T00:00:00.000Z'));
+        expect(fe2.endDate).toEqual(new Date('2025-06-11T00:00:00.000Z'));
+        // Ungrouped task runs in parallel
+        expect(be1.startDate).toEqual(new Date('2025-06-04T00:00:00.000Z'));
+    });
+
+    it('should expose startTime/endTime as day offsets from the project start', () => {
+        const tasks = [
+            createTask('Predecessor', 2),
+            createTask('Successor', 3)
+        ];
+        const dependencies = [createDependency('Predecessor', 'Successor')];
+
+        const { scheduledTasks, errors, projectStartDate } = scheduleTasks(tasks, dependencies, 'unbound', [], mockCalendarData);
+
+        expect(errors).toHaveLength(0);
+        expect(projectStartDate).toEqual(new Date('2025-06-01T00:00:00.000Z'));
+
+        const predecessor = scheduledTasks.find(t => t.name === 'Predecessor');
+        const successor = scheduledTasks.find(t => t.name === 'Successor');
+
+        // Mon 2 -> Tue 3
+        expect(predecessor.startTime).toBe(1);
+        expect(predecessor.endTime).toBe(3);
+        // Wed 4, (Thu holiday), Fri 6, Mon 9
+        expect(successor.startTime).toBe(3);
+        expect(successor.endTime).toBe(9);
+    });
+
+    it('should report tasks that can never get a slot', () => {
+        const tasks = [createTask('Task A', 2)];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 0, [], mockCalendarData);
+
+        expect(scheduledTasks).toHaveLength(0);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toContain('Task "Task A" could not be scheduled');
+    });
+});
@@ -0,0 +1,126 @@
+// test/scheduler_dependency_types.test.js
+import { describe, it, expect } from 'vitest';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Dependency Types and Lag', () => {
+
+    // Helper function to easily create task objects for tests
+    const createTask = (name, duration) => ({
+        name,
+        description: '',
+        duration,
+        resolvedDuration: duration,
+        dependencies: []
+    });
+
+    // Helper to create dependency objects with a relationship type and lag
+    const createDependency = (source, target, type = 'FS', lag = 0) => ({ source, target, type, lag });
+
+    const byName = (scheduledTasks, name) => scheduledTasks.find(t => t.name === name);
+
+    describe('time units', () => {
+        it('should honour start-to-start and finish-to-finish relationships', () => {
+            const tasks = [createTask('Dev', 5), createTask('QA', 3), createTask('Docs', 2)];
+            const dependencies = [
+                createDependency('Dev', 'QA', 'SS', 2),
+                createDependency('Dev', 'Docs', 'FF')
+            ];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+            expect(errors).toHaveLength(0);
+            expect(byName(scheduledTasks, 'QA')).toEqual(expect.objectContaining({ startTime: 2, endTime: 5 }));
+            expect(byName(scheduledTasks, 'Docs')).toEqual(expect.objectContaining({ startTime: 3, endTime: 5 }));
+        });
+
+        it('should honour start-to-finish relationships', () => {
+            const tasks = [createTask('QA', 3), createTask('Handover', 1)];
+            const { scheduledTasks } = scheduleTasks(tasks, [createDependency('QA', 'Handover', 'SF', 4)], 'unbound', []);
+
+            // Handover may not finish before QA started plus four units
+            expect(byName(scheduledTasks, 'Handover')).toEqual(expect.objectContaining({ startTime: 3, endTime: 4 }));
+        });
+
+        it('should apply lag and lead to finish-to-start dependencies', () => {
+            const tasks = [createTask('A', 4), createTask('B', 1), createTask('C', 1)];
+            const dependencies = [
+                createDependency('A', 'B', 'FS', 2),
+                createDependency('A', 'C', 'FS', -1)
+            ];
+
+            const { scheduledTasks } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+            expect(byName(scheduledTasks, 'B').startTime).toBe(6);
+            expect(byName(scheduledTasks, 'C').startTime).toBe(3);
+        });
+
+        it('should start a start-to-start successor together with its predecessor', () => {
+            const tasks = [createTask('A', 4), createTask('B', 2)];
+            const { scheduledTasks } = scheduleTasks(tasks, [createDependency('A', 'B', 'SS')], 2, []);
+
+            expect(byName(scheduledTasks, 'B').startTime).toBe(0);
+        });
+
+        it('should still respect bandwidth for overlapping relationships', () => {
+            const tasks = [createTask('Dev', 5), createTask('QA', 3)];
+            const { scheduledTasks } = scheduleTasks(tasks, [createDependency('Dev', 'QA', 'SS', 2)], 1, []);
+
+            expect(byName(scheduledTasks, 'QA').startTime).toBe(5);
+        });
+
+        it('should account for relationship types in the float figures', () => {
+            const tasks = [createTask('Dev', 5), createTask('QA', 3), createTask('Long', 8)];
+            const { scheduledTasks, criticalPath } = scheduleTasks(tasks, [createDependency('Dev', 'QA', 'SS', 2)], 'unbound', []);
+
+            expect(criticalPath.projectFinish).toBe(8);
+            expect(byName(scheduledTasks, 'QA')).toEqual(expect.objectContaining({ latestStart: 5, totalFloat: 3 }));
+            // Dev can slip as long as QA can still start two units after it and finish by 8
+            expect(byName(scheduledTasks, 'Dev')).toEqual(expect.objectContaining({ latestFinish: 8, totalFloat: 3, freeFloat: 0 }));
+            expect(criticalPath.criticalChain).toEqual(['Long']);
+        });
+    });
+
+    describe('dates', () => {
+        const calendarData = {
+            startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+            workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+            holidays: [],
+            durationMode: 'working'
+        };
+        const dateOf = (scheduledTasks, name, field) => byName(scheduledTasks, name)[field].toISOString().split('T')[0];
+
+        it('should count lags in working days', () => {
+            const tasks = [createTask('Dev', 5), createTask('QA', 3), createTask('Docs', 2), createTask('Release', 1), createTask('Prep', 1)];
+            const dependencies = [
+                createDependency('Dev', 'QA', 'SS', 2),
+                createDependency('Dev', 'Docs', 'FF'),
+                createDependency('Dev', 'Release', 'FS', 1),
+                createDependency('Dev', 'Prep', 'FS', -1)
+            ];
+
+            const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', [], calendarData);
+
+            expect(errors).toHaveLength(0);
+            expect(dateOf(scheduledTasks, 'Dev', 'endDate')).toBe('2025-06-06'); // Fri
+            expect(dateOf(scheduledTasks, 'QA', 'startDate')).toBe('2025-06-04'); // Wed
+            expect(dateOf(scheduledTasks, 'Docs', 'startDate')).toBe('2025-06-05'); // Thu
+            expect(dateOf(scheduledTasks, 'Docs', 'endDate')).toBe('2025-06-06'); // Fri
+            expect(dateOf(scheduledTasks, 'Release', 'startDate')).toBe('2025-06-10'); // Tue, one working day after Mon
+            expect(dateOf(scheduledTasks, 'Prep', 'startDate')).toBe('2025-06-06'); // Fri, one day of lead
+        });
+
+        it('should place start-to-start and start-to-finish successors on the same day when allowed', () => {
+            const tasks = [createTask('QA', 3), createTask('Pair', 3), createTask('Handover', 2)];
+            const dependencies = [
+                createDependency('QA', 'Pair', 'SS'),
+                createDependency('QA', 'Handover', 'SF', 3)
+            ];
+
+            const { scheduledTasks } = scheduleTasks(tasks, dependencies, 'unbound', [], calendarData);
+
+            expect(dateOf(scheduledTasks, 'Pair', 'startDate')).toBe('2025-06-02');
+            // Handover may finish the day before QA's start plus three working days, i.e. on Wednesday
+            expect(dateOf(scheduledTasks, 'Handover', 'endDate')).toBe('2025-06-04');
+        });
+    });
+});
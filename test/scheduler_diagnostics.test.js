@@ -0,0 +1,54 @@
+// test/scheduler_diagnostics.test.js
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown } from '../src/utils/parser';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Diagnostic Ranges', () => {
+
+    // Helper function to schedule a plan straight from its text, like App.vue does
+    const schedule = (markdown) => {
+        const { tasks, dependencies, globalBandwidth, taskGroups } = parseMarkdown(markdown);
+        return scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups);
+    };
+
+    it('should point a circular dependency at the dependency that closes the cycle', () => {
+        const markdown = 'Task "A" "" "M" "B"\nTask "B" "" "M" "A"\nM:5';
+
+        const { errors } = schedule(markdown);
+
+        expect(errors).toEqual([{
+            message: 'Circular dependency detected: A -> B -> A',
+            type: 'error',
+            line: 1,
+            from: markdown.indexOf('"B"') + 1,
+            to: markdown.indexOf('"B"') + 2
+        }]);
+    });
+
+    it('should point a missing dependency source at its name on the successor\'s line', () => {
+        const markdown = 'Task "A" "" "M" "Gone"\nM:5';
+        const { tasks, dependencies } = parseMarkdown(markdown);
+
+        const { errors } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+        expect(errors).toEqual([expect.objectContaining({
+            message: 'Scheduling error: Dependency source task "Gone" not found.',
+            line: 1,
+            from: markdown.indexOf('Gone'),
+            to: markdown.indexOf('Gone') + 'Gone'.length
+        })]);
+    });
+
+    it('should keep line "N/A" for tasks without recorded ranges', () => {
+        const tasks = [{ name: 'A', duration: 1, resolvedDuration: 1, dependencies: [] }];
+
+        const { errors } = scheduleTasks(tasks, [{ source: 'A', target: 'Missing' }], 'unbound', []);
+
+        expect(errors).toEqual([{
+            message: 'Scheduling error: Dependency target task "Missing" not found.',
+            type: 'error',
+            code: 'undefined-task',
+            line: 'N/A'
+        }]);
+    });
+});
@@ -0,0 +1,76 @@
+// test/scheduler_milestones.test.js
+import { describe, it, expect } from 'vitest';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Milestones', () => {
+
+    // Helper function to easily create task objects for tests
+    const createTask = (name, duration) => ({
+        name,
+        description: '',
+        duration,
+        resolvedDuration: duration,
+        dependencies: []
+    });
+    const createMilestone = (name) => ({ ...createTask(name, 0), duration: '0', isMilestone: true });
+    const createDependency = (source, target) => ({ source, target });
+
+    const byName = (scheduledTasks, name) => scheduledTasks.find(t => t.name === name);
+
+    it('should place a milestone at the moment its last predecessor finishes', () => {
+        const tasks = [createTask('Dev', 5), createTask('QA', 3), createMilestone('Beta'), createTask('Launch', 2)];
+        const dependencies = [
+            createDependency('Dev', 'Beta'),
+            createDependency('QA', 'Beta'),
+            createDependency('Beta', 'Launch')
+        ];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', []);
+
+        expect(errors).toHaveLength(0);
+        expect(byName(scheduledTasks, 'Beta')).toEqual(expect.objectContaining({ startTime: 5, endTime: 5 }));
+        expect(byName(scheduledTasks, 'Launch').startTime).toBe(5);
+    });
+
+    it('should not let bandwidth or task groups hold a milestone back', () => {
+        const tasks = [createTask('A', 4), createTask('B', 4), createMilestone('M')];
+        const taskGroups = [{ name: 'All', type: 'regex', identifiers: ['.*'], bandwidth: 1 }];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [createDependency('A', 'M')], 1, taskGroups);
+
+        expect(errors).toHaveLength(0);
+        const milestone = byName(scheduledTasks, 'M');
+        expect(milestone.assignedBandwidthGroup).toBeUndefined();
+        // B occupies the only slot from 4 to 8, yet the milestone is reached as soon as A is done
+        expect(milestone.startTime).toBe(4);
+    });
+
+    it('should schedule a milestone without predecessors at the project start', () => {
+        const { scheduledTasks, errors } = scheduleTasks([createMilestone('Kickoff')], [], 'unbound', []);
+
+        expect(errors).toHaveLength(0);
+        expect(byName(scheduledTasks, 'Kickoff')).toEqual(expect.objectContaining({ startTime: 0, endTime: 0, isScheduled: true }));
+    });
+
+    it('should place milestones at the end of the finishing day in date-aware mode', () => {
+        const calendarData = {
+            startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+            workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+            holidays: [],
+            durationMode: 'working'
+        };
+        const tasks = [createTask('Dev', 5), createMilestone('Beta'), createTask('Launch', 1)];
+        const dependencies = [createDependency('Dev', 'Beta'), createDependency('Beta', 'Launch')];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', [], calendarData);
+
+        expect(errors).toHaveLength(0);
+        const dev = byName(scheduledTasks, 'Dev');
+        const beta = byName(scheduledTasks, 'Beta');
+        // Dev ends on Friday, so the milestone sits right at the end of its bar
+        expect(beta.startTime).toBe(dev.endTime);
+        expect(beta.endTime).toBe(dev.endTime);
+        // The successor still waits for the next working day
+        expect(byName(scheduledTasks, 'Launch').startDate.toISOString().split('T')[0]).toBe('2025-06-09');
+    });
+});
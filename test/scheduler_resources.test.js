@@ -0,0 +1,96 @@
+// test/scheduler_resources.test.js
+import { describe, it, expect } from 'vitest';
+import { scheduleTasks } from '../src/utils/scheduler';
+
+describe('scheduleTasks - Resources and Assignees', () => {
+
+    // Helper function to easily create task objects for tests
+    const createTask = (name, duration, assignees, attributes = {}) => ({
+        name,
+        description: '',
+        duration,
+        resolvedDuration: duration,
+        dependencies: [],
+        ...(assignees ? { assignees } : {}),
+        ...attributes
+    });
+
+    const byName = (scheduledTasks, name) => scheduledTasks.find(t => t.name === name);
+    const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+    it('should never overlap two tasks of the same person', () => {
+        const tasks = [createTask('A', 3, ['Alice']), createTask('B', 2, ['Alice']), createTask('C', 4, ['Bob'])];
+        const resources = [{ name: 'Alice', capacity: 1 }, { name: 'Bob', capacity: 1 }];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], undefined, resources);
+
+        expect(errors).toHaveLength(0);
+        expect(overlaps(byName(scheduledTasks, 'A'), byName(scheduledTasks, 'B'))).toBe(false);
+        expect(byName(scheduledTasks, 'C').startTime).toBe(0);
+        expect(byName(scheduledTasks, 'B')).toEqual(expect.objectContaining({ startTime: 3, endTime: 5 }));
+    });
+
+    it('should let a person work on as many tasks as their capacity allows', () => {
+        const tasks = [createTask('A', 3, ['Alice']), createTask('B', 2, ['Alice']), createTask('C', 1, ['Alice'])];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], undefined, [{ name: 'Alice', capacity: 2 }]);
+
+        expect(errors).toHaveLength(0);
+        expect(byName(scheduledTasks, 'A').startTime).toBe(0);
+        expect(byName(scheduledTasks, 'B').startTime).toBe(0);
+        expect(byName(scheduledTasks, 'C').startTime).toBe(2);
+    });
+
+    it('should wait until every assignee of a task is free and assume a capacity of 1 for undeclared people', () => {
+        const tasks = [createTask('A', 3, ['Alice']), createTask('B', 1, ['Bob']), createTask('Pairing', 2, ['Alice', 'Bob'])];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], undefined, []);
+
+        expect(errors).toHaveLength(0);
+        expect(byName(scheduledTasks, 'Pairing')).toEqual(expect.objectContaining({ startTime: 3, endTime: 5 }));
+    });
+
+    it('should still honour task group and global bandwidth', () => {
+        const tasks = [createTask('A', 2, ['Alice']), createTask('B', 2, ['Bob']), createTask('C', 2, ['Carol'])];
+        const resources = ['Alice', 'Bob', 'Carol'].map(name => ({ name, capacity: 1 }));
+        const taskGroups = [{ name: 'Review', type: 'list', identifiers: ['A', 'B'], bandwidth: 1 }];
+
+        const grouped = scheduleTasks(tasks, [], 'unbound', taskGroups, undefined, resources);
+        expect(overlaps(byName(grouped.scheduledTasks, 'A'), byName(grouped.scheduledTasks, 'B'))).toBe(false);
+
+        const global = scheduleTasks(tasks, [], 1, [], undefined, resources);
+        expect(Math.max(...global.scheduledTasks.map(t => t.endTime))).toBe(6);
+    });
+
+    it('should not move an as-late-as-possible task onto a busy assignee', () => {
+        // Alice works on Y from 3 to 5, so C can only move up to the gap before it
+        const tasks = [
+            createTask('X', 3, ['Bob']),
+            createTask('Y', 2, ['Alice']),
+            createTask('C', 1, ['Alice'], { asLateAsPossible: true })
+        ];
+        const dependencies = [{ source: 'X', target: 'Y' }];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, 'unbound', [], undefined, [{ name: 'Alice', capacity: 1 }]);
+
+        expect(errors).toHaveLength(0);
+        expect(byName(scheduledTasks, 'C')).toEqual(expect.objectContaining({ startTime: 2, endTime: 3 }));
+    });
+
+    it('should not overlap tasks of the same person in date-aware schedules', () => {
+        const calendarData = {
+            startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+            workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+            holidays: [],
+            durationMode: 'working'
+        };
+        const tasks = [createTask('A', 3, ['Alice']), createTask('B', 2, ['Alice'])];
+
+        const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', [], calendarData, [{ name: 'Alice', capacity: 1 }]);
+
+        expect(errors).toHaveLength(0);
+        const b = byName(scheduledTasks, 'B');
+        expect(b.startDate.toISOString().split('T')[0]).toBe('2025-06-05');
+        expect(b.endDate.toISOString().split('T')[0]).toBe('2025-06-06');
+    });
+});
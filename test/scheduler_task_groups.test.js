@@ -105,7 +105,7 @@ describe('scheduleTasks - Task Group Assignment', () => {
             expect(frontendHome.assignedBandwidthGroup).toBeUndefined(); // Not in any group
         });
 
-        it('should handle tasks that match multiple groups (first group wins)', () => {
+        it('should handle tasks that match multiple groups (every group applies)', () => {
             const tasks = [
                 createTask('backend-login', 2),
                 createTask('frontend-home', 1),
@@ -115,27 +115,29 @@ describe('scheduleTasks - Task Group Assignment', () => {
             const taskGroups = [
                 // This is the first matching group for 'backend-login'
                 createTaskGroup('Backend Team', 'regex', ['backend-.*'], 1),
-                // This is the second group, which will not be assigned
+                // 'backend-login' belongs to this group as well
                 createTaskGroup('All Tasks', 'list', ['backend-login', 'frontend-home'], 2),
             ];
 
             const { scheduledTasks, errors } = scheduleTasks(tasks, dependencies, globalBandwidth, taskGroups);
 
-            expect(errors).toHaveLength(0);
+            // Tasks in several groups are listed, but this is not a problem
+            expect(errors).toEqual([expect.objectContaining({
+                type: 'info',
+                message: 'Task "backend-login" belongs to 2 task groups ("Backend Team", "All Tasks"); the bandwidth of each of them applies.'
+            })]);
             expect(scheduledTasks).toHaveLength(2);
 
             const backendLogin = scheduledTasks.find(t => t.name === 'backend-login');
             const frontendHome = scheduledTasks.find(t => t.name === 'frontend-home');
 
-            // The scheduler assigns the FIRST matching group, which is 'Backend Team'.
-            // We update the test to expect this behavior.
-            const expectedBackendGroup = scheduledTasks.find(t => t.name.startsWith('backend-')).assignedBandwidthGroup;
-            expect(backendLogin.assignedBandwidthGroup).toEqual(expectedBackendGroup);
+            // The first matching group stays the main group; all matches are listed
+            expect(backendLogin.assignedBandwidthGroup.name).toBe('Backend Team');
+            expect(backendLogin.assignedBandwidthGroups.map(g => g.name)).toEqual(['Backend Team', 'All Tasks']);
 
             // 'frontend-home' does not match the first group, so it matches the second one.
-            const expectedFrontendGroup = scheduledTasks.find(t => t.name === 'frontend-home').assignedBandwidthGroup;
-            expect(frontendHome.assignedBandwidthGroup).toEqual(expectedFrontendGroup);
             expect(frontendHome.assignedBandwidthGroup.name).toBe('All Tasks');
+            expect(frontendHome.assignedBandwidthGroups.map(g => g.name)).toEqual(['All Tasks']);
         });
 
         it('should handle tasks with no assigned group (assignedBandwidthGroup = null)', () => {
@@ -355,4 +357,64 @@ describe('scheduleTasks - Task Group Assignment', () => {
             expect(beTask1.endTime).toBe(1);
         });
     });
-}); 
\ No newline at end of file
+}); 
+
+describe('scheduleTasks - Overlapping Task Groups', () => {
+
+    const createTask = (name, duration) => ({ name, description: '', duration, resolvedDuration: duration, dependencies: [] });
+    const createTaskGroup = (name, type, identifiers, bandwidth) => ({ name, type, identifiers, bandwidth });
+    const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+    const calendarData = {
+        startDate: new Date('2025-06-02T00:00:00.000Z'), // Monday
+        workDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+        holidays: [],
+        durationMode: 'working'
+    };
+
+    // 'users-DB' is both backend work and a database migration
+    const tasks = [createTask('users-DB', 3), createTask('api', 2), createTask('orders-DB', 2)];
+    const taskGroups = [
+        createTaskGroup('Backend', 'list', ['users-DB', 'api'], 2),
+        createTaskGroup('Database', 'regex', ['.*-DB'], 1),
+    ];
+
+    [['time units', undefined], ['dates', calendarData]].forEach(([mode, calendar]) => {
+        it(`should enforce the bandwidth of every group a task belongs to (${mode})`, () => {
+            const { scheduledTasks, errors } = scheduleTasks(tasks, [], 'unbound', taskGroups, calendar);
+            const byName = name => scheduledTasks.find(t => t.name === name);
+
+            expect(errors.filter(e => e.type !== 'info')).toHaveLength(0);
+            // The Backend group has room for both, but the Database group only fits one migration at a time
+            expect(overlaps(byName('users-DB'), byName('api'))).toBe(true);
+            expect(overlaps(byName('users-DB'), byName('orders-DB'))).toBe(false);
+            expect(byName('users-DB').assignedBandwidthGroups.map(g => g.name)).toEqual(['Backend', 'Database']);
+        });
+
+        it(`should count grouped tasks against the global bandwidth (${mode})`, () => {
+            const mixedTasks = [createTask('A', 3), createTask('B', 1), createTask('C', 1), createTask('D', 1)];
+            const { scheduledTasks } = scheduleTasks(mixedTasks, [], 2, [createTaskGroup('Backend', 'list', ['A'], 1)], calendar);
+
+            // At no moment do more than two tasks run, whether they are in a group or not
+            scheduledTasks.forEach(task => {
+                const running = scheduledTasks.filter(other => other.startTime <= task.startTime && task.startTime < other.endTime);
+                expect(running.length).toBeLessThanOrEqual(2);
+            });
+        });
+    });
+
+    it('should list the tasks that belong to several groups', () => {
+        const { errors } = scheduleTasks(
+            [{ ...tasks[0], originalLineNum: 4 }, tasks[1], tasks[2]],
+            [],
+            'unbound',
+            [createTaskGroup('Backend', 'list', ['users-DB', 'api'], 2), createTaskGroup('Unnamed Group', 'regex', ['.*-DB'], 1)]
+        );
+
+        expect(errors).toEqual([{
+            message: 'Task "users-DB" belongs to 2 task groups ("Backend", ".*-DB"); the bandwidth of each of them applies.',
+            type: 'info',
+            line: 4
+        }]);
+    });
+});
@@ -0,0 +1,43 @@
+// test/shareLink.test.js
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { encodePlanForUrl, decodePlanFromUrl, parseShareFragment, buildShareUrl, readSharedPlan } from '../src/utils/shareLink';
+import { SAMPLE_PLAN } from '../src/utils/samplePlan';
+
+describe('shareLink', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should round-trip a plan through a compressed, URL-safe encoding', async () => {
+        const markdown = `${SAMPLE_PLAN}Task "Überprüfung ✓" "Review" "S"\n`;
+        const encoded = await encodePlanForUrl(markdown);
+        expect(encoded.startsWith('z.')).toBe(true);
+        expect(encoded).toMatch(/^[A-Za-z0-9._-]+$/);
+        expect(encoded.length).toBeLessThan(markdown.length);
+        expect(await decodePlanFromUrl(encoded)).toBe(markdown);
+    });
+
+    it('should fall back to uncompressed text without CompressionStream', async () => {
+        vi.stubGlobal('CompressionStream', undefined);
+        const encoded = await encodePlanForUrl('Task "A" "1"');
+        expect(encoded.startsWith('u.')).toBe(true);
+        expect(await decodePlanFromUrl(encoded)).toBe('Task "A" "1"');
+    });
+
+    it('should build links that open the editor or the read-only viewer', async () => {
+        const url = await buildShareUrl('Task "A" "1"', { baseUrl: 'https://example.com/app/#old' });
+        expect(url).toMatch(/^https:\/\/example\.com\/app\/#plan=z\.[\w-]+$/);
+        expect(await readSharedPlan(new URL(url).hash)).toEqual({ markdown: 'Task "A" "1"', readOnly: false });
+
+        const viewerUrl = await buildShareUrl('Task "A" "1"', { baseUrl: 'https://example.com/app/', readOnly: true });
+        expect(parseShareFragment(new URL(viewerUrl).hash).readOnly).toBe(true);
+    });
+
+    it('should ignore fragments without a plan and reject damaged ones', async () => {
+        expect(parseShareFragment('')).toBeNull();
+        expect(parseShareFragment('#section-2')).toBeNull();
+        expect(await readSharedPlan('#view=1')).toBeNull();
+        await expect(readSharedPlan('#plan=z.AAAA')).rejects.toThrow('The shared plan could not be read');
+        await expect(decodePlanFromUrl('x.abc')).rejects.toThrow('unknown encoding');
+    });
+});
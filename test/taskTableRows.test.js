@@ -0,0 +1,71 @@
+// test/taskTableRows.test.js
+import { describe, it, expect } from 'vitest';
+import {
+    getTaskTableRows,
+    getDetailColumns,
+    formatCell,
+    sortTaskRows,
+    filterTaskRows,
+    formatRowsAsTSV,
+    TASK_TABLE_COLUMNS,
+} from '../src/utils/taskTable';
+
+describe('taskTable', () => {
+    const scheduledTasks = [
+        { name: 'Build', description: 'Compile it', duration: 'M', resolvedDuration: 3, startTime: 2, endTime: 5, predecessors: ['Design'], isCritical: true, totalFloat: 0, lateBy: 1, details: { Notes: ['Ask QA', 'Use CI'] } },
+        { name: 'Design', description: '', duration: '2', resolvedDuration: 2, startTime: 0, endTime: 2, predecessors: [], isCritical: true, totalFloat: 0, assignedBandwidthGroups: [{ name: 'Team' }] },
+        { name: 'Docs', description: 'Write the guide', duration: '1', resolvedDuration: 1, startTime: 2, endTime: 3, predecessors: ['Design'], totalFloat: 2, assignedBandwidthGroups: [{ name: 'Team' }], details: { Owner: ['Sam'] } },
+        { name: 'Launch', description: '', duration: '0', resolvedDuration: 0, startTime: 5, endTime: 5, predecessors: ['Build', 'Docs'], isMilestone: true, isCritical: true, totalFloat: 0 },
+    ];
+    const dependencies = [
+        { source: 'Design', target: 'Build' },
+        { source: 'Design', target: 'Docs' },
+        { source: 'Build', target: 'Launch', type: 'FF', lag: 1 },
+        { source: 'Docs', target: 'Launch' },
+    ];
+    const rows = getTaskTableRows(scheduledTasks, dependencies);
+    const rowOf = name => rows.find(row => row.name === name);
+    const column = key => TASK_TABLE_COLUMNS.find(c => c.key === key);
+
+    it('should add successors, statuses, duration labels and details to the schedule rows', () => {
+        expect(rows.map(row => row.name)).toEqual(['Design', 'Build', 'Docs', 'Launch']);
+        expect(rowOf('Design').successors).toEqual(['Build', 'Docs']);
+        expect(rowOf('Launch').predecessors).toEqual(['Build FF lag: 1', 'Docs']);
+        expect(rowOf('Build')).toMatchObject({ durationLabel: 'M', duration: 3, status: ['Critical', 'Late'], details: { Notes: 'Ask QA; Use CI' } });
+        expect(rowOf('Docs').status).toEqual(['Has slack']);
+        expect(rowOf('Launch')).toMatchObject({ durationLabel: '', status: ['Critical', 'Milestone'] });
+        expect(getDetailColumns(rows).map(c => c.key)).toEqual(['detail:Notes', 'detail:Owner']);
+    });
+
+    it('should format cells with dates when the schedule has them', () => {
+        expect(formatCell(rowOf('Launch'), 'predecessors')).toBe('Build FF lag: 1, Docs');
+        expect(formatCell(rowOf('Build'), 'detail:Notes')).toBe('Ask QA; Use CI');
+        expect(formatCell(rowOf('Design'), 'detail:Notes')).toBe('');
+        const [dated] = getTaskTableRows([{ ...scheduledTasks[1], startDate: new Date('2024-03-04'), endDate: new Date('2024-03-05') }]);
+        expect([formatCell(dated, 'start'), formatCell(dated, 'end')]).toEqual(['2024-03-04', '2024-03-05']);
+    });
+
+    it('should sort numbers numerically and text alphabetically, with empty cells last', () => {
+        expect(sortTaskRows(rows, column('totalFloat'), 'descending').map(row => row.name)).toEqual(['Docs', 'Design', 'Build', 'Launch']);
+        expect(sortTaskRows(rows, column('description')).map(row => row.name)).toEqual(['Build', 'Docs', 'Design', 'Launch']);
+        expect(sortTaskRows(rows, column('description'), 'descending').map(row => row.name)).toEqual(['Docs', 'Build', 'Design', 'Launch']);
+        expect(sortTaskRows(rows, getDetailColumns(rows)[1]).map(row => row.name)).toEqual(['Docs', 'Design', 'Build', 'Launch']);
+    });
+
+    it('should filter by text, group and status together', () => {
+        const names = filters => filterTaskRows(rows, filters).map(row => row.name);
+        expect(names({ text: 'GUIDE' })).toEqual(['Docs']);
+        expect(names({ text: 'ci' })).toEqual(['Build']); // Detail values are searched too
+        expect(names({ group: 'Team' })).toEqual(['Design', 'Docs']);
+        expect(names({ status: 'critical' })).toEqual(['Design', 'Build', 'Launch']);
+        expect(names({ group: 'Team', status: 'critical', text: 'des' })).toEqual(['Design']);
+        expect(names({})).toHaveLength(4);
+    });
+
+    it('should copy rows as tab-separated text', () => {
+        const columns = [column('name'), column('predecessors'), getDetailColumns(rows)[0]];
+        expect(formatRowsAsTSV([rowOf('Build'), rowOf('Launch')], columns)).toBe(
+            'Name\tPredecessors\tNotes\nBuild\tDesign\tAsk QA; Use CI\nLaunch\tBuild FF lag: 1, Docs\t'
+        );
+    });
+});
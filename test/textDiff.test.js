@@ -0,0 +1,21 @@
+// test/textDiff.test.js
+import { describe, it, expect } from 'vitest';
+import { diffLines, summarizeDiff } from '../src/utils/textDiff';
+
+describe('textDiff', () => {
+    it('should report equal, deleted and inserted lines with their line numbers', () => {
+        const diff = diffLines('A\nB\nC', 'A\nX\nC\nD');
+        expect(diff).toEqual([
+            { type: 'equal', text: 'A', oldLine: 1, newLine: 1 },
+            { type: 'delete', text: 'B', oldLine: 2, newLine: null },
+            { type: 'insert', text: 'X', oldLine: null, newLine: 2 },
+            { type: 'equal', text: 'C', oldLine: 3, newLine: 3 },
+            { type: 'insert', text: 'D', oldLine: null, newLine: 4 },
+        ]);
+        expect(summarizeDiff(diff)).toEqual({ inserted: 2, deleted: 1 });
+    });
+
+    it('should find no changes between identical texts', () => {
+        expect(summarizeDiff(diffLines('Task "A" "1"\n', 'Task "A" "1"\n'))).toEqual({ inserted: 0, deleted: 0 });
+    });
+});
@@ -0,0 +1,55 @@
+// test/timeAxis.test.js
+import { describe, it, expect } from 'vitest';
+import { buildTimeAxisTicks, chooseDateScale, chooseUnitStep, getTodayOffset } from '../src/utils/timeAxis';
+
+describe('timeAxis', () => {
+    const projectStartDate = new Date('2025-05-30T00:00:00.000Z'); // Friday
+    const workDays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+    it('should pick a coarser date scale as days get narrower', () => {
+        expect(chooseDateScale(40)).toBe('day');
+        expect(chooseDateScale(24)).toBe('day');
+        expect(chooseDateScale(10)).toBe('week');
+        expect(chooseDateScale(2)).toBe('month');
+    });
+
+    it('should space abstract time unit ticks by a round step', () => {
+        expect(chooseUnitStep(60)).toBe(1);
+        expect(chooseUnitStep(20)).toBe(5);
+        expect(chooseUnitStep(4)).toBe(20);
+
+        const { scale, ticks } = buildTimeAxisTicks({ from: -3, to: 22, pixelsPerUnit: 20 });
+        expect(scale).toBe('unit');
+        expect(ticks.map(t => t.label)).toEqual(['0', '5', '10', '15', '20']);
+    });
+
+    it('should label every day and flag weekends and holidays at day scale', () => {
+        const { scale, ticks } = buildTimeAxisTicks({
+            from: 0, to: 4, pixelsPerUnit: 30, projectStartDate, workDays, holidays: ['2025-06-02']
+        });
+
+        expect(scale).toBe('day');
+        expect(ticks.map(t => t.label)).toEqual(['May 30', '31', 'Jun 1', '2', '3']);
+        expect(ticks.map(t => t.nonWorking)).toEqual([false, true, true, true, false]);
+    });
+
+    it('should put week ticks on Mondays and month ticks on the first', () => {
+        const weeks = buildTimeAxisTicks({ from: 0, to: 14, pixelsPerUnit: 10, projectStartDate });
+        expect(weeks.scale).toBe('week');
+        expect(weeks.ticks.map(t => t.label)).toEqual(['Jun 2', 'Jun 9']);
+        expect(weeks.ticks[0].offset).toBe(3);
+
+        const months = buildTimeAxisTicks({ from: 0, to: 70, pixelsPerUnit: 2, projectStartDate });
+        expect(months.scale).toBe('month');
+        expect(months.ticks.map(t => t.label)).toEqual(['Jun 2025', 'Jul 2025', 'Aug 2025']);
+    });
+
+    it('should return no ticks for an empty range', () => {
+        expect(buildTimeAxisTicks({ from: 10, to: 5, pixelsPerUnit: 20 }).ticks).toEqual([]);
+    });
+
+    it('should compute the offset of today from the project start', () => {
+        expect(getTodayOffset(projectStartDate, new Date('2025-06-04T15:00:00.000Z'))).toBe(5);
+        expect(getTodayOffset(null)).toBeNull();
+    });
+});
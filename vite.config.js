@@ -1,6 +1,7 @@
 // vite.config.js
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import { lezer } from '@lezer/generator/rollup' // Compiles the plan DSL grammar (src/utils/plan.grammar)
 import tailwindcss from 'tailwindcss' // For v3, the plugin is directly from 'tailwindcss'
 import autoprefixer from 'autoprefixer'
 
@@ -23,7 +24,7 @@ console.log("Tailwind Config Loaded:", tailwindConfig.content); // <--- ADD THIS
 
 
 export default defineConfig({
-  plugins: [vue()],
+  plugins: [vue(), lezer()],
   css: {
     postcss: {
       plugins: [